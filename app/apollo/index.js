@@ -34,6 +34,12 @@ const promClient = require('prom-client');
 const createMetricsPlugin = require('apollo-metrics');
 const apolloMetricsPlugin = createMetricsPlugin(promClient.register);
 const { GraphqlPubSub } = require('./subscription');
+const { startRetentionSweeper } = require('../utils/retention');
+const { startReencryptionJob } = require('../utils/reencryption');
+const { startUploadSweeper } = require('../utils/chunkedUploads');
+const { startRolloutJob } = require('../utils/rollouts');
+const { startSchedulerJob } = require('../utils/scheduledChanges');
+const { getMasterKeyProvider } = require('../utils/masterKeys');
 const initModule = require(`./init.${AUTH_MODEL}`);
 
 const pubSub = GraphqlPubSub.getInstance();
@@ -188,6 +194,21 @@ const createApolloServer = () => {
 };
 
 const stop = async (apollo) => {
+  if (apollo.sweeper) {
+    clearInterval(apollo.sweeper);
+  }
+  if (apollo.reencryptionJob) {
+    clearInterval(apollo.reencryptionJob);
+  }
+  if (apollo.uploadSweeper) {
+    clearInterval(apollo.uploadSweeper);
+  }
+  if (apollo.rolloutJob) {
+    clearInterval(apollo.rolloutJob);
+  }
+  if (apollo.schedulerJob) {
+    clearInterval(apollo.schedulerJob);
+  }
   await apollo.db.connection.close();
   await apollo.server.stop();
   await apollo.httpServer.close(() => {
@@ -198,6 +219,8 @@ const stop = async (apollo) => {
 const apollo = async (options = {}) => {
 
   try {
+    // a misconfigured master key fails the start rather than the first version upload
+    getMasterKeyProvider();
     const db = await connectDb(options.mongo_url);
     const app = options.app ? options.app : createDefaultApp();
     router.use(ebl(getBunyanConfig('apollo')));
@@ -240,7 +263,20 @@ const apollo = async (options = {}) => {
       }
       httpServer.listen({ port });
     } 
-    return { db, server, httpServer, stop};
+
+    let sweeper = null;
+    let reencryptionJob = null;
+    let uploadSweeper = null;
+    let rolloutJob = null;
+    let schedulerJob = null;
+    if (process.env.NODE_ENV !== 'unit-test' && process.env.NODE_ENV !== 'test') {
+      sweeper = startRetentionSweeper();
+      reencryptionJob = startReencryptionJob();
+      uploadSweeper = startUploadSweeper();
+      rolloutJob = startRolloutJob();
+      schedulerJob = startSchedulerJob();
+    }
+    return { db, server, httpServer, sweeper, reencryptionJob, uploadSweeper, rolloutJob, schedulerJob, stop};
   } catch (err) {
     logger.error(err, 'Apollo api error');
     process.exit(1);
@@ -54,6 +54,20 @@ const ChannelSchema = new mongoose.Schema({
       location: {
         type: String,
       },
+      isTemplate: {
+        type: Boolean,
+        default: false,
+      },
+      state: {
+        type: String,
+        default: 'active',
+      },
+      stateReason: {
+        type: String,
+      },
+      stateChanged: {
+        type: Date,
+      },
       created: {
         type: Date,
         default: Date.now,
@@ -65,6 +79,33 @@ const ChannelSchema = new mongoose.Schema({
       type: String,
     }
   ],
+  // versions outside of the retention are removed by the sweeper, unless a subscription uses them
+  retention: {
+    keepLast: {
+      type: Number,
+    },
+    maxAgeDays: {
+      type: Number,
+    },
+  },
+  // the git branch syncChannel imports new commits from
+  gitSource: {
+    repoUrl: {
+      type: String,
+    },
+    branch: {
+      type: String,
+    },
+    path: {
+      type: String,
+    },
+    lastSyncedSha: {
+      type: String,
+    },
+    lastSynced: {
+      type: Date,
+    },
+  },
 }, {
   strict:'throw',
 });
@@ -0,0 +1,62 @@
+/**
+ * Copyright 2021 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const mongoose = require('mongoose');
+
+// a channel version removed by the retention sweeper
+const ChannelVersionRemovalSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+  },
+  org_id: {
+    type: String,
+    alias: 'orgId',
+  },
+  channel_uuid: {
+    type: String,
+    alias: 'channelUuid',
+  },
+  channelName: {
+    type: String,
+  },
+  version_uuid: {
+    type: String,
+    alias: 'versionUuid',
+  },
+  versionName: {
+    type: String,
+  },
+  versionCreated: {
+    type: Date,
+  },
+  location: {
+    type: String,
+  },
+  reason: {
+    type: String,
+  },
+  removed: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  collection: 'channelVersionRemovals',
+  strict: 'throw',
+});
+
+ChannelVersionRemovalSchema.index({ org_id: 1, channel_uuid: 1 }, { });
+
+module.exports = ChannelVersionRemovalSchema;
@@ -0,0 +1,99 @@
+/**
+ * Copyright 2021 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const mongoose = require('mongoose');
+
+// a channel version uploaded in parts, until it is committed as a version. the parts are stored in COS or GridFS
+// encrypted with the upload key, which is encrypted like version content
+const ChannelVersionUploadSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    alias: 'uuid',
+  },
+  org_id: {
+    type: String,
+    alias: 'orgId',
+  },
+  channel_uuid: {
+    type: String,
+    alias: 'channelUuid',
+  },
+  name: {
+    type: String,
+  },
+  description: {
+    type: String,
+  },
+  kubeVersion: {
+    type: String,
+  },
+  uploadKey: {
+    content: {
+      type: String,
+    },
+    encryptionScheme: {
+      type: String,
+    },
+    keyFingerprint: {
+      type: String,
+    },
+  },
+  parts: [
+    {
+      _id: false,
+      partNumber: {
+        type: Number,
+      },
+      size: {
+        type: Number,
+      },
+      // sha256 hex digest of the part before encryption
+      digest: {
+        type: String,
+      },
+      objectName: {
+        type: String,
+      },
+      iv: {
+        type: String,
+      },
+      tag: {
+        type: String,
+      },
+      uploaded: {
+        type: Date,
+      },
+    },
+  ],
+  ownerId: {
+    type: String,
+  },
+  created: {
+    type: Date,
+    default: Date.now,
+  },
+  expires: {
+    type: Date,
+  },
+}, {
+  collection: 'channelVersionUploads',
+  strict: 'throw',
+});
+
+ChannelVersionUploadSchema.index({ org_id: 1 }, { });
+ChannelVersionUploadSchema.index({ expires: 1 }, { });
+
+module.exports = ChannelVersionUploadSchema;
@@ -86,6 +86,17 @@ const ClusterSchema = new mongoose.Schema({
     type: Map,
     default: {},
   },
+  // kubernetes style labels subscriptions select clusters by, see utils/labelSelectors
+  labels: [
+    {
+      key: {
+        type: String,
+      },
+      value: {
+        type: String,
+      },
+    }
+  ],
   reg_state: {
     type: String,
     enum: [CLUSTER_REG_STATES.REGISTERING, CLUSTER_REG_STATES.PENDING, CLUSTER_REG_STATES.REGISTERED], 
@@ -26,9 +26,121 @@ const RESOURCE_MAX_TOTAL_LIMIT = process.env.RESOURCE_MAX_TOTAL_LIMIT || 500000;
 const CHANNEL_MAX_TOTAL_LIMIT = process.env.CHANNEL_MAX_TOTAL_LIMIT || 1000;
 const CHANNEL_VERSION_MAX_TOTAL_LIMIT = process.env.CHANNEL_VERSION_MAX_TOTAL_LIMIT || 1000;
 const SUBSCRIPTION_MAX_TOTAL_LIMIT = process.env.SUBSCRIPTION_MAX_TOTAL_LIMIT || 1000;
+const SUBSCRIPTION_MAX_VERSION_HISTORY_LIMIT = process.env.SUBSCRIPTION_MAX_VERSION_HISTORY_LIMIT || 100;
 
 // Set Yaml file maximum size allowed in MB
 const CHANNEL_VERSION_YAML_MAX_SIZE_LIMIT_MB = process.env.CHANNEL_VERSION_YAML_MAX_SIZE_LIMIT_MB || 2;
+// Set maximum size of a yaml file uploaded in parts in MB, each part is limited like a yaml file
+const CHANNEL_VERSION_UPLOAD_MAX_SIZE_LIMIT_MB = process.env.CHANNEL_VERSION_UPLOAD_MAX_SIZE_LIMIT_MB || 100;
+
+// channel version types. helm and kustomize versions are stored as archives and rendered to yaml when served
+const CHANNEL_VERSION_TYPES = {
+  YAML: 'yaml',
+  APPLICATION_YAML: 'application/yaml',
+  HELM: 'helm',
+  KUSTOMIZE: 'kustomize',
+};
+
+// signature verification status of a channel version
+const SIGNATURE_STATUS = {
+  UNSIGNED: 'unsigned', // no signature was provided
+  VERIFIED: 'verified', // signed by one of the org's trusted keys
+  INVALID: 'invalid', // the signature does not match any of the org's trusted keys
+  UNTRUSTED: 'untrusted', // the signing key has since been removed from the org's trusted keys
+};
+
+// lifecycle of a channel version, archived versions can no longer be subscribed to
+const CHANNEL_VERSION_STATES = {
+  ACTIVE: 'active',
+  DEPRECATED: 'deprecated', // subscriptions still work, setting them to the version warns
+  ARCHIVED: 'archived',
+};
+
+// how the content of channel versions is encrypted
+const ENCRYPTION_SCHEMES = {
+  LEGACY: 'v1', // AES with an org api key, CryptoJS passphrase mode in mongo and AES-256-CBC in COS
+  ENVELOPE: 'v2', // AES-256-GCM with the org data key, which is wrapped by the server master key
+};
+
+// progressive rollouts of a subscription version change. clusters outside the batches of a progressing or
+// halted rollout keep getting the previous version
+const ROLLOUT_STATES = {
+  PROGRESSING: 'progressing',
+  HALTED: 'halted', // clusters of the rollout reported errors, it continues with advanceSubscriptionRollout
+  COMPLETED: 'completed',
+  ABORTED: 'aborted', // the subscription is back on the previous version
+};
+const ACTIVE_ROLLOUT_STATES = [ROLLOUT_STATES.PROGRESSING, ROLLOUT_STATES.HALTED];
+
+// what changed the version or the delivery of a subscription, recorded in its versionHistory
+const VERSION_CHANGE_ACTIONS = {
+  SET: 'set', // setSubscription, with or without a rollout
+  EDIT: 'edit',
+  ROLLOUT_ABORT: 'rolloutAbort',
+  SCHEDULE: 'schedule', // a scheduled version change was applied
+  PROMOTE: 'promote',
+  ROLLBACK: 'rollback',
+  PAUSE: 'pause', // pauses and resumes keep the version
+  RESUME: 'resume',
+};
+
+// how subscriptionsByClusterId treats paused subscriptions
+const PAUSED_SUBSCRIPTION_POLICIES = {
+  EXCLUDE: 'exclude', // clusters do not get them
+  HOLD: 'hold', // clusters get them with hold set, to keep what they have applied
+};
+
+// how a subscription change affects a cluster
+const SUBSCRIPTION_IMPACT_CHANGES = {
+  ADD: 'add', // the cluster starts getting the subscription
+  REMOVE: 'remove', // the cluster stops getting it
+  UPDATE: 'update', // the cluster gets another version
+  NONE: 'none',
+};
+
+const SCHEDULED_CHANGE_STATES = {
+  PENDING: 'pending',
+  APPLYING: 'applying', // claimed by the scheduler, until the subscription is updated
+  APPLIED: 'applied',
+  CANCELLED: 'cancelled',
+  FAILED: 'failed', // e.g. the version was removed before the change was due
+};
+// changes which have not been applied yet, they keep their version in use
+const OPEN_SCHEDULED_CHANGE_STATES = [SCHEDULED_CHANGE_STATES.PENDING, SCHEDULED_CHANGE_STATES.APPLYING];
+
+// what importChannels does with channels, versions and subscriptions whose name already exists
+const IMPORT_CONFLICT_ACTIONS = {
+  SKIP: 'skip',
+  OVERWRITE: 'overwrite',
+  RENAME: 'rename', // imported under the first free name, e.g. my-channel-2
+};
+
+// org configurable lint rules run on the manifests of new channel versions
+const LINT_RULES = {
+  REQUIRED_LABELS: 'required-labels', // every object must have the configured labels
+  NO_LATEST_TAG: 'no-latest-tag', // container images must be pinned to a tag other than latest
+  RESOURCE_LIMITS: 'resource-limits', // containers must set cpu and memory limits
+};
+
+const VALIDATION_SEVERITY = {
+  ERROR: 'error', // the version is rejected
+  WARNING: 'warning', // the version is added, the finding is only reported
+};
+
+// the credentials new channel versions are scanned for
+const SECRET_SCAN_RULES = {
+  SECRET_DATA: 'secret-data', // a Secret with literal data or stringData
+  PRIVATE_KEY: 'private-key', // a PEM private key
+  CLOUD_ACCESS_KEY: 'cloud-access-key', // e.g. an AWS access key id or a Google API key
+  TOKEN: 'token', // a bearer token, or a GitHub or Slack token
+  HIGH_ENTROPY: 'high-entropy', // a random looking container env value
+};
+
+// what addChannelVersion does when the secret scan finds credentials, set per org
+const SECRET_SCAN_POLICIES = {
+  WARN: 'warn', // the findings are reported as warnings
+  REJECT: 'reject', // the findings are errors, the version is not added
+};
 
 // controls static args to be passed to reazeedeploy-job 
 const RDD_STATIC_ARGS = process.env.RDD_STATIC_ARGS ? process.env.RDD_STATIC_ARGS.split(',') : [];
@@ -52,6 +164,7 @@ const CHANNEL_VERSION_LIMITS = {
 
 const SUBSCRIPTION_LIMITS = {
   MAX_TOTAL: SUBSCRIPTION_MAX_TOTAL_LIMIT, // max total subscriptions allowed per account
+  MAX_VERSION_HISTORY: SUBSCRIPTION_MAX_VERSION_HISTORY_LIMIT, // version changes kept per subscription
 };
 
 const CLUSTER_REG_STATES = {
@@ -82,4 +195,4 @@ const DIRECTIVE_LIMITS = {
 // console.log('NODE_ENV: ' + config.util.getEnv('NODE_ENV') + `, DIRECTIVE_LIMITS: ${JSON.stringify(DIRECTIVE_LIMITS)}`);
 
 module.exports = { RDD_STATIC_ARGS, ACTIONS, TYPES, AUTH_MODELS, AUTH_MODEL, SECRET, GRAPHQL_PATH , APOLLO_STREAM_SHARDING,
-  CLUSTER_LIMITS, CLUSTER_REG_STATES, CLUSTER_STATUS, RESOURCE_LIMITS, CHANNEL_LIMITS, CHANNEL_VERSION_LIMITS, SUBSCRIPTION_LIMITS, CHANNEL_VERSION_YAML_MAX_SIZE_LIMIT_MB, DIRECTIVE_LIMITS};
+  CLUSTER_LIMITS, CLUSTER_REG_STATES, CLUSTER_STATUS, RESOURCE_LIMITS, CHANNEL_LIMITS, CHANNEL_VERSION_LIMITS, SUBSCRIPTION_LIMITS, CHANNEL_VERSION_YAML_MAX_SIZE_LIMIT_MB, CHANNEL_VERSION_UPLOAD_MAX_SIZE_LIMIT_MB, CHANNEL_VERSION_TYPES, SIGNATURE_STATUS, CHANNEL_VERSION_STATES, ROLLOUT_STATES, ACTIVE_ROLLOUT_STATES, VERSION_CHANGE_ACTIONS, PAUSED_SUBSCRIPTION_POLICIES, SUBSCRIPTION_IMPACT_CHANGES, SCHEDULED_CHANGE_STATES, OPEN_SCHEDULED_CHANGE_STATES, IMPORT_CONFLICT_ACTIONS, ENCRYPTION_SCHEMES, LINT_RULES, VALIDATION_SEVERITY, SECRET_SCAN_RULES, SECRET_SCAN_POLICIES, DIRECTIVE_LIMITS};
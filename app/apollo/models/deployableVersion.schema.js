@@ -47,12 +47,98 @@ const DeployableVersionSchema = new mongoose.Schema({
   iv: {
     type: String,
   },
+  // v1 (or unset) content is encrypted with an org key, v2 content is envelope encrypted with an org data key
+  encryptionScheme: {
+    type: String,
+  },
+  // fingerprint of the org key v1 content is encrypted with, see getOrgKeyFingerprint
+  keyFingerprint: {
+    type: String,
+  },
+  digest: {
+    type: String,
+  },
+  signature: {
+    type: String,
+  },
+  signatureStatus: {
+    type: String,
+  },
+  signingKeyUuid: {
+    type: String,
+  },
+  // set for versions imported from git
+  gitSource: {
+    repoUrl: {
+      type: String,
+    },
+    ref: {
+      type: String,
+    },
+    path: {
+      type: String,
+    },
+    commitSha: {
+      type: String,
+    },
+  },
+  // the objects of the version, see buildInventory. not set for templates, which are only yaml once rendered
+  inventory: [
+    {
+      _id: false,
+      apiVersion: {
+        type: String,
+      },
+      kind: {
+        type: String,
+      },
+      namespace: {
+        type: String,
+      },
+      name: {
+        type: String,
+      },
+      images: [
+        {
+          type: String,
+        },
+      ],
+    },
+  ],
+  // what the secret scan found when the version was added, see scanForSecrets
+  secretFindings: [
+    {
+      _id: false,
+      rule: {
+        type: String,
+      },
+      documentIndex: {
+        type: Number,
+      },
+      kind: {
+        type: String,
+      },
+      name: {
+        type: String,
+      },
+      path: {
+        type: String,
+      },
+      message: {
+        type: String,
+      },
+    },
+  ],
   location: {
     type: String,
   },
   type: {
     type: String,
   },
+  isTemplate: {
+    type: Boolean,
+    default: false,
+  },
   ownerId: {
     type: String,
   },
@@ -69,5 +155,6 @@ const DeployableVersionSchema = new mongoose.Schema({
 });
 
 DeployableVersionSchema.index({ org_id: 1 }, { });
+DeployableVersionSchema.index({ org_id: 1, 'inventory.kind': 1, 'inventory.name': 1 }, { });
 
 module.exports = DeployableVersionSchema;
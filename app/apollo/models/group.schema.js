@@ -38,6 +38,25 @@ const GroupSchema = new mongoose.Schema({
   owner: {
     type: String,
   },
+  // when scheduled version changes may be applied to the group's clusters, see utils/maintenanceWindows
+  maintenanceWindows: [
+    {
+      days: [
+        {
+          type: String,
+        }
+      ],
+      start: {
+        type: String,
+      },
+      durationMinutes: {
+        type: Number,
+      },
+      timeZone: {
+        type: String,
+      },
+    }
+  ],
 }, {
   strict:'throw',
 });
@@ -21,7 +21,11 @@ const Cluster = require('./cluster');
 const Organization = require('./organization');
 const Channel = require('./channel');
 const Subscription = require('./subscription');
+const Pipeline = require('./pipeline');
 const DeployableVersion = require('./deployableVersion');
+const ChannelVersionRemoval = require('./channelVersionRemoval');
+const ChannelVersionUpload = require('./channelVersionUpload');
+const ScheduledVersionChange = require('./scheduledVersionChange');
 const ResourceYamlHist = require('./resourceYamlHist');
 const Group = require('./group');
 const fs = require('fs');
@@ -77,7 +81,11 @@ const models = {
   Channel,
   Group,
   Subscription,
+  Pipeline,
   DeployableVersion,
+  ChannelVersionRemoval,
+  ChannelVersionUpload,
+  ScheduledVersionChange,
   ResourceYamlHist,
   dbConnections: []
 };
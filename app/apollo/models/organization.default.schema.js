@@ -39,6 +39,76 @@ const OrganizationDefaultSchema = new mongoose.Schema({
     type: String,
     required: false,
   },
+  // data keys wrapped by the server master key, content is envelope encrypted with the first one
+  dataKeys: [
+    {
+      uuid: {
+        type: String,
+      },
+      wrappedKey: {
+        type: String,
+      },
+      masterKeyId: {
+        type: String,
+      },
+      created: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
+  trustedKeys: [
+    {
+      uuid: {
+        type: String,
+      },
+      name: {
+        type: String,
+      },
+      publicKey: {
+        type: String,
+      },
+      fingerprint: {
+        type: String,
+      },
+      created: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
+  settings: {
+    requireSignedVersions: {
+      type: Boolean,
+      default: false,
+    },
+    secretScanPolicy: {
+      type: String,
+      default: 'warn',
+    },
+    pausedSubscriptionPolicy: {
+      type: String,
+      default: 'exclude',
+    },
+    kubeVersion: {
+      type: String,
+    },
+    lintRules: [
+      {
+        rule: {
+          type: String,
+        },
+        severity: {
+          type: String,
+        },
+        labels: [
+          {
+            type: String,
+          },
+        ],
+      },
+    ],
+  },
   created: {
     type: Date,
     default: Date.now,
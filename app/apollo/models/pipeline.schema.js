@@ -0,0 +1,106 @@
+/**
+ * Copyright 2021 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const mongoose = require('mongoose');
+
+const PipelineSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+  },
+  org_id: {
+    type: String,
+    alias: 'orgId',
+  },
+  name: {
+    type: String,
+  },
+  uuid: {
+    type: String,
+  },
+  channel_uuid: {
+    type: String,
+    alias: 'channelUuid',
+  },
+  channelName: {
+    type: String,
+  },
+  // stages are promoted in order, each one is backed by a subscription of the pipeline's channel
+  stages: [
+    {
+      name: {
+        type: String,
+      },
+      // the subscription of this stage, for group targeted stages it is created on the first promotion
+      subscriptionUuid: {
+        type: String,
+      },
+      groups: [
+        {
+          type: String,
+        }
+      ],
+      requireApproval: {
+        type: Boolean,
+        default: false,
+      },
+      // minutes the previous stage must have run a version before it can be promoted to this stage
+      minSoakMinutes: {
+        type: Number,
+        default: 0,
+      },
+      promotedVersionUuid: {
+        type: String,
+      },
+      promoted: {
+        type: Date,
+      },
+      approvals: [
+        {
+          versionUuid: {
+            type: String,
+          },
+          approvedBy: {
+            type: String,
+          },
+          approved: {
+            type: Date,
+            default: Date.now,
+          },
+        }
+      ],
+    }
+  ],
+  owner: {
+    type: String,
+  },
+  kubeOwnerName: {
+    type: String,
+  },
+  created: {
+    type: Date,
+    default: Date.now,
+  },
+  updated: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  strict:'throw',
+});
+
+PipelineSchema.index({ org_id: 1 }, { });
+
+module.exports = PipelineSchema;
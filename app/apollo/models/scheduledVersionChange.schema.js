@@ -0,0 +1,81 @@
+/**
+ * Copyright 2021 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const mongoose = require('mongoose');
+
+// a subscription version change applied by the scheduler once notBefore passed, and a maintenance window opened if required
+const ScheduledVersionChangeSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    alias: 'uuid',
+  },
+  org_id: {
+    type: String,
+    alias: 'orgId',
+  },
+  subscription_uuid: {
+    type: String,
+    alias: 'subscriptionUuid',
+  },
+  subscriptionName: {
+    type: String,
+  },
+  channel_uuid: {
+    type: String,
+    alias: 'channelUuid',
+  },
+  version: {
+    type: String,
+  },
+  version_uuid: {
+    type: String,
+    alias: 'versionUuid',
+  },
+  notBefore: {
+    type: Date,
+  },
+  // only applied inside a maintenance window of the subscription's groups
+  inMaintenanceWindow: {
+    type: Boolean,
+    default: false,
+  },
+  state: {
+    type: String,
+  },
+  // why the change failed
+  reason: {
+    type: String,
+  },
+  ownerId: {
+    type: String,
+  },
+  created: {
+    type: Date,
+    default: Date.now,
+  },
+  // when it was applied, failed or cancelled
+  updated: {
+    type: Date,
+  },
+}, {
+  collection: 'scheduledVersionChanges',
+  strict: 'throw',
+});
+
+ScheduledVersionChangeSchema.index({ org_id: 1, subscription_uuid: 1 }, { });
+ScheduledVersionChangeSchema.index({ state: 1, notBefore: 1 }, { });
+
+module.exports = ScheduledVersionChangeSchema;
@@ -61,6 +61,201 @@ const SubscriptionSchema = new mongoose.Schema({
   kubeOwnerName: {
     type: String,
   },
+  // a progressive rollout of the version, clusters outside of its batches get fromVersion until it completes
+  rollout: {
+    uuid: {
+      type: String,
+    },
+    state: {
+      type: String,
+    },
+    reason: {
+      type: String,
+    },
+    fromVersion: {
+      type: String,
+    },
+    fromVersionUuid: {
+      type: String,
+    },
+    toVersion: {
+      type: String,
+    },
+    toVersionUuid: {
+      type: String,
+    },
+    // the cumulative percentage of the clusters on the new version after each batch, the last is 100
+    percentages: {
+      type: [Number],
+      default: undefined,
+    },
+    // or the number of clusters each batch adds
+    batchSize: {
+      type: Number,
+    },
+    // 0 when batches only advance with advanceSubscriptionRollout
+    soakMinutes: {
+      type: Number,
+    },
+    batch: {
+      type: Number,
+    },
+    // the clusters getting the new version
+    clusterIds: {
+      type: [String],
+      default: undefined,
+    },
+    startedBy: {
+      type: String,
+    },
+    started: {
+      type: Date,
+    },
+    batchStarted: {
+      type: Date,
+    },
+    updated: {
+      type: Date,
+    },
+    completed: {
+      type: Date,
+    },
+  },
+  // clusters matching the selector are targeted too, like those of groups and clusterId. see utils/labelSelectors
+  clusterSelector: {
+    matchLabels: {
+      type: [
+        {
+          key: {
+            type: String,
+          },
+          value: {
+            type: String,
+          },
+        }
+      ],
+      default: undefined,
+    },
+    matchExpressions: {
+      type: [
+        {
+          key: {
+            type: String,
+          },
+          operator: {
+            type: String,
+          },
+          values: [
+            {
+              type: String,
+            }
+          ],
+        }
+      ],
+      default: undefined,
+    },
+  },
+  // the uuids of the subscriptions clusters apply before this one, see utils/subscriptionDependencies
+  dependsOn: [
+    {
+      type: String,
+    }
+  ],
+  // clusters the subscription targets but is not delivered to
+  excludedClusters: [
+    {
+      clusterId: {
+        type: String,
+      },
+      reason: {
+        type: String,
+      },
+      excludedBy: {
+        type: String,
+      },
+      excluded: {
+        type: Date,
+      },
+    }
+  ],
+  // clusters getting another version of the channel than the subscription's, until the pin expires
+  versionPins: [
+    {
+      clusterId: {
+        type: String,
+      },
+      version: {
+        type: String,
+      },
+      versionUuid: {
+        type: String,
+      },
+      reason: {
+        type: String,
+      },
+      pinnedBy: {
+        type: String,
+      },
+      pinned: {
+        type: Date,
+      },
+      // removed by the scheduler after
+      expires: {
+        type: Date,
+      },
+    }
+  ],
+  // set while the subscription is paused, see PAUSED_SUBSCRIPTION_POLICIES
+  pause: {
+    reason: {
+      type: String,
+    },
+    pausedBy: {
+      type: String,
+    },
+    paused: {
+      type: Date,
+    },
+    // resumed by the scheduler after
+    expires: {
+      type: Date,
+    },
+  },
+  // the version changes, pauses and resumes of the subscription, oldest first
+  versionHistory: [
+    {
+      fromChannelUuid: {
+        type: String,
+      },
+      fromVersion: {
+        type: String,
+      },
+      fromVersionUuid: {
+        type: String,
+      },
+      channelUuid: {
+        type: String,
+      },
+      version: {
+        type: String,
+      },
+      versionUuid: {
+        type: String,
+      },
+      action: {
+        type: String,
+      },
+      reason: {
+        type: String,
+      },
+      changedBy: {
+        type: String,
+      },
+      changed: {
+        type: Date,
+      },
+    }
+  ],
   created: {
     type: Date,
     default: Date.now,
@@ -74,5 +269,8 @@ const SubscriptionSchema = new mongoose.Schema({
 });
 
 SubscriptionSchema.index({ org_id: 1 }, { });
+SubscriptionSchema.index({ 'rollout.state': 1 }, { sparse: true });
+SubscriptionSchema.index({ 'pause.expires': 1 }, { sparse: true });
+SubscriptionSchema.index({ 'versionPins.expires': 1 }, { sparse: true });
 
 module.exports = SubscriptionSchema;
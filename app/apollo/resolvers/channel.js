@@ -16,10 +16,8 @@
 
 const _ = require('lodash');
 const { v4: UUID } = require('uuid');
-const crypto = require('crypto');
 const GraphqlFields = require('graphql-fields');
 const conf = require('../../conf.js').conf;
-const S3ClientClass = require('../../s3/s3Client');
 const { WritableStreamBuffer } = require('stream-buffers');
 const streamToString = require('stream-to-string');
 const stream = require('stream');
@@ -28,21 +26,307 @@ const { applyQueryFieldsToChannels, applyQueryFieldsToDeployableVersions } = req
 
 const yaml = require('js-yaml');
 
-const { ACTIONS, TYPES, CHANNEL_VERSION_YAML_MAX_SIZE_LIMIT_MB, CHANNEL_LIMITS, CHANNEL_VERSION_LIMITS } = require('../models/const');
-const { whoIs, validAuth, getAllowedChannels, filterChannelsToAllowed, NotFoundError, RazeeValidationError, BasicRazeeError, RazeeQueryError} = require ('./common');
+const { ACTIONS, TYPES, CHANNEL_VERSION_YAML_MAX_SIZE_LIMIT_MB, CHANNEL_VERSION_UPLOAD_MAX_SIZE_LIMIT_MB, CHANNEL_VERSION_TYPES, SIGNATURE_STATUS, CHANNEL_VERSION_STATES, IMPORT_CONFLICT_ACTIONS, SECRET_SCAN_POLICIES, CHANNEL_LIMITS, CHANNEL_VERSION_LIMITS } = require('../models/const');
+const { whoIs, validAuth, getAllowedChannels, filterChannelsToAllowed, getGroupConditions, filterSubscriptionsToAllowed, NotFoundError, RazeeValidationError, BasicRazeeError, RazeeQueryError} = require ('./common');
 
-const { encryptOrgData, decryptOrgData} = require('../../utils/orgs');
+const { TemplateError, buildClusterView, validateTemplate, renderTemplate } = require('../../utils/templates');
+const { RenderError, isArchiveType, packArchiveContent, renderArchiveContent } = require('../../utils/renderers');
+const { diffYamlContent } = require('../../utils/versionDiff');
+const { computeDigest } = require('../../utils/digest');
+const { findSigningKey, getSignatureStatus } = require('../../utils/signatures');
+const { deleteDeployableVersionContent, storeDeployableVersionContent, decryptDeployableVersion } = require('../../utils/deployableVersions');
+const { hasRetention, sweepChannel } = require('../../utils/retention');
+const { getVersionInUseQuery, getVersionScheduledQuery } = require('../../utils/subscriptions');
+const { ManifestValidationError, validateManifests } = require('../../utils/manifestValidation');
+const { GitImportError, DEFAULT_PATH_GLOB, validateGitSource, fetchGitFiles, assembleYaml } = require('../../utils/gitImport');
+const { scanForSecrets } = require('../../utils/secretScanning');
+const { buildInventory, matchesSearch, toInventoryQuery, isEmptySearch } = require('../../utils/inventory');
+const { MAX_PARTS, ChunkedUploadError, getUploadExpiry, createUploadKey, openUploadKey, storePart, getMissingParts, openPartsStream, removeParts, validateUploadedContent } = require('../../utils/chunkedUploads');
+const { EXPORT_FORMAT_VERSION, ChannelExportError, toExportVersion, toStoredContent, validateExportArchive, findAvailableName } = require('../../utils/channelExport');
+const subscriptionResolvers = require('./subscription');
 
-const deleteDeployableVersionFromS3 = async(deployableVersionObj)=>{
-  const url = deployableVersionObj.content;
-  const urlObj = new URL(url);
-  const fullPath = urlObj.pathname;
-  var parts = _.filter(_.split(fullPath, '/'));
-  var bucketName = parts.shift();
-  var path = `${parts.join('/')}`;
+const streamToBuffer = async(readStream)=>{
+  var buf = new WritableStreamBuffer();
+  await new Promise((resolve, reject)=>{
+    return stream.pipeline(
+      readStream,
+      buf,
+      (err)=>{
+        if(err){
+          reject(err);
+        }
+        resolve(err);
+      }
+    );
+  });
+  return buf.getContents() || Buffer.alloc(0);
+};
+
+const getDecryptedContent = async(org, versionObj, deployableVersionObj, context)=>{
+  if (versionObj.location === 'mongo' || versionObj.location === 's3' || versionObj.location === 'gridfs') {
+    return await decryptDeployableVersion(org, deployableVersionObj);
+  }
+  throw new BasicRazeeError(context.req.t('versionObj.location="{{versionObj.location}}" not implemented yet', {'versionObj.location':versionObj.location}), context);
+};
+
+// loads the yaml a version deploys, helm and kustomize versions are rendered
+const getVersionYaml = async(org, channel, versionUuid, context)=>{
+  const { models } = context;
+  const versionObj = channel.versions.find(v => v.uuid === versionUuid);
+  if (!versionObj) {
+    throw new NotFoundError(context.req.t('versionObj "{{versionUuid}}" is not found for {{channel.name}}:{{channel.uuid}}', {'versionUuid':versionUuid, 'channel.name':channel.name, 'channel.uuid':channel.uuid}), context);
+  }
+  const deployableVersionObj = await models.DeployableVersion.findOne({ org_id: channel.org_id, channel_id: channel.uuid, uuid: versionUuid });
+  if (!deployableVersionObj) {
+    throw new NotFoundError(context.req.t('DeployableVersion is not found for {{channel.name}}:{{channel.uuid}}/{{versionObj.name}}:{{versionObj.uuid}}.', {'channel.name':channel.name, 'channel.uuid':channel.uuid, 'versionObj.name':versionObj.name, 'versionObj.uuid':versionObj.uuid}), context);
+  }
+  const content = await getDecryptedContent(org, versionObj, deployableVersionObj, context);
+  if (isArchiveType(deployableVersionObj.type)) {
+    return await renderArchiveContent(deployableVersionObj.type, content);
+  }
+  return content;
+};
+
+// the kubernetes version manifests are validated against, null validates them against the newest bundled version
+const getValidationKubeVersion = (org, kubeVersion)=>{
+  return kubeVersion || _.get(org, 'settings.kubeVersion') || conf.validation.kubeVersion || null;
+};
+
+// the name of a new version must be free, and the channel must have room for it
+const validateNewVersionName = async(channel, name, context)=>{
+  const { models } = context;
+  const { org_id } = channel;
+  const channel_uuid = channel.uuid;
+  const versions = await models.DeployableVersion.find({ org_id, channel_id: channel_uuid });
+  const versionNameExists = !!versions.find((version)=>{
+    return (version.name == name);
+  });
+
+  if(versionNameExists) {
+    throw new RazeeValidationError(context.req.t('The version name {{name}} already exists', {'name':name}), context);
+  }
+  // validate the number of total channel versions are under the limit
+  let total = await models.DeployableVersion.count({org_id, channel_id: channel_uuid});
+  if (total >= CHANNEL_VERSION_LIMITS.MAX_TOTAL && hasRetention(channel.retention)) {
+    // make room by removing the expired versions now rather than waiting for the sweeper
+    await sweepChannel(channel);
+    total = await models.DeployableVersion.count({org_id, channel_id: channel_uuid});
+  }
+  if (total >= CHANNEL_VERSION_LIMITS.MAX_TOTAL ) {
+    throw new RazeeValidationError(context.req.t('Too many channel version are registered under {{channel_uuid}}.', {'channel_uuid':channel_uuid}), context);
+  }
+};
+
+// the secret scan findings are errors or warnings depending on the org policy
+const applySecretScanPolicy = (org, validation, secretFindings)=>{
+  if(_.get(org, 'settings.secretScanPolicy') === SECRET_SCAN_POLICIES.REJECT){
+    validation.errors.push(...secretFindings);
+  }
+  else{
+    validation.warnings.push(...secretFindings);
+  }
+};
+
+// creates the version and adds it to the channel, fields include what storeDeployableVersionContent returned
+const saveChannelVersion = async(channel, fields, context)=>{
+  const { models, me } = context;
+  const kubeOwnerName = await models.User.getKubeOwnerName(context);
+  const deployableVersionObj = {
+    _id: UUID(),
+    org_id: channel.org_id,
+    uuid: UUID(),
+    channel_id: channel.uuid,
+    channelName: channel.name,
+    ...fields,
+    ownerId: me._id,
+    kubeOwnerName,
+  };
+
+  const dObj = await models.DeployableVersion.create(deployableVersionObj);
+  const { name, description, location, isTemplate } = deployableVersionObj;
+  const versionObj = {
+    uuid: deployableVersionObj.uuid,
+    name, description, location, isTemplate,
+    created: dObj.created
+  };
+
+  await models.Channel.updateOne(
+    { org_id: channel.org_id, uuid: channel.uuid },
+    { $push: { versions: versionObj } }
+  );
+  return versionObj;
+};
+
+// an upload which has not expired, with its channel, for users who can manage the versions of the channel
+const getChannelVersionUpload = async(org_id, uuid, context, queryName)=>{
+  const { models, me } = context;
+  const upload = await models.ChannelVersionUpload.findOne({ _id: uuid, org_id, expires: { $gt: new Date() } }).lean();
+  if(!upload){
+    throw new NotFoundError(context.req.t('channel version upload "{{uuid}}" not found', {'uuid':uuid}), context);
+  }
+  const channel = await models.Channel.findOne({ uuid: upload.channel_uuid, org_id });
+  if(!channel){
+    throw new NotFoundError(context.req.t('channel uuid "{{channel_uuid}}" not found', {'channel_uuid':upload.channel_uuid}), context);
+  }
+  await validAuth(me, org_id, ACTIONS.MANAGEVERSION, TYPES.CHANNEL, queryName, context, [channel.uuid, channel.name]);
+  return { upload, channel };
+};
+
+const toUploadPart = (part)=>{
+  return _.pick(part, ['partNumber', 'size', 'digest', 'uploaded']);
+};
+
+const toUploadReply = (upload)=>{
+  const parts = _.sortBy(upload.parts, 'partNumber');
+  return {
+    uuid: upload._id,
+    channelUuid: upload.channel_uuid,
+    name: upload.name,
+    description: upload.description,
+    kubeVersion: upload.kubeVersion,
+    size: _.sumBy(parts, 'size'),
+    parts: _.map(parts, toUploadPart),
+    missingParts: getMissingParts(parts),
+    created: upload.created,
+    expires: upload.expires,
+  };
+};
+
+// adds the yaml files fetched from a git ref as a new version of the channel, the commit is recorded on the version
+const addGitVersion = async(channel, { repoUrl, ref, path, commitSha, files, name, description, kubeVersion }, context, queryName)=>{
+  if(files.length < 1){
+    throw new RazeeValidationError(context.req.t('No files matching {{path}} were found in {{ref}}', {'path':path, 'ref':ref}), context);
+  }
+  const source = `imported from ${repoUrl} ${ref} at ${commitSha}`;
+  const reply = await channelResolvers.Mutation.addChannelVersion(null, {
+    orgId: channel.org_id,
+    channelUuid: channel.uuid,
+    name: name || `${ref.replace(/\//g, '-')}-${commitSha.slice(0, 7)}`,
+    type: CHANNEL_VERSION_TYPES.APPLICATION_YAML,
+    content: assembleYaml(files),
+    description: description ? `${description} (${source})` : _.upperFirst(source),
+    kubeVersion,
+    _gitSource: { repoUrl, ref, path, commitSha },
+    _queryName: queryName,
+  }, context);
+  return { ...reply, commitSha };
+};
+
+// records the result of importing one channel, version or subscription, a failed object does not stop the import
+const importObject = async(objects, obj, importFunc)=>{
+  try{
+    Object.assign(obj, await importFunc());
+  } catch(err){
+    if(!(err instanceof BasicRazeeError)){
+      throw err;
+    }
+    Object.assign(obj, { result: 'failed', error: err.message });
+  }
+  objects.push(obj);
+  return obj;
+};
 
-  const s3Client = new S3ClientClass(conf);
-  return await s3Client.deleteObject(bucketName, path);
+const importChannel = async(org_id, channel, onConflict, context)=>{
+  const { models } = context;
+  const tags = channel.tags || [];
+  const existing = await models.Channel.findOne({ org_id, name: channel.name });
+  if(!existing){
+    const { uuid } = await channelResolvers.Mutation.addChannel(null, { orgId: org_id, name: channel.name, tags }, context);
+    return { uuid, importedName: channel.name, result: 'created' };
+  }
+  if(onConflict === IMPORT_CONFLICT_ACTIONS.SKIP){
+    return { uuid: existing.uuid, importedName: existing.name, result: 'skipped' };
+  }
+  if(onConflict === IMPORT_CONFLICT_ACTIONS.OVERWRITE){
+    await channelResolvers.Mutation.editChannel(null, { orgId: org_id, uuid: existing.uuid, name: existing.name, tags }, context);
+    return { uuid: existing.uuid, importedName: existing.name, result: 'overwritten' };
+  }
+  const names = _.map(await models.Channel.find({ org_id }, { name: 1 }).lean(), 'name');
+  const name = findAvailableName(channel.name, names);
+  const { uuid } = await channelResolvers.Mutation.addChannel(null, { orgId: org_id, name, tags }, context);
+  return { uuid, importedName: name, result: 'renamed' };
+};
+
+const importVersion = async(org_id, channel_uuid, version, onConflict, kubeVersion, context, queryName)=>{
+  const { models } = context;
+  const addVersion = async(name)=>{
+    const reply = await channelResolvers.Mutation.addChannelVersion(null, {
+      orgId: org_id,
+      channelUuid: channel_uuid,
+      name,
+      type: version.type,
+      content: version.content,
+      values: version.values,
+      description: version.description,
+      isTemplate: version.isTemplate,
+      signature: version.signature,
+      kubeVersion,
+      _queryName: queryName,
+    }, context);
+    if(!reply.success){
+      throw new RazeeValidationError(context.req.t('The version is not valid: {{errors}}', {'errors':_.map(reply.errors, 'message').join(', ')}), context);
+    }
+    return reply.versionUuid;
+  };
+
+  const channel = await models.Channel.findOne({ org_id, uuid: channel_uuid });
+  const existing = _.find(channel.versions, { name: version.name });
+  if(!existing){
+    return { uuid: await addVersion(version.name), importedName: version.name, result: 'created' };
+  }
+  if(onConflict === IMPORT_CONFLICT_ACTIONS.SKIP){
+    return { uuid: existing.uuid, importedName: existing.name, result: 'skipped' };
+  }
+  const freeName = findAvailableName(version.name, _.map(channel.versions, 'name'));
+  if(onConflict === IMPORT_CONFLICT_ACTIONS.RENAME){
+    return { uuid: await addVersion(freeName), importedName: freeName, result: 'renamed' };
+  }
+
+  const deployableVersionObj = await models.DeployableVersion.findOne({ org_id, uuid: existing.uuid });
+  if(deployableVersionObj && deployableVersionObj.digest === computeDigest(toStoredContent(version))){
+    return { uuid: existing.uuid, importedName: existing.name, result: 'unchanged' };
+  }
+  const subCount = await models.Subscription.count(getVersionInUseQuery(org_id, existing.uuid));
+  if(subCount > 0){
+    throw new RazeeValidationError(context.req.t('{{subCount}} subscriptions depend on this channel version. Please update/remove them before removing this channel version.', {'subCount':subCount}), context);
+  }
+  const scheduledCount = await models.ScheduledVersionChange.count(getVersionScheduledQuery(org_id, existing.uuid));
+  if(scheduledCount > 0){
+    throw new RazeeValidationError(context.req.t('{{scheduledCount}} scheduled version changes wait to apply this channel version. Please cancel them before removing this channel version.', {'scheduledCount':scheduledCount}), context);
+  }
+  // adds the imported version under a free name first, so the existing one is only removed once the new one is valid
+  const uuid = await addVersion(freeName);
+  await channelResolvers.Mutation.removeChannelVersion(null, { orgId: org_id, uuid: existing.uuid }, context);
+  await models.DeployableVersion.updateOne({ org_id, uuid }, { $set: { name: version.name } });
+  await models.Channel.updateOne({ org_id, uuid: channel_uuid, 'versions.uuid': uuid }, { $set: { 'versions.$.name': version.name } });
+  return { uuid, importedName: version.name, result: 'overwritten' };
+};
+
+const importSubscription = async(org_id, subscription, onConflict, channel_uuid, version_uuid, context)=>{
+  const { models } = context;
+  const args = {
+    orgId: org_id,
+    groups: subscription.groups || [],
+    channelUuid: channel_uuid,
+    versionUuid: version_uuid,
+    clusterId: subscription.clusterId || null,
+  };
+  const existing = await models.Subscription.findOne({ org_id, name: subscription.name });
+  if(!existing){
+    const { uuid } = await subscriptionResolvers.Mutation.addSubscription(null, { ...args, name: subscription.name }, context);
+    return { uuid, importedName: subscription.name, result: 'created' };
+  }
+  if(onConflict === IMPORT_CONFLICT_ACTIONS.SKIP){
+    return { uuid: existing.uuid, importedName: existing.name, result: 'skipped' };
+  }
+  if(onConflict === IMPORT_CONFLICT_ACTIONS.OVERWRITE){
+    await subscriptionResolvers.Mutation.editSubscription(null, { ...args, uuid: existing.uuid, name: existing.name }, context);
+    return { uuid: existing.uuid, importedName: existing.name, result: 'overwritten' };
+  }
+  const names = _.map(await models.Subscription.find({ org_id }, { name: 1 }).lean(), 'name');
+  const name = findAvailableName(subscription.name, names);
+  const { uuid } = await subscriptionResolvers.Mutation.addSubscription(null, { ...args, name }, context);
+  return { uuid, importedName: name, result: 'renamed' };
 };
 
 const channelResolvers = {
@@ -139,7 +423,6 @@ const channelResolvers = {
         if (!org) {
           throw new NotFoundError(context.req.t('Could not find the organization with ID {{org_id}}.', {'org_id':org_id}), context);
         }
-        const orgKey = _.first(org.orgKeys);
 
         // search channel by channel uuid or channel name
         const channelFilter = channelName ? { name: channelName, org_id } : { uuid: channelUuid, org_id } ;
@@ -162,30 +445,225 @@ const channelResolvers = {
           throw new NotFoundError(context.req.t('DeployableVersion is not found for {{channel.name}}:{{channel.uuid}}/{{versionObj.name}}:{{versionObj.uuid}}.', {'channel.name':channel.name, 'channel.uuid':channel.uuid, 'versionObj.name':versionObj.name, 'versionObj.uuid':versionObj.uuid}), context);
         }
         await applyQueryFieldsToDeployableVersions([ deployableVersionObj ], queryFields, { orgId: org_id }, context);
+        deployableVersionObj.signatureStatus = getSignatureStatus(deployableVersionObj, org);
 
-        if (versionObj.location === 'mongo') {
-          deployableVersionObj.content = await decryptOrgData(orgKey, deployableVersionObj.content);
+        deployableVersionObj.content = await getDecryptedContent(org, versionObj, deployableVersionObj, context);
+        if (isArchiveType(deployableVersionObj.type)) {
+          // returns the yaml clusters get rather than the stored archive
+          deployableVersionObj.content = await renderArchiveContent(deployableVersionObj.type, deployableVersionObj.content);
+        }
+        return deployableVersionObj;
+      }catch(err){
+        logger.error(err, `${queryName} encountered an error when serving ${req_id}.`);
+        throw new RazeeQueryError(context.req.t('Query {{queryName}} error. MessageID: {{req_id}}.', {'queryName':queryName, 'req_id':req_id}), context);
+      }
+    },
+
+    channelVersionRemovals: async(parent, { orgId: org_id, channelUuid }, context) => {
+      const { models, me, req_id, logger } = context;
+      const queryName = 'channelVersionRemovals';
+      logger.debug({req_id, user: whoIs(me), org_id, channelUuid}, `${queryName} enter`);
+
+      try{
+        const channel = await models.Channel.findOne({ uuid: channelUuid, org_id });
+        if(!channel){
+          throw new NotFoundError(context.req.t('channel uuid "{{channel_uuid}}" not found', {'channel_uuid':channelUuid}), context);
+        }
+        await validAuth(me, org_id, ACTIONS.READ, TYPES.CHANNEL, queryName, context, [channel.uuid, channel.name]);
+        return await models.ChannelVersionRemoval.find({ org_id, channel_uuid: channelUuid }).sort({ removed: -1 }).lean({ virtuals: true });
+      }catch(err){
+        if (err instanceof BasicRazeeError) {
+          throw err;
         }
-        else if(versionObj.location === 's3'){
-          const url = deployableVersionObj.content;
-          const urlObj = new URL(url);
-          const fullPath = urlObj.pathname;
-          var parts = _.filter(_.split(fullPath, '/'));
-          var bucketName = parts.shift();
-          var path = `${parts.join('/')}`;
+        logger.error(err, `${queryName} encountered an error when serving ${req_id}.`);
+        throw new RazeeQueryError(context.req.t('Query {{queryName}} error. MessageID: {{req_id}}.', {'queryName':queryName, 'req_id':req_id}), context);
+      }
+    },
 
-          const s3Client = new S3ClientClass(conf);
-          deployableVersionObj.content = await s3Client.getAndDecryptFile(bucketName, decodeURIComponent(path), orgKey, deployableVersionObj.iv);
+    channelVersionDiff: async(parent, { orgId: org_id, channelUuid, fromVersionUuid, toVersionUuid }, context) => {
+      const { models, me, req_id, logger } = context;
+      const queryName = 'channelVersionDiff';
+      logger.debug({req_id, user: whoIs(me), org_id, channelUuid, fromVersionUuid, toVersionUuid}, `${queryName} enter`);
+
+      try{
+        const org = await models.Organization.findOne({ _id: org_id });
+        if (!org) {
+          throw new NotFoundError(context.req.t('Could not find the organization with ID {{org_id}}.', {'org_id':org_id}), context);
         }
-        else {
-          throw new BasicRazeeError(context.req.t('versionObj.location="{{versionObj.location}}" not implemented yet', {'versionObj.location':versionObj.location}), context);
+
+        const channel = await models.Channel.findOne({ uuid: channelUuid, org_id });
+        if(!channel){
+          throw new NotFoundError(context.req.t('channel uuid "{{channel_uuid}}" not found', {'channel_uuid':channelUuid}), context);
         }
-        return deployableVersionObj;
+        await validAuth(me, org_id, ACTIONS.READ, TYPES.CHANNEL, queryName, context, [channel.uuid, channel.name]);
+
+        const fromContent = await getVersionYaml(org, channel, fromVersionUuid, context);
+        const toContent = await getVersionYaml(org, channel, toVersionUuid, context);
+        const { added, removed, modified } = diffYamlContent(fromContent, toContent, { fromName: fromVersionUuid, toName: toVersionUuid });
+        return {
+          channelUuid,
+          fromVersionUuid,
+          toVersionUuid,
+          added,
+          removed,
+          modified,
+        };
       }catch(err){
+        if (err instanceof BasicRazeeError) {
+          throw err;
+        }
+        if (err instanceof RenderError) {
+          throw new RazeeValidationError(context.req.t('Unable to render the channel version: {{error}}', {'error':err.message}), context);
+        }
         logger.error(err, `${queryName} encountered an error when serving ${req_id}.`);
         throw new RazeeQueryError(context.req.t('Query {{queryName}} error. MessageID: {{req_id}}.', {'queryName':queryName, 'req_id':req_id}), context);
       }
-    }
+    },
+
+    channelVersionForCluster: async(parent, { orgId: org_id, channelUuid, versionUuid, clusterId: cluster_id }, context, fullQuery) => {
+      const { models, me, req_id, logger } = context;
+      const queryName = 'channelVersionForCluster';
+      logger.debug({req_id, user: whoIs(me), org_id, channelUuid, versionUuid, cluster_id}, `${queryName} enter`);
+
+      const cluster = await models.Cluster.findOne({ org_id, cluster_id }).lean({ virtuals: true });
+      if (!cluster) {
+        throw new NotFoundError(context.req.t('Could not find the cluster with cluster_id {{cluster_id}}.', {'cluster_id':cluster_id}), context);
+      }
+      await validAuth(me, org_id, ACTIONS.READ, TYPES.CLUSTER, queryName, context, [cluster_id, cluster.name]);
+
+      const deployableVersionObj = await channelResolvers.Query.channelVersion(parent, { orgId: org_id, channelUuid, versionUuid, _queryName: queryName }, context, fullQuery);
+      if (deployableVersionObj.isTemplate) {
+        try {
+          deployableVersionObj.content = renderTemplate(deployableVersionObj.content, buildClusterView(cluster));
+        } catch (err) {
+          if (err instanceof TemplateError) {
+            throw new RazeeValidationError(context.req.t('Unable to render the channel version for cluster {{cluster_id}}: {{error}}', {'cluster_id':cluster_id, 'error':err.message}), context);
+          }
+          logger.error(err, `${queryName} encountered an error when serving ${req_id}.`);
+          throw new RazeeQueryError(context.req.t('Query {{queryName}} error. MessageID: {{req_id}}.', {'queryName':queryName, 'req_id':req_id}), context);
+        }
+      }
+      return deployableVersionObj;
+    },
+
+    exportChannels: async(parent, { orgId: org_id, channelUuids }, context) => {
+      const { models, me, req_id, logger } = context;
+      const queryName = 'exportChannels';
+      logger.debug({req_id, user: whoIs(me), org_id, channelUuids}, `${queryName} enter`);
+
+      try{
+        const org = await models.Organization.findOne({ _id: org_id });
+        if (!org) {
+          throw new NotFoundError(context.req.t('Could not find the organization with ID {{org_id}}.', {'org_id':org_id}), context);
+        }
+
+        let channels = await getAllowedChannels(me, org_id, ACTIONS.READ, TYPES.CHANNEL, context);
+        if(channelUuids){
+          channels = _.filter(channels, (channel)=>_.includes(channelUuids, channel.uuid));
+        }
+
+        const exportedChannels = [];
+        for(const channel of channels){
+          const deployableVersionObjs = _.keyBy(await models.DeployableVersion.find({ org_id, channel_id: channel.uuid }), 'uuid');
+          const versions = [];
+          for(const versionObj of channel.versions){
+            const deployableVersionObj = deployableVersionObjs[versionObj.uuid];
+            if(!deployableVersionObj){
+              continue;
+            }
+            const content = await getDecryptedContent(org, versionObj, deployableVersionObj, context);
+            versions.push(toExportVersion(deployableVersionObj, content));
+          }
+          exportedChannels.push({ name: channel.name, tags: channel.tags || [], versions });
+        }
+
+        // the subscriptions of the exported channels refer to them and their versions by name
+        const channelsByUuid = _.keyBy(channels, 'uuid');
+        const conditions = await getGroupConditions(me, org_id, ACTIONS.READ, 'name', queryName, context);
+        let subscriptions = await models.Subscription.find({ org_id, channel_uuid: { $in: _.keys(channelsByUuid) }, ...conditions }).lean({ virtuals: true });
+        subscriptions = await filterSubscriptionsToAllowed(me, org_id, ACTIONS.READ, TYPES.SUBSCRIPTION, subscriptions, context);
+        const exportedSubscriptions = _.map(subscriptions, (subscription)=>{
+          const channel = channelsByUuid[subscription.channel_uuid];
+          const versionObj = _.find(channel.versions, { uuid: subscription.version_uuid });
+          return _.omitBy({
+            name: subscription.name,
+            channelName: channel.name,
+            versionName: versionObj ? versionObj.name : subscription.version,
+            groups: subscription.groups,
+            clusterId: subscription.clusterId,
+          }, _.isNil);
+        });
+
+        return {
+          formatVersion: EXPORT_FORMAT_VERSION,
+          exported: new Date().toISOString(),
+          channels: exportedChannels,
+          subscriptions: exportedSubscriptions,
+        };
+      }catch(err){
+        if (err instanceof BasicRazeeError) {
+          throw err;
+        }
+        logger.error(err, `${queryName} encountered an error when serving ${req_id}.`);
+        throw new RazeeQueryError(context.req.t('Query {{queryName}} error. MessageID: {{req_id}}.', {'queryName':queryName, 'req_id':req_id}), context);
+      }
+    },
+
+    searchChannelObjects: async(parent, { orgId: org_id, apiVersion, kind, namespace, name, image }, context) => {
+      const { models, me, req_id, logger } = context;
+      const queryName = 'searchChannelObjects';
+      logger.debug({req_id, user: whoIs(me), org_id, apiVersion, kind, namespace, name, image}, `${queryName} enter`);
+
+      try{
+        const search = { apiVersion, kind, namespace, name, image };
+        if(isEmptySearch(search)){
+          throw new RazeeValidationError(context.req.t('One or more of apiVersion, kind, namespace, name or image must be specified'), context);
+        }
+
+        const channels = _.keyBy(await getAllowedChannels(me, org_id, ACTIONS.READ, TYPES.CHANNEL, context), 'uuid');
+        const deployableVersionObjs = await models.DeployableVersion.find(
+          { org_id, channel_id: { $in: _.keys(channels) }, ...toInventoryQuery(search) },
+          { uuid: 1, channel_id: 1, name: 1, inventory: 1, created: 1 }
+        ).sort({ created: -1 }).lean();
+
+        const matches = _.flatMap(deployableVersionObjs, (deployableVersionObj)=>{
+          const channel = channels[deployableVersionObj.channel_id];
+          return _.map(_.filter(deployableVersionObj.inventory, (obj)=>matchesSearch(obj, search)), (obj)=>{
+            return {
+              channelUuid: channel.uuid,
+              channelName: channel.name,
+              versionUuid: deployableVersionObj.uuid,
+              versionName: deployableVersionObj.name,
+              ...obj,
+            };
+          });
+        });
+        return _.sortBy(matches, 'channelName');
+      }catch(err){
+        if (err instanceof BasicRazeeError) {
+          throw err;
+        }
+        logger.error(err, `${queryName} encountered an error when serving ${req_id}.`);
+        throw new RazeeQueryError(context.req.t('Query {{queryName}} error. MessageID: {{req_id}}.', {'queryName':queryName, 'req_id':req_id}), context);
+      }
+    },
+
+    channelVersionUpload: async(parent, { orgId: org_id, uuid }, context) => {
+      const { me, req_id, logger } = context;
+      const queryName = 'channelVersionUpload';
+      logger.debug({req_id, user: whoIs(me), org_id, uuid}, `${queryName} enter`);
+
+      try{
+        const { upload } = await getChannelVersionUpload(org_id, uuid, context, queryName);
+        return toUploadReply(upload);
+      }catch(err){
+        if (err instanceof BasicRazeeError) {
+          throw err;
+        }
+        logger.error(err, `${queryName} encountered an error when serving ${req_id}.`);
+        throw new RazeeQueryError(context.req.t('Query {{queryName}} error. MessageID: {{req_id}}.', {'queryName':queryName, 'req_id':req_id}), context);
+      }
+    },
   },
   Mutation: {
     addChannel: async (parent, { orgId: org_id, name, tags=[] }, context)=>{
@@ -259,24 +737,62 @@ const channelResolvers = {
         throw new RazeeQueryError(context.req.t('Query {{queryName}} error. MessageID: {{req_id}}.', {'queryName':queryName, 'req_id':req_id}), context);
       }
     },
-    addChannelVersion: async(parent, { orgId: org_id, channelUuid: channel_uuid, name, type, content, file, description }, context)=>{
+    setChannelRetention: async (parent, { orgId: org_id, uuid, keepLast, maxAgeDays }, context)=>{
+      const { models, me, req_id, logger } = context;
+      const queryName = 'setChannelRetention';
+      logger.debug({ req_id, user: whoIs(me), org_id, uuid, keepLast, maxAgeDays }, `${queryName} enter`);
+
+      try{
+        const channel = await models.Channel.findOne({ uuid, org_id });
+        if(!channel){
+          throw new NotFoundError(context.req.t('channel uuid "{{uuid}}" not found', {'uuid':uuid}), context);
+        }
+        await validAuth(me, org_id, ACTIONS.UPDATE, TYPES.CHANNEL, queryName, context, [channel.uuid, channel.name]);
+
+        if((!_.isNil(keepLast) && keepLast < 1) || (!_.isNil(maxAgeDays) && maxAgeDays < 1)){
+          throw new RazeeValidationError(context.req.t('"keepLast" and "maxAgeDays" must be greater than 0'), context);
+        }
+        if(_.isNil(keepLast) && _.isNil(maxAgeDays)){
+          await models.Channel.updateOne({ org_id, uuid }, { $unset: { retention: '' } });
+        }
+        else{
+          await models.Channel.updateOne({ org_id, uuid }, { $set: { retention: _.omitBy({ keepLast, maxAgeDays }, _.isNil) } });
+        }
+
+        return {
+          uuid,
+          success: true,
+        };
+      } catch(err){
+        if (err instanceof BasicRazeeError) {
+          throw err;
+        }
+        logger.error(err, `${queryName} encountered an error when serving ${req_id}.`);
+        throw new RazeeQueryError(context.req.t('Query {{queryName}} error. MessageID: {{req_id}}.', {'queryName':queryName, 'req_id':req_id}), context);
+      }
+    },
+    addChannelVersion: async(parent, { orgId: org_id, channelUuid: channel_uuid, name, type, content, file, values, description, isTemplate=false, signature, kubeVersion, _gitSource, _queryName }, context)=>{
       const { models, me, req_id, logger } = context;
 
-      const queryName = 'addChannelVersion';
-      logger.debug({req_id, user: whoIs(me), org_id, channel_uuid, name, type, description, file }, `${queryName} enter`);
+      const queryName = _queryName ? `${_queryName}/addChannelVersion` : 'addChannelVersion';
+      logger.debug({req_id, user: whoIs(me), org_id, channel_uuid, name, type, description, file, isTemplate, kubeVersion }, `${queryName} enter`);
 
       // slightly modified code from /app/routes/v1/channelsStream.js. changed to use mongoose and graphql
       const org = await models.Organization.findOne({ _id: org_id });
       if (!org) {
         throw new NotFoundError(context.req.t('Could not find the organization with ID {{org_id}}.', {'org_id':org_id}), context);
       }
-      const orgKey = _.first(org.orgKeys);
-
       if(!name){
         throw new RazeeValidationError(context.req.t('A "name" must be specified'), context);
       }
-      if(!type || type !== 'yaml' && type !== 'application/yaml'){
-        throw new RazeeValidationError(context.req.t('A "type" of application/yaml must be specified'), context);
+      if(!type || !_.includes(_.values(CHANNEL_VERSION_TYPES), type)){
+        throw new RazeeValidationError(context.req.t('A "type" of application/yaml, helm or kustomize must be specified'), context);
+      }
+      if(isTemplate && isArchiveType(type)){
+        throw new RazeeValidationError(context.req.t('Only yaml versions can be templates'), context);
+      }
+      if(values && type !== CHANNEL_VERSION_TYPES.HELM){
+        throw new RazeeValidationError(context.req.t('"values" can only be specified for helm versions'), context);
       }
       if(!channel_uuid){
         throw new RazeeValidationError(context.req.t('A "channel_uuid" must be specified'), context);
@@ -292,110 +808,465 @@ const channelResolvers = {
 
       await validAuth(me, org_id, ACTIONS.MANAGEVERSION, TYPES.CHANNEL, queryName, context, [channel.uuid, channel.name]);
 
-      const versions = await models.DeployableVersion.find({ org_id, channel_id: channel_uuid });
-      const versionNameExists = !!versions.find((version)=>{
-        return (version.name == name);
-      });
-
-      if(versionNameExists) {
-        throw new RazeeValidationError(context.req.t('The version name {{name}} already exists', {'name':name}), context);
-      }
-      // validate the number of total channel versions are under the limit
-      const total = await models.DeployableVersion.count({org_id, channel_id: channel_uuid});
-      if (total >= CHANNEL_VERSION_LIMITS.MAX_TOTAL ) {
-        throw new RazeeValidationError(context.req.t('Too many channel version are registered under {{channel_uuid}}.', {'channel_uuid':channel_uuid}), context);
-      }
+      await validateNewVersionName(channel, name, context);
 
+      // the bytes a detached signature is verified against, the uploaded yaml or the archive followed by its values
+      let signedData;
+      // the yaml the kubernetes schemas and lint rules are checked against, templates are only known once rendered
+      let manifests = null;
       try {
-        if(file){
-          var tempFileStream = (await file).createReadStream();
-          content = await streamToString(tempFileStream);
-        }
-        let yamlSize = Buffer.byteLength(content);
-        if(yamlSize > CHANNEL_VERSION_YAML_MAX_SIZE_LIMIT_MB * 1024 * 1024){
-          throw new RazeeValidationError(context.req.t('YAML file size should not be more than {{CHANNEL_VERSION_YAML_MAX_SIZE_LIMIT_MB}}mb', {'CHANNEL_VERSION_YAML_MAX_SIZE_LIMIT_MB':CHANNEL_VERSION_YAML_MAX_SIZE_LIMIT_MB}), context);
+        if(isArchiveType(type)){
+          // helm charts and kustomizations are uploaded as a tgz file, or as base64 encoded content
+          let archive;
+          if(file){
+            archive = await streamToBuffer((await file).createReadStream());
+          }
+          else{
+            archive = Buffer.from(content, 'base64');
+          }
+          if(archive.length > CHANNEL_VERSION_YAML_MAX_SIZE_LIMIT_MB * 1024 * 1024){
+            throw new RazeeValidationError(context.req.t('Archive file size should not be more than {{CHANNEL_VERSION_YAML_MAX_SIZE_LIMIT_MB}}mb', {'CHANNEL_VERSION_YAML_MAX_SIZE_LIMIT_MB':CHANNEL_VERSION_YAML_MAX_SIZE_LIMIT_MB}), context);
+          }
+          content = packArchiveContent(archive, values);
+          signedData = Buffer.concat([archive, Buffer.from(values || '')]);
+
+          // renders once here, so broken charts are rejected before any cluster downloads them
+          manifests = await renderArchiveContent(type, content);
         }
+        else{
+          if(file){
+            var tempFileStream = (await file).createReadStream();
+            content = await streamToString(tempFileStream);
+          }
+          signedData = content;
+          let yamlSize = Buffer.byteLength(content);
+          if(yamlSize > CHANNEL_VERSION_YAML_MAX_SIZE_LIMIT_MB * 1024 * 1024){
+            throw new RazeeValidationError(context.req.t('YAML file size should not be more than {{CHANNEL_VERSION_YAML_MAX_SIZE_LIMIT_MB}}mb', {'CHANNEL_VERSION_YAML_MAX_SIZE_LIMIT_MB':CHANNEL_VERSION_YAML_MAX_SIZE_LIMIT_MB}), context);
+          }
 
-        yaml.safeLoadAll(content);
+          if(isTemplate){
+            // templates are only valid yaml once rendered for a cluster, so just check the template syntax here
+            validateTemplate(content);
+          }
+          else{
+            yaml.safeLoadAll(content);
+            manifests = content;
+          }
+        }
       } catch (error) {
         if (error instanceof BasicRazeeError) {
           throw error;
         }
+        if (error instanceof TemplateError) {
+          throw new RazeeValidationError(context.req.t('Provided template content is not valid: {{error}}', {'error':error.message}), context);
+        }
+        if (error instanceof RenderError) {
+          throw new RazeeValidationError(context.req.t('Provided {{type}} content can not be rendered: {{error}}', {'type':type, 'error':error.message}), context);
+        }
         throw new RazeeValidationError(context.req.t('Provided YAML content is not valid: {{error}}', {'error':error}), context);
       }
 
-      var fileStream = stream.Readable.from([ content ]);
-      const iv = crypto.randomBytes(16);
-      const ivText = iv.toString('base64');
-
-      let location = 'mongo';
-      let data = null;
-
-      if(conf.s3.endpoint){
-        const resourceName = `${org_id.toLowerCase()}-${channel.uuid}-${name}`;
-        const bucketName = `${conf.s3.channelBucket}`;
-
-        const s3Client = new S3ClientClass(conf);
-
-        await s3Client.ensureBucketExists(bucketName);
-
-        //data is now the s3 hostpath to the resource
-        const result = await s3Client.encryptAndUploadFile(bucketName, resourceName, fileStream, orgKey, iv);
-        data = result.url;
+      let validation = { errors: [], warnings: [] };
+      if(manifests !== null){
+        try {
+          validation = validateManifests(manifests, { kubeVersion: getValidationKubeVersion(org, kubeVersion), lintRules: _.get(org, 'settings.lintRules', []) });
+        } catch (error) {
+          if (error instanceof ManifestValidationError) {
+            throw new RazeeValidationError(context.req.t('Unable to validate the version: {{error}}', {'error':error.message}), context);
+          }
+          throw error;
+        }
+      }
+      // templates are scanned too, as text when they are not valid yaml before rendering
+      const secretFindings = scanForSecrets(manifests !== null ? manifests : content);
+      applySecretScanPolicy(org, validation, secretFindings);
+      if(validation.errors.length > 0){
+        // nothing is stored, the findings tell the user what to fix
+        logger.info({req_id, org_id, channel_uuid, name, errors: validation.errors.length}, `${queryName} rejected the version`);
+        return {
+          success: false,
+          versionUuid: null,
+          ...validation,
+        };
+      }
 
-        location = 's3';
+      let signatureStatus = SIGNATURE_STATUS.UNSIGNED;
+      let signingKeyUuid;
+      if(signature){
+        const signingKey = findSigningKey(signedData, signature, org.trustedKeys);
+        signatureStatus = signingKey ? SIGNATURE_STATUS.VERIFIED : SIGNATURE_STATUS.INVALID;
+        signingKeyUuid = signingKey ? signingKey.uuid : undefined;
       }
-      else{
-        var buf = new WritableStreamBuffer();
-        await new Promise((resolve, reject)=>{
-          return stream.pipeline(
-            fileStream,
-            buf,
-            (err)=>{
-              if(err){
-                reject(err);
-              }
-              resolve(err);
-            }
-          );
-        });
-        const content = buf.getContents().toString('utf8');
-        data = await encryptOrgData(orgKey, content);
+      if(_.get(org, 'settings.requireSignedVersions') && signatureStatus !== SIGNATURE_STATUS.VERIFIED){
+        // it could never be served, so reject it now rather than when clusters download it
+        throw new RazeeValidationError(context.req.t('The organization requires signed versions, the version signature is {{signatureStatus}}', {'signatureStatus':signatureStatus}), context);
       }
 
-      const kubeOwnerName = await models.User.getKubeOwnerName(context);
-      const deployableVersionObj = {
-        _id: UUID(),
-        org_id,
-        uuid: UUID(),
-        channel_id: channel.uuid,
-        channelName: channel.name,
+      const digest = computeDigest(content);
+      const inventory = manifests !== null ? buildInventory(manifests) : undefined;
+      const location = conf.s3.endpoint ? 's3' : 'mongo';
+      //for s3 the content is now the s3 hostpath to the resource
+      const stored = await storeDeployableVersionContent(org, location, `${org_id.toLowerCase()}-${channel.uuid}-${name}`, content);
+
+      const versionObj = await saveChannelVersion(channel, {
         name,
         description,
-        location,
-        content: data,
-        iv: ivText,
+        ...stored,
+        digest,
+        inventory,
+        secretFindings,
+        signature,
+        signatureStatus,
+        signingKeyUuid,
+        gitSource: _gitSource,
         type,
-        ownerId: me._id,
-        kubeOwnerName,
-      };
-
-      const dObj = await models.DeployableVersion.create(deployableVersionObj);
-      const versionObj = {
-        uuid: deployableVersionObj.uuid,
-        name, description, location,
-        created: dObj.created
-      };
-
-      await models.Channel.updateOne(
-        { org_id, uuid: channel.uuid },
-        { $push: { versions: versionObj } }
-      );
+        isTemplate,
+      }, context);
       return {
         success: true,
         versionUuid: versionObj.uuid,
+        ...validation,
       };
     },
+    startChannelVersionUpload: async(parent, { orgId: org_id, channelUuid: channel_uuid, name, description, kubeVersion }, context)=>{
+      const { models, me, req_id, logger } = context;
+      const queryName = 'startChannelVersionUpload';
+      logger.debug({req_id, user: whoIs(me), org_id, channel_uuid, name, description, kubeVersion}, `${queryName} enter`);
+
+      try{
+        const org = await models.Organization.findOne({ _id: org_id });
+        if (!org) {
+          throw new NotFoundError(context.req.t('Could not find the organization with ID {{org_id}}.', {'org_id':org_id}), context);
+        }
+        const channel = await models.Channel.findOne({ uuid: channel_uuid, org_id });
+        if(!channel){
+          throw new NotFoundError(context.req.t('channel uuid "{{channel_uuid}}" not found', {'channel_uuid':channel_uuid}), context);
+        }
+        await validAuth(me, org_id, ACTIONS.MANAGEVERSION, TYPES.CHANNEL, queryName, context, [channel.uuid, channel.name]);
+
+        if(!name){
+          throw new RazeeValidationError(context.req.t('A "name" must be specified'), context);
+        }
+        if(_.get(org, 'settings.requireSignedVersions')){
+          throw new RazeeValidationError(context.req.t('The organization requires signed versions, versions uploaded in parts can not be signed'), context);
+        }
+        // checked again on commit, but there is no point uploading parts for a name which is taken
+        await validateNewVersionName(channel, name, context);
+        // fails on kubernetes versions without bundled schemas now rather than on commit
+        const validationKubeVersion = getValidationKubeVersion(org, kubeVersion);
+        validateManifests('', { kubeVersion: validationKubeVersion });
+
+        const { uploadKey } = await createUploadKey(org);
+        const upload = await models.ChannelVersionUpload.create({
+          _id: UUID(),
+          org_id,
+          channel_uuid,
+          name,
+          description,
+          kubeVersion: validationKubeVersion,
+          uploadKey,
+          parts: [],
+          ownerId: me._id,
+          expires: getUploadExpiry(),
+        });
+        return toUploadReply(upload);
+      }catch(err){
+        if (err instanceof BasicRazeeError) {
+          throw err;
+        }
+        if (err instanceof ManifestValidationError) {
+          throw new RazeeValidationError(context.req.t('Unable to validate the version: {{error}}', {'error':err.message}), context);
+        }
+        logger.error(err, `${queryName} encountered an error when serving ${req_id}.`);
+        throw new RazeeQueryError(context.req.t('Query {{queryName}} error. MessageID: {{req_id}}.', {'queryName':queryName, 'req_id':req_id}), context);
+      }
+    },
+    uploadChannelVersionPart: async(parent, { orgId: org_id, uuid, partNumber, file }, context)=>{
+      const { models, me, req_id, logger } = context;
+      const queryName = 'uploadChannelVersionPart';
+      logger.debug({req_id, user: whoIs(me), org_id, uuid, partNumber}, `${queryName} enter`);
+
+      try{
+        const { upload } = await getChannelVersionUpload(org_id, uuid, context, queryName);
+        if(!(partNumber >= 1 && partNumber <= MAX_PARTS)){
+          throw new RazeeValidationError(context.req.t('The partNumber must be between 1 and {{MAX_PARTS}}', {'MAX_PARTS':MAX_PARTS}), context);
+        }
+        const org = await models.Organization.findOne({ _id: org_id });
+
+        // a part can be uploaded again, e.g. when the connection dropped while it was sent, and replaces the previous one
+        const replaced = _.find(upload.parts, { partNumber });
+        const otherPartsSize = _.sumBy(_.without(upload.parts, replaced), 'size');
+        const maxBytes = Math.min(CHANNEL_VERSION_YAML_MAX_SIZE_LIMIT_MB * 1024 * 1024, CHANNEL_VERSION_UPLOAD_MAX_SIZE_LIMIT_MB * 1024 * 1024 - otherPartsSize);
+        const key = await openUploadKey(org, upload);
+        const part = await storePart(upload, partNumber, (await file).createReadStream(), key, maxBytes);
+
+        await models.ChannelVersionUpload.updateOne({ _id: uuid, org_id }, { $pull: { parts: { partNumber } } });
+        const result = await models.ChannelVersionUpload.updateOne({ _id: uuid, org_id }, { $push: { parts: part }, $set: { expires: getUploadExpiry() } });
+        if(result.n === 0){
+          // committed or aborted meanwhile
+          await removeParts([ part ]);
+          throw new NotFoundError(context.req.t('channel version upload "{{uuid}}" not found', {'uuid':uuid}), context);
+        }
+        if(replaced){
+          await removeParts([ replaced ]);
+        }
+        return toUploadPart(part);
+      }catch(err){
+        if (err instanceof BasicRazeeError) {
+          throw err;
+        }
+        if (err instanceof ChunkedUploadError) {
+          throw new RazeeValidationError(context.req.t('Unable to store the part: {{error}}', {'error':err.message}), context);
+        }
+        logger.error(err, `${queryName} encountered an error when serving ${req_id}.`);
+        throw new RazeeQueryError(context.req.t('Query {{queryName}} error. MessageID: {{req_id}}.', {'queryName':queryName, 'req_id':req_id}), context);
+      }
+    },
+    commitChannelVersionUpload: async(parent, { orgId: org_id, uuid, digest }, context)=>{
+      const { models, me, req_id, logger } = context;
+      const queryName = 'commitChannelVersionUpload';
+      logger.debug({req_id, user: whoIs(me), org_id, uuid, digest}, `${queryName} enter`);
+
+      try{
+        const { upload, channel } = await getChannelVersionUpload(org_id, uuid, context, queryName);
+        const org = await models.Organization.findOne({ _id: org_id });
+        if(upload.parts.length < 1){
+          throw new RazeeValidationError(context.req.t('No parts were uploaded'), context);
+        }
+        const missingParts = getMissingParts(upload.parts);
+        if(missingParts.length > 0){
+          throw new RazeeValidationError(context.req.t('The parts {{missingParts}} are missing', {'missingParts':missingParts.join(', ')}), context);
+        }
+        await validateNewVersionName(channel, upload.name, context);
+
+        // the parts are read twice, once to validate the content and once to encrypt and store it
+        const key = await openUploadKey(org, upload);
+        const lintRules = _.get(org, 'settings.lintRules', []);
+        const { errors, warnings, secretFindings, inventory, digest: contentDigest } = await validateUploadedContent(openPartsStream(upload, key), { kubeVersion: upload.kubeVersion, lintRules });
+        if(digest && digest !== contentDigest){
+          throw new RazeeValidationError(context.req.t('The digest of the uploaded content is {{contentDigest}}, not {{digest}}', {'contentDigest':contentDigest, 'digest':digest}), context);
+        }
+        const validation = { errors, warnings };
+        applySecretScanPolicy(org, validation, secretFindings);
+        if(validation.errors.length > 0){
+          // the upload is kept, parts can be uploaded again to fix the findings
+          logger.info({req_id, org_id, uuid, errors: validation.errors.length}, `${queryName} rejected the version`);
+          return {
+            success: false,
+            versionUuid: null,
+            ...validation,
+          };
+        }
+
+        const location = conf.s3.endpoint ? 's3' : 'gridfs';
+        const stored = await storeDeployableVersionContent(org, location, `${org_id.toLowerCase()}-${channel.uuid}-${upload.name}`, openPartsStream(upload, key));
+        const versionObj = await saveChannelVersion(channel, {
+          name: upload.name,
+          description: upload.description,
+          ...stored,
+          digest: contentDigest,
+          inventory,
+          secretFindings,
+          signatureStatus: SIGNATURE_STATUS.UNSIGNED,
+          type: CHANNEL_VERSION_TYPES.APPLICATION_YAML,
+          isTemplate: false,
+        }, context);
+
+        await models.ChannelVersionUpload.deleteOne({ _id: uuid, org_id });
+        await removeParts(upload.parts);
+        return {
+          success: true,
+          versionUuid: versionObj.uuid,
+          ...validation,
+        };
+      }catch(err){
+        if (err instanceof BasicRazeeError) {
+          throw err;
+        }
+        if (err instanceof ChunkedUploadError) {
+          throw new RazeeValidationError(context.req.t('Provided YAML content is not valid: {{error}}', {'error':err.message}), context);
+        }
+        logger.error(err, `${queryName} encountered an error when serving ${req_id}.`);
+        throw new RazeeQueryError(context.req.t('Query {{queryName}} error. MessageID: {{req_id}}.', {'queryName':queryName, 'req_id':req_id}), context);
+      }
+    },
+    abortChannelVersionUpload: async(parent, { orgId: org_id, uuid }, context)=>{
+      const { models, me, req_id, logger } = context;
+      const queryName = 'abortChannelVersionUpload';
+      logger.debug({req_id, user: whoIs(me), org_id, uuid}, `${queryName} enter`);
+
+      try{
+        const { upload } = await getChannelVersionUpload(org_id, uuid, context, queryName);
+        await models.ChannelVersionUpload.deleteOne({ _id: uuid, org_id });
+        await removeParts(upload.parts);
+        return {
+          uuid,
+          success: true,
+        };
+      }catch(err){
+        if (err instanceof BasicRazeeError) {
+          throw err;
+        }
+        logger.error(err, `${queryName} encountered an error when serving ${req_id}.`);
+        throw new RazeeQueryError(context.req.t('Query {{queryName}} error. MessageID: {{req_id}}.', {'queryName':queryName, 'req_id':req_id}), context);
+      }
+    },
+    importChannelVersionFromGit: async(parent, { orgId: org_id, channelUuid: channel_uuid, repoUrl, ref, path=DEFAULT_PATH_GLOB, name, description, kubeVersion }, context)=>{
+      const { models, me, req_id, logger } = context;
+      const queryName = 'importChannelVersionFromGit';
+      logger.debug({ req_id, user: whoIs(me), org_id, channel_uuid, repoUrl, ref, path, name }, `${queryName} enter`);
+
+      try{
+        const channel = await models.Channel.findOne({ uuid: channel_uuid, org_id });
+        if(!channel){
+          throw new NotFoundError(context.req.t('channel uuid "{{channel_uuid}}" not found', {'channel_uuid':channel_uuid}), context);
+        }
+        await validAuth(me, org_id, ACTIONS.MANAGEVERSION, TYPES.CHANNEL, queryName, context, [channel.uuid, channel.name]);
+
+        const { commitSha, files } = await fetchGitFiles({ repoUrl, ref, pathGlob: path });
+        return await addGitVersion(channel, { repoUrl, ref, path, commitSha, files, name, description, kubeVersion }, context, queryName);
+      } catch(err){
+        if (err instanceof BasicRazeeError) {
+          throw err;
+        }
+        if (err instanceof GitImportError) {
+          throw new RazeeValidationError(context.req.t('Unable to import from git: {{error}}', {'error':err.message}), context);
+        }
+        logger.error(err, `${queryName} encountered an error when serving ${req_id}.`);
+        throw new RazeeQueryError(context.req.t('Query {{queryName}} error. MessageID: {{req_id}}.', {'queryName':queryName, 'req_id':req_id}), context);
+      }
+    },
+    setChannelGitSource: async(parent, { orgId: org_id, uuid, repoUrl, branch, path=DEFAULT_PATH_GLOB }, context)=>{
+      const { models, me, req_id, logger } = context;
+      const queryName = 'setChannelGitSource';
+      logger.debug({ req_id, user: whoIs(me), org_id, uuid, repoUrl, branch, path }, `${queryName} enter`);
+
+      try{
+        const channel = await models.Channel.findOne({ uuid, org_id });
+        if(!channel){
+          throw new NotFoundError(context.req.t('channel uuid "{{uuid}}" not found', {'uuid':uuid}), context);
+        }
+        await validAuth(me, org_id, ACTIONS.UPDATE, TYPES.CHANNEL, queryName, context, [channel.uuid, channel.name]);
+
+        if(!repoUrl){
+          await models.Channel.updateOne({ org_id, uuid }, { $unset: { gitSource: '' } });
+        }
+        else{
+          if(!branch){
+            throw new RazeeValidationError(context.req.t('A "branch" must be specified'), context);
+          }
+          validateGitSource({ repoUrl, ref: branch });
+          await models.Channel.updateOne({ org_id, uuid }, { $set: { gitSource: { repoUrl, branch, path } } });
+        }
+
+        return {
+          uuid,
+          success: true,
+        };
+      } catch(err){
+        if (err instanceof BasicRazeeError) {
+          throw err;
+        }
+        if (err instanceof GitImportError) {
+          throw new RazeeValidationError(context.req.t('Unable to import from git: {{error}}', {'error':err.message}), context);
+        }
+        logger.error(err, `${queryName} encountered an error when serving ${req_id}.`);
+        throw new RazeeQueryError(context.req.t('Query {{queryName}} error. MessageID: {{req_id}}.', {'queryName':queryName, 'req_id':req_id}), context);
+      }
+    },
+    syncChannel: async(parent, { orgId: org_id, uuid, kubeVersion }, context)=>{
+      const { models, me, req_id, logger } = context;
+      const queryName = 'syncChannel';
+      logger.debug({ req_id, user: whoIs(me), org_id, uuid }, `${queryName} enter`);
+
+      try{
+        const channel = await models.Channel.findOne({ uuid, org_id });
+        if(!channel){
+          throw new NotFoundError(context.req.t('channel uuid "{{uuid}}" not found', {'uuid':uuid}), context);
+        }
+        await validAuth(me, org_id, ACTIONS.MANAGEVERSION, TYPES.CHANNEL, queryName, context, [channel.uuid, channel.name]);
+
+        const gitSource = channel.gitSource;
+        if(!gitSource || !gitSource.repoUrl){
+          throw new RazeeValidationError(context.req.t('Channel {{uuid}} is not linked to a git repository', {'uuid':uuid}), context);
+        }
+        const { repoUrl, branch, path } = gitSource;
+        const { commitSha, files } = await fetchGitFiles({ repoUrl, ref: branch, pathGlob: path });
+        if(commitSha === gitSource.lastSyncedSha){
+          // nothing was committed since the last sync
+          return { uuid, commitSha, versionUuid: null, success: true, errors: [], warnings: [] };
+        }
+
+        const reply = await addGitVersion(channel, { repoUrl, ref: branch, path, commitSha, files, kubeVersion }, context, queryName);
+        if(reply.success){
+          await models.Channel.updateOne({ org_id, uuid }, { $set: { 'gitSource.lastSyncedSha': commitSha, 'gitSource.lastSynced': Date.now() } });
+        }
+        return { uuid, ...reply };
+      } catch(err){
+        if (err instanceof BasicRazeeError) {
+          throw err;
+        }
+        if (err instanceof GitImportError) {
+          throw new RazeeValidationError(context.req.t('Unable to import from git: {{error}}', {'error':err.message}), context);
+        }
+        logger.error(err, `${queryName} encountered an error when serving ${req_id}.`);
+        throw new RazeeQueryError(context.req.t('Query {{queryName}} error. MessageID: {{req_id}}.', {'queryName':queryName, 'req_id':req_id}), context);
+      }
+    },
+    importChannels: async(parent, { orgId: org_id, archive, onConflict=IMPORT_CONFLICT_ACTIONS.SKIP, kubeVersion }, context)=>{
+      const { me, req_id, logger } = context;
+      const queryName = 'importChannels';
+      logger.debug({ req_id, user: whoIs(me), org_id, onConflict, kubeVersion }, `${queryName} enter`);
+
+      try{
+        await validAuth(me, org_id, ACTIONS.CREATE, TYPES.CHANNEL, queryName, context);
+        if(!_.includes(_.values(IMPORT_CONFLICT_ACTIONS), onConflict)){
+          throw new RazeeValidationError(context.req.t('An "onConflict" of skip, overwrite or rename must be specified'), context);
+        }
+        validateExportArchive(archive);
+
+        const objects = [];
+        const versionUuids = {};
+        const channelUuids = {};
+        for(const channel of archive.channels){
+          const importedChannel = await importObject(objects, { type: 'channel', name: channel.name }, ()=>importChannel(org_id, channel, onConflict, context));
+          if(importedChannel.result === 'failed'){
+            continue;
+          }
+          channelUuids[channel.name] = importedChannel.uuid;
+          for(const version of channel.versions || []){
+            const importedVersion = await importObject(objects, { type: 'version', name: version.name, channelName: channel.name }, ()=>importVersion(org_id, importedChannel.uuid, version, onConflict, kubeVersion, context, queryName));
+            if(importedVersion.result !== 'failed'){
+              versionUuids[`${channel.name}/${version.name}`] = importedVersion.uuid;
+            }
+          }
+        }
+        for(const subscription of archive.subscriptions || []){
+          await importObject(objects, { type: 'subscription', name: subscription.name, channelName: subscription.channelName }, async()=>{
+            const versionUuid = versionUuids[`${subscription.channelName}/${subscription.versionName}`];
+            if(!versionUuid){
+              throw new RazeeValidationError(context.req.t('The version {{versionName}} of channel {{channelName}} was not imported.', {'versionName':subscription.versionName, 'channelName':subscription.channelName}), context);
+            }
+            return await importSubscription(org_id, subscription, onConflict, channelUuids[subscription.channelName], versionUuid, context);
+          });
+        }
+
+        logger.info({ req_id, org_id, results: _.countBy(objects, 'result') }, `${queryName} imported the archive`);
+        return {
+          success: !_.some(objects, { result: 'failed' }),
+          objects,
+        };
+      } catch(err){
+        if (err instanceof BasicRazeeError) {
+          throw err;
+        }
+        if (err instanceof ChannelExportError) {
+          throw new RazeeValidationError(context.req.t('The archive is not valid: {{error}}', {'error':err.message}), context);
+        }
+        logger.error(err, `${queryName} encountered an error when serving ${req_id}.`);
+        throw new RazeeQueryError(context.req.t('Query {{queryName}} error. MessageID: {{req_id}}.', {'queryName':queryName, 'req_id':req_id}), context);
+      }
+    },
     removeChannel: async (parent, { orgId: org_id, uuid }, context)=>{
       const { models, me, req_id, logger } = context;
       const queryName = 'removeChannel';
@@ -415,12 +1286,12 @@ const channelResolvers = {
           throw new RazeeValidationError(context.req.t('{{subCount}} subscription(s) depend on this channel. Please update/remove them before removing this channel.', {'subCount':subCount}), context);
         }
 
-        // deletes the linked deployableVersions in s3
-        var versionsToDeleteFromS3 = await models.DeployableVersion.find({ org_id, channel_id: channel.uuid, location: 's3', });
+        // deletes the linked deployableVersions in s3 and gridfs
+        var versionsToDelete = await models.DeployableVersion.find({ org_id, channel_id: channel.uuid, location: { $in: ['s3', 'gridfs'] } });
         const limit = pLimit(5);
-        await Promise.all(_.map(versionsToDeleteFromS3, async(deployableVersionObj)=>{
+        await Promise.all(_.map(versionsToDelete, async(deployableVersionObj)=>{
           return limit(async()=>{
-            return await deleteDeployableVersionFromS3(deployableVersionObj);
+            return await deleteDeployableVersionContent(deployableVersionObj);
           });
         }));
 
@@ -442,6 +1313,50 @@ const channelResolvers = {
         throw new RazeeQueryError(context.req.t('Query {{queryName}} error. MessageID: {{req_id}}.', {'queryName':queryName, 'req_id':req_id}), context);
       }
     },
+    setChannelVersionState: async(parent, { orgId: org_id, channelUuid: channel_uuid, versionUuid: version_uuid, state, reason }, context)=>{
+      const { models, me, req_id, logger } = context;
+      const queryName = 'setChannelVersionState';
+      logger.debug({ req_id, user: whoIs(me), org_id, channel_uuid, version_uuid, state }, `${queryName} enter`);
+
+      try{
+        const channel = await models.Channel.findOne({ uuid: channel_uuid, org_id });
+        if(!channel){
+          throw new NotFoundError(context.req.t('channel uuid "{{channel_uuid}}" not found', {'channel_uuid':channel_uuid}), context);
+        }
+        await validAuth(me, org_id, ACTIONS.MANAGEVERSION, TYPES.CHANNEL, queryName, context, [channel.uuid, channel.name]);
+
+        if(!_.find(channel.versions, { uuid: version_uuid })){
+          throw new NotFoundError(context.req.t('version uuid "{{version_uuid}}" not found', {'version_uuid':version_uuid}), context);
+        }
+        if(!_.includes(_.values(CHANNEL_VERSION_STATES), state)){
+          throw new RazeeValidationError(context.req.t('A "state" of active, deprecated or archived must be specified'), context);
+        }
+        if(state === CHANNEL_VERSION_STATES.DEPRECATED && !reason){
+          throw new RazeeValidationError(context.req.t('A "reason" must be specified to deprecate a version'), context);
+        }
+
+        const update = { $set: { 'versions.$.state': state, 'versions.$.stateChanged': Date.now() } };
+        if(reason){
+          update.$set['versions.$.stateReason'] = reason;
+        }
+        else{
+          update.$unset = { 'versions.$.stateReason': '' };
+        }
+        await models.Channel.updateOne({ org_id, uuid: channel_uuid, 'versions.uuid': version_uuid }, update);
+
+        return {
+          uuid: version_uuid,
+          state,
+          success: true,
+        };
+      } catch(err){
+        if (err instanceof BasicRazeeError) {
+          throw err;
+        }
+        logger.error(err, `${queryName} encountered an error when serving ${req_id}.`);
+        throw new RazeeQueryError(context.req.t('Query {{queryName}} error. MessageID: {{req_id}}.', {'queryName':queryName, 'req_id':req_id}), context);
+      }
+    },
     removeChannelVersion: async (parent, { orgId: org_id, uuid }, context)=>{
       const { models, me, req_id, logger } = context;
       const queryName = 'removeChannelVersion';
@@ -451,10 +1366,14 @@ const channelResolvers = {
         if(!deployableVersionObj){
           throw new NotFoundError(context.req.t('version uuid "{{uuid}}" not found', {'uuid':uuid}), context);
         }
-        const subCount = await models.Subscription.count({ org_id, version_uuid: uuid });
+        const subCount = await models.Subscription.count(getVersionInUseQuery(org_id, uuid));
         if(subCount > 0){
           throw new RazeeValidationError(context.req.t('{{subCount}} subscriptions depend on this channel version. Please update/remove them before removing this channel version.', {'subCount':subCount}), context);
         }
+        const scheduledCount = await models.ScheduledVersionChange.count(getVersionScheduledQuery(org_id, uuid));
+        if(scheduledCount > 0){
+          throw new RazeeValidationError(context.req.t('{{scheduledCount}} scheduled version changes wait to apply this channel version. Please cancel them before removing this channel version.', {'scheduledCount':scheduledCount}), context);
+        }
         const channel_uuid = deployableVersionObj.channel_id;
         const channel = await models.Channel.findOne({ uuid: channel_uuid, org_id });
         if(!channel){
@@ -465,9 +1384,7 @@ const channelResolvers = {
         if (!versionObj) {
           throw new NotFoundError(context.req.t('versionObj "{{uuid}}" is not found for {{channel.name}}:{{channel.uuid}}', {'uuid':uuid, 'channel.name':channel.name}), context);
         }
-        if(versionObj.location === 's3'){
-          await deleteDeployableVersionFromS3(deployableVersionObj);
-        }
+        await deleteDeployableVersionContent(deployableVersionObj);
         await models.DeployableVersion.deleteOne({ org_id, uuid});
 
         const versionObjs = channel.versions;
@@ -490,6 +1407,18 @@ const channelResolvers = {
       }
     },
   },
+
+  // versions added before the lifecycle have no state
+  ChannelVersion: {
+    state: (version) => version.state || CHANNEL_VERSION_STATES.ACTIVE,
+  },
+  // unset nested paths of mongoose documents read as empty objects, which are not a valid git source
+  Channel: {
+    gitSource: (channel) => _.get(channel, 'gitSource.repoUrl') ? channel.gitSource : null,
+  },
+  DeployableVersion: {
+    gitSource: (version) => _.get(version, 'gitSource.repoUrl') ? version.gitSource : null,
+  },
 };
 
 module.exports = channelResolvers;
@@ -22,6 +22,10 @@ const GraphqlFields = require('graphql-fields');
 const _ = require('lodash');
 const { convertStrToTextPropsObj } = require('../utils');
 const { applyQueryFieldsToClusters } = require('../utils/applyQueryFields');
+const { LabelSelectorError, validateLabels } = require('../../utils/labelSelectors');
+const { GraphqlPubSub } = require('../subscription');
+
+const pubSub = GraphqlPubSub.getInstance();
 
 const buildSearchFilter = (ordId, condition, searchStr) => {
   let ands = [];
@@ -451,6 +455,34 @@ const clusterResolvers = {
         throw new RazeeQueryError(context.req.t('Query {{queryName}} error. {{error.message}}', {'queryName':queryName, 'error.message':error.message}), context);
       }
     }, // end enableRegistrationUrl
+
+    setClusterLabels: async (parent, { orgId: org_id, clusterId: cluster_id, labels }, context) => {
+      const queryName = 'setClusterLabels';
+      const { models, me, req_id, logger } = context;
+      logger.debug({ req_id, user: whoIs(me), org_id, cluster_id, labels }, `${queryName} enter`);
+
+      await validAuth(me, org_id, ACTIONS.UPDATE, TYPES.CLUSTER, queryName, context);
+
+      try {
+        const clusterLabels = validateLabels(labels);
+        const result = await models.Cluster.updateOne({ org_id, cluster_id }, { $set: { labels: clusterLabels, updated: new Date() } });
+        if (result.n === 0) {
+          throw new NotFoundError(context.req.t('Could not find the cluster with Id {{clusterId}}.', {'clusterId':cluster_id}), context);
+        }
+        // subscriptions selecting clusters by label may target it or not anymore
+        pubSub.channelSubChangedFunc({ org_id }, context);
+        return { clusterId: cluster_id, labels: clusterLabels };
+      } catch (error) {
+        if (error instanceof BasicRazeeError) {
+          throw error;
+        }
+        if (error instanceof LabelSelectorError) {
+          throw new RazeeValidationError(context.req.t('The cluster labels are not valid: {{error}}', {'error':error.message}), context);
+        }
+        logger.error({ req_id, user: whoIs(me), org_id, error }, `${queryName} error encountered`);
+        throw new RazeeQueryError(context.req.t('Query {{queryName}} error. {{error.message}}', {'queryName':queryName, 'error.message':error.message}), context);
+      }
+    }, // end setClusterLabels
   }
 }; // end clusterResolvers
 
@@ -15,7 +15,7 @@
  */
 const _ = require('lodash');
 const { ApolloError } = require('apollo-server');
-const { TYPES, ACTIONS } = require('../models/const');
+const { TYPES, ACTIONS, CHANNEL_VERSION_STATES } = require('../models/const');
 
 const whoIs = me => {
   if (me === null || me === undefined) return 'null';
@@ -229,8 +229,20 @@ class RazeeQueryError extends BasicRazeeError {
   }
 }
 
+// archived versions can not be subscribed to, returns the warnings for deprecated ones
+const validateVersionState = (version, context) => {
+  const state = version.state || CHANNEL_VERSION_STATES.ACTIVE;
+  if (state === CHANNEL_VERSION_STATES.ARCHIVED) {
+    throw new RazeeValidationError(context.req.t('The channel version {{name}} is archived and can not be subscribed to.', {'name':version.name}), context);
+  }
+  if (state === CHANNEL_VERSION_STATES.DEPRECATED) {
+    return [ context.req.t('The channel version {{name}} is deprecated: {{reason}}', {'name':version.name, 'reason':version.stateReason}) ];
+  }
+  return [];
+};
+
 module.exports =  {
-  whoIs, validAuth,
+  whoIs, validAuth, validateVersionState,
   getAllowedChannels, filterChannelsToAllowed, getAllowedSubscriptions, filterSubscriptionsToAllowed,
   BasicRazeeError, NotFoundError, RazeeValidationError, RazeeForbiddenError, RazeeQueryError,
   validClusterAuth, getAllowedGroups, getGroupConditions, getGroupConditionsIncludingEmpty, applyClusterInfoOnResources,
@@ -23,6 +23,7 @@ const { whoIs, validAuth, NotFoundError } = require ('./common');
 const { GraphqlPubSub } = require('../subscription');
 const GraphqlFields = require('graphql-fields');
 const { applyQueryFieldsToGroups } = require('../utils/applyQueryFields');
+const { MaintenanceWindowError, validateMaintenanceWindow } = require('../../utils/maintenanceWindows');
 
 const pubSub = GraphqlPubSub.getInstance();
 
@@ -406,6 +407,39 @@ const groupResolvers = {
         throw err;
       }
     },
+
+    setGroupMaintenanceWindows: async (parent, { orgId: org_id, uuid, windows }, context)=>{
+      const { models, me, req_id, logger } = context;
+      const queryName = 'setGroupMaintenanceWindows';
+      logger.debug({ req_id, user: whoIs(me), org_id, uuid, windows }, `${queryName} enter`);
+
+      try{
+        const group = await models.Group.findOne({ org_id, uuid });
+        if(!group){
+          throw new NotFoundError(context.req.t('group uuid "{{uuid}}" not found', {'uuid':uuid}));
+        }
+
+        await validAuth(me, org_id, ACTIONS.MANAGE, TYPES.GROUP, queryName, context, [group.uuid, group.name]);
+
+        let maintenanceWindows;
+        try{
+          maintenanceWindows = windows.map(validateMaintenanceWindow);
+        }catch(err){
+          if(err instanceof MaintenanceWindowError){
+            throw new ValidationError(context.req.t('The maintenance window is not valid: {{error}}', {'error':err.message}));
+          }
+          throw err;
+        }
+        // an empty list removes the windows, scheduled changes waiting for one of them then fail
+        await models.Group.updateOne({ org_id, uuid }, { $set: { maintenanceWindows } });
+
+        logger.debug({ req_id, user: whoIs(me), uuid, maintenanceWindows }, `${queryName} exit`);
+        return { uuid, success: true, maintenanceWindows };
+      } catch(err){
+        logger.error(err, `${queryName} encountered an error when serving ${req_id}.`);
+        throw err;
+      }
+    },
   },
 };
 
@@ -14,7 +14,30 @@
  * limitations under the License.
  */
 
-const { whoIs } = require ('./common');
+const _ = require('lodash');
+const { v4: UUID } = require('uuid');
+const { ACTIONS, TYPES, SECRET_SCAN_POLICIES, PAUSED_SUBSCRIPTION_POLICIES } = require('../models/const');
+const { whoIs, validAuth, NotFoundError, RazeeValidationError, BasicRazeeError, RazeeQueryError } = require ('./common');
+const { SignatureError, parsePublicKey } = require('../../utils/signatures');
+const { ManifestValidationError, getSupportedKubeVersions, isSupportedKubeVersion, validateLintRules } = require('../../utils/manifestValidation');
+
+const getOrgOrThrow = async(org_id, context) => {
+  const org = await context.models.Organization.findOne({ _id: org_id }).lean();
+  if (!org) {
+    throw new NotFoundError(context.req.t('Could not find the organization with ID {{org_id}}.', {'org_id':org_id}), context);
+  }
+  return org;
+};
+
+const toOrgSettings = (org) => {
+  return {
+    requireSignedVersions: _.get(org, 'settings.requireSignedVersions', false),
+    lintRules: _.map(_.get(org, 'settings.lintRules', []), ({ rule, severity, labels }) => ({ rule, severity, labels })),
+    secretScanPolicy: _.get(org, 'settings.secretScanPolicy') || SECRET_SCAN_POLICIES.WARN,
+    pausedSubscriptionPolicy: _.get(org, 'settings.pausedSubscriptionPolicy') || PAUSED_SUBSCRIPTION_POLICIES.EXCLUDE,
+    kubeVersion: _.get(org, 'settings.kubeVersion') || null,
+  };
+};
 
 const organizationResolvers = {
   Query: {
@@ -25,6 +48,138 @@ const organizationResolvers = {
       logger.debug({req_id, args, me: whoIs(me) }, `${queryName} enter`);
       return models.User.getOrgs(context);
     },
+
+    trustedKeys: async (parent, { orgId: org_id }, context) => {
+      const queryName = 'trustedKeys';
+      const { me, req_id, logger } = context;
+      logger.debug({req_id, user: whoIs(me), org_id }, `${queryName} enter`);
+      await validAuth(me, org_id, ACTIONS.READ, TYPES.ORGANIZATION, queryName, context);
+
+      const org = await getOrgOrThrow(org_id, context);
+      return org.trustedKeys || [];
+    },
+
+    orgSettings: async (parent, { orgId: org_id }, context) => {
+      const queryName = 'orgSettings';
+      const { me, req_id, logger } = context;
+      logger.debug({req_id, user: whoIs(me), org_id }, `${queryName} enter`);
+      await validAuth(me, org_id, ACTIONS.READ, TYPES.ORGANIZATION, queryName, context);
+
+      const org = await getOrgOrThrow(org_id, context);
+      return toOrgSettings(org);
+    },
+  },
+
+  Mutation: {
+    addTrustedKey: async (parent, { orgId: org_id, name, publicKey }, context) => {
+      const queryName = 'addTrustedKey';
+      const { models, me, req_id, logger } = context;
+      logger.debug({req_id, user: whoIs(me), org_id, name }, `${queryName} enter`);
+      await validAuth(me, org_id, ACTIONS.MANAGE, TYPES.ORGANIZATION, queryName, context);
+
+      try {
+        const org = await getOrgOrThrow(org_id, context);
+        if (_.some(org.trustedKeys, { name })) {
+          throw new RazeeValidationError(context.req.t('The trusted key name {{name}} already exists', {'name':name}), context);
+        }
+        let parsed;
+        try {
+          parsed = parsePublicKey(publicKey);
+        } catch (err) {
+          if (err instanceof SignatureError) {
+            throw new RazeeValidationError(context.req.t('Provided public key is not valid: {{error}}', {'error':err.message}), context);
+          }
+          throw err;
+        }
+        if (_.some(org.trustedKeys, { fingerprint: parsed.fingerprint })) {
+          throw new RazeeValidationError(context.req.t('The public key with fingerprint {{fingerprint}} is already trusted', {'fingerprint':parsed.fingerprint}), context);
+        }
+
+        const trustedKey = {
+          uuid: UUID(),
+          name,
+          publicKey: parsed.publicKey,
+          fingerprint: parsed.fingerprint,
+          created: Date.now(),
+        };
+        await models.Organization.updateOne({ _id: org_id }, { $push: { trustedKeys: trustedKey } });
+        return {
+          uuid: trustedKey.uuid,
+          fingerprint: trustedKey.fingerprint,
+        };
+      } catch (err) {
+        if (err instanceof BasicRazeeError) {
+          throw err;
+        }
+        logger.error(err, `${queryName} encountered an error when serving ${req_id}.`);
+        throw new RazeeQueryError(context.req.t('Query {{queryName}} error. MessageID: {{req_id}}.', {'queryName':queryName, 'req_id':req_id}), context);
+      }
+    },
+
+    removeTrustedKey: async (parent, { orgId: org_id, uuid }, context) => {
+      const queryName = 'removeTrustedKey';
+      const { models, me, req_id, logger } = context;
+      logger.debug({req_id, user: whoIs(me), org_id, uuid }, `${queryName} enter`);
+      await validAuth(me, org_id, ACTIONS.MANAGE, TYPES.ORGANIZATION, queryName, context);
+
+      try {
+        const org = await getOrgOrThrow(org_id, context);
+        if (!_.some(org.trustedKeys, { uuid })) {
+          throw new NotFoundError(context.req.t('trusted key uuid "{{uuid}}" not found', {'uuid':uuid}), context);
+        }
+        await models.Organization.updateOne({ _id: org_id }, { $pull: { trustedKeys: { uuid } } });
+        return {
+          uuid,
+          success: true,
+        };
+      } catch (err) {
+        if (err instanceof BasicRazeeError) {
+          throw err;
+        }
+        logger.error(err, `${queryName} encountered an error when serving ${req_id}.`);
+        throw new RazeeQueryError(context.req.t('Query {{queryName}} error. MessageID: {{req_id}}.', {'queryName':queryName, 'req_id':req_id}), context);
+      }
+    },
+
+    updateOrgSettings: async (parent, { orgId: org_id, ...settings }, context) => {
+      const queryName = 'updateOrgSettings';
+      const { models, me, req_id, logger } = context;
+      logger.debug({req_id, user: whoIs(me), org_id, settings }, `${queryName} enter`);
+      await validAuth(me, org_id, ACTIONS.MANAGE, TYPES.ORGANIZATION, queryName, context);
+
+      try {
+        await getOrgOrThrow(org_id, context);
+        if (settings.lintRules) {
+          validateLintRules(settings.lintRules);
+        }
+        if (settings.secretScanPolicy && !_.includes(_.values(SECRET_SCAN_POLICIES), settings.secretScanPolicy)) {
+          throw new RazeeValidationError(context.req.t('secretScanPolicy must be one of {{policies}}', {'policies':_.values(SECRET_SCAN_POLICIES).join(', ')}), context);
+        }
+        if (settings.pausedSubscriptionPolicy && !_.includes(_.values(PAUSED_SUBSCRIPTION_POLICIES), settings.pausedSubscriptionPolicy)) {
+          throw new RazeeValidationError(context.req.t('pausedSubscriptionPolicy must be one of {{policies}}', {'policies':_.values(PAUSED_SUBSCRIPTION_POLICIES).join(', ')}), context);
+        }
+        if (settings.kubeVersion && !isSupportedKubeVersion(settings.kubeVersion)) {
+          throw new RazeeValidationError(context.req.t('kubeVersion must be one of {{versions}}', {'versions':getSupportedKubeVersions().join(', ')}), context);
+        }
+        const sets = {};
+        _.each(_.omitBy(settings, _.isNil), (value, key) => {
+          sets[`settings.${key}`] = value;
+        });
+        if (!_.isEmpty(sets)) {
+          await models.Organization.updateOne({ _id: org_id }, { $set: sets });
+        }
+        return toOrgSettings(await getOrgOrThrow(org_id, context));
+      } catch (err) {
+        if (err instanceof BasicRazeeError) {
+          throw err;
+        }
+        if (err instanceof ManifestValidationError) {
+          throw new RazeeValidationError(context.req.t('Provided lint rules are not valid: {{error}}', {'error':err.message}), context);
+        }
+        logger.error(err, `${queryName} encountered an error when serving ${req_id}.`);
+        throw new RazeeQueryError(context.req.t('Query {{queryName}} error. MessageID: {{req_id}}.', {'queryName':queryName, 'req_id':req_id}), context);
+      }
+    },
   },
 };
 
@@ -0,0 +1,335 @@
+/**
+ * Copyright 2021 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const _ = require('lodash');
+const { v4: UUID } = require('uuid');
+const GraphqlFields = require('graphql-fields');
+const { ACTIONS, TYPES, SUBSCRIPTION_LIMITS, VERSION_CHANGE_ACTIONS } = require('../models/const');
+const {
+  whoIs, validAuth, validateVersionState,
+  NotFoundError, BasicRazeeError, RazeeValidationError, RazeeQueryError, RazeeForbiddenError
+} = require ('./common');
+const { GraphqlPubSub } = require('../subscription');
+const { PromotionError, validateStages, findPromotionTarget } = require('../../utils/pipelines');
+const { addVersionChange, getForbiddenSubscriptionGroups } = require('../../utils/subscriptions');
+
+const pubSub = GraphqlPubSub.getInstance();
+
+const getPipeline = async(org_id, uuid, context) => {
+  const { models } = context;
+  const pipeline = await models.Pipeline.findOne({ org_id, uuid }).lean({ virtuals: true });
+  if(!pipeline){
+    throw new NotFoundError(context.req.t('Pipeline uuid "{{uuid}}" not found.', {'uuid':uuid}), context);
+  }
+  return pipeline;
+};
+
+// attaches the subscription of each stage and the version it currently runs
+const applyStageSubscriptions = async(org_id, pipelines, context) => {
+  const { models } = context;
+  const subscriptionUuids = _.compact(_.flatMap(pipelines, (pipeline)=>_.map(pipeline.stages, 'subscriptionUuid')));
+  const subscriptions = await models.Subscription.find({ org_id, uuid: { $in: subscriptionUuids } }).lean({ virtuals: true });
+  const subscriptionsByUuid = _.keyBy(subscriptions, 'uuid');
+  _.each(pipelines, (pipeline)=>{
+    _.each(pipeline.stages, (stage)=>{
+      const subscription = subscriptionsByUuid[stage.subscriptionUuid];
+      stage.subscription = subscription;
+      stage.versionUuid = subscription ? subscription.version_uuid : null;
+      stage.versionName = subscription ? subscription.version : null;
+      stage.runningVersionUuid = stage.versionUuid;
+    });
+  });
+};
+
+const applyPipelineOwners = async(pipelines, queryFields, context) => {
+  const { models } = context;
+  if(queryFields.owner){
+    const owners = await models.User.getBasicUsersByIds(_.filter(_.uniq(_.map(pipelines, 'owner'))));
+    _.each(pipelines, (pipeline)=>{
+      pipeline.owner = owners[pipeline.owner] || owners.undefined;
+    });
+  }
+};
+
+const pipelineResolvers = {
+  Query: {
+    pipelines: async(parent, { orgId: org_id }, context, fullQuery) => {
+      const queryFields = GraphqlFields(fullQuery);
+      const { models, me, req_id, logger } = context;
+      const queryName = 'pipelines';
+      logger.debug({req_id, user: whoIs(me), org_id }, `${queryName} enter`);
+      await validAuth(me, org_id, ACTIONS.READ, TYPES.SUBSCRIPTION, queryName, context);
+
+      try{
+        const pipelines = await models.Pipeline.find({ org_id }).lean({ virtuals: true });
+        await applyStageSubscriptions(org_id, pipelines, context);
+        await applyPipelineOwners(pipelines, queryFields, context);
+        return pipelines;
+      }catch(err){
+        logger.error(err, `${queryName} encountered an error when serving ${req_id}.`);
+        throw new RazeeQueryError(context.req.t('Query {{queryName}} error. MessageID: {{req_id}}.', {'queryName':queryName, 'req_id':req_id}), context);
+      }
+    },
+    pipeline: async(parent, { orgId: org_id, uuid }, context, fullQuery) => {
+      const queryFields = GraphqlFields(fullQuery);
+      const { me, req_id, logger } = context;
+      const queryName = 'pipeline';
+      logger.debug({req_id, user: whoIs(me), org_id, uuid }, `${queryName} enter`);
+      await validAuth(me, org_id, ACTIONS.READ, TYPES.SUBSCRIPTION, queryName, context);
+
+      try{
+        const pipeline = await getPipeline(org_id, uuid, context);
+        await applyStageSubscriptions(org_id, [ pipeline ], context);
+        await applyPipelineOwners([ pipeline ], queryFields, context);
+        return pipeline;
+      }catch(err){
+        if (err instanceof BasicRazeeError) {
+          throw err;
+        }
+        logger.error(err, `${queryName} encountered an error when serving ${req_id}.`);
+        throw new RazeeQueryError(context.req.t('Query {{queryName}} error. MessageID: {{req_id}}.', {'queryName':queryName, 'req_id':req_id}), context);
+      }
+    },
+  },
+  Mutation: {
+    addPipeline: async (parent, { orgId: org_id, name, channelUuid: channel_uuid, stages }, context)=>{
+      const { models, me, req_id, logger } = context;
+      const queryName = 'addPipeline';
+      logger.debug({req_id, user: whoIs(me), org_id, name, channel_uuid }, `${queryName} enter`);
+      await validAuth(me, org_id, ACTIONS.CREATE, TYPES.SUBSCRIPTION, queryName, context);
+
+      try{
+        validateStages(stages);
+
+        const nameExists = await models.Pipeline.findOne({ org_id, name });
+        if(nameExists){
+          throw new RazeeValidationError(context.req.t('The pipeline name {{name}} already exists.', {'name':name}), context);
+        }
+
+        const channel = await models.Channel.findOne({ org_id, uuid: channel_uuid });
+        if(!channel){
+          throw new NotFoundError(context.req.t('channel uuid "{{channel_uuid}}" not found', {'channel_uuid':channel_uuid}), context);
+        }
+
+        // stages promote existing subscriptions of the channel
+        const subscriptionUuids = _.compact(_.map(stages, 'subscriptionUuid'));
+        const subscriptions = await models.Subscription.find({ org_id, uuid: { $in: subscriptionUuids } }).lean();
+        _.each(subscriptionUuids, (subscriptionUuid)=>{
+          const subscription = _.find(subscriptions, { uuid: subscriptionUuid });
+          if(!subscription){
+            throw new NotFoundError(context.req.t('Subscription uuid "{{uuid}}" not found.', {'uuid':subscriptionUuid}), context);
+          }
+          if(subscription.channel_uuid !== channel_uuid){
+            throw new RazeeValidationError(context.req.t('Subscription {{name}} is not a subscription of channel {{channel_name}}.', {'name':subscription.name, 'channel_name':channel.name}), context);
+          }
+        });
+
+        // or target cluster groups which have to exist
+        const groups = _.uniq(_.flatMap(stages, (stage)=>stage.groups || []));
+        const groupCount = await models.Group.count({ org_id, name: { $in: groups } });
+        if(groupCount < groups.length){
+          throw new RazeeValidationError(context.req.t('Could not find all the cluster groups {{groups}} in the groups database, please create them first.', {'groups':groups}), context);
+        }
+
+        const uuid = UUID();
+        const kubeOwnerName = await models.User.getKubeOwnerName(context);
+        await models.Pipeline.create({
+          _id: UUID(),
+          uuid, org_id, name,
+          channel_uuid, channelName: channel.name,
+          stages: _.map(stages, (stage)=>{
+            return {
+              name: stage.name,
+              subscriptionUuid: stage.subscriptionUuid,
+              groups: stage.groups || [],
+              requireApproval: !!stage.requireApproval,
+              minSoakMinutes: stage.minSoakMinutes || 0,
+            };
+          }),
+          owner: me._id,
+          kubeOwnerName,
+        });
+
+        return {
+          uuid,
+        };
+      }
+      catch(err){
+        if (err instanceof BasicRazeeError) {
+          throw err;
+        }
+        if (err instanceof PromotionError) {
+          throw new RazeeValidationError(context.req.t('Provided stages are not valid: {{error}}', {'error':err.message}), context);
+        }
+        logger.error(err);
+        throw new RazeeQueryError(context.req.t('Query {{queryName}} error. MessageID: {{req_id}}.', {'queryName':queryName, 'req_id':req_id}), context);
+      }
+    },
+
+    removePipeline: async (parent, { orgId: org_id, uuid }, context)=>{
+      const { models, me, req_id, logger } = context;
+      const queryName = 'removePipeline';
+      logger.debug({req_id, user: whoIs(me), org_id, uuid }, `${queryName} enter`);
+      await validAuth(me, org_id, ACTIONS.DELETE, TYPES.SUBSCRIPTION, queryName, context);
+
+      try{
+        await getPipeline(org_id, uuid, context);
+        await models.Pipeline.deleteOne({ org_id, uuid });
+        return {
+          uuid,
+          success: true,
+        };
+      }
+      catch(err){
+        if (err instanceof BasicRazeeError) {
+          throw err;
+        }
+        logger.error(err);
+        throw new RazeeQueryError(context.req.t('Query {{queryName}} error. MessageID: {{req_id}}.', {'queryName':queryName, 'req_id':req_id}), context);
+      }
+    },
+
+    promote: async (parent, { orgId: org_id, pipelineUuid, versionUuid: version_uuid }, context)=>{
+      const { models, me, req_id, logger } = context;
+      const queryName = 'promote';
+      logger.debug({req_id, user: whoIs(me), org_id, pipelineUuid, version_uuid }, `${queryName} enter`);
+      await validAuth(me, org_id, ACTIONS.SETVERSION, TYPES.SUBSCRIPTION, queryName, context);
+
+      try{
+        const pipeline = await getPipeline(org_id, pipelineUuid, context);
+
+        const channel = await models.Channel.findOne({ org_id, uuid: pipeline.channel_uuid });
+        if(!channel){
+          throw new NotFoundError(context.req.t('Channel uuid "{{subscription.channel_uuid}}" not found.', {'subscription.channel_uuid':pipeline.channel_uuid}), context);
+        }
+        const version = channel.versions.find((version)=>{
+          return (version.uuid == version_uuid);
+        });
+        if(!version){
+          throw new NotFoundError(context.req.t('Version uuid "{{version_uuid}}" not found.', {'version_uuid':version_uuid}), context);
+        }
+        const warnings = validateVersionState(version, context);
+
+        await applyStageSubscriptions(org_id, [ pipeline ], context);
+        const idx = findPromotionTarget(pipeline.stages, version_uuid);
+        const stage = pipeline.stages[idx];
+        const subscription = stage.subscription;
+
+        // same as setSubscription, the user needs permissions on all the groups the stage targets, including the groups
+        // of the clusters a selector matches
+        const forbiddenGroups = await getForbiddenSubscriptionGroups(org_id, subscription || { groups: stage.groups }, queryName, context);
+        if (forbiddenGroups.length > 0) {
+          throw new RazeeForbiddenError(context.req.t('You are not allowed to set subscription for all of {{subscription.groups}} groups.', {'subscription.groups':forbiddenGroups}), context);
+        }
+
+        let subscriptionUuid = stage.subscriptionUuid;
+        if(subscription){
+          // like setSubscription without a rollout, a promotion replaces any rollout of the stage
+          const update = { $set: { version: version.name, version_uuid }, $unset: { rollout: '' } };
+          addVersionChange(update, subscription, { version: version.name, version_uuid }, me._id, VERSION_CHANGE_ACTIONS.PROMOTE);
+          await models.Subscription.updateOne({ org_id, uuid: subscriptionUuid }, update);
+        }
+        else if(!_.isEmpty(stage.groups)){
+          // group targeted stages get their subscription on the first promotion, or again if it was removed
+          const total = await models.Subscription.count({ org_id });
+          if (total >= SUBSCRIPTION_LIMITS.MAX_TOTAL ) {
+            throw new RazeeValidationError(context.req.t('Too many subscriptions are registered under {{org_id}}.', {'org_id':org_id}), context);
+          }
+          subscriptionUuid = UUID();
+          const kubeOwnerName = await models.User.getKubeOwnerName(context);
+          await models.Subscription.create({
+            _id: UUID(),
+            uuid: subscriptionUuid, org_id, name: `${pipeline.name}-${stage.name}`, groups: stage.groups, owner: me._id,
+            channelName: channel.name, channel_uuid: channel.uuid, version: version.name, version_uuid,
+            kubeOwnerName,
+          });
+        }
+        else{
+          throw new NotFoundError(context.req.t('Subscription uuid "{{uuid}}" not found.', {'uuid':subscriptionUuid}), context);
+        }
+
+        await models.Pipeline.updateOne({ org_id, uuid: pipelineUuid }, { $set: {
+          [`stages.${idx}.subscriptionUuid`]: subscriptionUuid,
+          [`stages.${idx}.promotedVersionUuid`]: version_uuid,
+          [`stages.${idx}.promoted`]: Date.now(),
+          updated: Date.now(),
+        } });
+
+        pubSub.channelSubChangedFunc({org_id: org_id}, context);
+
+        return {
+          uuid: pipelineUuid,
+          stageName: stage.name,
+          subscriptionUuid,
+          success: true,
+          warnings,
+        };
+      }
+      catch(err){
+        if (err instanceof BasicRazeeError) {
+          throw err;
+        }
+        if (err instanceof PromotionError) {
+          throw new RazeeValidationError(context.req.t('Unable to promote the version: {{error}}', {'error':err.message}), context);
+        }
+        logger.error(err);
+        throw new RazeeQueryError(context.req.t('Query {{queryName}} error. MessageID: {{req_id}}.', {'queryName':queryName, 'req_id':req_id}), context);
+      }
+    },
+
+    approvePipelineStage: async (parent, { orgId: org_id, pipelineUuid, stageName, versionUuid: version_uuid }, context)=>{
+      const { models, me, req_id, logger } = context;
+      const queryName = 'approvePipelineStage';
+      logger.debug({req_id, user: whoIs(me), org_id, pipelineUuid, stageName, version_uuid }, `${queryName} enter`);
+      await validAuth(me, org_id, ACTIONS.MANAGE, TYPES.SUBSCRIPTION, queryName, context);
+
+      try{
+        const pipeline = await getPipeline(org_id, pipelineUuid, context);
+        const idx = _.findIndex(pipeline.stages, { name: stageName });
+        if(idx < 0){
+          throw new NotFoundError(context.req.t('Stage "{{stageName}}" not found in pipeline {{name}}.', {'stageName':stageName, 'name':pipeline.name}), context);
+        }
+        if(!pipeline.stages[idx].requireApproval){
+          throw new RazeeValidationError(context.req.t('Stage "{{stageName}}" does not require approval.', {'stageName':stageName}), context);
+        }
+        const channel = await models.Channel.findOne({ org_id, uuid: pipeline.channel_uuid });
+        if(!channel || !channel.versions.find((version)=>version.uuid == version_uuid)){
+          throw new NotFoundError(context.req.t('Version uuid "{{version_uuid}}" not found.', {'version_uuid':version_uuid}), context);
+        }
+
+        if(!_.some(pipeline.stages[idx].approvals, { versionUuid: version_uuid })){
+          await models.Pipeline.updateOne({ org_id, uuid: pipelineUuid }, {
+            $push: { [`stages.${idx}.approvals`]: { versionUuid: version_uuid, approvedBy: me._id, approved: Date.now() } },
+            $set: { updated: Date.now() },
+          });
+        }
+        return {
+          uuid: pipelineUuid,
+          success: true,
+        };
+      }
+      catch(err){
+        if (err instanceof BasicRazeeError) {
+          throw err;
+        }
+        logger.error(err);
+        throw new RazeeQueryError(context.req.t('Query {{queryName}} error. MessageID: {{req_id}}.', {'queryName':queryName, 'req_id':req_id}), context);
+      }
+    },
+  },
+};
+
+module.exports = pipelineResolvers;
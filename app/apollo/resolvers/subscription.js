@@ -17,28 +17,33 @@
 const _ = require('lodash');
 const { v4: UUID } = require('uuid');
 const { withFilter } = require('apollo-server');
-const { ACTIONS, TYPES, SUBSCRIPTION_LIMITS } = require('../models/const');
+const { ACTIONS, TYPES, SUBSCRIPTION_LIMITS, ROLLOUT_STATES, VERSION_CHANGE_ACTIONS, SCHEDULED_CHANGE_STATES, OPEN_SCHEDULED_CHANGE_STATES } = require('../models/const');
 const {
-  whoIs, validAuth, validClusterAuth,
+  whoIs, validAuth, validClusterAuth, validateVersionState,
   getGroupConditions, getAllowedGroups, filterSubscriptionsToAllowed,
   getGroupConditionsIncludingEmpty,
   NotFoundError, BasicRazeeError, RazeeValidationError, RazeeQueryError, RazeeForbiddenError
 } = require ('./common');
-const getSubscriptionUrls = require('../../utils/subscriptions.js').getSubscriptionUrls;
+const { isRolloutActive, isSubscriptionPaused, isClusterExcluded, getClusterVersionPin, subscriptionTargetsCluster, subscriptionDeliversToCluster, getClusterSubscriptionsQuery, getSubscriptionImpact, getForbiddenSubscriptionGroups, addVersionChange, addPauseChange, getVersionChanges, getRollbackChange, getSubscriptionUrls } = require('../../utils/subscriptions.js');
+const { LabelSelectorError, validateLabelSelector } = require('../../utils/labelSelectors');
+const { DependencyError, validateDependencies, orderByDependencies } = require('../../utils/subscriptionDependencies');
+const { RolloutError, createRollout, advanceRollout } = require('../../utils/rollouts');
+const { getMaintenanceGroupNames, getGroupMaintenanceWindows } = require('../../utils/scheduledChanges');
 const { EVENTS, GraphqlPubSub, getStreamingTopic } = require('../subscription');
 const GraphqlFields = require('graphql-fields');
 const { applyQueryFieldsToSubscriptions } = require('../utils/applyQueryFields');
 
 const pubSub = GraphqlPubSub.getInstance();
 
-async function validateGroups(org_id, groups, context) {
+// with dryRun missing groups are not created
+async function validateGroups(org_id, groups, context, dryRun = false) {
   const { req_id, me, models, logger } = context;
   // validate cluster groups exists in the groups db
   let groupCount = await models.Group.count({org_id: org_id, name: {$in: groups} });
   if (groupCount < groups.length) {
     if (process.env.LABEL_VALIDATION_REQUIRED) {
       throw new RazeeValidationError(context.req.t('Could not find all the cluster groups {{groups}} in the groups database, please create them first.', {'groups':groups}), context);
-    } else {
+    } else if (!dryRun) {
       // in migration period, we automatically populate groups into label db
       logger.info({req_id, user: whoIs(me), org_id}, `could not find all the cluster groups ${groups}, migrate them into label database.`);
       await models.Group.findOrCreateList(models, org_id, groups, context);
@@ -49,7 +54,105 @@ async function validateGroups(org_id, groups, context) {
   return groupCount;
 }
 
+// the normalized cluster selector of a subscription, undefined without one
+function validateClusterSelector(clusterSelector, context) {
+  if (!clusterSelector) {
+    return undefined;
+  }
+  try {
+    return validateLabelSelector(clusterSelector);
+  } catch (err) {
+    if (err instanceof LabelSelectorError) {
+      throw new RazeeValidationError(context.req.t('The cluster selector is not valid: {{error}}', {'error':err.message}), context);
+    }
+    throw err;
+  }
+}
+
+// the dependencies of a subscription once it depends on dependsOn, they must exist and must not form a cycle
+async function validateSubscriptionDependencies(org_id, subscription, dependsOn, context) {
+  const subscriptions = await context.models.Subscription.find({ org_id }, { uuid: 1, name: 1, dependsOn: 1 }).lean();
+  try {
+    return validateDependencies(subscription, dependsOn, subscriptions);
+  } catch (err) {
+    if (err instanceof DependencyError) {
+      throw new RazeeValidationError(context.req.t('The subscription dependencies are not valid: {{error}}', {'error':err.message}), context);
+    }
+    throw err;
+  }
+}
+
+// loads a subscription for a version change, the user must be allowed to set the version for all of its groups
+async function getSubscriptionForVersionChange(org_id, uuid, queryName, context) {
+  const { req_id, me, models, logger } = context;
+  const conditions = await getGroupConditionsIncludingEmpty(me, org_id, ACTIONS.READ, 'name', queryName, context);
+  logger.debug({req_id, user: whoIs(me), org_id, conditions }, `${queryName} group conditions are...`);
+  var subscription = await models.Subscription.findOne({ org_id, uuid, ...conditions }, {}).lean({ virtuals: true });
 
+  if(!subscription){
+    throw  new NotFoundError(context.req.t('Subscription { uuid: "{{uuid}}", org_id:{{org_id}} } not found.', {'uuid':uuid, 'org_id':org_id}), context);
+  }
+
+  // this may be overkill, but will check for strings first, then groups below
+  await validAuth(me, org_id, ACTIONS.SETVERSION, TYPES.SUBSCRIPTION, queryName, context, [subscription.uuid, subscription.name]);
+
+  // validate user has enough cluster groups permissions to for this sub
+  const forbiddenGroups = await getForbiddenSubscriptionGroups(org_id, subscription, queryName, context);
+  if (forbiddenGroups.length > 0) {
+    // if some tag of the sub does not in user's cluster group list, throws an error
+    throw new RazeeForbiddenError(context.req.t('You are not allowed to set subscription for all of {{subscription.groups}} groups.', {'subscription.groups':forbiddenGroups}), context);
+  }
+  return subscription;
+}
+
+// the message of the forbidden error a permission check throws, null when it passes
+async function getForbiddenMessage(check) {
+  try {
+    await check();
+    return null;
+  } catch (err) {
+    if (err instanceof RazeeForbiddenError) {
+      return err.message;
+    }
+    throw err;
+  }
+}
+
+// the cluster a subscription override is for, it must be one of the org
+async function getClusterForOverride(org_id, cluster_id, context) {
+  const cluster = await context.models.Cluster.findOne({ org_id, cluster_id }, { cluster_id: 1 }).lean();
+  if (!cluster) {
+    throw new RazeeValidationError(context.req.t('Could not locate the cluster with cluster_id {{cluster_id}}', {'cluster_id':cluster_id}), context);
+  }
+  return cluster;
+}
+
+// loads a subscription for a preview of a change, like the mutations do
+async function getSubscriptionForImpact(org_id, uuid, queryName, context) {
+  const { req_id, me, models, logger } = context;
+  const conditions = await getGroupConditionsIncludingEmpty(me, org_id, ACTIONS.READ, 'name', queryName, context);
+  logger.debug({req_id, user: whoIs(me), org_id, conditions }, `${queryName} group conditions are...`);
+  const subscription = await models.Subscription.findOne({ org_id, uuid, ...conditions }, {}).lean({ virtuals: true });
+  if(!subscription){
+    throw new NotFoundError(context.req.t('Subscription { uuid: "{{uuid}}", org_id:{{org_id}} } not found.', {'uuid':uuid, 'org_id':org_id}), context);
+  }
+  return subscription;
+}
+
+// loads the channel and version of a preview, throwing the errors of the mutations
+async function getChannelVersionForImpact(org_id, channel_uuid, version_uuid, context) {
+  const channel = await context.models.Channel.findOne({ org_id, uuid: channel_uuid });
+  if(!channel){
+    throw new NotFoundError(context.req.t('Channel uuid "{{channel_uuid}}" not found.', {'channel_uuid':channel_uuid}), context);
+  }
+  const version = channel.versions.find((version)=>{
+    return (version.uuid == version_uuid);
+  });
+  if(!version){
+    throw new NotFoundError(context.req.t('Version uuid "{{version_uuid}}" not found.', {'version_uuid':version_uuid}), context);
+  }
+  return { channel, version, warnings: validateVersionState(version, context) };
+}
 
 const subscriptionResolvers = {
   Query: {
@@ -86,20 +189,19 @@ const subscriptionResolvers = {
         //   subscription groups: ['dev', 'prod'] , clusterGroupNames: ['dev', 'prod'] ==> true
         //   subscription groups: ['dev', 'prod'] , clusterGroupNames: ['dev', 'prod', 'stage'] ==> true
         //   subscription groups: ['dev', 'prod'] , clusterGroupNames: ['stage'] ==> false
-        var foundSubscriptions = await models.Subscription.find({
-          'org_id': org_id,
-          $or: [
-            { groups: { $in: clusterGroupNames } },
-            { clusterId: cluster_id },
-          ],
-        }).lean(/* skip virtuals: true for now since it is class facing api. */);
+        // and those targeting the cluster by id or by a cluster selector matching it
+        var foundSubscriptions = await models.Subscription.find(getClusterSubscriptionsQuery(org_id, cluster)).lean(/* skip virtuals: true for now since it is class facing api. */);
+        // except those excluding the cluster
+        foundSubscriptions = _.filter(foundSubscriptions, (sub)=>subscriptionDeliversToCluster(sub, cluster));
+        // clusters apply them in this order, dependencies first
+        foundSubscriptions = orderByDependencies(foundSubscriptions);
         _.each(foundSubscriptions, (sub)=>{
           if(_.isUndefined(sub.channelName)){
             sub.channelName = sub.channel;
           }
         });
         if(foundSubscriptions && foundSubscriptions.length > 0 ) {
-          urls = await getSubscriptionUrls(org_id, foundSubscriptions, cluster);
+          urls = await getSubscriptionUrls(org, foundSubscriptions, cluster);
         }
       } catch (error) {
         logger.error(error, `There was an error getting ${query} from mongo`);
@@ -206,13 +308,9 @@ const subscriptionResolvers = {
         //   subscription groups: ['dev', 'prod'] , clusterGroupNames: ['dev', 'prod'] ==> true
         //   subscription groups: ['dev', 'prod'] , clusterGroupNames: ['dev', 'prod', 'stage'] ==> true
         //   subscription groups: ['dev', 'prod'] , clusterGroupNames: ['stage'] ==> false
-        var subscriptions = await models.Subscription.find({
-          org_id,
-          $or: [
-            { groups: { $in: clusterGroupNames } },
-            { clusterId: cluster_id },
-          ],
-        }).lean({ virtuals: true });
+        // and those targeting the cluster by id or by a cluster selector matching it
+        var subscriptions = await models.Subscription.find(getClusterSubscriptionsQuery(org_id, cluster)).lean({ virtuals: true });
+        subscriptions = _.filter(subscriptions, (sub)=>subscriptionTargetsCluster(sub, cluster));
         subscriptions = await filterSubscriptionsToAllowed(me, org_id, ACTIONS.READ, TYPES.SUBSCRIPTION, subscriptions, context);
       }catch(err){
         logger.error(err);
@@ -223,6 +321,9 @@ const subscriptionResolvers = {
           if(_.isUndefined(sub.channelName)){
             sub.channelName = sub.channel;
           }
+          // the overrides for this cluster
+          sub.clusterExcluded = isClusterExcluded(sub, cluster.cluster_id);
+          sub.clusterVersionPin = getClusterVersionPin(sub, cluster.cluster_id);
           return sub;
         });
       }
@@ -266,13 +367,9 @@ const subscriptionResolvers = {
         //   subscription groups: ['dev', 'prod'] , clusterGroupNames: ['dev', 'prod'] ==> true
         //   subscription groups: ['dev', 'prod'] , clusterGroupNames: ['dev', 'prod', 'stage'] ==> true
         //   subscription groups: ['dev', 'prod'] , clusterGroupNames: ['stage'] ==> false
-        var subscriptions = await models.Subscription.find({
-          org_id,
-          $or: [
-            { groups: { $in: clusterGroupNames } },
-            { clusterId: cluster.cluster_id },
-          ]
-        }).lean({ virtuals: true });
+        // and those targeting the cluster by id or by a cluster selector matching it
+        var subscriptions = await models.Subscription.find(getClusterSubscriptionsQuery(org_id, cluster)).lean({ virtuals: true });
+        subscriptions = _.filter(subscriptions, (sub)=>subscriptionTargetsCluster(sub, cluster));
         subscriptions = await filterSubscriptionsToAllowed(me, org_id, ACTIONS.READ, TYPES.SUBSCRIPTION, subscriptions, context);
       }catch(err){
         logger.error(err);
@@ -283,6 +380,9 @@ const subscriptionResolvers = {
           if(_.isUndefined(sub.channelName)){
             sub.channelName = sub.channel;
           }
+          // the overrides for this cluster
+          sub.clusterExcluded = isClusterExcluded(sub, cluster.cluster_id);
+          sub.clusterVersionPin = getClusterVersionPin(sub, cluster.cluster_id);
           return sub;
         });
       }
@@ -290,10 +390,211 @@ const subscriptionResolvers = {
       await applyQueryFieldsToSubscriptions(subscriptions, queryFields, { orgId: org_id }, context);
 
       return subscriptions;
-    }
+    },
+
+    subscriptionHistory: async(parent, { orgId: org_id, uuid }, context, fullQuery) => {
+      const queryFields = GraphqlFields(fullQuery);
+      const { models, me, req_id, logger } = context;
+      const queryName = 'subscriptionHistory';
+      logger.debug({req_id, user: whoIs(me), org_id, uuid }, `${queryName} enter`);
+
+      try{
+        const conditions = await getGroupConditionsIncludingEmpty(me, org_id, ACTIONS.READ, 'name', queryName, context);
+        const subscription = await models.Subscription.findOne({ org_id, uuid, ...conditions }, { uuid: 1, name: 1, groups: 1, versionHistory: 1 }).lean({ virtuals: true });
+        if(!subscription){
+          throw new NotFoundError(context.req.t('Subscription { uuid: "{{uuid}}", org_id:{{org_id}} } not found.', {'uuid':uuid, 'org_id':org_id}), context);
+        }
+        await validAuth(me, org_id, ACTIONS.READ, TYPES.SUBSCRIPTION, queryName, context, [subscription.uuid, subscription.name]);
+
+        // newest first
+        const changes = _.reverse([...(subscription.versionHistory || [])]);
+        if(queryFields.changedBy){
+          const users = await models.User.getBasicUsersByIds(_.filter(_.uniq(_.map(changes, 'changedBy'))));
+          _.each(changes, (change)=>{
+            change.changedBy = users[change.changedBy] || users.undefined;
+          });
+        }
+        return changes;
+      }
+      catch(err){
+        if (err instanceof BasicRazeeError) {
+          throw err;
+        }
+        logger.error(err);
+        throw new RazeeQueryError(context.req.t('Query {{queryName}} error. MessageID: {{req_id}}.', {'queryName':queryName, 'req_id':req_id}), context);
+      }
+    },
+
+    scheduledVersionChanges: async(parent, { orgId: org_id, subscriptionUuid: subscription_uuid, state }, context, fullQuery) => {
+      const queryFields = GraphqlFields(fullQuery);
+      const { models, me, req_id, logger } = context;
+      const queryName = 'scheduledVersionChanges';
+      logger.debug({req_id, user: whoIs(me), org_id, subscription_uuid, state }, `${queryName} enter`);
+
+      try{
+        const conditions = await getGroupConditions(me, org_id, ACTIONS.READ, 'name', queryName, context);
+        const query = { org_id, ...conditions };
+        if(subscription_uuid){
+          query.uuid = subscription_uuid;
+        }
+        var subscriptions = await models.Subscription.find(query, { uuid: 1, name: 1, groups: 1 }).lean({ virtuals: true });
+        subscriptions = await filterSubscriptionsToAllowed(me, org_id, ACTIONS.READ, TYPES.SUBSCRIPTION, subscriptions, context);
+
+        const changesQuery = { org_id, subscription_uuid: { $in: _.map(subscriptions, 'uuid') } };
+        if(state){
+          changesQuery.state = state;
+        }
+        const changes = await models.ScheduledVersionChange.find(changesQuery).sort({ created: -1 }).lean({ virtuals: true });
+        if(queryFields.owner){
+          const owners = await models.User.getBasicUsersByIds(_.filter(_.uniq(_.map(changes, 'ownerId'))));
+          _.each(changes, (change)=>{
+            change.owner = owners[change.ownerId] || owners.undefined;
+          });
+        }
+        return changes;
+      }
+      catch(err){
+        if (err instanceof BasicRazeeError) {
+          throw err;
+        }
+        logger.error(err);
+        throw new RazeeQueryError(context.req.t('Query {{queryName}} error. MessageID: {{req_id}}.', {'queryName':queryName, 'req_id':req_id}), context);
+      }
+    },
+
+    // dry runs of addSubscription, editSubscription and setSubscription. they throw the validation errors of the mutation
+    // and return its permission errors, with the clusters the change would reach
+    addSubscriptionImpact: async(parent, { orgId: org_id, name, groups=[], channelUuid: channel_uuid, versionUuid: version_uuid, clusterId=null, clusterSelector, dependsOn=[] }, context) => {
+      const { me, req_id, logger } = context;
+      const queryName = 'addSubscriptionImpact';
+      logger.debug({req_id, user: whoIs(me), org_id }, `${queryName} enter`);
+      await validAuth(me, org_id, ACTIONS.READ, TYPES.SUBSCRIPTION, queryName, context);
+
+      try{
+        const permissionError = await getForbiddenMessage(()=>validAuth(me, org_id, ACTIONS.CREATE, TYPES.SUBSCRIPTION, 'addSubscription', context));
+        const { channel, version, warnings } = await getChannelVersionForImpact(org_id, channel_uuid, version_uuid, context);
+        await validateGroups(org_id, groups, context, true);
+        const selector = validateClusterSelector(clusterSelector, context);
+        await validateSubscriptionDependencies(org_id, { name }, dependsOn, context);
+
+        const next = {
+          org_id, name, groups,
+          channelName: channel.name, channel_uuid, version: version.name, version_uuid,
+          clusterId,
+          clusterSelector: selector,
+        };
+        return {
+          channelUuid: channel_uuid, channelName: channel.name, version: version.name, versionUuid: version_uuid,
+          clusters: await getSubscriptionImpact(null, next),
+          warnings,
+          permissionErrors: _.compact([permissionError]),
+          forbiddenGroups: [],
+        };
+      }
+      catch(err){
+        if (err instanceof BasicRazeeError) {
+          throw err;
+        }
+        logger.error(err);
+        throw new RazeeQueryError(context.req.t('Query {{queryName}} error. MessageID: {{req_id}}.', {'queryName':queryName, 'req_id':req_id}), context);
+      }
+    },
+
+    editSubscriptionImpact: async(parent, { orgId: org_id, uuid, name, groups=[], channelUuid: channel_uuid, versionUuid: version_uuid, clusterId=null, clusterSelector, dependsOn }, context) => {
+      const { me, req_id, logger } = context;
+      const queryName = 'editSubscriptionImpact';
+      logger.debug({req_id, user: whoIs(me), org_id, uuid }, `${queryName} enter`);
+      await validAuth(me, org_id, ACTIONS.READ, TYPES.SUBSCRIPTION, queryName, context);
+
+      try{
+        const subscription = await getSubscriptionForImpact(org_id, uuid, queryName, context);
+        const permissionError = await getForbiddenMessage(()=>validAuth(me, org_id, ACTIONS.UPDATE, TYPES.SUBSCRIPTION, 'editSubscription', context, [subscription.uuid, subscription.name]));
+        const { channel, version, warnings } = await getChannelVersionForImpact(org_id, channel_uuid, version_uuid, context);
+        await validateGroups(org_id, groups, context, true);
+        const selector = validateClusterSelector(clusterSelector, context);
+        if(dependsOn){
+          await validateSubscriptionDependencies(org_id, subscription, dependsOn, context);
+        }
+
+        const next = {
+          // a new version replaces the one being rolled out
+          ...(version_uuid === subscription.version_uuid ? subscription : _.omit(subscription, 'rollout')),
+          name, groups,
+          channelName: channel.name, channel_uuid, version: version.name, version_uuid,
+          clusterId,
+          clusterSelector: selector,
+        };
+        return {
+          channelUuid: channel_uuid, channelName: channel.name, version: version.name, versionUuid: version_uuid,
+          clusters: await getSubscriptionImpact(subscription, next),
+          warnings,
+          permissionErrors: _.compact([permissionError]),
+          forbiddenGroups: [],
+        };
+      }
+      catch(err){
+        if (err instanceof BasicRazeeError) {
+          throw err;
+        }
+        logger.error(err);
+        throw new RazeeQueryError(context.req.t('Query {{queryName}} error. MessageID: {{req_id}}.', {'queryName':queryName, 'req_id':req_id}), context);
+      }
+    },
+
+    setSubscriptionImpact: async(parent, { orgId: org_id, uuid, versionUuid: version_uuid, rollout }, context) => {
+      const { me, req_id, logger } = context;
+      const queryName = 'setSubscriptionImpact';
+      logger.debug({req_id, user: whoIs(me), org_id, uuid, rollout }, `${queryName} enter`);
+      await validAuth(me, org_id, ACTIONS.READ, TYPES.SUBSCRIPTION, queryName, context);
+
+      try{
+        const subscription = await getSubscriptionForImpact(org_id, uuid, queryName, context);
+        const permissionErrors = _.compact([
+          await getForbiddenMessage(()=>validAuth(me, org_id, ACTIONS.SETVERSION, TYPES.SUBSCRIPTION, 'setSubscription', context, [subscription.uuid, subscription.name])),
+        ]);
+        const forbiddenGroups = await getForbiddenSubscriptionGroups(org_id, subscription, queryName, context);
+        if(forbiddenGroups.length > 0){
+          permissionErrors.push(context.req.t('You are not allowed to set subscription for all of {{subscription.groups}} groups.', {'subscription.groups':forbiddenGroups}));
+        }
+        const { channel, version, warnings } = await getChannelVersionForImpact(org_id, subscription.channel_uuid, version_uuid, context);
+
+        let firstBatchClusterCount = null;
+        if(rollout){
+          if(isRolloutActive(subscription.rollout)){
+            throw new RazeeValidationError(context.req.t('Subscription {{name}} has a rollout in progress, advance or abort it first.', {'name':subscription.name}), context);
+          }
+          if(version_uuid === subscription.version_uuid){
+            throw new RazeeValidationError(context.req.t('Subscription {{name}} is already on version {{version}}.', {'name':subscription.name, 'version':version.name}), context);
+          }
+          // which clusters are in the first batch is only decided by the mutation
+          firstBatchClusterCount = (await createRollout(subscription, version, rollout, me._id)).clusterIds.length;
+        }
+
+        // with a rollout the clusters get the version batch by batch
+        const next = { ..._.omit(subscription, 'rollout'), version: version.name, version_uuid };
+        return {
+          channelUuid: channel.uuid, channelName: channel.name, version: version.name, versionUuid: version_uuid,
+          clusters: await getSubscriptionImpact(subscription, next),
+          warnings,
+          permissionErrors,
+          forbiddenGroups,
+          firstBatchClusterCount,
+        };
+      }
+      catch(err){
+        if (err instanceof BasicRazeeError) {
+          throw err;
+        }
+        if (err instanceof RolloutError) {
+          throw new RazeeValidationError(context.req.t('The rollout is not valid: {{error}}', {'error':err.message}), context);
+        }
+        logger.error(err);
+        throw new RazeeQueryError(context.req.t('Query {{queryName}} error. MessageID: {{req_id}}.', {'queryName':queryName, 'req_id':req_id}), context);
+      }
+    },
   },
   Mutation: {
-    addSubscription: async (parent, { orgId: org_id, name, groups=[], channelUuid: channel_uuid, versionUuid: version_uuid, clusterId=null }, context)=>{
+    addSubscription: async (parent, { orgId: org_id, name, groups=[], channelUuid: channel_uuid, versionUuid: version_uuid, clusterId=null, clusterSelector, dependsOn=[] }, context)=>{
       const { models, me, req_id, logger } = context;
       const queryName = 'addSubscription';
       logger.debug({req_id, user: whoIs(me), org_id }, `${queryName} enter`);
@@ -316,6 +617,8 @@ const subscriptionResolvers = {
 
         // validate groups are all exists in label dbs
         await validateGroups(org_id, groups, context);
+        const selector = validateClusterSelector(clusterSelector, context);
+        const dependencies = await validateSubscriptionDependencies(org_id, { uuid, name }, dependsOn, context);
 
         // loads the version
         var version = channel.versions.find((version)=>{
@@ -324,6 +627,7 @@ const subscriptionResolvers = {
         if(!version){
           throw  new NotFoundError(context.req.t('version uuid "{{version_uuid}}" not found', {'version_uuid':version_uuid}), context);
         }
+        const warnings = validateVersionState(version, context);
 
         const kubeOwnerName = await models.User.getKubeOwnerName(context);
         await models.Subscription.create({
@@ -331,6 +635,8 @@ const subscriptionResolvers = {
           uuid, org_id, name, groups, owner: me._id,
           channelName: channel.name, channel_uuid, version: version.name, version_uuid,
           clusterId,
+          clusterSelector: selector,
+          dependsOn: dependencies,
           kubeOwnerName,
         });
 
@@ -338,6 +644,7 @@ const subscriptionResolvers = {
 
         return {
           uuid,
+          warnings,
         };
       }
       catch(err){
@@ -348,7 +655,7 @@ const subscriptionResolvers = {
         throw new RazeeQueryError(context.req.t('Query {{queryName}} error. MessageID: {{req_id}}.', {'queryName':queryName, 'req_id':req_id}), context);
       }
     },
-    editSubscription: async (parent, { orgId, uuid, name, groups=[], channelUuid: channel_uuid, versionUuid: version_uuid, clusterId=null }, context)=>{
+    editSubscription: async (parent, { orgId, uuid, name, groups=[], channelUuid: channel_uuid, versionUuid: version_uuid, clusterId=null, clusterSelector, dependsOn }, context)=>{
       const { models, me, req_id, logger } = context;
       const queryName = 'editSubscription';
       logger.debug({req_id, user: whoIs(me), orgId }, `${queryName} enter`);
@@ -372,6 +679,9 @@ const subscriptionResolvers = {
 
         // validate groups are all exists in label dbs
         await validateGroups(orgId, groups, context);
+        const selector = validateClusterSelector(clusterSelector, context);
+        // without dependsOn the dependencies are kept
+        const dependencies = dependsOn ? await validateSubscriptionDependencies(orgId, subscription, dependsOn, context) : subscription.dependsOn;
 
         // loads the version
         var version = channel.versions.find((version)=>{
@@ -380,19 +690,38 @@ const subscriptionResolvers = {
         if(!version){
           throw  new NotFoundError(context.req.t('Version uuid "{{version_uuid}}" not found.', {'version_uuid':version_uuid}), context);
         }
+        const warnings = validateVersionState(version, context);
 
         var sets = {
           name, groups,
           channelName: channel.name, channel_uuid, version: version.name, version_uuid,
           clusterId,
+          dependsOn: dependencies,
         };
-        await models.Subscription.updateOne({ uuid, org_id: orgId, }, { $set: sets });
+        var update = { $set: sets };
+        var unsets = {};
+        if(selector){
+          sets.clusterSelector = selector;
+        }
+        else{
+          unsets.clusterSelector = '';
+        }
+        addVersionChange(update, subscription, { channel_uuid, version: version.name, version_uuid }, me._id, VERSION_CHANGE_ACTIONS.EDIT);
+        if(subscription.rollout && version_uuid !== subscription.version_uuid){
+          // the version replaces the one being rolled out, every cluster gets it
+          unsets.rollout = '';
+        }
+        if(!_.isEmpty(unsets)){
+          update.$unset = unsets;
+        }
+        await models.Subscription.updateOne({ uuid, org_id: orgId, }, update);
 
         pubSub.channelSubChangedFunc({ org_id: orgId }, context);
 
         return {
           uuid,
           success: true,
+          warnings,
         };
       }
       catch(err){
@@ -403,32 +732,15 @@ const subscriptionResolvers = {
         throw new RazeeQueryError(context.req.t('Query {{queryName}} error. MessageID: {{req_id}}.', {'queryName':queryName, 'req_id':req_id}), context);
       }
     },
-    setSubscription: async (parent, { orgId: org_id, uuid, versionUuid: version_uuid }, context)=>{
+    setSubscription: async (parent, { orgId: org_id, uuid, versionUuid: version_uuid, rollout }, context)=>{
       const { models, me, req_id, logger } = context;
       const queryName = 'setSubscription';
-      logger.debug({req_id, user: whoIs(me), org_id }, `${queryName} enter`);
+      logger.debug({req_id, user: whoIs(me), org_id, rollout }, `${queryName} enter`);
 
       // await validAuth(me, org_id, ACTIONS.SETVERSION, TYPES.SUBSCRIPTION, queryName, context);
 
       try{
-        const conditions = await getGroupConditionsIncludingEmpty(me, org_id, ACTIONS.READ, 'name', queryName, context);
-        logger.debug({req_id, user: whoIs(me), org_id, conditions }, `${queryName} group conditions are...`);
-        var subscription = await models.Subscription.findOne({ org_id, uuid, ...conditions }, {}).lean({ virtuals: true });
-  
-        if(!subscription){
-          throw  new NotFoundError(context.req.t('Subscription { uuid: "{{uuid}}", org_id:{{org_id}} } not found.', {'uuid':uuid, 'org_id':org_id}), context);
-        }
-
-        // this may be overkill, but will check for strings first, then groups below
-        await validAuth(me, org_id, ACTIONS.SETVERSION, TYPES.SUBSCRIPTION, queryName, context, [subscription.uuid, subscription.name]);
-
-        // validate user has enough cluster groups permissions to for this sub
-        // TODO: we should use specific groups action below instead of manage, e.g. setSubscription action
-        const allowedGroups = await getAllowedGroups(me, org_id, ACTIONS.SETVERSION, 'name', queryName, context);
-        if (subscription.groups.some(t => {return allowedGroups.indexOf(t) === -1;})) {
-          // if some tag of the sub does not in user's cluster group list, throws an error
-          throw new RazeeForbiddenError(context.req.t('You are not allowed to set subscription for all of {{subscription.groups}} groups.', {'subscription.groups':subscription.groups}), context);
-        }
+        var subscription = await getSubscriptionForVersionChange(org_id, uuid, queryName, context);
 
         // loads the channel
         var channel = await models.Channel.findOne({ org_id, uuid: subscription.channel_uuid });
@@ -443,14 +755,456 @@ const subscriptionResolvers = {
         if(!version){
           throw new NotFoundError(context.req.t('Version uuid "{{version_uuid}}" not found.', {'version_uuid':version_uuid}), context);
         }
+        const warnings = validateVersionState(version, context);
 
         var sets = {
           version: version.name, version_uuid,
         };
-        await models.Subscription.updateOne({ uuid, org_id }, { $set: sets });
+        var update = { $set: sets };
+        if(rollout){
+          if(isRolloutActive(subscription.rollout)){
+            throw new RazeeValidationError(context.req.t('Subscription {{name}} has a rollout in progress, advance or abort it first.', {'name':subscription.name}), context);
+          }
+          if(version_uuid === subscription.version_uuid){
+            throw new RazeeValidationError(context.req.t('Subscription {{name}} is already on version {{version}}.', {'name':subscription.name, 'version':version.name}), context);
+          }
+          sets.rollout = await createRollout(subscription, version, rollout, me._id);
+        }
+        else if(subscription.rollout){
+          // the version replaces the one being rolled out, every cluster gets it
+          update.$unset = { rollout: '' };
+        }
+        addVersionChange(update, subscription, { version: version.name, version_uuid }, me._id, VERSION_CHANGE_ACTIONS.SET);
+        await models.Subscription.updateOne({ uuid, org_id }, update);
+
+        pubSub.channelSubChangedFunc({org_id: org_id}, context);
+
+        return {
+          uuid,
+          success: true,
+          warnings,
+          rollout: sets.rollout,
+        };
+      }
+      catch(err){
+        if (err instanceof BasicRazeeError) {
+          throw err;
+        }
+        if (err instanceof RolloutError) {
+          throw new RazeeValidationError(context.req.t('The rollout is not valid: {{error}}', {'error':err.message}), context);
+        }
+        logger.error(err);
+        throw new RazeeQueryError(context.req.t('Query {{queryName}} error. MessageID: {{req_id}}.', {'queryName':queryName, 'req_id':req_id}), context);
+      }
+    },
+
+    advanceSubscriptionRollout: async (parent, { orgId: org_id, uuid }, context)=>{
+      const { me, req_id, logger } = context;
+      const queryName = 'advanceSubscriptionRollout';
+      logger.debug({req_id, user: whoIs(me), org_id, uuid }, `${queryName} enter`);
+
+      try{
+        const subscription = await getSubscriptionForVersionChange(org_id, uuid, queryName, context);
+        if(!isRolloutActive(subscription.rollout)){
+          throw new RazeeValidationError(context.req.t('Subscription {{name}} has no rollout in progress.', {'name':subscription.name}), context);
+        }
+        const rollout = await advanceRollout(subscription);
+        if(!rollout){
+          throw new RazeeValidationError(context.req.t('The rollout of subscription {{name}} was changed meanwhile, please retry.', {'name':subscription.name}), context);
+        }
+
+        pubSub.channelSubChangedFunc({org_id: org_id}, context);
+
+        return {
+          uuid,
+          success: true,
+          rollout,
+        };
+      }
+      catch(err){
+        if (err instanceof BasicRazeeError) {
+          throw err;
+        }
+        logger.error(err);
+        throw new RazeeQueryError(context.req.t('Query {{queryName}} error. MessageID: {{req_id}}.', {'queryName':queryName, 'req_id':req_id}), context);
+      }
+    },
+
+    abortSubscriptionRollout: async (parent, { orgId: org_id, uuid }, context)=>{
+      const { models, me, req_id, logger } = context;
+      const queryName = 'abortSubscriptionRollout';
+      logger.debug({req_id, user: whoIs(me), org_id, uuid }, `${queryName} enter`);
+
+      try{
+        const subscription = await getSubscriptionForVersionChange(org_id, uuid, queryName, context);
+        if(!isRolloutActive(subscription.rollout)){
+          throw new RazeeValidationError(context.req.t('Subscription {{name}} has no rollout in progress.', {'name':subscription.name}), context);
+        }
+        // every cluster goes back to the version the rollout started from
+        const now = new Date();
+        const rollout = { ...subscription.rollout, state: ROLLOUT_STATES.ABORTED, updated: now, completed: now };
+        const update = { $set: { version: rollout.fromVersion, version_uuid: rollout.fromVersionUuid, rollout } };
+        addVersionChange(update, subscription, { version: rollout.fromVersion, version_uuid: rollout.fromVersionUuid }, me._id, VERSION_CHANGE_ACTIONS.ROLLOUT_ABORT, now);
+        const result = await models.Subscription.updateOne({ org_id, uuid, 'rollout.uuid': rollout.uuid }, update);
+        if(result.n === 0){
+          throw new RazeeValidationError(context.req.t('The rollout of subscription {{name}} was changed meanwhile, please retry.', {'name':subscription.name}), context);
+        }
+
+        pubSub.channelSubChangedFunc({org_id: org_id}, context);
+
+        return {
+          uuid,
+          success: true,
+          rollout,
+        };
+      }
+      catch(err){
+        if (err instanceof BasicRazeeError) {
+          throw err;
+        }
+        logger.error(err);
+        throw new RazeeQueryError(context.req.t('Query {{queryName}} error. MessageID: {{req_id}}.', {'queryName':queryName, 'req_id':req_id}), context);
+      }
+    },
+
+    rollbackSubscription: async (parent, { orgId: org_id, uuid, steps=1 }, context)=>{
+      const { models, me, req_id, logger } = context;
+      const queryName = 'rollbackSubscription';
+      logger.debug({req_id, user: whoIs(me), org_id, uuid, steps }, `${queryName} enter`);
+
+      try{
+        const subscription = await getSubscriptionForVersionChange(org_id, uuid, queryName, context);
+        const change = getRollbackChange(subscription, steps);
+        if(!change){
+          throw new RazeeValidationError(context.req.t('Subscription {{name}} has {{count}} version changes to roll back.', {'name':subscription.name, 'count':getVersionChanges(subscription).length}), context);
+        }
+
+        // the version may have been removed or archived since
+        const channel = await models.Channel.findOne({ org_id, uuid: change.fromChannelUuid });
+        const version = _.find(channel ? channel.versions : [], { uuid: change.fromVersionUuid });
+        if(!version){
+          throw new NotFoundError(context.req.t('Version uuid "{{version_uuid}}" not found.', {'version_uuid':change.fromVersionUuid}), context);
+        }
+        const warnings = validateVersionState(version, context);
+
+        const to = { channel_uuid: channel.uuid, version: version.name, version_uuid: version.uuid };
+        const update = {
+          $set: { channelName: channel.name, ...to },
+          $unset: { rollout: '' },
+        };
+        addVersionChange(update, subscription, to, me._id, VERSION_CHANGE_ACTIONS.ROLLBACK);
+        // unless the version was changed meanwhile
+        const result = await models.Subscription.updateOne({ org_id, uuid, version_uuid: subscription.version_uuid }, update);
+        if(result.n === 0){
+          throw new RazeeValidationError(context.req.t('The version of subscription {{name}} was changed meanwhile, please retry.', {'name':subscription.name}), context);
+        }
 
         pubSub.channelSubChangedFunc({org_id: org_id}, context);
 
+        return {
+          uuid,
+          success: true,
+          warnings,
+          version: version.name,
+          versionUuid: version.uuid,
+        };
+      }
+      catch(err){
+        if (err instanceof BasicRazeeError) {
+          throw err;
+        }
+        logger.error(err);
+        throw new RazeeQueryError(context.req.t('Query {{queryName}} error. MessageID: {{req_id}}.', {'queryName':queryName, 'req_id':req_id}), context);
+      }
+    },
+
+    pauseSubscription: async (parent, { orgId: org_id, uuid, reason, expires }, context)=>{
+      const { models, me, req_id, logger } = context;
+      const queryName = 'pauseSubscription';
+      logger.debug({req_id, user: whoIs(me), org_id, uuid, reason, expires }, `${queryName} enter`);
+
+      try{
+        const subscription = await getSubscriptionForVersionChange(org_id, uuid, queryName, context);
+        const now = new Date();
+        if(isSubscriptionPaused(subscription, now)){
+          throw new RazeeValidationError(context.req.t('Subscription {{name}} is already paused.', {'name':subscription.name}), context);
+        }
+        if(expires && expires <= now){
+          throw new RazeeValidationError(context.req.t('The pause must expire in the future.'), context);
+        }
+
+        const pause = { reason, pausedBy: me._id, paused: now, expires };
+        const update = addPauseChange({ $set: { pause } }, subscription, me._id, VERSION_CHANGE_ACTIONS.PAUSE, reason, now);
+        await models.Subscription.updateOne({ org_id, uuid }, update);
+
+        pubSub.channelSubChangedFunc({org_id: org_id}, context);
+
+        return {
+          uuid,
+          success: true,
+          pause,
+        };
+      }
+      catch(err){
+        if (err instanceof BasicRazeeError) {
+          throw err;
+        }
+        logger.error(err);
+        throw new RazeeQueryError(context.req.t('Query {{queryName}} error. MessageID: {{req_id}}.', {'queryName':queryName, 'req_id':req_id}), context);
+      }
+    },
+
+    resumeSubscription: async (parent, { orgId: org_id, uuid }, context)=>{
+      const { models, me, req_id, logger } = context;
+      const queryName = 'resumeSubscription';
+      logger.debug({req_id, user: whoIs(me), org_id, uuid }, `${queryName} enter`);
+
+      try{
+        const subscription = await getSubscriptionForVersionChange(org_id, uuid, queryName, context);
+        if(!isSubscriptionPaused(subscription)){
+          throw new RazeeValidationError(context.req.t('Subscription {{name}} is not paused.', {'name':subscription.name}), context);
+        }
+
+        const update = addPauseChange({ $unset: { pause: '' } }, subscription, me._id, VERSION_CHANGE_ACTIONS.RESUME);
+        await models.Subscription.updateOne({ org_id, uuid }, update);
+
+        pubSub.channelSubChangedFunc({org_id: org_id}, context);
+
+        return {
+          uuid,
+          success: true,
+        };
+      }
+      catch(err){
+        if (err instanceof BasicRazeeError) {
+          throw err;
+        }
+        logger.error(err);
+        throw new RazeeQueryError(context.req.t('Query {{queryName}} error. MessageID: {{req_id}}.', {'queryName':queryName, 'req_id':req_id}), context);
+      }
+    },
+
+    excludeSubscriptionCluster: async (parent, { orgId: org_id, uuid, clusterId, reason }, context)=>{
+      const { models, me, req_id, logger } = context;
+      const queryName = 'excludeSubscriptionCluster';
+      logger.debug({req_id, user: whoIs(me), org_id, uuid, clusterId }, `${queryName} enter`);
+
+      try{
+        const subscription = await getSubscriptionForVersionChange(org_id, uuid, queryName, context);
+        await getClusterForOverride(org_id, clusterId, context);
+        if(isClusterExcluded(subscription, clusterId)){
+          throw new RazeeValidationError(context.req.t('Cluster {{clusterId}} is already excluded from subscription {{name}}.', {'clusterId':clusterId, 'name':subscription.name}), context);
+        }
+
+        const excludedCluster = { clusterId, reason, excludedBy: me._id, excluded: new Date() };
+        await models.Subscription.updateOne({ org_id, uuid, 'excludedClusters.clusterId': { $ne: clusterId } }, { $push: { excludedClusters: excludedCluster } });
+
+        pubSub.channelSubChangedFunc({org_id: org_id}, context);
+
+        return {
+          uuid,
+          success: true,
+          excludedCluster,
+        };
+      }
+      catch(err){
+        if (err instanceof BasicRazeeError) {
+          throw err;
+        }
+        logger.error(err);
+        throw new RazeeQueryError(context.req.t('Query {{queryName}} error. MessageID: {{req_id}}.', {'queryName':queryName, 'req_id':req_id}), context);
+      }
+    },
+
+    includeSubscriptionCluster: async (parent, { orgId: org_id, uuid, clusterId }, context)=>{
+      const { models, me, req_id, logger } = context;
+      const queryName = 'includeSubscriptionCluster';
+      logger.debug({req_id, user: whoIs(me), org_id, uuid, clusterId }, `${queryName} enter`);
+
+      try{
+        const subscription = await getSubscriptionForVersionChange(org_id, uuid, queryName, context);
+        if(!isClusterExcluded(subscription, clusterId)){
+          throw new RazeeValidationError(context.req.t('Cluster {{clusterId}} is not excluded from subscription {{name}}.', {'clusterId':clusterId, 'name':subscription.name}), context);
+        }
+
+        await models.Subscription.updateOne({ org_id, uuid }, { $pull: { excludedClusters: { clusterId } } });
+
+        pubSub.channelSubChangedFunc({org_id: org_id}, context);
+
+        return {
+          uuid,
+          success: true,
+        };
+      }
+      catch(err){
+        if (err instanceof BasicRazeeError) {
+          throw err;
+        }
+        logger.error(err);
+        throw new RazeeQueryError(context.req.t('Query {{queryName}} error. MessageID: {{req_id}}.', {'queryName':queryName, 'req_id':req_id}), context);
+      }
+    },
+
+    pinSubscriptionClusterVersion: async (parent, { orgId: org_id, uuid, clusterId, versionUuid: version_uuid, expires, reason }, context)=>{
+      const { models, me, req_id, logger } = context;
+      const queryName = 'pinSubscriptionClusterVersion';
+      logger.debug({req_id, user: whoIs(me), org_id, uuid, clusterId, version_uuid, expires }, `${queryName} enter`);
+
+      try{
+        const subscription = await getSubscriptionForVersionChange(org_id, uuid, queryName, context);
+        await getClusterForOverride(org_id, clusterId, context);
+        const now = new Date();
+        if(expires && expires <= now){
+          throw new RazeeValidationError(context.req.t('The pin must expire in the future.'), context);
+        }
+
+        // the version has to be one of the channel of the subscription
+        const channel = await models.Channel.findOne({ org_id, uuid: subscription.channel_uuid });
+        if(!channel){
+          throw new NotFoundError(context.req.t('Channel uuid "{{subscription.channel_uuid}}" not found.', {'subscription.channel_uuid':subscription.channel_uuid}), context);
+        }
+        const version = channel.versions.find((version)=>{
+          return (version.uuid == version_uuid);
+        });
+        if(!version){
+          throw new NotFoundError(context.req.t('Version uuid "{{version_uuid}}" not found.', {'version_uuid':version_uuid}), context);
+        }
+        const warnings = validateVersionState(version, context);
+
+        // replaces a pin the cluster has
+        const versionPin = { clusterId, version: version.name, versionUuid: version_uuid, reason, pinnedBy: me._id, pinned: now, expires };
+        const versionPins = [..._.reject(subscription.versionPins, { clusterId }), versionPin];
+        await models.Subscription.updateOne({ org_id, uuid }, { $set: { versionPins } });
+
+        pubSub.channelSubChangedFunc({org_id: org_id}, context);
+
+        return {
+          uuid,
+          success: true,
+          warnings,
+          versionPin,
+        };
+      }
+      catch(err){
+        if (err instanceof BasicRazeeError) {
+          throw err;
+        }
+        logger.error(err);
+        throw new RazeeQueryError(context.req.t('Query {{queryName}} error. MessageID: {{req_id}}.', {'queryName':queryName, 'req_id':req_id}), context);
+      }
+    },
+
+    unpinSubscriptionClusterVersion: async (parent, { orgId: org_id, uuid, clusterId }, context)=>{
+      const { models, me, req_id, logger } = context;
+      const queryName = 'unpinSubscriptionClusterVersion';
+      logger.debug({req_id, user: whoIs(me), org_id, uuid, clusterId }, `${queryName} enter`);
+
+      try{
+        const subscription = await getSubscriptionForVersionChange(org_id, uuid, queryName, context);
+        if(!_.some(subscription.versionPins, { clusterId })){
+          throw new RazeeValidationError(context.req.t('Cluster {{clusterId}} is not pinned to a version of subscription {{name}}.', {'clusterId':clusterId, 'name':subscription.name}), context);
+        }
+
+        await models.Subscription.updateOne({ org_id, uuid }, { $pull: { versionPins: { clusterId } } });
+
+        pubSub.channelSubChangedFunc({org_id: org_id}, context);
+
+        return {
+          uuid,
+          success: true,
+        };
+      }
+      catch(err){
+        if (err instanceof BasicRazeeError) {
+          throw err;
+        }
+        logger.error(err);
+        throw new RazeeQueryError(context.req.t('Query {{queryName}} error. MessageID: {{req_id}}.', {'queryName':queryName, 'req_id':req_id}), context);
+      }
+    },
+
+    scheduleSubscriptionVersion: async (parent, { orgId: org_id, uuid, versionUuid: version_uuid, notBefore, inMaintenanceWindow=false }, context)=>{
+      const { models, me, req_id, logger } = context;
+      const queryName = 'scheduleSubscriptionVersion';
+      logger.debug({req_id, user: whoIs(me), org_id, uuid, version_uuid, notBefore, inMaintenanceWindow }, `${queryName} enter`);
+
+      try{
+        const subscription = await getSubscriptionForVersionChange(org_id, uuid, queryName, context);
+        if(!notBefore && !inMaintenanceWindow){
+          throw new RazeeValidationError(context.req.t('Either notBefore or inMaintenanceWindow is required, use setSubscription to change the version now.'), context);
+        }
+        if(notBefore && new Date(notBefore).getTime() <= Date.now()){
+          throw new RazeeValidationError(context.req.t('notBefore {{notBefore}} is in the past, use setSubscription to change the version now.', {'notBefore':new Date(notBefore).toISOString()}), context);
+        }
+
+        // loads the version
+        const channel = await models.Channel.findOne({ org_id, uuid: subscription.channel_uuid });
+        const version = _.find(channel ? channel.versions : [], { uuid: version_uuid });
+        if(!version){
+          throw new NotFoundError(context.req.t('Version uuid "{{version_uuid}}" not found.', {'version_uuid':version_uuid}), context);
+        }
+        const warnings = validateVersionState(version, context);
+
+        if(inMaintenanceWindow){
+          const groups = await getGroupMaintenanceWindows(org_id, await getMaintenanceGroupNames(subscription));
+          if(groups.length < 1){
+            throw new RazeeValidationError(context.req.t('None of the groups of subscription {{name}} have maintenance windows.', {'name':subscription.name}), context);
+          }
+        }
+        const pending = await models.ScheduledVersionChange.findOne({ org_id, subscription_uuid: uuid, state: { $in: OPEN_SCHEDULED_CHANGE_STATES } }, { _id: 1 }).lean();
+        if(pending){
+          throw new RazeeValidationError(context.req.t('Subscription {{name}} already has a scheduled version change {{uuid}}, cancel it first.', {'name':subscription.name, 'uuid':pending._id}), context);
+        }
+
+        const scheduledChange = await models.ScheduledVersionChange.create({
+          _id: UUID(),
+          org_id,
+          subscription_uuid: uuid,
+          subscriptionName: subscription.name,
+          channel_uuid: subscription.channel_uuid,
+          version: version.name,
+          version_uuid,
+          notBefore,
+          inMaintenanceWindow,
+          state: SCHEDULED_CHANGE_STATES.PENDING,
+          ownerId: me._id,
+        });
+
+        return {
+          uuid: scheduledChange._id,
+          warnings,
+          scheduledChange: scheduledChange.toObject({ virtuals: true }),
+        };
+      }
+      catch(err){
+        if (err instanceof BasicRazeeError) {
+          throw err;
+        }
+        logger.error(err);
+        throw new RazeeQueryError(context.req.t('Query {{queryName}} error. MessageID: {{req_id}}.', {'queryName':queryName, 'req_id':req_id}), context);
+      }
+    },
+
+    cancelScheduledVersionChange: async (parent, { orgId: org_id, uuid }, context)=>{
+      const { models, me, req_id, logger } = context;
+      const queryName = 'cancelScheduledVersionChange';
+      logger.debug({req_id, user: whoIs(me), org_id, uuid }, `${queryName} enter`);
+
+      try{
+        const change = await models.ScheduledVersionChange.findOne({ org_id, _id: uuid }).lean();
+        if(!change){
+          throw new NotFoundError(context.req.t('Scheduled version change uuid "{{uuid}}" not found.', {'uuid':uuid}), context);
+        }
+        // the same permissions as changing the version of the subscription
+        await getSubscriptionForVersionChange(org_id, change.subscription_uuid, queryName, context);
+
+        const result = await models.ScheduledVersionChange.updateOne({ org_id, _id: uuid, state: SCHEDULED_CHANGE_STATES.PENDING }, {
+          $set: { state: SCHEDULED_CHANGE_STATES.CANCELLED, updated: new Date() },
+        });
+        if(result.n === 0){
+          throw new RazeeValidationError(context.req.t('The scheduled version change {{uuid}} is not pending.', {'uuid':uuid}), context);
+        }
+
         return {
           uuid,
           success: true,
@@ -484,6 +1238,11 @@ const subscriptionResolvers = {
 
         await validAuth(me, org_id, ACTIONS.DELETE, TYPES.SUBSCRIPTION, queryName, context, [subscription.uuid, subscription.name]);
 
+        const dependents = await models.Subscription.find({ org_id, dependsOn: uuid }, { name: 1 }).lean();
+        if(dependents.length > 0){
+          throw new RazeeValidationError(context.req.t('Subscription {{name}} can not be removed, {{dependents}} depend on it.', {'name':subscription.name, 'dependents':_.map(dependents, 'name').join(', ')}), context);
+        }
+
         await subscription.deleteOne();
 
         pubSub.channelSubChangedFunc({org_id: org_id}, context);
@@ -23,8 +23,54 @@ const channelSchema = gql`
     name: String!
     description: String
     location: String!
+    isTemplate: Boolean
+    """
+    active, deprecated or archived
+    """
+    state: String!
+    stateReason: String
+    stateChanged: Date
     created: Date
   }
+  type ChannelRetention {
+    keepLast: Int
+    maxAgeDays: Int
+  }
+  type ChannelVersionRemoval {
+    channelUuid: String!
+    channelName: String
+    versionUuid: String!
+    versionName: String
+    versionCreated: Date
+    reason: String
+    removed: Date!
+  }
+  type ChannelGitSource {
+    repoUrl: String!
+    branch: String!
+    path: String!
+    lastSyncedSha: String
+    lastSynced: Date
+  }
+  type VersionGitSource {
+    repoUrl: String!
+    ref: String!
+    path: String!
+    commitSha: String!
+  }
+  type SetChannelVersionStateReply {
+    uuid: String!
+    state: String!
+    success: Boolean
+  }
+  type SetChannelGitSourceReply {
+    uuid: String!
+    success: Boolean
+  }
+  type SetChannelRetentionReply {
+    uuid: String!
+    success: Boolean
+  }
   type Channel {
     uuid: String!
     orgId: String!
@@ -35,6 +81,8 @@ const channelSchema = gql`
     tags: [String!]!
     owner: BasicUser
     kubeOwnerName: String
+    retention: ChannelRetention
+    gitSource: ChannelGitSource
   }
   type AddChannelReply {
     uuid: String!
@@ -45,9 +93,74 @@ const channelSchema = gql`
     tags: [String!]!
     success: Boolean
   }
+  type ChannelVersionFinding {
+    """
+    schema, the org lint rule or the secret scan rule which found it
+    """
+    rule: String!
+    """
+    Index of the yaml document, starting at 0
+    """
+    documentIndex: Int!
+    kind: String
+    name: String
+    path: String
+    message: String!
+  }
   type AddChannelVersionReply {
-    versionUuid: String!
+    """
+    Not set when the version was rejected because of errors
+    """
+    versionUuid: String
+    success: Boolean!
+    errors: [ChannelVersionFinding!]!
+    warnings: [ChannelVersionFinding!]!
+  }
+  type ImportChannelVersionReply {
+    versionUuid: String
+    commitSha: String!
     success: Boolean!
+    errors: [ChannelVersionFinding!]!
+    warnings: [ChannelVersionFinding!]!
+  }
+  type SyncChannelReply {
+    uuid: String!
+    commitSha: String!
+    """
+    Not set when there was no new commit to import, or the version was rejected
+    """
+    versionUuid: String
+    success: Boolean!
+    errors: [ChannelVersionFinding!]!
+    warnings: [ChannelVersionFinding!]!
+  }
+  type ImportedObject {
+    """
+    channel, version or subscription
+    """
+    type: String!
+    name: String!
+    """
+    The channel of a version or subscription
+    """
+    channelName: String
+    """
+    The name it was imported as, only differs from name when it was renamed
+    """
+    importedName: String
+    uuid: String
+    """
+    created, skipped, overwritten, renamed, unchanged or failed
+    """
+    result: String!
+    error: String
+  }
+  type ImportChannelsReply {
+    """
+    False if any object failed to import
+    """
+    success: Boolean!
+    objects: [ImportedObject!]!
   }
   type RemoveChannelReply {
     uuid: String!
@@ -57,6 +170,61 @@ const channelSchema = gql`
     uuid: String!
     success: Boolean
   }
+  type ChannelVersionObject {
+    apiVersion: String!
+    kind: String!
+    namespace: String
+    name: String
+    """
+    The images of the containers and init containers of the object
+    """
+    images: [String!]!
+  }
+  type ChannelObjectMatch {
+    channelUuid: String!
+    channelName: String!
+    versionUuid: String!
+    versionName: String!
+    apiVersion: String!
+    kind: String!
+    namespace: String
+    name: String
+    images: [String!]!
+  }
+  type ChannelVersionUploadPart {
+    partNumber: Int!
+    size: Int!
+    """
+    SHA-256 hex digest of the part
+    """
+    digest: String!
+    uploaded: Date!
+  }
+  type ChannelVersionUpload {
+    uuid: String!
+    channelUuid: String!
+    name: String!
+    description: String
+    kubeVersion: String
+    """
+    Total size of the uploaded parts in bytes
+    """
+    size: Int!
+    parts: [ChannelVersionUploadPart!]!
+    """
+    The part numbers missing before the last uploaded part
+    """
+    missingParts: [Int!]!
+    created: Date!
+    """
+    The upload and its parts are removed when it is not committed by then, each part extends it
+    """
+    expires: Date!
+  }
+  type AbortChannelVersionUploadReply {
+    uuid: String!
+    success: Boolean
+  }
   type DeployableVersion {
     orgId: String!
     uuid: String!
@@ -64,12 +232,61 @@ const channelSchema = gql`
     channelName: String!
     name: String!
     type: String!
+    isTemplate: Boolean
     description: String
     content: String
+    """
+    SHA-256 hex digest of the version content as stored, before encryption
+    """
+    digest: String
+    """
+    unsigned, verified, invalid or untrusted (signed by a key which is no longer trusted)
+    """
+    signatureStatus: String
+    signingKeyUuid: String
+    """
+    v1 when the content is encrypted with an org key, v2 when it is envelope encrypted with an org data key
+    """
+    encryptionScheme: String
+    """
+    Fingerprint of the org key the content is encrypted with
+    """
+    keyFingerprint: String
+    """
+    The repository and commit the version was imported from
+    """
+    gitSource: VersionGitSource
+    """
+    The objects of the version, not set for templates and versions added before objects were indexed
+    """
+    inventory: [ChannelVersionObject!]
+    """
+    The credentials the secret scan found when the version was added
+    """
+    secretFindings: [ChannelVersionFinding!]
     owner: BasicUser
     kubeOwnerName: String
     created: Date!
   }
+  type ChannelVersionObjectDiff {
+    key: String!
+    apiVersion: String
+    kind: String
+    namespace: String
+    name: String
+    """
+    Unified diff of the object, only set for modified objects
+    """
+    diff: String
+  }
+  type ChannelVersionDiff {
+    channelUuid: String!
+    fromVersionUuid: String!
+    toVersionUuid: String!
+    added: [ChannelVersionObjectDiff!]!
+    removed: [ChannelVersionObjectDiff!]!
+    modified: [ChannelVersionObjectDiff!]!
+  }
 
   extend type Query {
      """
@@ -101,6 +318,38 @@ const channelSchema = gql`
      Gets a channel version info from this channel name and version name 
      """
      channelVersionByName(orgId: String! @sv, channelName: String! @sv, versionName: String! @sv): DeployableVersion!
+
+     """
+     Gets the versions of a channel removed by its retention, newest first
+     """
+     channelVersionRemovals(orgId: String! @sv, channelUuid: String! @sv): [ChannelVersionRemoval!]!
+
+     """
+     Gets the kubernetes objects added, removed and modified between two versions of a channel
+     """
+     channelVersionDiff(orgId: String! @sv, channelUuid: String! @sv, fromVersionUuid: String! @sv, toVersionUuid: String! @sv): ChannelVersionDiff!
+
+     """
+     Gets a channel version info with its content rendered for the given cluster, for previewing template versions
+     """
+     channelVersionForCluster(orgId: String! @sv, channelUuid: String! @sv, versionUuid: String! @sv, clusterId: String! @sv): DeployableVersion!
+
+     """
+     Exports the channels, or only those of channelUuids, with their tags, decrypted versions and subscriptions
+     as an archive importChannels takes, for moving them to another org or razeedash instance
+     """
+     exportChannels(orgId: String! @sv, channelUuids: [String!]): JSON!
+
+     """
+     Finds the objects of the channel versions of orgId matching every given field. image matches an exact image
+     reference or a repository, e.g. quay.io/razee/api matches quay.io/razee/api:1.2
+     """
+     searchChannelObjects(orgId: String! @sv, apiVersion: String @sv, kind: String @sv, namespace: String @sv, name: String @sv, image: String): [ChannelObjectMatch!]!
+
+     """
+     Gets a channel version upload with the parts received so far, e.g. to resume it after the connection dropped
+     """
+     channelVersionUpload(orgId: String! @sv, uuid: String! @sv): ChannelVersionUpload!
   }
 
   extend type Mutation {
@@ -115,15 +364,84 @@ const channelSchema = gql`
      editChannel(orgId: String! @sv, uuid: String! @sv, name: String! @sv, tags: [String!]): EditChannelReply!
      
      """
-     Adds a yaml version to this channel
+     Sets the retention of a channel, versions which are neither one of the last keepLast versions
+     nor newer than maxAgeDays are removed unless a subscription uses them. Omitting both removes the retention
+     """
+     setChannelRetention(orgId: String! @sv, uuid: String! @sv, keepLast: Int, maxAgeDays: Int): SetChannelRetentionReply!
+
+     """
+     Adds a yaml, helm or kustomize version to this channel
      Requires either content:String or file:Upload
+     If isTemplate is true, the content is a mustache template rendered for each cluster when it is downloaded
+     For type helm the file is a chart tgz (or base64 content) rendered with the optional values yaml,
+     for type kustomize the file is a tgz (or base64 content) containing a kustomization
+     signature is an optional base64 detached signature by one of the org's trusted keys, of the yaml content
+     or for helm and kustomize of the archive bytes followed by the values
+     The yaml, or rendered helm and kustomize content, is validated against the schemas of kubeVersion (e.g. 1.21), the org
+     kubeVersion setting or else the newest bundled version, and checked with the org lint rules.
+     1.20 and 1.21 only have their own lists of served apis, their fields are validated against the 1.22 schemas.
+     If there are errors the version is not added and success is false
      """
-     addChannelVersion(orgId: String! @sv, channelUuid: String! @sv, name: String! @sv, type: String! @sv, content: String @sv, file: Upload, description: String @sv): AddChannelVersionReply!
+     addChannelVersion(orgId: String! @sv, channelUuid: String! @sv, name: String! @sv, type: String! @sv, content: String @sv, file: Upload, values: String, description: String @sv, isTemplate: Boolean, signature: String, kubeVersion: String @sv): AddChannelVersionReply!
+
+     """
+     Starts uploading a yaml channel version in parts, for versions larger than a single upload allows
+     """
+     startChannelVersionUpload(orgId: String! @sv, channelUuid: String! @sv, name: String! @sv, description: String @sv, kubeVersion: String @sv): ChannelVersionUpload!
+
+     """
+     Uploads a part of a channel version upload, numbered from 1. A part uploaded again replaces the previous one
+     """
+     uploadChannelVersionPart(orgId: String! @sv, uuid: String! @sv, partNumber: Int!, file: Upload!): ChannelVersionUploadPart!
+
+     """
+     Adds the parts of an upload, in order, as a channel version. The content is validated like addChannelVersion does,
+     digest is the optional SHA-256 hex digest of the whole content
+     """
+     commitChannelVersionUpload(orgId: String! @sv, uuid: String! @sv, digest: String @sv): AddChannelVersionReply!
+
+     """
+     Removes an upload and its parts
+     """
+     abortChannelVersionUpload(orgId: String! @sv, uuid: String! @sv): AbortChannelVersionUploadReply!
+
+     """
+     Adds a version assembled from the yaml files of a git repository matching the path glob (default **/*.{yaml,yml}) at ref,
+     a branch, tag or commit sha. repoUrl is a file://, https:// or ssh:// url or the path of a local repository
+     The name defaults to the ref and short commit sha, the commit sha is recorded in the description and gitSource
+     """
+     importChannelVersionFromGit(orgId: String! @sv, channelUuid: String! @sv, repoUrl: String!, ref: String! @sv, path: String, name: String @sv, description: String @sv, kubeVersion: String @sv): ImportChannelVersionReply!
+
+     """
+     Links a channel to a git repository branch for syncChannel, omitting repoUrl removes the link
+     """
+     setChannelGitSource(orgId: String! @sv, uuid: String! @sv, repoUrl: String, branch: String @sv, path: String): SetChannelGitSourceReply!
+
+     """
+     Imports the latest commit of the branch linked to the channel as a new version, if it was not imported yet
+     """
+     syncChannel(orgId: String! @sv, uuid: String! @sv, kubeVersion: String @sv): SyncChannelReply!
+
+     """
+     Imports an archive made by exportChannels, the versions are encrypted with this org's key and validated against kubeVersion.
+     onConflict (default skip) is what happens to channels, versions and subscriptions whose name already exists:
+     skip keeps them, overwrite replaces them and rename imports them under a new name, e.g. my-channel-2.
+     Overwriting a version replaces it with a new version of the same name, unless its content is unchanged,
+     and fails if subscriptions use it
+     """
+     importChannels(orgId: String! @sv, archive: JSON!, onConflict: String @sv, kubeVersion: String @sv): ImportChannelsReply!
+
      """
      Removes a channel
      """
      removeChannel(orgId: String! @sv, uuid: String! @sv): RemoveChannelReply!
 
+     """
+     Sets the lifecycle state of a channel version, active, deprecated or archived. A reason is required to deprecate a version
+     Subscriptions can not be set to archived versions, setting them to deprecated versions warns
+     """
+     setChannelVersionState(orgId: String! @sv, channelUuid: String! @sv, versionUuid: String! @sv, state: String! @sv, reason: String @sv): SetChannelVersionStateReply!
+
      """
      Removes a channel version
      """
@@ -37,6 +37,7 @@ const clusterSchema = gql`
     metadata: JSON
     comments: [Comment]
     registration: JSON
+    labels: [ClusterLabel!]
     status: String
     regState: String
     groups: [ClusterGroup]
@@ -47,6 +48,21 @@ const clusterSchema = gql`
     resources: [Resource!]
   }
 
+  type ClusterLabel {
+    key: String!
+    value: String!
+  }
+
+  input ClusterLabelInput {
+    key: String!
+    value: String!
+  }
+
+  type SetClusterLabelsResponse {
+    clusterId: String!
+    labels: [ClusterLabel!]!
+  }
+
   type KubeCountVersion {
     major: String
     minor: String
@@ -167,6 +183,15 @@ const clusterSchema = gql`
       orgId: String! @sv
       clusterId: String! @sv
     ): EnableRegistrationUrlResponse
+
+    """
+    Replaces the labels of a cluster, kubernetes style key value pairs subscriptions can select clusters by
+    """
+    setClusterLabels (
+      orgId: String! @sv
+      clusterId: String! @sv
+      labels: [ClusterLabelInput!]!
+    ): SetClusterLabelsResponse!
   }
 
 `;
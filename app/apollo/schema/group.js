@@ -20,6 +20,27 @@ const groupSchema = gql`
     subscriptionCount: Int!
     subscriptions: [ChannelSubscription!]!
     clusters: [Cluster!]!
+    maintenanceWindows: [MaintenanceWindow!]
+  }
+
+  type MaintenanceWindow {
+    days: [String!]!
+    start: String!
+    durationMinutes: Int!
+    timeZone: String!
+  }
+
+  input MaintenanceWindowInput {
+    days: [String!]!
+    start: String!
+    durationMinutes: Int!
+    timeZone: String
+  }
+
+  type SetGroupMaintenanceWindowsReply {
+    uuid: String!
+    success: Boolean
+    maintenanceWindows: [MaintenanceWindow!]!
   }
 
   type AddGroupReply {
@@ -107,6 +128,12 @@ const groupSchema = gql`
     Overwrites a cluster's groups to exactly whats specified
     """
     editClusterGroups(orgId: String! @sv, clusterId: String! @sv, groupUuids: [String!]! @sv): EditClusterGroupsReply!
+
+    """
+    Replaces the maintenance windows of a group, scheduled subscription version changes for the group's clusters wait for one of them.
+    A window opens at start (HH:MM) in timeZone, UTC by default, on each of its days (sun, mon, ... sat) and lasts durationMinutes
+    """
+    setGroupMaintenanceWindows(orgId: String! @sv, uuid: String! @sv, windows: [MaintenanceWindowInput!]!): SetGroupMaintenanceWindowsReply!
   }
 `;
 
@@ -26,11 +26,82 @@ const organizationSchema = gql`
     name: String!
   }
 
+  type TrustedKey {
+    uuid: String!
+    name: String!
+    publicKey: String!
+    fingerprint: String!
+    created: Date
+  }
+
+  type LintRule {
+    rule: String!
+    severity: String!
+    labels: [String!]
+  }
+
+  input LintRuleInput {
+    rule: String!
+    severity: String!
+    labels: [String!]
+  }
+
+  type OrgSettings {
+    requireSignedVersions: Boolean!
+    lintRules: [LintRule!]!
+    secretScanPolicy: String!
+    pausedSubscriptionPolicy: String!
+    kubeVersion: String
+  }
+
+  type AddTrustedKeyReply {
+    uuid: String!
+    fingerprint: String!
+  }
+
+  type RemoveTrustedKeyReply {
+    uuid: String!
+    success: Boolean
+  }
+
   extend type Query {
     """
     Return Organizations the current user belongs to.
     """
     organizations: [Organization!]
+
+    """
+    Gets the public keys trusted to sign channel versions for orgId
+    """
+    trustedKeys(orgId: String! @sv): [TrustedKey!]!
+
+    """
+    Gets the settings of orgId
+    """
+    orgSettings(orgId: String! @sv): OrgSettings!
+  }
+
+  extend type Mutation {
+    """
+    Adds a PEM encoded public key (rsa, ec or ed25519) trusted to sign channel versions
+    """
+    addTrustedKey(orgId: String! @sv, name: String! @sv, publicKey: String!): AddTrustedKeyReply!
+
+    """
+    Removes a trusted key, versions it signed are no longer verified
+    """
+    removeTrustedKey(orgId: String! @sv, uuid: String! @sv): RemoveTrustedKeyReply!
+
+    """
+    Updates the settings of orgId, settings which are not passed are left unchanged
+    If requireSignedVersions is true, unsigned or badly signed channel versions are not served to clusters
+    lintRules replaces the rules run on new channel versions, rule is required-labels, no-latest-tag or resource-limits
+    and severity is error (the version is rejected) or warning
+    secretScanPolicy is warn, or reject to not add channel versions in which the secret scan finds credentials
+    pausedSubscriptionPolicy is exclude to leave paused subscriptions out of subscriptionsByClusterId, or hold to return them with hold set
+    kubeVersion (e.g. 1.21) is the version new channel versions which do not pass their own are validated against, an empty string resets it to the server default
+    """
+    updateOrgSettings(orgId: String! @sv, requireSignedVersions: Boolean, lintRules: [LintRuleInput!], secretScanPolicy: String @sv, pausedSubscriptionPolicy: String @sv, kubeVersion: String @sv): OrgSettings!
   }
 `;
 
@@ -0,0 +1,117 @@
+/**
+ * Copyright 2021 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const { gql } = require('apollo-server-express');
+
+const pipelineSchema = gql`
+  type PipelineStageApproval {
+    versionUuid: String!
+    approvedBy: String
+    approved: Date
+  }
+  type PipelineStage {
+    name: String!
+    subscriptionUuid: String
+    groups: [String!]!
+    requireApproval: Boolean!
+    minSoakMinutes: Int!
+    """
+    The version the stage's subscription currently runs
+    """
+    versionUuid: String
+    versionName: String
+    """
+    The version last promoted to this stage by the pipeline and when
+    """
+    promotedVersionUuid: String
+    promoted: Date
+    approvals: [PipelineStageApproval!]!
+  }
+  type Pipeline {
+    uuid: String!
+    orgId: String!
+    name: String!
+    channelUuid: String!
+    channelName: String!
+    stages: [PipelineStage!]!
+    owner: BasicUser
+    kubeOwnerName: String
+    created: Date!
+    updated: Date!
+  }
+  type AddPipelineReply {
+    uuid: String!
+  }
+  type RemovePipelineReply {
+    uuid: String!
+    success: Boolean
+  }
+  type PromoteReply {
+    uuid: String!
+    stageName: String!
+    subscriptionUuid: String!
+    success: Boolean
+    warnings: [String!]
+  }
+  type ApprovePipelineStageReply {
+    uuid: String!
+    success: Boolean
+  }
+  """
+  A stage targets either an existing subscription of the pipeline's channel or cluster groups,
+  a subscription is created for group targeted stages on their first promotion
+  """
+  input PipelineStageInput {
+    name: String!
+    subscriptionUuid: String
+    groups: [String!]
+    requireApproval: Boolean
+    minSoakMinutes: Int
+  }
+
+  extend type Query {
+     """
+     Gets all pipelines for orgId
+     """
+     pipelines(orgId: String! @sv): [Pipeline!]!
+     """
+     Gets a pipeline with the version each of its stages runs
+     """
+     pipeline(orgId: String! @sv, uuid: String! @sv): Pipeline
+  }
+  extend type Mutation {
+     """
+     Adds a pipeline promoting versions of a channel through the ordered stages
+     """
+     addPipeline(orgId: String! @sv, name: String! @sv, channelUuid: String! @sv, stages: [PipelineStageInput!]!): AddPipelineReply!
+     """
+     Removes a pipeline, the subscriptions of its stages are kept
+     """
+     removePipeline(orgId: String! @sv, uuid: String! @sv): RemovePipelineReply!
+     """
+     Promotes a version to the first stage of the pipeline not running it yet.
+     Fails if the stage requires an approval the version does not have,
+     or if the version has not run on the previous stage for the stage's minSoakMinutes
+     """
+     promote(orgId: String! @sv, pipelineUuid: String! @sv, versionUuid: String! @sv): PromoteReply!
+     """
+     Approves promoting a version to a stage which requires approval
+     """
+     approvePipelineStage(orgId: String! @sv, pipelineUuid: String! @sv, stageName: String! @sv, versionUuid: String! @sv): ApprovePipelineStageReply!
+  }
+`;
+
+module.exports = pipelineSchema;
@@ -24,6 +24,85 @@ const subscriptionSchema = gql`
   type RolloutStatus {
     successCount: Int
     errorCount: Int
+    """
+    Clusters the subscription is delivered to
+    """
+    clusterCount: Int
+    """
+    Clusters which applied the version of the subscription
+    """
+    targetVersionCount: Int
+    """
+    Clusters reporting errors applying the subscription
+    """
+    errorClusterCount: Int
+    """
+    Clusters which have not reported the subscription
+    """
+    notReportingCount: Int
+  }
+  """
+  The deployment of a subscription on a cluster, from the RemoteResource the cluster reports for it
+  """
+  type SubscriptionClusterStatus {
+    clusterId: String!
+    clusterName: String
+    """
+    The version the cluster should apply, another version while the cluster is pinned or outside of a rollout batch
+    """
+    expectedVersion: String
+    expectedVersionUuid: String
+    appliedVersion: String
+    appliedVersionUuid: String
+    lastApplied: Date
+    lastReported: Date
+    errors: [String!]!
+    reporting: Boolean!
+  }
+  """
+  A progressive rollout of a version, clusters outside of its batches get fromVersion until it completes
+  """
+  type SubscriptionRollout {
+    uuid: String!
+    """
+    progressing, halted (clusters of the rollout reported errors), completed or aborted
+    """
+    state: String!
+    reason: String
+    fromVersion: String
+    fromVersionUuid: String
+    toVersion: String!
+    toVersionUuid: String!
+    percentages: [Int!]
+    batchSize: Int
+    soakMinutes: Int!
+    """
+    The current batch, from 0
+    """
+    batch: Int!
+    """
+    The clusters getting toVersion
+    """
+    clusterIds: [String!]!
+    started: Date!
+    batchStarted: Date!
+    updated: Date!
+    completed: Date
+  }
+  """
+  Either the cumulative percentages of the clusters getting the new version after each batch, 100 is added when missing,
+  or the number of clusters each batch adds. With soakMinutes the next batch starts once the current one ran without errors
+  for that long, otherwise with advanceSubscriptionRollout
+  """
+  input SubscriptionRolloutInput {
+    percentages: [Int!]
+    batchSize: Int
+    soakMinutes: Int
+  }
+  type SubscriptionRolloutReply {
+    uuid: String!
+    success: Boolean
+    rollout: SubscriptionRollout
   }
   type BasicChannelSubscription {
     uuid: String!
@@ -36,6 +115,14 @@ const subscriptionSchema = gql`
     versionUuid: String!
     created: Date!
     updated: Date!
+    """
+    Whether the subscription excludes the cluster, set by subscriptionsForClusterByName
+    """
+    clusterExcluded: Boolean
+    """
+    The pin of the cluster to another version, set by subscriptionsForClusterByName
+    """
+    clusterVersionPin: SubscriptionVersionPin
   }
   type ChannelSubscription {
     uuid: String!
@@ -55,7 +142,42 @@ const subscriptionSchema = gql`
     updated: Date!
     remoteResources: [Resource!]
     rolloutStatus: RolloutStatus
+    """
+    The deployment of the subscription on each cluster it is delivered to
+    """
+    clusterStatuses: [SubscriptionClusterStatus!]
+    rollout: SubscriptionRollout
+    clusterSelector: ClusterSelector
+    """
+    The uuids of the subscriptions clusters apply before this one
+    """
+    dependsOn: [String!]
+    """
+    Clusters the subscription targets but is not delivered to
+    """
+    excludedClusters: [SubscriptionExcludedCluster!]
+    """
+    Clusters getting another version of the channel
+    """
+    versionPins: [SubscriptionVersionPin!]
+    """
+    Whether the subscription excludes the cluster, set by subscriptionsForCluster
+    """
+    clusterExcluded: Boolean
+    """
+    The pin of the cluster to another version, set by subscriptionsForCluster
+    """
+    clusterVersionPin: SubscriptionVersionPin
+    """
+    Set while the subscription is paused
+    """
+    pause: SubscriptionPause
     groupObjs: [GroupDetail!]
+    """
+    State of the subscribed version, owners of subscriptions on deprecated versions should move them to another version
+    """
+    versionState: String
+    versionStateReason: String
   }
   type RemoveChannelSubscriptionReply {
     uuid: String!
@@ -64,13 +186,198 @@ const subscriptionSchema = gql`
   type EditChannelSubscriptionReply {
     uuid: String!
     success: Boolean
+    warnings: [String!]
   }
   type SetSubscriptionReply {
     uuid: String!
     success: Boolean
+    warnings: [String!]
+    rollout: SubscriptionRollout
+  }
+  type ClusterSelectorExpression {
+    key: String!
+    operator: String!
+    values: [String!]!
+  }
+  type ClusterSelector {
+    matchLabels: [ClusterLabel!]!
+    matchExpressions: [ClusterSelectorExpression!]!
+  }
+  input ClusterSelectorExpressionInput {
+    key: String!
+    operator: String!
+    values: [String!]
+  }
+  input ClusterSelectorInput {
+    matchLabels: [ClusterLabelInput!]
+    matchExpressions: [ClusterSelectorExpressionInput!]
+  }
+  type SubscriptionPause {
+    reason: String
+    pausedBy: String!
+    paused: Date!
+    """
+    The subscription is resumed after, within SCHEDULE_INTERVAL_MINUTES
+    """
+    expires: Date
+  }
+  type SubscriptionExcludedCluster {
+    clusterId: String!
+    reason: String
+    excludedBy: String!
+    excluded: Date!
+  }
+  type SubscriptionVersionPin {
+    clusterId: String!
+    version: String!
+    versionUuid: String!
+    reason: String
+    pinnedBy: String!
+    pinned: Date!
+    """
+    The pin is removed after, within SCHEDULE_INTERVAL_MINUTES
+    """
+    expires: Date
+  }
+  type ExcludeSubscriptionClusterReply {
+    uuid: String!
+    success: Boolean
+    excludedCluster: SubscriptionExcludedCluster!
+  }
+  type IncludeSubscriptionClusterReply {
+    uuid: String!
+    success: Boolean
+  }
+  type PinSubscriptionClusterVersionReply {
+    uuid: String!
+    success: Boolean
+    warnings: [String!]
+    versionPin: SubscriptionVersionPin!
+  }
+  type UnpinSubscriptionClusterVersionReply {
+    uuid: String!
+    success: Boolean
+  }
+  type PauseSubscriptionReply {
+    uuid: String!
+    success: Boolean
+    pause: SubscriptionPause!
+  }
+  type ResumeSubscriptionReply {
+    uuid: String!
+    success: Boolean
+  }
+  type SubscriptionVersionChange {
+    fromChannelUuid: String
+    fromVersion: String
+    fromVersionUuid: String
+    channelUuid: String!
+    version: String!
+    versionUuid: String!
+    """
+    set, edit, rolloutAbort, schedule, promote, rollback, pause or resume
+    """
+    action: String!
+    """
+    Why the subscription was paused, or resumed by the scheduler
+    """
+    reason: String
+    changedBy: BasicUser
+    changed: Date!
+  }
+  type RollbackSubscriptionReply {
+    uuid: String!
+    success: Boolean
+    warnings: [String!]
+    version: String!
+    versionUuid: String!
+  }
+  type ScheduledVersionChange {
+    uuid: String!
+    orgId: String!
+    subscriptionUuid: String!
+    subscriptionName: String!
+    channelUuid: String!
+    version: String!
+    versionUuid: String!
+    notBefore: Date
+    inMaintenanceWindow: Boolean!
+    """
+    pending, applying, applied, cancelled or failed
+    """
+    state: String!
+    reason: String
+    owner: BasicUser
+    created: Date!
+    updated: Date
+  }
+  type ScheduleSubscriptionVersionReply {
+    uuid: String!
+    warnings: [String!]
+    scheduledChange: ScheduledVersionChange!
+  }
+  type CancelScheduledVersionChangeReply {
+    uuid: String!
+    success: Boolean
+  }
+  """
+  What a cluster gets from a channel now, by subscription
+  """
+  type SubscriptionClusterDelivery {
+    subscriptionUuid: String!
+    subscriptionName: String!
+    version: String
+    versionUuid: String
+    paused: Boolean!
+  }
+  type SubscriptionClusterImpact {
+    clusterId: String!
+    name: String
+    """
+    What the cluster gets from the channel of the subscription now
+    """
+    received: [SubscriptionClusterDelivery!]!
+    """
+    The version the cluster gets from the subscription now, null when the subscription does not target it
+    """
+    fromVersion: String
+    fromVersionUuid: String
+    """
+    The version the cluster would get, null when the subscription would no longer target it
+    """
+    toVersion: String
+    toVersionUuid: String
+    """
+    add, remove, update or none
+    """
+    change: String!
+  }
+  type SubscriptionImpact {
+    channelUuid: String!
+    channelName: String!
+    version: String!
+    versionUuid: String!
+    """
+    The clusters the subscription targets before or after the change
+    """
+    clusters: [SubscriptionClusterImpact!]!
+    warnings: [String!]
+    """
+    The permission errors the mutation would raise
+    """
+    permissionErrors: [String!]!
+    """
+    The groups of the subscription the user is not allowed to set the version for
+    """
+    forbiddenGroups: [String!]!
+    """
+    The number of clusters the first batch of a rollout would update
+    """
+    firstBatchClusterCount: Int
   }
   type AddChannelSubscriptionReply {
     uuid: String!
+    warnings: [String!]
   }
   type UpdatedSubscription {
     subscriptionName: String!,
@@ -79,6 +386,14 @@ const subscriptionSchema = gql`
     subscriptionUuid: String!,
     url: String!
     kubeOwnerName: String
+    """
+    The subscription is paused, the cluster should keep what it applied. Only returned when the org pausedSubscriptionPolicy is hold
+    """
+    hold: Boolean
+    """
+    The uuids of the subscriptions to apply before this one. Subscriptions are returned with their dependencies first
+    """
+    dependsOn: [String!]!
   }
   type SubscriptionUpdated {
     hasUpdates: Boolean
@@ -110,23 +425,106 @@ const subscriptionSchema = gql`
      Ge subscriptions by clusterName
      """
      subscriptionsForClusterByName(orgId: String! @sv, clusterName: String! @sv): [BasicChannelSubscription]
+     """
+     Gets the version changes of a subscription, newest first
+     """
+     subscriptionHistory(orgId: String! @sv, uuid: String! @sv): [SubscriptionVersionChange!]!
+     """
+     Gets the scheduled version changes of the subscriptions the user can read, optionally of one subscription or in one state
+     """
+     scheduledVersionChanges(orgId: String! @sv, subscriptionUuid: String @sv, state: String @sv): [ScheduledVersionChange!]!
+     """
+     Dry runs of addSubscription, editSubscription and setSubscription: the clusters the change would reach,
+     what each gets now and would get. Validation errors are thrown like the mutation does, permission errors are returned
+     """
+     addSubscriptionImpact(orgId: String! @sv, name: String! @sv, groups: [String!] @sv, channelUuid: String! @sv, versionUuid: String! @sv, clusterId: String @sv, clusterSelector: ClusterSelectorInput, dependsOn: [String!] @sv): SubscriptionImpact!
+     editSubscriptionImpact(orgId: String! @sv, uuid: String! @sv, name: String! @sv, groups: [String!]! @sv, channelUuid: String! @sv, versionUuid: String! @sv, clusterId: String @sv, clusterSelector: ClusterSelectorInput, dependsOn: [String!] @sv): SubscriptionImpact!
+     setSubscriptionImpact(orgId: String! @sv, uuid: String! @sv, versionUuid: String! @sv, rollout: SubscriptionRolloutInput): SubscriptionImpact!
   }
   extend type Mutation {
      """
      Adds a subscription
+     Archived versions are rejected, deprecated versions are returned as warnings for addSubscription, editSubscription and setSubscription
      """
-     addSubscription(orgId: String! @sv, name: String! @sv, groups: [String!] @sv, channelUuid: String! @sv, versionUuid: String! @sv, clusterId: String @sv): AddChannelSubscriptionReply!
+     addSubscription(orgId: String! @sv, name: String! @sv, groups: [String!] @sv, channelUuid: String! @sv, versionUuid: String! @sv, clusterId: String @sv, clusterSelector: ClusterSelectorInput, dependsOn: [String!] @sv): AddChannelSubscriptionReply!
      
      """
      Edits a subscription
+     clusterSelector targets the clusters it matches too. Its keys are cluster labels, or metadata. and registration. paths
+     like metadata.kube_version.minor, its operators In, NotIn, Exists, DoesNotExist, Gt and Lt.
+     dependsOn are the uuids of subscriptions clusters apply before this one, they must exist and must not form a cycle.
+     Without dependsOn editSubscription keeps the dependencies
      """
-     editSubscription(orgId: String! @sv, uuid: String! @sv, name: String! @sv, groups: [String!]! @sv, channelUuid: String! @sv, versionUuid: String! @sv, clusterId: String  @sv): EditChannelSubscriptionReply!
+     editSubscription(orgId: String! @sv, uuid: String! @sv, name: String! @sv, groups: [String!]! @sv, channelUuid: String! @sv, versionUuid: String! @sv, clusterId: String  @sv, clusterSelector: ClusterSelectorInput, dependsOn: [String!] @sv): EditChannelSubscriptionReply!
      
      """
      Set a configurationVersion
+     With a rollout the version is applied to the clusters batch by batch, the others keep the current version.
+     Clusters of a rollout reporting errors for the subscription halt it
+     """
+     setSubscription(orgId: String! @sv, uuid: String! @sv, versionUuid: String! @sv, rollout: SubscriptionRolloutInput ): SetSubscriptionReply!
+
      """
-     setSubscription(orgId: String! @sv, uuid: String! @sv, versionUuid: String! @sv ): SetSubscriptionReply!
+     Starts the next batch of a rollout, also continues a halted rollout
+     """
+     advanceSubscriptionRollout(orgId: String! @sv, uuid: String! @sv): SubscriptionRolloutReply!
+
+     """
+     Stops a rollout and sets the subscription back to the version the rollout started from
+     """
+     abortSubscriptionRollout(orgId: String! @sv, uuid: String! @sv): SubscriptionRolloutReply!
      
+     """
+     Sets a subscription back to the version it had before its last steps version changes, 1 by default.
+     The rollback is a version change itself, rolling back one step twice returns to the current version
+     """
+     rollbackSubscription(orgId: String! @sv, uuid: String! @sv, steps: Int): RollbackSubscriptionReply!
+
+     """
+     Pauses a subscription until it is resumed or expires passed. Depending on the org pausedSubscriptionPolicy
+     subscriptionsByClusterId leaves paused subscriptions out (exclude) or returns them with hold set (hold)
+     """
+     pauseSubscription(orgId: String! @sv, uuid: String! @sv, reason: String @sv, expires: DateTime): PauseSubscriptionReply!
+
+     """
+     Resumes a paused subscription
+     """
+     resumeSubscription(orgId: String! @sv, uuid: String! @sv): ResumeSubscriptionReply!
+
+     """
+     Stops delivering a subscription to one of the clusters it targets
+     """
+     excludeSubscriptionCluster(orgId: String! @sv, uuid: String! @sv, clusterId: String! @sv, reason: String @sv): ExcludeSubscriptionClusterReply!
+
+     """
+     Delivers a subscription to an excluded cluster again
+     """
+     includeSubscriptionCluster(orgId: String! @sv, uuid: String! @sv, clusterId: String! @sv): IncludeSubscriptionClusterReply!
+
+     """
+     Pins a cluster to another version of the channel of a subscription until it is unpinned or expires passed.
+     A pin replaces the pin the cluster has, and takes precedence over rollouts
+     """
+     pinSubscriptionClusterVersion(orgId: String! @sv, uuid: String! @sv, clusterId: String! @sv, versionUuid: String! @sv, expires: DateTime, reason: String @sv): PinSubscriptionClusterVersionReply!
+
+     """
+     Removes the pin of a cluster, it gets the version of the subscription again
+     """
+     unpinSubscriptionClusterVersion(orgId: String! @sv, uuid: String! @sv, clusterId: String! @sv): UnpinSubscriptionClusterVersionReply!
+
+     """
+     Schedules a version change which is applied once notBefore, a time in the future, has passed, and with inMaintenanceWindow
+     once the clusters of every group of the subscription with maintenance windows are inside one of them.
+     For a cluster id or a selector these include the groups of the clusters it is delivered to.
+     A subscription has one pending change at a time
+     """
+     scheduleSubscriptionVersion(orgId: String! @sv, uuid: String! @sv, versionUuid: String! @sv, notBefore: DateTime, inMaintenanceWindow: Boolean): ScheduleSubscriptionVersionReply!
+
+     """
+     Cancels a pending scheduled version change
+     """
+     cancelScheduledVersionChange(orgId: String! @sv, uuid: String! @sv): CancelScheduledVersionChangeReply!
+
      """
      Removes a subscription
      """
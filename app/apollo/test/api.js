@@ -57,6 +57,128 @@ const apiFunc = grahqlUrl => {
       },
     );
 
+  const trustedKeys = async (token, variables) =>
+    axios.post(
+      grahqlUrl,
+      {
+        query: `
+        query($orgId: String!) {
+          trustedKeys(orgId: $orgId) {
+            uuid
+            name
+            publicKey
+            fingerprint
+            created
+          }
+        }
+      `,
+        variables,
+      },
+      {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        },
+      },
+    );
+
+  const addTrustedKey = async (token, variables) =>
+    axios.post(
+      grahqlUrl,
+      {
+        query: `
+        mutation($orgId: String!, $name: String!, $publicKey: String!) {
+          addTrustedKey(orgId: $orgId, name: $name, publicKey: $publicKey) {
+            uuid
+            fingerprint
+          }
+        }
+      `,
+        variables,
+      },
+      {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        },
+      },
+    );
+
+  const removeTrustedKey = async (token, variables) =>
+    axios.post(
+      grahqlUrl,
+      {
+        query: `
+        mutation($orgId: String!, $uuid: String!) {
+          removeTrustedKey(orgId: $orgId, uuid: $uuid) {
+            uuid
+            success
+          }
+        }
+      `,
+        variables,
+      },
+      {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        },
+      },
+    );
+
+  const orgSettings = async (token, variables) =>
+    axios.post(
+      grahqlUrl,
+      {
+        query: `
+        query($orgId: String!) {
+          orgSettings(orgId: $orgId) {
+            requireSignedVersions
+            lintRules {
+              rule
+              severity
+              labels
+            }
+            secretScanPolicy
+            pausedSubscriptionPolicy
+            kubeVersion
+          }
+        }
+      `,
+        variables,
+      },
+      {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        },
+      },
+    );
+
+  const updateOrgSettings = async (token, variables) =>
+    axios.post(
+      grahqlUrl,
+      {
+        query: `
+        mutation($orgId: String!, $requireSignedVersions: Boolean, $lintRules: [LintRuleInput!], $secretScanPolicy: String, $pausedSubscriptionPolicy: String, $kubeVersion: String) {
+          updateOrgSettings(orgId: $orgId, requireSignedVersions: $requireSignedVersions, lintRules: $lintRules, secretScanPolicy: $secretScanPolicy, pausedSubscriptionPolicy: $pausedSubscriptionPolicy, kubeVersion: $kubeVersion) {
+            requireSignedVersions
+            lintRules {
+              rule
+              severity
+              labels
+            }
+            secretScanPolicy
+            pausedSubscriptionPolicy
+            kubeVersion
+          }
+        }
+      `,
+        variables,
+      },
+      {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        },
+      },
+    );
+
   const me = async token =>
     axios.post(
       grahqlUrl,
@@ -478,6 +600,11 @@ const apiFunc = grahqlUrl => {
   return {
     registrationUrl,
     organizations,
+    trustedKeys,
+    addTrustedKey,
+    removeTrustedKey,
+    orgSettings,
+    updateOrgSettings,
     me,
     signUp,
     signIn,
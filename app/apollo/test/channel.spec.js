@@ -16,9 +16,14 @@
 
 const { expect } = require('chai');
 const fs = require('fs');
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
 const { MongoMemoryServer } = require('mongodb-memory-server');
 
 const { models } = require('../models');
+const conf = require('../../conf.js').conf;
 const resourceFunc = require('./api');
 const channelFunc = require('./channelApi');
 
@@ -61,12 +66,17 @@ const channel_03_uuid = 'fake_ch_03_uuid';
 const channel_04_name = 'fake_channel_04';
 const channel_04_uuid = 'fake_ch_04_uuid';
 
+// channel versions are validated against the kubernetes schemas, so the test versions are configmaps
+const configMapContent = (value) => `{"apiVersion": "v1", "kind": "ConfigMap", "metadata": {"name": "test"}, "data": {"n0": "${value}"}}`;
+
 const channelVersion_01_name = 'fake_channelVersion_01';
 const channelVersion_01_uuid = 'fake_cv_01_uuid';
 
 const subscription_01_name = 'fake_subscription_01';
 const subscription_01_uuid = 'fake_sub_01_uuid';
 
+const cluster_01_id = 'fake_cluster_01_id';
+
 const createOrganizations = async () => {
   org01Data = JSON.parse(
     fs.readFileSync(
@@ -169,6 +179,20 @@ const createChannels = async () => {
   });
 };
 
+const createClusters = async () => {
+  await models.Cluster.create({
+    org_id: org01._id,
+    cluster_id: cluster_01_id,
+    groups: [{ uuid: 'fake_group_01_uuid', name: 'dev' }],
+    metadata: {
+      kube_version: {
+        major: '1',
+        minor: '19',
+      },
+    },
+    registration: { name: 'my-cluster', region: 'eu-de' },
+  });
+};
 
 const createSubscriptions = async () => {
   await models.Subscription.create({
@@ -199,6 +223,7 @@ describe('channel graphql test suite', () => {
     await createOrganizations();
     await createUsers();
     await createChannels();
+    await createClusters();
     await createSubscriptions();
   
     // Can be uncommented if you want to see the test data that was added to the DB
@@ -339,7 +364,7 @@ describe('channel graphql test suite', () => {
         channelUuid: channel_01_uuid,
         name: `${channel_01_name}:v.0.1`,
         type: 'yaml',
-        content: '{"n0": 123.45}',
+        content: configMapContent('123.45'),
         description: `${channel_01_name}:v.0.1`
       });
       
@@ -356,7 +381,7 @@ describe('channel graphql test suite', () => {
         channelUuid: channel_01_uuid,
         name: `${channel_01_name}:v.0.2`,
         type: 'yaml',
-        content: '{"n0": 456.78}',
+        content: configMapContent('456.78'),
         description: `${channel_01_name}:v.0.2`
       });
     
@@ -376,7 +401,8 @@ describe('channel graphql test suite', () => {
 
       expect(channelVersion.channelName).to.equal(channel_01_name);
       expect(channelVersion.name).to.equal(`${channel_01_name}:v.0.1`);
-      expect(channelVersion.content).to.equal('{"n0": 123.45}');
+      expect(channelVersion.content).to.equal(configMapContent('123.45'));
+      expect(channelVersion.digest).to.equal(crypto.createHash('sha256').update(configMapContent('123.45')).digest('hex'));
       expect(channelVersion.created).to.be.an('string');
 
       // step 4: get a channel version by name by user1 token
@@ -392,9 +418,27 @@ describe('channel graphql test suite', () => {
 
       expect(channelVersionByName.channelName).to.equal(channel_01_name);
       expect(channelVersionByName.name).to.equal(`${channel_01_name}:v.0.2`);
-      expect(channelVersionByName.content).to.equal('{"n0": 456.78}');
+      expect(channelVersionByName.content).to.equal(configMapContent('456.78'));
       expect(channelVersionByName.created).to.be.an('string');
 
+      // step 5: diff the two channel versions by user1 token
+      const {
+        data: {
+          data: { channelVersionDiff },
+        },
+      } = await channelApi.channelVersionDiff(token, {
+        orgId: org01._id,
+        channelUuid: channel_01_uuid,
+        fromVersionUuid: addChannelVersion.versionUuid,
+        toVersionUuid: addChannelVersion2.versionUuid,
+      });
+
+      expect(channelVersionDiff.added).to.have.length(0);
+      expect(channelVersionDiff.removed).to.have.length(0);
+      expect(channelVersionDiff.modified).to.have.length(1);
+      expect(channelVersionDiff.modified[0].diff).to.contain('-  n0: \'123.45\'');
+      expect(channelVersionDiff.modified[0].diff).to.contain('+  n0: \'456.78\'');
+
     } catch (error) {
       if (error.response) {
         console.error('error encountered:  ', error.response.data);
@@ -430,6 +474,109 @@ describe('channel graphql test suite', () => {
     }
   });
 
+  it('Verify user not able to create channel version with an unsupported type', async () => {
+    try {
+      const addChannelVersion = await channelApi.addChannelVersion(adminToken, {
+        orgId: org01._id,
+        channelUuid: channel_01_uuid,
+        name: `${channel_01_name}:v.0.3`,
+        type: 'application/json',
+        content: '{"n0": 123.45}',
+      });
+      expect(addChannelVersion.data.errors[0].message).to.equal('A "type" of application/yaml, helm or kustomize must be specified');
+    } catch (error) {
+      if (error.response) {
+        console.error('error encountered:  ', error.response.data);
+      } else {
+        console.error('error encountered:  ', error);
+      }
+      throw error;
+    }
+  });
+
+  it('add a template channel version and render it for a cluster', async () => {
+    try {
+      const template = 'region: {{cluster.registration.region}}\nminor: "{{cluster.metadata.kube_version.minor}}"\ngroups: [{{#cluster.groups}}{{.}}{{/cluster.groups}}]';
+      const {
+        data: {
+          data: { addChannelVersion },
+        },
+      } = await channelApi.addChannelVersion(adminToken, {
+        orgId: org01._id,
+        channelUuid: channel_04_uuid,
+        name: `${channel_04_name}:template`,
+        type: 'yaml',
+        content: template,
+        isTemplate: true,
+      });
+      expect(addChannelVersion.success).to.equal(true);
+
+      const {
+        data: {
+          data: { channelVersionForCluster },
+        },
+      } = await channelApi.channelVersionForCluster(adminToken, {
+        orgId: org01._id,
+        channelUuid: channel_04_uuid,
+        versionUuid: addChannelVersion.versionUuid,
+        clusterId: cluster_01_id,
+      });
+      expect(channelVersionForCluster.isTemplate).to.equal(true);
+      expect(channelVersionForCluster.content).to.equal('region: eu-de\nminor: "19"\ngroups: [dev]');
+
+      // the raw template is still returned by channelVersion
+      const {
+        data: {
+          data: { channelVersion },
+        },
+      } = await channelApi.channelVersion(adminToken, {
+        orgId: org01._id,
+        channelUuid: channel_04_uuid,
+        versionUuid: addChannelVersion.versionUuid,
+      });
+      expect(channelVersion.content).to.equal(template);
+
+      // templates with syntax errors are rejected on upload
+      const badTemplate = await channelApi.addChannelVersion(adminToken, {
+        orgId: org01._id,
+        channelUuid: channel_04_uuid,
+        name: `${channel_04_name}:bad_template`,
+        type: 'yaml',
+        content: 'region: {{#cluster.registration.region}}',
+        isTemplate: true,
+      });
+      expect(badTemplate.data.errors[0].message).to.have.string('Provided template content is not valid');
+
+      // templates referencing unknown data can not be rendered
+      const {
+        data: {
+          data: { addChannelVersion: addChannelVersion2 },
+        },
+      } = await channelApi.addChannelVersion(adminToken, {
+        orgId: org01._id,
+        channelUuid: channel_04_uuid,
+        name: `${channel_04_name}:template2`,
+        type: 'yaml',
+        content: 'zone: {{cluster.registration.zone}}',
+        isTemplate: true,
+      });
+      const renderError = await channelApi.channelVersionForCluster(adminToken, {
+        orgId: org01._id,
+        channelUuid: channel_04_uuid,
+        versionUuid: addChannelVersion2.versionUuid,
+        clusterId: cluster_01_id,
+      });
+      expect(renderError.data.errors[0].message).to.have.string('cluster.registration.zone');
+    } catch (error) {
+      if (error.response) {
+        console.error('error encountered:  ', error.response.data);
+      } else {
+        console.error('error encountered:  ', error);
+      }
+      throw error;
+    }
+  });
+
   it('edit and remove channel', async () => {
     try {
 
@@ -532,7 +679,7 @@ describe('channel graphql test suite', () => {
         channelUuid: channel_01_uuid,
         name: `${channel_01_name}:v.0.4`,
         type: 'yaml',
-        content: '{"n0": 123.45}',
+        content: configMapContent('123.45'),
         description: `${channel_01_name}:v.0.4`
       });
       expect(addChannelVersion.success).to.equal(true);
@@ -548,7 +695,7 @@ describe('channel graphql test suite', () => {
         channelUuid: channel_01_uuid,
         name: `${channel_01_name}:v.0.5`,
         type: 'yaml',
-        content: '{"n0": 234.78}',
+        content: configMapContent('234.78'),
         description: `${channel_01_name}:v.0.5`
       });
 
@@ -562,7 +709,7 @@ describe('channel graphql test suite', () => {
         channelUuid: channel_01_uuid,
         name: `${channel_01_name}:v.0.6`,
         type: 'yaml',
-        content: '{"n0": 1234.78}',
+        content: configMapContent('1234.78'),
         description: `${channel_01_name}:v.0.6`
       });
       expect(addChannelVersion5.data.errors[0].message).to.equal(`Too many channel version are registered under ${channel_01_uuid}.`);
@@ -578,8 +725,25 @@ describe('channel graphql test suite', () => {
         versionUuid: addChannelVersion.versionUuid,
       }); 
       expect(channelVersion.name).to.equal(`${channel_01_name}:v.0.4`);
-      expect(channelVersion.content).to.equal('{"n0": 123.45}');
+      expect(channelVersion.content).to.equal(configMapContent('123.45'));
       expect(channelVersion.created).to.be.an('string');
+      // a version a scheduled change waits for can not be removed
+      await models.ScheduledVersionChange.create({
+        _id: 'scheduled_change_01',
+        org_id: org01._id,
+        subscription_uuid: 'any_subscription_uuid',
+        channel_uuid: channel_01_uuid,
+        version: channelVersion.name,
+        version_uuid: channelVersion.uuid,
+        notBefore: new Date(Date.now() + 60 * 60 * 1000),
+        state: 'pending',
+      });
+      const { data: scheduledData } = await channelApi.removeChannelVersion(adminToken, {
+        orgId: org01._id,
+        uuid: channelVersion.uuid,
+      });
+      expect(scheduledData.errors[0].message).to.contain('scheduled version changes wait to apply this channel version');
+      await models.ScheduledVersionChange.updateOne({ _id: 'scheduled_change_01' }, { $set: { state: 'cancelled' } });
       const {
         data: {
           data: { removeChannelVersion },
@@ -611,4 +775,556 @@ describe('channel graphql test suite', () => {
       throw error;
     }
   });
+
+  it('remove expired channel versions when the channel version limit is reached', async () => {
+    try {
+      // step 1: a retention must keep something
+      const { data: invalidData } = await channelApi.setChannelRetention(adminToken, {
+        orgId: org01._id,
+        uuid: channel_01_uuid,
+        keepLast: 0,
+      });
+      expect(invalidData.errors[0].message).to.equal('"keepLast" and "maxAgeDays" must be greater than 0');
+
+      // step 2: only keep the last version of channel 01
+      const {
+        data: {
+          data: { setChannelRetention },
+        },
+      } = await channelApi.setChannelRetention(adminToken, {
+        orgId: org01._id,
+        uuid: channel_01_uuid,
+        keepLast: 1,
+      });
+      expect(setChannelRetention.success).to.equal(true);
+
+      // step 3: fill the channel up to the version limit
+      const {
+        data: {
+          data: { addChannelVersion },
+        },
+      } = await channelApi.addChannelVersion(adminToken, {
+        orgId: org01._id,
+        channelUuid: channel_01_uuid,
+        name: `${channel_01_name}:v.0.7`,
+        type: 'yaml',
+        content: configMapContent('7'),
+      });
+      expect(addChannelVersion.success).to.equal(true);
+
+      // step 4: adding one more version removes the expired ones instead of failing
+      const {
+        data: {
+          data: { addChannelVersion: addChannelVersion8 },
+        },
+      } = await channelApi.addChannelVersion(adminToken, {
+        orgId: org01._id,
+        channelUuid: channel_01_uuid,
+        name: `${channel_01_name}:v.0.8`,
+        type: 'yaml',
+        content: configMapContent('8'),
+      });
+      expect(addChannelVersion8.success).to.equal(true);
+
+      const {
+        data: {
+          data: { channel },
+        },
+      } = await channelApi.channel(adminToken, {
+        orgId: org01._id,
+        uuid: channel_01_uuid,
+      });
+      expect(channel.versions.map(version => version.uuid)).to.have.members([addChannelVersion.versionUuid, addChannelVersion8.versionUuid]);
+
+      // step 5: the removals are recorded
+      const {
+        data: {
+          data: { channelVersionRemovals },
+        },
+      } = await channelApi.channelVersionRemovals(adminToken, {
+        orgId: org01._id,
+        channelUuid: channel_01_uuid,
+      });
+      expect(channelVersionRemovals.length).to.equal(3);
+      expect(channelVersionRemovals[0].reason).to.equal('not one of the last 1 versions');
+    } catch (error) {
+      if (error.response) {
+        console.error('error encountered:  ', error.response.data);
+      } else {
+        console.error('error encountered:  ', error);
+      }
+      throw error;
+    }
+  });
+
+  it('validate channel version manifests against the kubernetes schemas and org lint rules', async () => {
+    try {
+      // step 1: warn about unpinned images and reject versions without the team label
+      const {
+        data: {
+          data: { updateOrgSettings },
+        },
+      } = await resourceApi.updateOrgSettings(adminToken, {
+        orgId: org01._id,
+        lintRules: [
+          { rule: 'no-latest-tag', severity: 'warning' },
+          { rule: 'required-labels', severity: 'error', labels: ['team'] },
+        ],
+      });
+      expect(updateOrgSettings.lintRules).to.have.length(2);
+
+      // step 2: a typo and a missing label are reported and the version is not added
+      const deployment = (labels, replicasField) => `
+apiVersion: apps/v1
+kind: Deployment
+metadata:
+  name: web
+  labels: ${JSON.stringify(labels)}
+spec:
+  ${replicasField}: 2
+  selector:
+    matchLabels: {app: web}
+  template:
+    metadata: {labels: {app: web}}
+    spec:
+      containers:
+      - name: web
+        image: nginx:latest
+`;
+      const {
+        data: {
+          data: { addChannelVersion: rejected },
+        },
+      } = await channelApi.addChannelVersion(adminToken, {
+        orgId: org01._id,
+        channelUuid: channel_04_uuid,
+        name: 'web:v1',
+        type: 'application/yaml',
+        content: deployment({}, 'replica'),
+        kubeVersion: '1.21',
+      });
+      expect(rejected.success).to.equal(false);
+      expect(rejected.versionUuid).to.equal(null);
+      expect(rejected.errors.map(error => error.rule)).to.have.members(['schema', 'required-labels']);
+      expect(rejected.errors.find(error => error.rule === 'schema')).to.deep.include({ documentIndex: 0, kind: 'Deployment', name: 'web', path: 'spec', message: 'unknown field "replica"' });
+
+      // step 3: warnings do not stop the version from being added
+      const {
+        data: {
+          data: { addChannelVersion },
+        },
+      } = await channelApi.addChannelVersion(adminToken, {
+        orgId: org01._id,
+        channelUuid: channel_04_uuid,
+        name: 'web:v1',
+        type: 'application/yaml',
+        content: deployment({ team: 'web' }, 'replicas'),
+        kubeVersion: '1.21',
+      });
+      expect(addChannelVersion.success).to.equal(true);
+      expect(addChannelVersion.errors).to.have.length(0);
+      expect(addChannelVersion.warnings).to.have.length(1);
+      expect(addChannelVersion.warnings[0].path).to.equal('spec.template.spec.containers[0].image');
+
+      // step 4: apis are checked against the target kubernetes version
+      const {
+        data: {
+          data: { addChannelVersion: removedApi },
+        },
+      } = await channelApi.addChannelVersion(adminToken, {
+        orgId: org01._id,
+        channelUuid: channel_04_uuid,
+        name: 'ingress:v1',
+        type: 'application/yaml',
+        content: 'apiVersion: extensions/v1beta1\nkind: Ingress\nmetadata:\n  name: web\n  labels: {team: web}\n',
+        kubeVersion: '1.22',
+      });
+      expect(removedApi.success).to.equal(false);
+      expect(removedApi.errors[0].message).to.equal('extensions/v1beta1 Ingress is not served by Kubernetes 1.22');
+
+      // step 5: without a kubeVersion the newest bundled version is used
+      const {
+        data: {
+          data: { addChannelVersion: defaultValidated },
+        },
+      } = await channelApi.addChannelVersion(adminToken, {
+        orgId: org01._id,
+        channelUuid: channel_04_uuid,
+        name: 'ingress:v1',
+        type: 'application/yaml',
+        content: 'apiVersion: extensions/v1beta1\nkind: Ingress\nmetadata:\n  name: web\n  labels: {team: web}\n---\nsettings: {debug: true}\n',
+      });
+      expect(defaultValidated.success).to.equal(false);
+      expect(defaultValidated.errors.map(error => error.message)).to.deep.equal([
+        'extensions/v1beta1 Ingress is not served by Kubernetes 1.22',
+        'missing required field "apiVersion"',
+        'missing required field "kind"',
+      ]);
+
+      // step 6: the org kubeVersion is used when the call does not set one
+      const { data: unsupported } = await resourceApi.updateOrgSettings(adminToken, { orgId: org01._id, kubeVersion: '1.12' });
+      expect(unsupported.errors[0].message).to.contain('kubeVersion must be one of');
+      const { data: { data: { updateOrgSettings: withKubeVersion } } } = await resourceApi.updateOrgSettings(adminToken, { orgId: org01._id, kubeVersion: '1.21' });
+      expect(withKubeVersion.kubeVersion).to.equal('1.21');
+      const {
+        data: {
+          data: { addChannelVersion: orgValidated },
+        },
+      } = await channelApi.addChannelVersion(adminToken, {
+        orgId: org01._id,
+        channelUuid: channel_04_uuid,
+        name: 'ingress:v1',
+        type: 'application/yaml',
+        content: 'apiVersion: extensions/v1beta1\nkind: Ingress\nmetadata:\n  name: web\n  labels: {team: web}\n',
+      });
+      expect(orgValidated.success).to.equal(true);
+      expect(orgValidated.errors).to.have.length(0);
+      const { data: { data: { updateOrgSettings: withoutKubeVersion } } } = await resourceApi.updateOrgSettings(adminToken, { orgId: org01._id, kubeVersion: '' });
+      expect(withoutKubeVersion.kubeVersion).to.equal(null);
+    } catch (error) {
+      if (error.response) {
+        console.error('error encountered:  ', error.response.data);
+      } else {
+        console.error('error encountered:  ', error);
+      }
+      throw error;
+    }
+  });
+
+  it('import channel versions from git and sync a linked channel', async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'channel-git-'));
+    const { localRoots } = conf.git;
+    conf.git.localRoots = [tmpDir];
+    try {
+      // a bare repo with a configmap on its main branch
+      const bareRepo = path.join(tmpDir, 'manifests.git');
+      const workDir = path.join(tmpDir, 'work');
+      const gitArgs = ['-C', workDir, '-c', 'user.name=test', '-c', 'user.email=test@example.com'];
+      execFileSync('git', ['init', '--quiet', '--bare', bareRepo]);
+      execFileSync('git', ['init', '--quiet', workDir]);
+      fs.mkdirSync(path.join(workDir, 'deploy'));
+      fs.writeFileSync(path.join(workDir, 'deploy', 'configmap.yaml'), 'apiVersion: v1\nkind: ConfigMap\nmetadata:\n  name: git\n  labels: {team: web}\n');
+      execFileSync('git', [...gitArgs, 'add', '-A']);
+      execFileSync('git', [...gitArgs, 'commit', '--quiet', '-m', 'configmap']);
+      execFileSync('git', ['-C', workDir, 'push', '--quiet', bareRepo, 'HEAD:refs/heads/main']);
+      const headSha = execFileSync('git', ['-C', workDir, 'rev-parse', 'HEAD']).toString().trim();
+
+      // step 1: import the main branch
+      const {
+        data: {
+          data: { importChannelVersionFromGit },
+        },
+      } = await channelApi.importChannelVersionFromGit(adminToken, {
+        orgId: org01._id,
+        channelUuid: channel_04_uuid,
+        repoUrl: `file://${bareRepo}`,
+        ref: 'main',
+        path: 'deploy/*.yaml',
+        name: 'git-import',
+      });
+      expect(importChannelVersionFromGit.success).to.equal(true);
+      expect(importChannelVersionFromGit.commitSha).to.equal(headSha);
+
+      const {
+        data: {
+          data: { channelVersion },
+        },
+      } = await channelApi.channelVersion(adminToken, {
+        orgId: org01._id,
+        channelUuid: channel_04_uuid,
+        versionUuid: importChannelVersionFromGit.versionUuid,
+      });
+      expect(channelVersion.content).to.contain('# Source: deploy/configmap.yaml');
+      expect(channelVersion.description).to.contain(headSha);
+      expect(channelVersion.gitSource).to.deep.equal({ ref: 'main', commitSha: headSha });
+
+      // step 2: link the channel to the branch, the first sync imports the head commit
+      const {
+        data: {
+          data: { setChannelGitSource },
+        },
+      } = await channelApi.setChannelGitSource(adminToken, {
+        orgId: org01._id,
+        uuid: channel_04_uuid,
+        repoUrl: bareRepo,
+        branch: 'main',
+        path: 'deploy/*.yaml',
+      });
+      expect(setChannelGitSource.success).to.equal(true);
+
+      const {
+        data: {
+          data: { syncChannel },
+        },
+      } = await channelApi.syncChannel(adminToken, {
+        orgId: org01._id,
+        uuid: channel_04_uuid,
+      });
+      expect(syncChannel.success).to.equal(true);
+      expect(syncChannel.commitSha).to.equal(headSha);
+      expect(syncChannel.versionUuid).to.be.an('string');
+
+      // step 3: without new commits nothing is imported
+      const {
+        data: {
+          data: { syncChannel: noChange },
+        },
+      } = await channelApi.syncChannel(adminToken, {
+        orgId: org01._id,
+        uuid: channel_04_uuid,
+      });
+      expect(noChange.success).to.equal(true);
+      expect(noChange.versionUuid).to.equal(null);
+    } catch (error) {
+      if (error.response) {
+        console.error('error encountered:  ', error.response.data);
+      } else {
+        console.error('error encountered:  ', error);
+      }
+      throw error;
+    } finally {
+      // eslint-disable-next-line require-atomic-updates
+      conf.git.localRoots = localRoots;
+      fs.rmdirSync(tmpDir, { recursive: true });
+    }
+  });
+
+  it('export channels and import them with conflict handling', async () => {
+    try {
+      const content = '{"apiVersion": "v1", "kind": "ConfigMap", "metadata": {"name": "imported", "labels": {"team": "web"}}, "data": {"a": "b"}}';
+      const archive = {
+        formatVersion: 1,
+        channels: [
+          { name: 'imported-channel', tags: ['imported'], versions: [{ name: 'v1', type: 'application/yaml', content }] },
+        ],
+        subscriptions: [
+          { name: 'imported-subscription', channelName: 'imported-channel', versionName: 'v1', groups: ['dev'] },
+        ],
+      };
+
+      // step 1: everything is created
+      const {
+        data: {
+          data: { importChannels },
+        },
+      } = await channelApi.importChannels(adminToken, {
+        orgId: org01._id,
+        archive,
+      });
+      expect(importChannels.success).to.equal(true);
+      expect(importChannels.objects.map(obj => `${obj.type}:${obj.result}`)).to.deep.equal(['channel:created', 'version:created', 'subscription:created']);
+      const channelUuid = importChannels.objects[0].uuid;
+
+      // step 2: exporting the channel gives back the archive content
+      const {
+        data: {
+          data: { exportChannels },
+        },
+      } = await channelApi.exportChannels(adminToken, {
+        orgId: org01._id,
+        channelUuids: [channelUuid],
+      });
+      expect(exportChannels.formatVersion).to.equal(1);
+      expect(exportChannels.channels).to.deep.equal([
+        { name: 'imported-channel', tags: ['imported'], versions: [{ name: 'v1', type: 'application/yaml', isTemplate: false, content }] },
+      ]);
+      expect(exportChannels.subscriptions).to.deep.equal(archive.subscriptions);
+
+      // step 3: importing it again skips the existing objects
+      const {
+        data: {
+          data: { importChannels: skipped },
+        },
+      } = await channelApi.importChannels(adminToken, {
+        orgId: org01._id,
+        archive: exportChannels,
+      });
+      expect(skipped.objects.map(obj => obj.result)).to.deep.equal(['skipped', 'skipped', 'skipped']);
+
+      // step 4: overwriting updates the channel tags, the unchanged version is kept
+      archive.channels[0].tags = ['imported', 'overwritten'];
+      const {
+        data: {
+          data: { importChannels: overwritten },
+        },
+      } = await channelApi.importChannels(adminToken, {
+        orgId: org01._id,
+        archive,
+        onConflict: 'overwrite',
+      });
+      expect(overwritten.objects.map(obj => obj.result)).to.deep.equal(['overwritten', 'unchanged', 'overwritten']);
+      const channel = await models.Channel.findOne({ org_id: org01._id, uuid: channelUuid }).lean();
+      expect(channel.tags).to.deep.equal(['imported', 'overwritten']);
+
+      // step 5: invalid archives are rejected
+      const { data: invalid } = await channelApi.importChannels(adminToken, {
+        orgId: org01._id,
+        archive: { formatVersion: 2, channels: [] },
+      });
+      expect(invalid.errors[0].message).to.contain('The archive is not valid: Unsupported formatVersion');
+    } catch (error) {
+      if (error.response) {
+        console.error('error encountered:  ', error.response.data);
+      } else {
+        console.error('error encountered:  ', error);
+      }
+      throw error;
+    }
+  });
+
+  it('search the objects of channel versions', async () => {
+    try {
+      // step 1: the objects of the deployment added when validating manifests were indexed
+      const deployableVersion = await models.DeployableVersion.findOne({ org_id: org01._id, channel_id: channel_04_uuid, name: 'web:v1' }).lean();
+      expect(deployableVersion.inventory).to.deep.equal([
+        { apiVersion: 'apps/v1', kind: 'Deployment', namespace: null, name: 'web', images: ['nginx:latest'] },
+      ]);
+
+      // step 2: objects are found by kind and name, or by image repository
+      for (const search of [{ kind: 'Deployment', name: 'web' }, { image: 'nginx' }, { image: 'nginx:latest' }]) {
+        const {
+          data: {
+            data: { searchChannelObjects },
+          },
+        } = await channelApi.searchChannelObjects(adminToken, { orgId: org01._id, ...search });
+        expect(searchChannelObjects).to.have.length(1);
+        expect(searchChannelObjects[0]).to.deep.include({ channelUuid: channel_04_uuid, versionName: 'web:v1', kind: 'Deployment', name: 'web' });
+      }
+
+      // step 3: other tags of the image do not match
+      const {
+        data: {
+          data: { searchChannelObjects: none },
+        },
+      } = await channelApi.searchChannelObjects(adminToken, { orgId: org01._id, image: 'nginx:1.21' });
+      expect(none).to.have.length(0);
+
+      // step 4: a search needs at least one field
+      const { data: invalid } = await channelApi.searchChannelObjects(adminToken, { orgId: org01._id });
+      expect(invalid.errors[0].message).to.equal('One or more of apiVersion, kind, namespace, name or image must be specified');
+    } catch (error) {
+      if (error.response) {
+        console.error('error encountered:  ', error.response.data);
+      } else {
+        console.error('error encountered:  ', error);
+      }
+      throw error;
+    }
+  });
+
+  it('scan channel versions for secrets with the org policy', async () => {
+    try {
+      const channel = await models.Channel.findOne({ org_id: org01._id, name: 'imported-channel' }).lean();
+      const secret = 'apiVersion: v1\nkind: Secret\nmetadata:\n  name: db\n  labels: {team: web}\nstringData:\n  password: hunter2\n';
+
+      // step 1: by default the findings are warnings and stored with the version
+      const {
+        data: {
+          data: { addChannelVersion },
+        },
+      } = await channelApi.addChannelVersion(adminToken, {
+        orgId: org01._id,
+        channelUuid: channel.uuid,
+        name: 'secret:v1',
+        type: 'application/yaml',
+        content: secret,
+      });
+      expect(addChannelVersion.success).to.equal(true);
+      expect(addChannelVersion.warnings.map(warning => `${warning.rule}:${warning.path}`)).to.deep.equal(['secret-data:stringData']);
+      const deployableVersion = await models.DeployableVersion.findOne({ org_id: org01._id, uuid: addChannelVersion.versionUuid }).lean();
+      expect(deployableVersion.secretFindings).to.have.length(1);
+      expect(deployableVersion.secretFindings[0]).to.deep.include({ rule: 'secret-data', documentIndex: 0, kind: 'Secret', name: 'db' });
+
+      // step 2: with the reject policy the version is not added
+      const {
+        data: {
+          data: { updateOrgSettings },
+        },
+      } = await resourceApi.updateOrgSettings(adminToken, { orgId: org01._id, secretScanPolicy: 'reject' });
+      expect(updateOrgSettings.secretScanPolicy).to.equal('reject');
+      const {
+        data: {
+          data: { addChannelVersion: rejected },
+        },
+      } = await channelApi.addChannelVersion(adminToken, {
+        orgId: org01._id,
+        channelUuid: channel.uuid,
+        name: 'secret:v2',
+        type: 'application/yaml',
+        content: secret,
+      });
+      expect(rejected.success).to.equal(false);
+      expect(rejected.errors.map(error => error.rule)).to.deep.equal(['secret-data']);
+
+      // step 3: unknown policies are refused
+      const { data: invalid } = await resourceApi.updateOrgSettings(adminToken, { orgId: org01._id, secretScanPolicy: 'ignore' });
+      expect(invalid.errors[0].message).to.equal('secretScanPolicy must be one of warn, reject');
+      await resourceApi.updateOrgSettings(adminToken, { orgId: org01._id, secretScanPolicy: 'warn' });
+    } catch (error) {
+      if (error.response) {
+        console.error('error encountered:  ', error.response.data);
+      } else {
+        console.error('error encountered:  ', error);
+      }
+      throw error;
+    }
+  });
+
+  it('start, resume and abort a chunked channel version upload', async () => {
+    try {
+      const channel = await models.Channel.findOne({ org_id: org01._id, name: 'imported-channel' }).lean();
+
+      // step 1: start an upload, its parts are uploaded with multipart requests
+      const {
+        data: {
+          data: { startChannelVersionUpload },
+        },
+      } = await channelApi.startChannelVersionUpload(adminToken, {
+        orgId: org01._id,
+        channelUuid: channel.uuid,
+        name: 'large:v1',
+        description: 'uploaded in parts',
+      });
+      expect(startChannelVersionUpload.channelUuid).to.equal(channel.uuid);
+      expect(startChannelVersionUpload.size).to.equal(0);
+      expect(startChannelVersionUpload.parts).to.deep.equal([]);
+      expect(new Date(startChannelVersionUpload.expires).getTime()).to.be.above(Date.now());
+      const upload = await models.ChannelVersionUpload.findOne({ org_id: org01._id, _id: startChannelVersionUpload.uuid }).lean();
+      expect(upload.uploadKey.content).to.be.a('string');
+
+      // step 2: the upload can be resumed
+      const {
+        data: {
+          data: { channelVersionUpload },
+        },
+      } = await channelApi.channelVersionUpload(adminToken, { orgId: org01._id, uuid: startChannelVersionUpload.uuid });
+      expect(channelVersionUpload.name).to.equal('large:v1');
+      expect(channelVersionUpload.missingParts).to.deep.equal([]);
+
+      // step 3: an upload without parts can not be committed
+      const { data: empty } = await channelApi.commitChannelVersionUpload(adminToken, { orgId: org01._id, uuid: startChannelVersionUpload.uuid });
+      expect(empty.errors[0].message).to.equal('No parts were uploaded');
+
+      // step 4: names of existing versions are refused up front
+      const { data: taken } = await channelApi.startChannelVersionUpload(adminToken, { orgId: org01._id, channelUuid: channel.uuid, name: 'v1' });
+      expect(taken.errors[0].message).to.contain('already exists');
+
+      // step 5: abort removes the upload
+      const {
+        data: {
+          data: { abortChannelVersionUpload },
+        },
+      } = await channelApi.abortChannelVersionUpload(adminToken, { orgId: org01._id, uuid: startChannelVersionUpload.uuid });
+      expect(abortChannelVersionUpload.success).to.equal(true);
+      const { data: removed } = await channelApi.channelVersionUpload(adminToken, { orgId: org01._id, uuid: startChannelVersionUpload.uuid });
+      expect(removed.errors[0].message).to.contain('not found');
+    } catch (error) {
+      if (error.response) {
+        console.error('error encountered:  ', error.response.data);
+      } else {
+        console.error('error encountered:  ', error);
+      }
+      throw error;
+    }
+  });
 });
@@ -119,6 +119,11 @@ const channelFunc = grahqlUrl => {
               type
               description
               content
+              digest
+              gitSource {
+                ref
+                commitSha
+              }
               created
           }
         }
@@ -159,16 +164,82 @@ const channelFunc = grahqlUrl => {
         },
       },
     );
+
+  const channelVersionForCluster = async (token, variables) =>
+    axios.post(
+      grahqlUrl,
+      {
+        query: `
+          query($orgId: String! $channelUuid: String!, $versionUuid: String!, $clusterId: String!) {
+            channelVersionForCluster(orgId: $orgId channelUuid: $channelUuid versionUuid: $versionUuid clusterId: $clusterId) {
+              orgId
+              uuid
+              channelId
+              channelName
+              name
+              type
+              isTemplate
+              content
+          }
+        }
+    `,
+        variables,
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      },
+    );
   
+  const channelVersionDiff = async (token, variables) =>
+    axios.post(
+      grahqlUrl,
+      {
+        query: `
+          query($orgId: String! $channelUuid: String!, $fromVersionUuid: String!, $toVersionUuid: String!) {
+            channelVersionDiff(orgId: $orgId channelUuid: $channelUuid fromVersionUuid: $fromVersionUuid toVersionUuid: $toVersionUuid) {
+              channelUuid
+              fromVersionUuid
+              toVersionUuid
+              added { key kind name }
+              removed { key kind name }
+              modified { key kind name diff }
+          }
+        }
+    `,
+        variables,
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      },
+    );
+
   const addChannelVersion = async (token, variables) =>
     axios.post(
       grahqlUrl,
       {
         query: `
-          mutation($orgId: String!, $channelUuid: String!, $name: String!, $type: String!, $content: String!, $description: String) {
-            addChannelVersion(orgId: $orgId channelUuid: $channelUuid name: $name type: $type content: $content description: $description) {
+          mutation($orgId: String!, $channelUuid: String!, $name: String!, $type: String!, $content: String!, $description: String, $isTemplate: Boolean, $kubeVersion: String) {
+            addChannelVersion(orgId: $orgId channelUuid: $channelUuid name: $name type: $type content: $content description: $description isTemplate: $isTemplate kubeVersion: $kubeVersion) {
               versionUuid
               success
+              errors {
+                rule
+                documentIndex
+                kind
+                name
+                path
+                message
+              }
+              warnings {
+                rule
+                documentIndex
+                path
+                message
+              }
           }
         }
     `,
@@ -265,17 +336,341 @@ const channelFunc = grahqlUrl => {
       },
     );
 
+  const setChannelRetention = async (token, variables) =>
+    axios.post(
+      grahqlUrl,
+      {
+        query: `
+          mutation($orgId: String!, $uuid: String!, $keepLast: Int, $maxAgeDays: Int) {
+            setChannelRetention(orgId: $orgId uuid: $uuid keepLast: $keepLast maxAgeDays: $maxAgeDays) {
+              uuid
+              success
+          }
+        }
+    `,
+        variables,
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      },
+    );
+
+  const channelVersionRemovals = async (token, variables) =>
+    axios.post(
+      grahqlUrl,
+      {
+        query: `
+          query($orgId: String!, $channelUuid: String!) {
+            channelVersionRemovals(orgId: $orgId channelUuid: $channelUuid) {
+              channelUuid
+              versionUuid
+              versionName
+              reason
+              removed
+          }
+        }
+    `,
+        variables,
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      },
+    );
+
+  const importChannelVersionFromGit = async (token, variables) =>
+    axios.post(
+      grahqlUrl,
+      {
+        query: `
+          mutation($orgId: String!, $channelUuid: String!, $repoUrl: String!, $ref: String!, $path: String, $name: String) {
+            importChannelVersionFromGit(orgId: $orgId channelUuid: $channelUuid repoUrl: $repoUrl ref: $ref path: $path name: $name) {
+              versionUuid
+              commitSha
+              success
+              errors {
+                rule
+                message
+              }
+          }
+        }
+    `,
+        variables,
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      },
+    );
+
+  const setChannelGitSource = async (token, variables) =>
+    axios.post(
+      grahqlUrl,
+      {
+        query: `
+          mutation($orgId: String!, $uuid: String!, $repoUrl: String, $branch: String, $path: String) {
+            setChannelGitSource(orgId: $orgId uuid: $uuid repoUrl: $repoUrl branch: $branch path: $path) {
+              uuid
+              success
+          }
+        }
+    `,
+        variables,
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      },
+    );
+
+  const syncChannel = async (token, variables) =>
+    axios.post(
+      grahqlUrl,
+      {
+        query: `
+          mutation($orgId: String!, $uuid: String!) {
+            syncChannel(orgId: $orgId uuid: $uuid) {
+              uuid
+              commitSha
+              versionUuid
+              success
+          }
+        }
+    `,
+        variables,
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      },
+    );
+
+  const setChannelVersionState = async (token, variables) =>
+    axios.post(
+      grahqlUrl,
+      {
+        query: `
+          mutation($orgId: String!, $channelUuid: String!, $versionUuid: String!, $state: String!, $reason: String) {
+            setChannelVersionState(orgId: $orgId channelUuid: $channelUuid versionUuid: $versionUuid state: $state reason: $reason) {
+              uuid
+              state
+              success
+          }
+        }
+    `,
+        variables,
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      },
+    );
+
+  const exportChannels = async (token, variables) =>
+    axios.post(
+      grahqlUrl,
+      {
+        query: `
+          query($orgId: String!, $channelUuids: [String!]) {
+            exportChannels(orgId: $orgId channelUuids: $channelUuids)
+        }
+    `,
+        variables,
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      },
+    );
+
+  const importChannels = async (token, variables) =>
+    axios.post(
+      grahqlUrl,
+      {
+        query: `
+          mutation($orgId: String!, $archive: JSON!, $onConflict: String) {
+            importChannels(orgId: $orgId archive: $archive onConflict: $onConflict) {
+              success
+              objects {
+                type
+                name
+                importedName
+                uuid
+                result
+                error
+              }
+          }
+        }
+    `,
+        variables,
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      },
+    );
+
+  const searchChannelObjects = async (token, variables) =>
+    axios.post(
+      grahqlUrl,
+      {
+        query: `
+          query($orgId: String!, $apiVersion: String, $kind: String, $namespace: String, $name: String, $image: String) {
+            searchChannelObjects(orgId: $orgId apiVersion: $apiVersion kind: $kind namespace: $namespace name: $name image: $image) {
+              channelUuid
+              channelName
+              versionUuid
+              versionName
+              apiVersion
+              kind
+              namespace
+              name
+              images
+          }
+        }
+    `,
+        variables,
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      },
+    );
+
+  const uploadFields = `
+              uuid
+              channelUuid
+              name
+              description
+              kubeVersion
+              size
+              parts {
+                partNumber
+                size
+                digest
+              }
+              missingParts
+              expires
+  `;
+
+  const startChannelVersionUpload = async (token, variables) =>
+    axios.post(
+      grahqlUrl,
+      {
+        query: `
+          mutation($orgId: String!, $channelUuid: String!, $name: String!, $description: String, $kubeVersion: String) {
+            startChannelVersionUpload(orgId: $orgId channelUuid: $channelUuid name: $name description: $description kubeVersion: $kubeVersion) {
+              ${uploadFields}
+          }
+        }
+    `,
+        variables,
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      },
+    );
+
+  const channelVersionUpload = async (token, variables) =>
+    axios.post(
+      grahqlUrl,
+      {
+        query: `
+          query($orgId: String!, $uuid: String!) {
+            channelVersionUpload(orgId: $orgId uuid: $uuid) {
+              ${uploadFields}
+          }
+        }
+    `,
+        variables,
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      },
+    );
+
+  const commitChannelVersionUpload = async (token, variables) =>
+    axios.post(
+      grahqlUrl,
+      {
+        query: `
+          mutation($orgId: String!, $uuid: String!, $digest: String) {
+            commitChannelVersionUpload(orgId: $orgId uuid: $uuid digest: $digest) {
+              success
+              versionUuid
+          }
+        }
+    `,
+        variables,
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      },
+    );
+
+  const abortChannelVersionUpload = async (token, variables) =>
+    axios.post(
+      grahqlUrl,
+      {
+        query: `
+          mutation($orgId: String!, $uuid: String!) {
+            abortChannelVersionUpload(orgId: $orgId uuid: $uuid) {
+              uuid
+              success
+          }
+        }
+    `,
+        variables,
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      },
+    );
+
   return {
     channels,
     channel,
     channelByName,
     channelVersion,
     channelVersionByName,
+    channelVersionForCluster,
+    channelVersionDiff,
     addChannelVersion,
     removeChannelVersion,
     addChannel,
     editChannel,
-    removeChannel
+    removeChannel,
+    setChannelRetention,
+    channelVersionRemovals,
+    importChannelVersionFromGit,
+    setChannelGitSource,
+    syncChannel,
+    setChannelVersionState,
+    exportChannels,
+    importChannels,
+    searchChannelObjects,
+    startChannelVersionUpload,
+    channelVersionUpload,
+    commitChannelVersionUpload,
+    abortChannelVersionUpload
   };
 };
     
@@ -664,6 +664,39 @@ describe('cluster graphql test suite', () => {
     }
   });
 
+  it('set the labels of a cluster by an admin user', async () => {
+    try {
+      const {
+        data: {
+          data: { setClusterLabels },
+        },
+      } = await clusterApi.setClusterLabels(adminToken, {
+        orgId: org01._id,
+        clusterId: 'cluster_01',
+        labels: [{ key: 'region', value: 'eu' }, { key: 'razee.io/tier', value: 'gold' }],
+      });
+      expect(setClusterLabels.clusterId).to.equal('cluster_01');
+      expect(setClusterLabels.labels).to.have.length(2);
+
+      const cluster = await models.Cluster.findOne({ org_id: org01._id, cluster_id: 'cluster_01' }).lean();
+      expect(cluster.labels.map(({ key }) => key)).to.deep.equal(['region', 'razee.io/tier']);
+
+      const data = await clusterApi.setClusterLabels(adminToken, {
+        orgId: org01._id,
+        clusterId: 'cluster_01',
+        labels: [{ key: 'region', value: 'eu' }, { key: 'region', value: 'us' }],
+      });
+      expect(data.data.errors[0].message).to.contain('The cluster labels are not valid');
+    } catch (error) {
+      if (error.response) {
+        console.error('error encountered:  ', error.response.data);
+      } else {
+        console.error('error encountered:  ', error);
+      }
+      throw error;
+    }
+  });
+
   it('user01 should NOT be able to delete cluster by clusterID', async () => {
     try {
       const clusterIdToBeDeleted = 'cluster_to_be_deleted_but_can_not_by_user01';
@@ -386,6 +386,30 @@ const clusterFunc = grahqlUrl => {
       },
     );
 
+  const setClusterLabels = async (token, variables) =>
+    axios.post(
+      grahqlUrl,
+      {
+        query: `
+          mutation($orgId: String!, $clusterId: String!, $labels: [ClusterLabelInput!]!) {
+            setClusterLabels(orgId: $orgId clusterId: $clusterId labels: $labels) {
+              clusterId
+              labels {
+                key
+                value
+              }
+          }
+        }
+      `,
+        variables,
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      },
+    );
+
   return {
     byClusterID,
     byClusterName,
@@ -401,7 +425,8 @@ const clusterFunc = grahqlUrl => {
     deleteClusterByClusterId,
     deleteClusters,
     registerCluster,
-    enableRegistrationUrl
+    enableRegistrationUrl,
+    setClusterLabels
   };
 };
 
@@ -16,6 +16,7 @@
 
 const { expect } = require('chai');
 const fs = require('fs');
+const crypto = require('crypto');
 const { MongoMemoryServer } = require('mongodb-memory-server');
 
 const apiFunc = require('./api');
@@ -123,4 +124,44 @@ describe('organization graphql test suite', () => {
     });
 
   });
+
+  describe('trusted keys and org settings', () => {
+    const { publicKey } = crypto.generateKeyPairSync('ed25519', { publicKeyEncoding: { type: 'spki', format: 'pem' }, privateKeyEncoding: { type: 'pkcs8', format: 'pem' } });
+
+    it('an admin should be able to manage trusted keys and require signed versions', async () => {
+      try {
+        const adminToken = await signInUser(models, api, rootData);
+        const token = await signInUser(models, api, user01Data);
+
+        const addResult = await api.addTrustedKey(adminToken, { orgId: org_01._id, name: 'release-key', publicKey });
+        const { uuid, fingerprint } = addResult.data.data.addTrustedKey;
+        expect(uuid).to.be.a('string');
+        expect(fingerprint).to.have.length(64);
+
+        const duplicateResult = await api.addTrustedKey(adminToken, { orgId: org_01._id, name: 'other-key', publicKey });
+        expect(duplicateResult.data.errors[0].message).to.contain('is already trusted');
+
+        const readerResult = await api.addTrustedKey(token, { orgId: org_01._id, name: 'reader-key', publicKey });
+        expect(readerResult.data.errors[0].message).to.contain('You are not allowed to manage on organization');
+
+        const keysResult = await api.trustedKeys(token, { orgId: org_01._id });
+        expect(keysResult.data.data.trustedKeys).to.have.length(1);
+        expect(keysResult.data.data.trustedKeys[0].name).to.equal('release-key');
+        expect(keysResult.data.data.trustedKeys[0].publicKey).to.equal(publicKey);
+
+        const settingsResult = await api.updateOrgSettings(adminToken, { orgId: org_01._id, requireSignedVersions: true });
+        expect(settingsResult.data.data.updateOrgSettings.requireSignedVersions).to.equal(true);
+        const readSettingsResult = await api.orgSettings(token, { orgId: org_01._id });
+        expect(readSettingsResult.data.data.orgSettings.requireSignedVersions).to.equal(true);
+
+        const removeResult = await api.removeTrustedKey(adminToken, { orgId: org_01._id, uuid });
+        expect(removeResult.data.data.removeTrustedKey.success).to.equal(true);
+        const emptyKeysResult = await api.trustedKeys(token, { orgId: org_01._id });
+        expect(emptyKeysResult.data.data.trustedKeys).to.have.length(0);
+      } catch (error) {
+        console.error('error response is ', error.response);
+        throw error;
+      }
+    });
+  });
 });
@@ -0,0 +1,282 @@
+/**
+ * Copyright 2021 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+const { models } = require('../models');
+const resourceFunc = require('./api');
+const pipelineFunc = require('./pipelineApi');
+
+const apollo = require('../index');
+const { AUTH_MODEL } = require('../models/const');
+const { prepareUser, prepareOrganization, signInUser } = require(`./testHelper.${AUTH_MODEL}`);
+const { GraphqlPubSub } = require('../subscription');
+
+let mongoServer;
+let myApollo;
+
+const graphqlPort = 18007;
+const graphqlUrl = `http://localhost:${graphqlPort}/graphql`;
+const resourceApi = resourceFunc(graphqlUrl);
+const pipelineApi = pipelineFunc(graphqlUrl);
+let token;
+let adminToken;
+
+let org01Data;
+let org01;
+
+let user01Data;
+let user01;
+let userRootData;
+
+const channel_01_name = 'fake_channel_01';
+const channel_01_uuid = 'fake_ch_01_uuid';
+
+const channel_02_name = 'fake_channel_02';
+const channel_02_uuid = 'fake_ch_02_uuid';
+
+const channelVersion_01_name = 'fake_channelVersion_01';
+const channelVersion_01_uuid = 'fake_cv_01_uuid';
+
+const channelVersion_02_name = 'fake_channelVersion_02';
+const channelVersion_02_uuid = 'fake_cv_02_uuid';
+
+const channelVersion_03_name = 'fake_channelVersion_03';
+const channelVersion_03_uuid = 'fake_cv_03_uuid';
+
+const subscription_dev_uuid = 'fake_sub_dev_uuid';
+const subscription_prod_uuid = 'fake_sub_prod_uuid';
+
+const createOrganizations = async () => {
+  org01Data = JSON.parse(
+    fs.readFileSync(
+      `./app/apollo/test/data/${AUTH_MODEL}/cluster.spec.org_01.json`,
+      'utf8',
+    ),
+  );
+  org01 = await prepareOrganization(models, org01Data);
+};
+
+const createUsers = async () => {
+  user01Data = JSON.parse(
+    fs.readFileSync(
+      `./app/apollo/test/data/${AUTH_MODEL}/cluster.spec.user01.json`,
+      'utf8',
+    ),
+  );
+  user01 = await prepareUser(models, user01Data);
+  userRootData = JSON.parse(
+    fs.readFileSync(
+      `./app/apollo/test/data/${AUTH_MODEL}/cluster.spec.root.json`,
+      'utf8',
+    ),
+  );
+  await prepareUser(models, userRootData);
+  return {};
+};
+
+const createChannels = async () => {
+  await models.Channel.create({
+    _id: 'fake_ch_id_1',
+    org_id: org01._id,
+    uuid: channel_01_uuid,
+    name: channel_01_name,
+    versions: [
+      {
+        uuid: channelVersion_01_uuid,
+        name: channelVersion_01_name
+      },
+      {
+        uuid: channelVersion_02_uuid,
+        name: channelVersion_02_name
+      }
+    ]
+  });
+
+  await models.Channel.create({
+    _id: 'fake_ch_id_2',
+    org_id: org01._id,
+    uuid: channel_02_uuid,
+    name: channel_02_name,
+    versions: [
+      {
+        uuid: channelVersion_03_uuid,
+        name: channelVersion_03_name
+      }
+    ]
+  });
+};
+
+const createGroups = async () => {
+  for (const name of ['dev', 'prod']) {
+    await models.Group.create({
+      _id: `fake_group_${name}`,
+      org_id: org01._id,
+      uuid: `fake_group_${name}_uuid`,
+      name,
+      owner: user01._id,
+    });
+  }
+};
+
+const createSubscriptions = async () => {
+  await models.Subscription.create({
+    _id: 'fake_id_dev',
+    org_id: org01._id,
+    uuid: subscription_dev_uuid,
+    name: 'fake_subscription_dev',
+    owner: user01._id,
+    groups: ['dev'],
+    channel_uuid: channel_01_uuid,
+    channel: channel_01_name,
+    version: channelVersion_01_name,
+    version_uuid: channelVersion_01_uuid,
+  });
+
+  await models.Subscription.create({
+    _id: 'fake_id_prod',
+    org_id: org01._id,
+    uuid: subscription_prod_uuid,
+    name: 'fake_subscription_prod',
+    owner: user01._id,
+    groups: ['prod'],
+    channel_uuid: channel_01_uuid,
+    channel: channel_01_name,
+    version: channelVersion_01_name,
+    version_uuid: channelVersion_01_uuid,
+  });
+};
+
+describe('pipeline graphql test suite', () => {
+  before(async () => {
+    process.env.NODE_ENV = 'test';
+    mongoServer = new MongoMemoryServer();
+    const mongoUrl = await mongoServer.getConnectionString();
+    console.log(`    pipeline.js in memory test mongodb url is ${mongoUrl}`);
+
+    myApollo = await apollo({
+      mongo_url: mongoUrl,
+      graphql_port: graphqlPort,
+    });
+
+    await createOrganizations();
+    await createUsers();
+    await createGroups();
+    await createChannels();
+    await createSubscriptions();
+
+    token = await signInUser(models, resourceApi, user01Data);
+    adminToken = await signInUser(models, resourceApi, userRootData);
+  }); // before
+
+  after(async () => {
+    await myApollo.stop(myApollo);
+    GraphqlPubSub.deleteInstance();
+    await mongoServer.stop();
+  }); // after
+
+  it('promote a version through a pipeline', async () => {
+    try {
+      //step1, add a pipeline with a dev and a prod stage which requires approval
+      const {
+        data: {
+          data: { addPipeline },
+        },
+      } = await pipelineApi.addPipeline(adminToken, {
+        orgId: org01._id,
+        name: 'fake_pipeline_01',
+        channelUuid: channel_01_uuid,
+        stages: [
+          { name: 'dev', subscriptionUuid: subscription_dev_uuid },
+          { name: 'prod', subscriptionUuid: subscription_prod_uuid, requireApproval: true },
+        ],
+      });
+      expect(addPipeline.uuid).to.be.an('string');
+
+      const badPipeline = await pipelineApi.addPipeline(adminToken, {
+        orgId: org01._id,
+        name: 'fake_pipeline_02',
+        channelUuid: channel_02_uuid,
+        stages: [ { name: 'dev', subscriptionUuid: subscription_dev_uuid } ],
+      });
+      expect(badPipeline.data.errors[0].message).to.contain('is not a subscription of channel');
+
+      //step2, promote to dev
+      const promoteResult = await pipelineApi.promote(adminToken, {
+        orgId: org01._id,
+        pipelineUuid: addPipeline.uuid,
+        versionUuid: channelVersion_02_uuid,
+      });
+      expect(promoteResult.data.data.promote.stageName).to.equal('dev');
+
+      //step3, prod needs an approval first
+      const unapprovedResult = await pipelineApi.promote(adminToken, {
+        orgId: org01._id,
+        pipelineUuid: addPipeline.uuid,
+        versionUuid: channelVersion_02_uuid,
+      });
+      expect(unapprovedResult.data.errors[0].message).to.contain('requires an approval');
+
+      const approveResult = await pipelineApi.approvePipelineStage(adminToken, {
+        orgId: org01._id,
+        pipelineUuid: addPipeline.uuid,
+        stageName: 'prod',
+        versionUuid: channelVersion_02_uuid,
+      });
+      expect(approveResult.data.data.approvePipelineStage.success).to.equal(true);
+
+      const approvedResult = await pipelineApi.promote(adminToken, {
+        orgId: org01._id,
+        pipelineUuid: addPipeline.uuid,
+        versionUuid: channelVersion_02_uuid,
+      });
+      expect(approvedResult.data.data.promote.stageName).to.equal('prod');
+      expect(approvedResult.data.data.promote.subscriptionUuid).to.equal(subscription_prod_uuid);
+
+      //step4, every stage runs the version
+      const { data: { data: { pipeline } } } = await pipelineApi.pipeline(token, {
+        orgId: org01._id,
+        uuid: addPipeline.uuid,
+      });
+      expect(pipeline.stages.map(stage => stage.versionName)).to.deep.equal([channelVersion_02_name, channelVersion_02_name]);
+      expect(pipeline.stages[1].approvals[0].versionUuid).to.equal(channelVersion_02_uuid);
+      expect(pipeline.stages[1].promoted).to.be.an('string');
+
+      const doneResult = await pipelineApi.promote(adminToken, {
+        orgId: org01._id,
+        pipelineUuid: addPipeline.uuid,
+        versionUuid: channelVersion_02_uuid,
+      });
+      expect(doneResult.data.errors[0].message).to.contain('already runs on every stage');
+
+      //step5, remove the pipeline
+      const { data: { data: { removePipeline } } } = await pipelineApi.removePipeline(adminToken, {
+        orgId: org01._id,
+        uuid: addPipeline.uuid,
+      });
+      expect(removePipeline.success).to.equal(true);
+    } catch (error) {
+      if (error.response) {
+        console.error('error encountered:  ', error.response.data);
+      } else {
+        console.error('error encountered:  ', error);
+      }
+      throw error;
+    }
+  });
+});
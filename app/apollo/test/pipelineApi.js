@@ -0,0 +1,173 @@
+/**
+ * Copyright 2021 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const axios = require('axios');
+
+const pipelineFunc = grahqlUrl => {
+  const pipeline = async (token, variables) =>
+    axios.post(
+      grahqlUrl,
+      {
+        query: `
+          query($orgId: String!, $uuid: String!) {
+            pipeline(orgId: $orgId, uuid: $uuid) {
+              uuid
+              name
+              channelUuid
+              stages {
+                name
+                subscriptionUuid
+                groups
+                requireApproval
+                minSoakMinutes
+                versionUuid
+                versionName
+                promotedVersionUuid
+                promoted
+                approvals {
+                  versionUuid
+                  approvedBy
+                }
+              }
+          }
+        }
+    `,
+        variables,
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      },
+    );
+
+  const pipelines = async (token, variables) =>
+    axios.post(
+      grahqlUrl,
+      {
+        query: `
+          query($orgId: String!) {
+            pipelines(orgId: $orgId) {
+              uuid
+              name
+          }
+        }
+    `,
+        variables,
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      },
+    );
+
+  const addPipeline = async (token, variables) =>
+    axios.post(
+      grahqlUrl,
+      {
+        query: `
+          mutation($orgId: String!, $name: String!, $channelUuid: String!, $stages: [PipelineStageInput!]!) {
+            addPipeline(orgId: $orgId, name: $name, channelUuid: $channelUuid, stages: $stages) {
+              uuid
+          }
+        }
+    `,
+        variables,
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      },
+    );
+
+  const removePipeline = async (token, variables) =>
+    axios.post(
+      grahqlUrl,
+      {
+        query: `
+          mutation($orgId: String!, $uuid: String!) {
+            removePipeline(orgId: $orgId, uuid: $uuid) {
+              uuid
+              success
+          }
+        }
+    `,
+        variables,
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      },
+    );
+
+  const promote = async (token, variables) =>
+    axios.post(
+      grahqlUrl,
+      {
+        query: `
+          mutation($orgId: String!, $pipelineUuid: String!, $versionUuid: String!) {
+            promote(orgId: $orgId, pipelineUuid: $pipelineUuid, versionUuid: $versionUuid) {
+              uuid
+              stageName
+              subscriptionUuid
+              success
+          }
+        }
+    `,
+        variables,
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      },
+    );
+
+  const approvePipelineStage = async (token, variables) =>
+    axios.post(
+      grahqlUrl,
+      {
+        query: `
+          mutation($orgId: String!, $pipelineUuid: String!, $stageName: String!, $versionUuid: String!) {
+            approvePipelineStage(orgId: $orgId, pipelineUuid: $pipelineUuid, stageName: $stageName, versionUuid: $versionUuid) {
+              uuid
+              success
+          }
+        }
+    `,
+        variables,
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      },
+    );
+
+  return {
+    pipeline,
+    pipelines,
+    addPipeline,
+    removePipeline,
+    promote,
+    approvePipelineStage,
+  };
+};
+
+module.exports = pipelineFunc;
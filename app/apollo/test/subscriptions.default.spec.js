@@ -254,4 +254,100 @@ describe('subscriptions graphql test suite', () => {
     }
   });
 
+  it('get should leave out paused subscriptions or return them on hold', async () => {
+    try {
+      await models.Subscription.updateOne({ org_id: org01._id, uuid: sub_01_uuid }, { $set: { pause: { reason: 'incident', paused: new Date() } } });
+      let result = await subscriptionsApi.subscriptionsByClusterId(token, { clusterId: cluster_id }, orgKey);
+      expect(result.data.data.subscriptionsByClusterId).to.have.length(0);
+
+      await models.Organization.updateOne({ _id: org01._id }, { $set: { 'settings.pausedSubscriptionPolicy': 'hold' } });
+      result = await subscriptionsApi.subscriptionsByClusterId(token, { clusterId: cluster_id }, orgKey);
+      expect(result.data.data.subscriptionsByClusterId).to.have.length(1);
+      expect(result.data.data.subscriptionsByClusterId[0].hold).to.equal(true);
+
+      // an expired pause no longer counts
+      await models.Subscription.updateOne({ org_id: org01._id, uuid: sub_01_uuid }, { $set: { 'pause.expires': new Date(Date.now() - 1000) } });
+      result = await subscriptionsApi.subscriptionsByClusterId(token, { clusterId: cluster_id }, orgKey);
+      expect(result.data.data.subscriptionsByClusterId[0].hold).to.equal(false);
+
+      await models.Organization.updateOne({ _id: org01._id }, { $unset: { 'settings.pausedSubscriptionPolicy': '' } });
+      await models.Subscription.updateOne({ org_id: org01._id, uuid: sub_01_uuid }, { $unset: { pause: '' } });
+    } catch (error) {
+      if (error.response) {
+        console.error('error encountered:  ', error.response.data);
+      } else {
+        console.error('error encountered:  ', error);
+      }
+      throw error;
+    }
+  });
+
+  it('get should leave out subscriptions excluding the cluster', async () => {
+    try {
+      await models.Subscription.updateOne({ org_id: org01._id, uuid: sub_01_uuid }, { $set: { excludedClusters: [{ clusterId: cluster_id, excludedBy: 'tester', excluded: new Date() }] } });
+      const result = await subscriptionsApi.subscriptionsByClusterId(token, { clusterId: cluster_id }, orgKey);
+      expect(result.data.data.subscriptionsByClusterId).to.have.length(0);
+
+      await models.Subscription.updateOne({ org_id: org01._id, uuid: sub_01_uuid }, { $set: { excludedClusters: [] } });
+    } catch (error) {
+      if (error.response) {
+        console.error('error encountered:  ', error.response.data);
+      } else {
+        console.error('error encountered:  ', error);
+      }
+      throw error;
+    }
+  });
+
+  it('get should return subscriptions with their dependencies first', async () => {
+    try {
+      // sub_02 targets cluster_01 too, sub_01 depends on it
+      await models.Subscription.updateOne({ org_id: org01._id, uuid: sub_02_uuid }, { $set: { clusterId: cluster_id } });
+      await models.Subscription.updateOne({ org_id: org01._id, uuid: sub_01_uuid }, { $set: { dependsOn: [sub_02_uuid] } });
+      const result = await subscriptionsApi.subscriptionsByClusterId(token, { clusterId: cluster_id }, orgKey);
+      const { subscriptionsByClusterId } = result.data.data;
+      expect(subscriptionsByClusterId.map((sub) => sub.subscriptionUuid)).to.deep.equal([sub_02_uuid, sub_01_uuid]);
+      expect(subscriptionsByClusterId[0].dependsOn).to.deep.equal([]);
+      expect(subscriptionsByClusterId[1].dependsOn).to.deep.equal([sub_02_uuid]);
+
+      await models.Subscription.updateOne({ org_id: org01._id, uuid: sub_02_uuid }, { $unset: { clusterId: '' } });
+      await models.Subscription.updateOne({ org_id: org01._id, uuid: sub_01_uuid }, { $set: { dependsOn: [] } });
+    } catch (error) {
+      if (error.response) {
+        console.error('error encountered:  ', error.response.data);
+      } else {
+        console.error('error encountered:  ', error);
+      }
+      throw error;
+    }
+  });
+
+  it('get should return subscriptions whose cluster selector matches the cluster', async () => {
+    try {
+      // cluster_02 is not in the prod group of sub_02
+      await models.Cluster.updateOne({ org_id: org01._id, cluster_id: cluster_id_2 }, { $set: { labels: [{ key: 'region', value: 'eu' }] } });
+      await models.Subscription.updateOne({ org_id: org01._id, uuid: sub_02_uuid }, { $set: { clusterSelector: {
+        matchLabels: [{ key: 'region', value: 'eu' }],
+        matchExpressions: [{ key: 'metadata.kube_version.major', operator: 'Exists' }],
+      } } });
+      let result = await subscriptionsApi.subscriptionsByClusterId(token, { clusterId: cluster_id_2 }, orgKey);
+      expect(result.data.data.subscriptionsByClusterId).to.have.length(1);
+      expect(result.data.data.subscriptionsByClusterId[0].subscriptionUuid).to.equal(sub_02_uuid);
+
+      await models.Cluster.updateOne({ org_id: org01._id, cluster_id: cluster_id_2 }, { $set: { labels: [{ key: 'region', value: 'us' }] } });
+      result = await subscriptionsApi.subscriptionsByClusterId(token, { clusterId: cluster_id_2 }, orgKey);
+      expect(result.data.data.subscriptionsByClusterId).to.have.length(0);
+
+      await models.Cluster.updateOne({ org_id: org01._id, cluster_id: cluster_id_2 }, { $unset: { labels: '' } });
+      await models.Subscription.updateOne({ org_id: org01._id, uuid: sub_02_uuid }, { $unset: { clusterSelector: '' } });
+    } catch (error) {
+      if (error.response) {
+        console.error('error encountered:  ', error.response.data);
+      } else {
+        console.error('error encountered:  ', error);
+      }
+      throw error;
+    }
+  });
+
 });
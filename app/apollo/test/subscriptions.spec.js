@@ -22,11 +22,13 @@ const { MongoMemoryServer } = require('mongodb-memory-server');
 const { models } = require('../models');
 const resourceFunc = require('./api');
 const subscriptionFunc = require('./subscriptionsApi');
+const channelFunc = require('./channelApi');
 
 const apollo = require('../index');
 const { AUTH_MODEL } = require('../models/const');
 const { prepareUser, prepareOrganization, signInUser } = require(`./testHelper.${AUTH_MODEL}`);
 const { GraphqlPubSub } = require('../subscription');
+const { applyScheduledChanges } = require('../../utils/scheduledChanges');
 
 //const why = require('why-is-node-running');
 
@@ -38,6 +40,7 @@ const graphqlPort = 18006;
 const graphqlUrl = `http://localhost:${graphqlPort}/graphql`;
 const resourceApi = resourceFunc(graphqlUrl);
 const subscriptionApi = subscriptionFunc(graphqlUrl);
+const channelApi = channelFunc(graphqlUrl);
 let token;
 let adminToken;
 
@@ -532,6 +535,646 @@ describe('subscription graphql test suite', () => {
     }
   });
 
+  it('deprecate and archive channel versions', async () => {
+    try {
+      // step 1: deprecate the version subscription 02 uses
+      const {
+        data: {
+          data: { setChannelVersionState },
+        },
+      } = await channelApi.setChannelVersionState(adminToken, {
+        orgId: org01._id,
+        channelUuid: channel_01_uuid,
+        versionUuid: channelVersion_01_uuid,
+        state: 'deprecated',
+        reason: 'CVE-2021-1234',
+      });
+      expect(setChannelVersionState.success).to.equal(true);
+
+      // step 2: the subscription is flagged
+      const {
+        data: {
+          data: { subscriptions },
+        },
+      } = await subscriptionApi.subscriptions(adminToken, {
+        orgId: org01._id,
+      });
+      const subscription = subscriptions.find(sub => sub.uuid === subscription_02_uuid);
+      expect(subscription.versionState).to.equal('deprecated');
+      expect(subscription.versionStateReason).to.equal('CVE-2021-1234');
+
+      // step 3: setting a subscription to a deprecated version warns
+      const {
+        data: {
+          data: { setSubscription },
+        },
+      } = await subscriptionApi.setSubscription(adminToken, {
+        orgId: org01._id,
+        uuid: subscription_02_uuid,
+        versionUuid: channelVersion_01_uuid,
+      });
+      expect(setSubscription.success).to.equal(true);
+      expect(setSubscription.warnings).to.deep.equal([`The channel version ${channelVersion_01_name} is deprecated: CVE-2021-1234`]);
+
+      // step 4: archived versions are rejected
+      await channelApi.setChannelVersionState(adminToken, {
+        orgId: org01._id,
+        channelUuid: channel_01_uuid,
+        versionUuid: channelVersion_02_uuid,
+        state: 'archived',
+      });
+      const { data: archivedData } = await subscriptionApi.setSubscription(adminToken, {
+        orgId: org01._id,
+        uuid: subscription_02_uuid,
+        versionUuid: channelVersion_02_uuid,
+      });
+      expect(archivedData.errors[0].message).to.equal(`The channel version ${channelVersion_02_name} is archived and can not be subscribed to.`);
+
+      // step 5: back to active for the next tests
+      for (const versionUuid of [channelVersion_01_uuid, channelVersion_02_uuid]) {
+        await channelApi.setChannelVersionState(adminToken, {
+          orgId: org01._id,
+          channelUuid: channel_01_uuid,
+          versionUuid,
+          state: 'active',
+        });
+      }
+    } catch (error) {
+      if (error.response) {
+        console.error('error encountered:  ', error.response.data);
+      } else {
+        console.error('error encountered:  ', error);
+      }
+      throw error;
+    }
+  });
+
+  it('roll out a version to the clusters of a subscription in batches', async () => {
+    try {
+      // the rollout starts from version 02
+      await subscriptionApi.setSubscription(adminToken, {
+        orgId: org01._id,
+        uuid: subscription_02_uuid,
+        versionUuid: channelVersion_02_uuid,
+      });
+
+      // a second dev cluster, so the rollout takes two batches
+      await models.Cluster.create({
+        org_id: org01._id,
+        cluster_id: 'cluster_rollout',
+        groups: [{ uuid: 'uuid', name: 'dev' }],
+        registration: { name: 'my-rollout-cluster' },
+      });
+
+      //step1, roll out version 01 one cluster at a time
+      const {
+        data: {
+          data: { setSubscription },
+        },
+      } = await subscriptionApi.setSubscription(adminToken, {
+        orgId: org01._id,
+        uuid: subscription_02_uuid,
+        versionUuid: channelVersion_01_uuid,
+        rollout: { batchSize: 1 },
+      });
+      expect(setSubscription.rollout.state).to.equal('progressing');
+      expect(setSubscription.rollout.clusterIds).to.have.length(1);
+      let subscription = await models.Subscription.findOne({ org_id: org01._id, uuid: subscription_02_uuid }).lean();
+      expect(subscription.version_uuid).to.equal(channelVersion_01_uuid);
+      expect(subscription.rollout.fromVersionUuid).to.equal(channelVersion_02_uuid);
+
+      //step2, a second rollout is refused
+      const { data: secondData } = await subscriptionApi.setSubscription(adminToken, {
+        orgId: org01._id,
+        uuid: subscription_02_uuid,
+        versionUuid: channelVersion_02_uuid,
+        rollout: { percentages: [50] },
+      });
+      expect(secondData.errors[0].message).to.contain('has a rollout in progress');
+
+      //step3, the next batch completes the rollout
+      const {
+        data: {
+          data: { advanceSubscriptionRollout },
+        },
+      } = await subscriptionApi.advanceSubscriptionRollout(adminToken, { orgId: org01._id, uuid: subscription_02_uuid });
+      expect(advanceSubscriptionRollout.rollout.state).to.equal('completed');
+      expect(advanceSubscriptionRollout.rollout.clusterIds).to.have.members(['cluster_01', 'cluster_rollout']);
+
+      //step4, abort a rollout back to version 01
+      await subscriptionApi.setSubscription(adminToken, {
+        orgId: org01._id,
+        uuid: subscription_02_uuid,
+        versionUuid: channelVersion_02_uuid,
+        rollout: { percentages: [50], soakMinutes: 60 },
+      });
+      const {
+        data: {
+          data: { abortSubscriptionRollout },
+        },
+      } = await subscriptionApi.abortSubscriptionRollout(adminToken, { orgId: org01._id, uuid: subscription_02_uuid });
+      expect(abortSubscriptionRollout.rollout.state).to.equal('aborted');
+      subscription = await models.Subscription.findOne({ org_id: org01._id, uuid: subscription_02_uuid }).lean();
+      expect(subscription.version_uuid).to.equal(channelVersion_01_uuid);
+
+      //step5, invalid rollouts are refused
+      const { data: invalidData } = await subscriptionApi.setSubscription(adminToken, {
+        orgId: org01._id,
+        uuid: subscription_02_uuid,
+        versionUuid: channelVersion_02_uuid,
+        rollout: { percentages: [50, 20] },
+      });
+      expect(invalidData.errors[0].message).to.equal('The rollout is not valid: percentages must increase from batch to batch');
+
+      await models.Cluster.deleteOne({ org_id: org01._id, cluster_id: 'cluster_rollout' });
+    } catch (error) {
+      if (error.response) {
+        console.error('error encountered:  ', error.response.data);
+      } else {
+        console.error('error encountered:  ', error);
+      }
+      throw error;
+    }
+  });
+
+  it('schedule a subscription version change', async () => {
+    try {
+      //step1, a change for later is pending
+      const notBefore = new Date(Date.now() + 60 * 60 * 1000);
+      const {
+        data: {
+          data: { scheduleSubscriptionVersion },
+        },
+      } = await subscriptionApi.scheduleSubscriptionVersion(adminToken, {
+        orgId: org01._id,
+        uuid: subscription_02_uuid,
+        versionUuid: channelVersion_02_uuid,
+        notBefore: notBefore.toISOString(),
+      });
+      expect(scheduleSubscriptionVersion.scheduledChange.state).to.equal('pending');
+      let {
+        data: {
+          data: { scheduledVersionChanges },
+        },
+      } = await subscriptionApi.scheduledVersionChanges(adminToken, { orgId: org01._id, subscriptionUuid: subscription_02_uuid, state: 'pending' });
+      expect(scheduledVersionChanges).to.have.length(1);
+      expect(scheduledVersionChanges[0].uuid).to.equal(scheduleSubscriptionVersion.uuid);
+
+      //step2, a subscription has one pending change at a time
+      const { data: secondData } = await subscriptionApi.scheduleSubscriptionVersion(adminToken, {
+        orgId: org01._id,
+        uuid: subscription_02_uuid,
+        versionUuid: channelVersion_02_uuid,
+        notBefore: notBefore.toISOString(),
+      });
+      expect(secondData.errors[0].message).to.contain('already has a scheduled version change');
+
+      //step3, the change is not applied before its time, and can be cancelled
+      await applyScheduledChanges();
+      let subscription = await models.Subscription.findOne({ org_id: org01._id, uuid: subscription_02_uuid }).lean();
+      expect(subscription.version_uuid).to.equal(channelVersion_01_uuid);
+      const { version } = subscription;
+      const {
+        data: {
+          data: { cancelScheduledVersionChange },
+        },
+      } = await subscriptionApi.cancelScheduledVersionChange(adminToken, { orgId: org01._id, uuid: scheduleSubscriptionVersion.uuid });
+      expect(cancelScheduledVersionChange.success).to.equal(true);
+
+      //step4, waiting for a maintenance window requires the groups to have windows
+      const { data: windowData } = await subscriptionApi.scheduleSubscriptionVersion(adminToken, {
+        orgId: org01._id,
+        uuid: subscription_02_uuid,
+        versionUuid: channelVersion_02_uuid,
+        inMaintenanceWindow: true,
+      });
+      expect(windowData.errors[0].message).to.contain('have maintenance windows');
+
+      //step5, notBefore can not be in the past
+      const { data: pastData } = await subscriptionApi.scheduleSubscriptionVersion(adminToken, {
+        orgId: org01._id,
+        uuid: subscription_02_uuid,
+        versionUuid: channelVersion_02_uuid,
+        notBefore: new Date(Date.now() - 60 * 1000).toISOString(),
+      });
+      expect(pastData.errors[0].message).to.contain('is in the past');
+
+      //step6, a due change is applied by the scheduler
+      const { data: dueData } = await subscriptionApi.scheduleSubscriptionVersion(adminToken, {
+        orgId: org01._id,
+        uuid: subscription_02_uuid,
+        versionUuid: channelVersion_02_uuid,
+        notBefore: notBefore.toISOString(),
+      });
+      await models.ScheduledVersionChange.updateOne({ _id: dueData.data.scheduleSubscriptionVersion.uuid }, { $set: { notBefore: new Date() } });
+      expect(await applyScheduledChanges()).to.deep.equal({ applied: 1, failed: 0 });
+      subscription = await models.Subscription.findOne({ org_id: org01._id, uuid: subscription_02_uuid }).lean();
+      expect(subscription.version_uuid).to.equal(channelVersion_02_uuid);
+      ({
+        data: {
+          data: { scheduledVersionChanges },
+        },
+      } = await subscriptionApi.scheduledVersionChanges(adminToken, { orgId: org01._id, subscriptionUuid: subscription_02_uuid }));
+      expect(scheduledVersionChanges.map((change) => change.state)).to.have.members(['applied', 'cancelled']);
+      expect(scheduledVersionChanges[0].uuid).to.equal(dueData.data.scheduleSubscriptionVersion.uuid);
+
+      await models.Subscription.updateOne({ org_id: org01._id, uuid: subscription_02_uuid }, { $set: { version, version_uuid: channelVersion_01_uuid } });
+    } catch (error) {
+      if (error.response) {
+        console.error('error encountered:  ', error.response.data);
+      } else {
+        console.error('error encountered:  ', error);
+      }
+      throw error;
+    }
+  });
+
+  it('record the version history of a subscription and roll it back', async () => {
+    try {
+      //step1, a version change is recorded
+      await subscriptionApi.setSubscription(adminToken, {
+        orgId: org01._id,
+        uuid: subscription_02_uuid,
+        versionUuid: channelVersion_02_uuid,
+      });
+      let {
+        data: {
+          data: { subscriptionHistory },
+        },
+      } = await subscriptionApi.subscriptionHistory(adminToken, { orgId: org01._id, uuid: subscription_02_uuid });
+      expect(subscriptionHistory[0].action).to.equal('set');
+      expect(subscriptionHistory[0].fromVersionUuid).to.equal(channelVersion_01_uuid);
+      expect(subscriptionHistory[0].versionUuid).to.equal(channelVersion_02_uuid);
+      expect(subscriptionHistory[0].changedBy.id).to.not.equal('undefined');
+
+      //step2, a rollback restores the previous version and is recorded too
+      const {
+        data: {
+          data: { rollbackSubscription },
+        },
+      } = await subscriptionApi.rollbackSubscription(adminToken, { orgId: org01._id, uuid: subscription_02_uuid });
+      expect(rollbackSubscription.versionUuid).to.equal(channelVersion_01_uuid);
+      const subscription = await models.Subscription.findOne({ org_id: org01._id, uuid: subscription_02_uuid }).lean();
+      expect(subscription.version_uuid).to.equal(channelVersion_01_uuid);
+      ({
+        data: {
+          data: { subscriptionHistory },
+        },
+      } = await subscriptionApi.subscriptionHistory(adminToken, { orgId: org01._id, uuid: subscription_02_uuid }));
+      expect(subscriptionHistory[0].action).to.equal('rollback');
+      expect(subscriptionHistory[0].versionUuid).to.equal(channelVersion_01_uuid);
+
+      //step3, a rollback can not go back further than the history
+      const { data } = await subscriptionApi.rollbackSubscription(adminToken, { orgId: org01._id, uuid: subscription_02_uuid, steps: subscriptionHistory.length + 1 });
+      expect(data.errors[0].message).to.contain('version changes to roll back');
+    } catch (error) {
+      if (error.response) {
+        console.error('error encountered:  ', error.response.data);
+      } else {
+        console.error('error encountered:  ', error);
+      }
+      throw error;
+    }
+  });
+
+  it('pause and resume a subscription', async () => {
+    try {
+      //step1, pause with a reason
+      const {
+        data: {
+          data: { pauseSubscription },
+        },
+      } = await subscriptionApi.pauseSubscription(adminToken, { orgId: org01._id, uuid: subscription_02_uuid, reason: 'incident 42' });
+      expect(pauseSubscription.pause.reason).to.equal('incident 42');
+      const { data: pausedData } = await subscriptionApi.subscription(adminToken, { orgId: org01._id, uuid: subscription_02_uuid });
+      expect(pausedData.data.subscription.pause.reason).to.equal('incident 42');
+
+      //step2, a paused subscription can not be paused again
+      const { data: againData } = await subscriptionApi.pauseSubscription(adminToken, { orgId: org01._id, uuid: subscription_02_uuid });
+      expect(againData.errors[0].message).to.contain('is already paused');
+
+      //step3, resume, both are in the history
+      const {
+        data: {
+          data: { resumeSubscription },
+        },
+      } = await subscriptionApi.resumeSubscription(adminToken, { orgId: org01._id, uuid: subscription_02_uuid });
+      expect(resumeSubscription.success).to.equal(true);
+      const subscription = await models.Subscription.findOne({ org_id: org01._id, uuid: subscription_02_uuid }).lean();
+      expect(subscription.pause).to.equal(undefined);
+      const {
+        data: {
+          data: { subscriptionHistory },
+        },
+      } = await subscriptionApi.subscriptionHistory(adminToken, { orgId: org01._id, uuid: subscription_02_uuid });
+      expect(subscriptionHistory.slice(0, 2).map((change) => change.action)).to.deep.equal(['resume', 'pause']);
+
+      //step4, a pause has to expire in the future
+      const { data: expiredData } = await subscriptionApi.pauseSubscription(adminToken, { orgId: org01._id, uuid: subscription_02_uuid, expires: new Date(Date.now() - 1000).toISOString() });
+      expect(expiredData.errors[0].message).to.contain('must expire in the future');
+    } catch (error) {
+      if (error.response) {
+        console.error('error encountered:  ', error.response.data);
+      } else {
+        console.error('error encountered:  ', error);
+      }
+      throw error;
+    }
+  });
+
+  it('preview the clusters a subscription change reaches', async () => {
+    try {
+      const subscription = await models.Subscription.findOne({ org_id: org01._id, uuid: subscription_02_uuid }).lean();
+      const versionUuid = subscription.version_uuid === channelVersion_01_uuid ? channelVersion_02_uuid : channelVersion_01_uuid;
+
+      //step1, setting the version updates the dev cluster, nothing is changed yet
+      const {
+        data: {
+          data: { setSubscriptionImpact },
+        },
+      } = await subscriptionApi.setSubscriptionImpact(adminToken, { orgId: org01._id, uuid: subscription_02_uuid, versionUuid });
+      expect(setSubscriptionImpact.permissionErrors).to.deep.equal([]);
+      expect(setSubscriptionImpact.clusters).to.have.length(1);
+      const [cluster] = setSubscriptionImpact.clusters;
+      expect(cluster.clusterId).to.equal('cluster_01');
+      expect(cluster.name).to.equal('my-cluster1');
+      expect(cluster.fromVersionUuid).to.equal(subscription.version_uuid);
+      expect(cluster.toVersionUuid).to.equal(versionUuid);
+      expect(cluster.change).to.equal('update');
+      expect(cluster.received.map((received) => received.subscriptionUuid)).to.include(subscription_02_uuid);
+      const unchanged = await models.Subscription.findOne({ org_id: org01._id, uuid: subscription_02_uuid }).lean();
+      expect(unchanged.version_uuid).to.equal(subscription.version_uuid);
+
+      //step2, a rollout tells the size of its first batch
+      const { data: rolloutData } = await subscriptionApi.setSubscriptionImpact(adminToken, { orgId: org01._id, uuid: subscription_02_uuid, versionUuid, rollout: { percentages: [50] } });
+      expect(rolloutData.data.setSubscriptionImpact.firstBatchClusterCount).to.equal(1);
+
+      //step3, a new subscription for the dev group is added to the cluster
+      const {
+        data: {
+          data: { addSubscriptionImpact },
+        },
+      } = await subscriptionApi.addSubscriptionImpact(adminToken, { orgId: org01._id, name: 'preview', groups: ['dev'], channelUuid: channel_01_uuid, versionUuid });
+      expect(addSubscriptionImpact.clusters.map((cluster) => cluster.change)).to.deep.equal(['add']);
+
+      //step4, validation errors are thrown like the mutation does
+      const { data: notFoundData } = await subscriptionApi.setSubscriptionImpact(adminToken, { orgId: org01._id, uuid: subscription_02_uuid, versionUuid: 'not_a_version' });
+      expect(notFoundData.errors[0].message).to.contain('not found');
+    } catch (error) {
+      if (error.response) {
+        console.error('error encountered:  ', error.response.data);
+      } else {
+        console.error('error encountered:  ', error);
+      }
+      throw error;
+    }
+  });
+
+  it('exclude a cluster from a subscription and pin a cluster to a version', async () => {
+    try {
+      const subscription = await models.Subscription.findOne({ org_id: org01._id, uuid: subscription_02_uuid }).lean();
+      const versionUuid = subscription.version_uuid === channelVersion_01_uuid ? channelVersion_02_uuid : channelVersion_01_uuid;
+      const forCluster = async () => {
+        const result = await subscriptionApi.subscriptionsForCluster(adminToken, { orgId: org01._id, clusterId: 'cluster_01' });
+        return result.data.data.subscriptionsForCluster.find((sub) => sub.uuid === subscription_02_uuid);
+      };
+
+      //step1, pin cluster_01 to the other version
+      const {
+        data: {
+          data: { pinSubscriptionClusterVersion },
+        },
+      } = await subscriptionApi.pinSubscriptionClusterVersion(adminToken, { orgId: org01._id, uuid: subscription_02_uuid, clusterId: 'cluster_01', versionUuid, reason: 'waits for a fix' });
+      expect(pinSubscriptionClusterVersion.versionPin.versionUuid).to.equal(versionUuid);
+      let sub = await forCluster();
+      expect(sub.versionPins).to.deep.equal([{ clusterId: 'cluster_01', versionUuid }]);
+      expect(sub.clusterVersionPin.versionUuid).to.equal(versionUuid);
+      expect(sub.clusterExcluded).to.equal(false);
+
+      //step2, the pin has to be to a version of the channel of the subscription, of a cluster of the org
+      const { data: versionData } = await subscriptionApi.pinSubscriptionClusterVersion(adminToken, { orgId: org01._id, uuid: subscription_02_uuid, clusterId: 'cluster_01', versionUuid: channelVersion_03_uuid });
+      expect(versionData.errors[0].message).to.contain('not found');
+      const { data: clusterData } = await subscriptionApi.pinSubscriptionClusterVersion(adminToken, { orgId: org01._id, uuid: subscription_02_uuid, clusterId: 'not_a_cluster', versionUuid });
+      expect(clusterData.errors[0].message).to.contain('Could not locate the cluster');
+
+      //step3, exclude cluster_01, it is still listed for the cluster
+      const {
+        data: {
+          data: { excludeSubscriptionCluster },
+        },
+      } = await subscriptionApi.excludeSubscriptionCluster(adminToken, { orgId: org01._id, uuid: subscription_02_uuid, clusterId: 'cluster_01', reason: 'skips the app' });
+      expect(excludeSubscriptionCluster.excludedCluster.reason).to.equal('skips the app');
+      sub = await forCluster();
+      expect(sub.clusterExcluded).to.equal(true);
+      const { data: againData } = await subscriptionApi.excludeSubscriptionCluster(adminToken, { orgId: org01._id, uuid: subscription_02_uuid, clusterId: 'cluster_01' });
+      expect(againData.errors[0].message).to.contain('is already excluded');
+
+      //step4, include the cluster again and remove the pin
+      await subscriptionApi.includeSubscriptionCluster(adminToken, { orgId: org01._id, uuid: subscription_02_uuid, clusterId: 'cluster_01' });
+      const {
+        data: {
+          data: { unpinSubscriptionClusterVersion },
+        },
+      } = await subscriptionApi.unpinSubscriptionClusterVersion(adminToken, { orgId: org01._id, uuid: subscription_02_uuid, clusterId: 'cluster_01' });
+      expect(unpinSubscriptionClusterVersion.success).to.equal(true);
+      sub = await forCluster();
+      expect(sub.excludedClusters).to.deep.equal([]);
+      expect(sub.versionPins).to.deep.equal([]);
+      expect(sub.clusterVersionPin).to.equal(null);
+    } catch (error) {
+      if (error.response) {
+        console.error('error encountered:  ', error.response.data);
+      } else {
+        console.error('error encountered:  ', error);
+      }
+      throw error;
+    }
+  });
+
+  it('declare dependencies between subscriptions', async () => {
+    try {
+      const editArgs = async (uuid, dependsOn) => {
+        const subscription = await models.Subscription.findOne({ org_id: org01._id, uuid }).lean();
+        return {
+          orgId: org01._id, uuid, name: subscription.name, groups: subscription.groups,
+          channelUuid: subscription.channel_uuid, versionUuid: subscription.version_uuid, dependsOn,
+        };
+      };
+
+      //step1, subscription 02 depends on subscription 01
+      const {
+        data: {
+          data: { editSubscription },
+        },
+      } = await subscriptionApi.editSubscription(adminToken, await editArgs(subscription_02_uuid, [subscription_01_uuid]));
+      expect(editSubscription.success).to.equal(true);
+      const { data: subscriptionData } = await subscriptionApi.subscription(adminToken, { orgId: org01._id, uuid: subscription_02_uuid });
+      expect(subscriptionData.data.subscription.dependsOn).to.deep.equal([subscription_01_uuid]);
+
+      //step2, cycles and missing dependencies are refused
+      const { data: cycleData } = await subscriptionApi.editSubscription(adminToken, await editArgs(subscription_01_uuid, [subscription_02_uuid]));
+      expect(cycleData.errors[0].message).to.contain('The subscription dependencies are not valid: the dependencies would form a cycle');
+      const { data: missingData } = await subscriptionApi.editSubscription(adminToken, await editArgs(subscription_01_uuid, ['not_a_subscription']));
+      expect(missingData.errors[0].message).to.contain('subscription not_a_subscription does not exist');
+
+      //step3, a dependency can not be removed
+      const { data: removeData } = await subscriptionApi.removeSubscriptions(adminToken, { orgId: org01._id, uuid: subscription_01_uuid });
+      expect(removeData.errors[0].message).to.contain('can not be removed');
+
+      //step4, editing without dependsOn keeps the dependencies, an empty list removes them
+      const { dependsOn, ...withoutDependsOn } = await editArgs(subscription_02_uuid);
+      expect(dependsOn).to.equal(undefined);
+      await subscriptionApi.editSubscription(adminToken, withoutDependsOn);
+      let subscription = await models.Subscription.findOne({ org_id: org01._id, uuid: subscription_02_uuid }).lean();
+      expect(subscription.dependsOn).to.deep.equal([subscription_01_uuid]);
+      await subscriptionApi.editSubscription(adminToken, await editArgs(subscription_02_uuid, []));
+      subscription = await models.Subscription.findOne({ org_id: org01._id, uuid: subscription_02_uuid }).lean();
+      expect(subscription.dependsOn).to.deep.equal([]);
+    } catch (error) {
+      if (error.response) {
+        console.error('error encountered:  ', error.response.data);
+      } else {
+        console.error('error encountered:  ', error);
+      }
+      throw error;
+    }
+  });
+
+  it('roll up the deployment status of a subscription', async () => {
+    try {
+      const subscription = await models.Subscription.findOne({ org_id: org01._id, uuid: subscription_02_uuid }).lean();
+      const channel = await models.Channel.findOne({ org_id: org01._id, uuid: subscription.channel_uuid }).lean();
+      const version = channel.versions.find((v) => v.uuid === subscription.version_uuid);
+
+      // a second dev cluster which never reports
+      await models.Cluster.create({
+        org_id: org01._id,
+        cluster_id: 'cluster_silent',
+        groups: [{ uuid: 'uuid', name: 'dev' }],
+        registration: { name: 'my-silent-cluster' },
+      });
+
+      // cluster_01 reports the RemoteResource of the subscription with an error, cluster_silent reports nothing
+      await models.Resource.create({
+        org_id: org01._id,
+        cluster_id: 'cluster_01',
+        selfLink: '/apis/deploy.razee.io/v1alpha2/namespaces/razeedeploy/remoteresources/clustersubscription-fake-sub-02',
+        hash: 'any_hash',
+        deleted: false,
+        data: 'any_data',
+        searchableData: {
+          kind: 'RemoteResource',
+          'annotations["deploy_razee_io_clustersubscription"]': subscription_02_uuid,
+          requestUrl: `http://localhost:3333/api/v1/channels/${channel_01_name}/${subscription.version_uuid}`,
+          errors: [{ message: 'configmaps is forbidden' }],
+        },
+        searchableDataHash: 'some random hash.',
+      });
+
+      const {
+        data: {
+          data: { subscription: status },
+        },
+      } = await subscriptionApi.subscription(adminToken, { orgId: org01._id, uuid: subscription_02_uuid });
+      expect(status.rolloutStatus).to.deep.equal({
+        successCount: 0, errorCount: 1, clusterCount: 2, targetVersionCount: 1, errorClusterCount: 1, notReportingCount: 1,
+      });
+      const [cluster01, clusterSilent] = status.clusterStatuses;
+      expect(cluster01.clusterId).to.equal('cluster_01');
+      expect(cluster01.clusterName).to.equal('my-cluster1');
+      expect(cluster01.appliedVersionUuid).to.equal(subscription.version_uuid);
+      expect(cluster01.appliedVersion).to.equal(version.name);
+      expect(cluster01.errors).to.deep.equal(['configmaps is forbidden']);
+      expect(cluster01.reporting).to.equal(true);
+      expect(clusterSilent.clusterId).to.equal('cluster_silent');
+      expect(clusterSilent.expectedVersionUuid).to.equal(subscription.version_uuid);
+      expect(clusterSilent.appliedVersionUuid).to.equal(null);
+      expect(clusterSilent.reporting).to.equal(false);
+    } catch (error) {
+      if (error.response) {
+        console.error('error encountered:  ', error.response.data);
+      } else {
+        console.error('error encountered:  ', error);
+      }
+      throw error;
+    } finally {
+      await models.Cluster.deleteOne({ org_id: org01._id, cluster_id: 'cluster_silent' });
+    }
+  });
+
+  it('require permissions for the groups of the clusters a selector matches', async () => {
+    const { isAuthorizedBatch } = models.User;
+    // the user may set versions for the allowed groups only
+    const allowGroups = (allowed) => {
+      models.User.isAuthorizedBatch = async (me, orgId, objectArray, context) => {
+        const decisions = await isAuthorizedBatch.call(models.User, me, orgId, objectArray, context);
+        return objectArray.map((o, i) => (o.type === 'group' && o.action === 'setversion' ? allowed.includes(o.name) : decisions[i]));
+      };
+    };
+    const forbiddenGroups = async () => {
+      const {
+        data: {
+          data: { setSubscriptionImpact },
+        },
+      } = await subscriptionApi.setSubscriptionImpact(adminToken, { orgId: org01._id, uuid: 'fake_sub_selector_uuid', versionUuid: channelVersion_01_uuid });
+      return setSubscriptionImpact.forbiddenGroups;
+    };
+    try {
+      await models.Cluster.create({
+        org_id: org01._id,
+        cluster_id: 'cluster_stage',
+        groups: [{ uuid: 'uuid', name: 'stage' }],
+        labels: [{ key: 'tier', value: 'stage' }],
+        registration: { name: 'my-stage-cluster' },
+      });
+      await models.Subscription.create({
+        _id: 'fake_id_selector',
+        org_id: org01._id,
+        uuid: 'fake_sub_selector_uuid',
+        name: 'fake_subscription_selector',
+        owner: user01._id,
+        groups: [],
+        clusterSelector: { matchLabels: [{ key: 'tier', value: 'stage' }] },
+        channel_uuid: channel_01_uuid,
+        channel: channel_01_name,
+        version: channelVersion_02_name,
+        version_uuid: channelVersion_02_uuid,
+      });
+
+      //step1, the subscription has no groups, the group of the cluster it matches counts
+      allowGroups(['stage']);
+      expect(await forbiddenGroups()).to.deep.equal([]);
+      allowGroups(['dev']);
+      expect(await forbiddenGroups()).to.deep.equal(['stage']);
+      const { data } = await subscriptionApi.setSubscription(adminToken, { orgId: org01._id, uuid: 'fake_sub_selector_uuid', versionUuid: channelVersion_01_uuid });
+      expect(data.errors[0].message).to.contain('You are not allowed to set subscription for all of stage groups');
+      const subscription = await models.Subscription.findOne({ org_id: org01._id, uuid: 'fake_sub_selector_uuid' }).lean();
+      expect(subscription.version_uuid).to.equal(channelVersion_02_uuid);
+
+      //step2, matching a cluster without a group requires every group of the org
+      await models.Cluster.create({
+        org_id: org01._id,
+        cluster_id: 'cluster_ungrouped',
+        labels: [{ key: 'tier', value: 'stage' }],
+        registration: { name: 'my-ungrouped-cluster' },
+      });
+      allowGroups(['stage']);
+      expect(await forbiddenGroups()).to.deep.equal(['dev']);
+    } catch (error) {
+      if (error.response) {
+        console.error('error encountered:  ', error.response.data);
+      } else {
+        console.error('error encountered:  ', error);
+      }
+      throw error;
+    } finally {
+      // eslint-disable-next-line require-atomic-updates
+      models.User.isAuthorizedBatch = isAuthorizedBatch;
+      await models.Subscription.deleteOne({ org_id: org01._id, uuid: 'fake_sub_selector_uuid' });
+      await models.Cluster.deleteMany({ org_id: org01._id, cluster_id: { $in: ['cluster_stage', 'cluster_ungrouped'] } });
+    }
+  });
+
   it('remove a subscription', async () => {
     try {
       //step1, remove the subscription
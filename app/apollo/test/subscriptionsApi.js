@@ -29,6 +29,8 @@ const subscriptionsFunc = grahqlUrl => {
               subscriptionUuid
               subscriptionVersion
               url
+              hold
+              dependsOn
           }
         }
     `,
@@ -56,6 +58,8 @@ const subscriptionsFunc = grahqlUrl => {
               channelName
               version
               versionUuid
+              versionState
+              versionStateReason
               created
               updated
               owner {
@@ -95,6 +99,30 @@ const subscriptionsFunc = grahqlUrl => {
                 id
                 name
               }
+              pause {
+                reason
+                paused
+                expires
+              }
+              dependsOn
+              rolloutStatus {
+                successCount
+                errorCount
+                clusterCount
+                targetVersionCount
+                errorClusterCount
+                notReportingCount
+              }
+              clusterStatuses {
+                clusterId
+                clusterName
+                expectedVersionUuid
+                appliedVersion
+                appliedVersionUuid
+                lastReported
+                errors
+                reporting
+              }
           }
         }
       `,
@@ -157,6 +185,17 @@ const subscriptionsFunc = grahqlUrl => {
               versionUuid
               created
               updated
+              excludedClusters {
+                clusterId
+              }
+              versionPins {
+                clusterId
+                versionUuid
+              }
+              clusterExcluded
+              clusterVersionPin {
+                versionUuid
+              }
           }
         }
       `,
@@ -202,8 +241,8 @@ const subscriptionsFunc = grahqlUrl => {
       grahqlUrl,
       {
         query: `
-          mutation($orgId: String!, $name: String!, $groups: [String!]!, $channelUuid: String!, $versionUuid: String!) {
-            addSubscription(orgId: $orgId, name: $name, groups: $groups, channelUuid: $channelUuid, versionUuid: $versionUuid){
+          mutation($orgId: String!, $name: String!, $groups: [String!]!, $channelUuid: String!, $versionUuid: String!, $dependsOn: [String!]) {
+            addSubscription(orgId: $orgId, name: $name, groups: $groups, channelUuid: $channelUuid, versionUuid: $versionUuid, dependsOn: $dependsOn){
 			        uuid
             }
           }
@@ -222,8 +261,8 @@ const subscriptionsFunc = grahqlUrl => {
       grahqlUrl,
       {
         query: `
-          mutation($orgId: String!, $uuid: String!, $name: String!, $groups: [String!]!, $channelUuid: String!, $versionUuid: String!) {
-            editSubscription(orgId: $orgId, uuid: $uuid, name: $name, groups: $groups, channelUuid: $channelUuid, versionUuid: $versionUuid) {
+          mutation($orgId: String!, $uuid: String!, $name: String!, $groups: [String!]!, $channelUuid: String!, $versionUuid: String!, $dependsOn: [String!]) {
+            editSubscription(orgId: $orgId, uuid: $uuid, name: $name, groups: $groups, channelUuid: $channelUuid, versionUuid: $versionUuid, dependsOn: $dependsOn) {
               uuid
               success
             }
@@ -243,10 +282,17 @@ const subscriptionsFunc = grahqlUrl => {
       grahqlUrl,
       {
         query: `
-          mutation($orgId: String!, $uuid: String!, $versionUuid: String!) {
-            setSubscription(orgId: $orgId, uuid: $uuid, versionUuid: $versionUuid) {
+          mutation($orgId: String!, $uuid: String!, $versionUuid: String!, $rollout: SubscriptionRolloutInput) {
+            setSubscription(orgId: $orgId, uuid: $uuid, versionUuid: $versionUuid, rollout: $rollout) {
               uuid
               success
+              warnings
+              rollout {
+                uuid
+                state
+                batch
+                clusterIds
+              }
             }
           }
         `,
@@ -281,6 +327,396 @@ const subscriptionsFunc = grahqlUrl => {
       },
     );
 
+  const advanceSubscriptionRollout = async (token, variables) =>
+    axios.post(
+      grahqlUrl,
+      {
+        query: `
+          mutation($orgId: String!, $uuid: String!) {
+            advanceSubscriptionRollout(orgId: $orgId, uuid: $uuid) {
+              uuid
+              success
+              rollout {
+                uuid
+                state
+                batch
+                clusterIds
+              }
+            }
+          }
+        `,
+        variables,
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      },
+    );
+
+  const abortSubscriptionRollout = async (token, variables) =>
+    axios.post(
+      grahqlUrl,
+      {
+        query: `
+          mutation($orgId: String!, $uuid: String!) {
+            abortSubscriptionRollout(orgId: $orgId, uuid: $uuid) {
+              uuid
+              success
+              rollout {
+                uuid
+                state
+                fromVersionUuid
+              }
+            }
+          }
+        `,
+        variables,
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      },
+    );
+
+  const subscriptionHistory = async (token, variables) =>
+    axios.post(
+      grahqlUrl,
+      {
+        query: `
+          query($orgId: String!, $uuid: String!) {
+            subscriptionHistory(orgId: $orgId, uuid: $uuid) {
+              fromVersionUuid
+              versionUuid
+              action
+              changedBy {
+                id
+              }
+              changed
+            }
+          }
+        `,
+        variables,
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      },
+    );
+
+  const rollbackSubscription = async (token, variables) =>
+    axios.post(
+      grahqlUrl,
+      {
+        query: `
+          mutation($orgId: String!, $uuid: String!, $steps: Int) {
+            rollbackSubscription(orgId: $orgId, uuid: $uuid, steps: $steps) {
+              uuid
+              success
+              versionUuid
+            }
+          }
+        `,
+        variables,
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      },
+    );
+
+  const pauseSubscription = async (token, variables) =>
+    axios.post(
+      grahqlUrl,
+      {
+        query: `
+          mutation($orgId: String!, $uuid: String!, $reason: String, $expires: DateTime) {
+            pauseSubscription(orgId: $orgId, uuid: $uuid, reason: $reason, expires: $expires) {
+              uuid
+              success
+              pause {
+                reason
+                expires
+              }
+            }
+          }
+        `,
+        variables,
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      },
+    );
+
+  const resumeSubscription = async (token, variables) =>
+    axios.post(
+      grahqlUrl,
+      {
+        query: `
+          mutation($orgId: String!, $uuid: String!) {
+            resumeSubscription(orgId: $orgId, uuid: $uuid) {
+              uuid
+              success
+            }
+          }
+        `,
+        variables,
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      },
+    );
+
+  const scheduleSubscriptionVersion = async (token, variables) =>
+    axios.post(
+      grahqlUrl,
+      {
+        query: `
+          mutation($orgId: String!, $uuid: String!, $versionUuid: String!, $notBefore: DateTime, $inMaintenanceWindow: Boolean) {
+            scheduleSubscriptionVersion(orgId: $orgId, uuid: $uuid, versionUuid: $versionUuid, notBefore: $notBefore, inMaintenanceWindow: $inMaintenanceWindow) {
+              uuid
+              warnings
+              scheduledChange {
+                state
+                versionUuid
+              }
+            }
+          }
+        `,
+        variables,
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      },
+    );
+
+  const scheduledVersionChanges = async (token, variables) =>
+    axios.post(
+      grahqlUrl,
+      {
+        query: `
+          query($orgId: String!, $subscriptionUuid: String, $state: String) {
+            scheduledVersionChanges(orgId: $orgId, subscriptionUuid: $subscriptionUuid, state: $state) {
+              uuid
+              subscriptionUuid
+              versionUuid
+              notBefore
+              inMaintenanceWindow
+              state
+              reason
+            }
+          }
+        `,
+        variables,
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      },
+    );
+
+  const cancelScheduledVersionChange = async (token, variables) =>
+    axios.post(
+      grahqlUrl,
+      {
+        query: `
+          mutation($orgId: String!, $uuid: String!) {
+            cancelScheduledVersionChange(orgId: $orgId, uuid: $uuid) {
+              uuid
+              success
+            }
+          }
+        `,
+        variables,
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      },
+    );
+
+  const addSubscriptionImpact = async (token, variables) =>
+    axios.post(
+      grahqlUrl,
+      {
+        query: `
+          query($orgId: String!, $name: String!, $groups: [String!], $channelUuid: String!, $versionUuid: String!) {
+            addSubscriptionImpact(orgId: $orgId, name: $name, groups: $groups, channelUuid: $channelUuid, versionUuid: $versionUuid) {
+              channelUuid
+              version
+              versionUuid
+              warnings
+              permissionErrors
+              forbiddenGroups
+              firstBatchClusterCount
+              clusters {
+                clusterId
+                name
+                received {
+                  subscriptionUuid
+                  versionUuid
+                  paused
+                }
+                fromVersionUuid
+                toVersionUuid
+                change
+              }
+            }
+          }
+        `,
+        variables,
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      },
+    );
+
+  const setSubscriptionImpact = async (token, variables) =>
+    axios.post(
+      grahqlUrl,
+      {
+        query: `
+          query($orgId: String!, $uuid: String!, $versionUuid: String!, $rollout: SubscriptionRolloutInput) {
+            setSubscriptionImpact(orgId: $orgId, uuid: $uuid, versionUuid: $versionUuid, rollout: $rollout) {
+              channelUuid
+              version
+              versionUuid
+              warnings
+              permissionErrors
+              forbiddenGroups
+              firstBatchClusterCount
+              clusters {
+                clusterId
+                name
+                received {
+                  subscriptionUuid
+                  versionUuid
+                  paused
+                }
+                fromVersionUuid
+                toVersionUuid
+                change
+              }
+            }
+          }
+        `,
+        variables,
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      },
+    );
+
+  const excludeSubscriptionCluster = async (token, variables) =>
+    axios.post(
+      grahqlUrl,
+      {
+        query: `
+          mutation($orgId: String!, $uuid: String!, $clusterId: String!, $reason: String) {
+            excludeSubscriptionCluster(orgId: $orgId, uuid: $uuid, clusterId: $clusterId, reason: $reason) {
+              uuid
+              success
+              excludedCluster {
+                clusterId
+                reason
+              }
+            }
+          }
+        `,
+        variables,
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      },
+    );
+
+  const includeSubscriptionCluster = async (token, variables) =>
+    axios.post(
+      grahqlUrl,
+      {
+        query: `
+          mutation($orgId: String!, $uuid: String!, $clusterId: String!) {
+            includeSubscriptionCluster(orgId: $orgId, uuid: $uuid, clusterId: $clusterId) {
+              uuid
+              success
+            }
+          }
+        `,
+        variables,
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      },
+    );
+
+  const pinSubscriptionClusterVersion = async (token, variables) =>
+    axios.post(
+      grahqlUrl,
+      {
+        query: `
+          mutation($orgId: String!, $uuid: String!, $clusterId: String!, $versionUuid: String!, $expires: DateTime, $reason: String) {
+            pinSubscriptionClusterVersion(orgId: $orgId, uuid: $uuid, clusterId: $clusterId, versionUuid: $versionUuid, expires: $expires, reason: $reason) {
+              uuid
+              success
+              warnings
+              versionPin {
+                clusterId
+                version
+                versionUuid
+                expires
+              }
+            }
+          }
+        `,
+        variables,
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      },
+    );
+
+  const unpinSubscriptionClusterVersion = async (token, variables) =>
+    axios.post(
+      grahqlUrl,
+      {
+        query: `
+          mutation($orgId: String!, $uuid: String!, $clusterId: String!) {
+            unpinSubscriptionClusterVersion(orgId: $orgId, uuid: $uuid, clusterId: $clusterId) {
+              uuid
+              success
+            }
+          }
+        `,
+        variables,
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      },
+    );
+
   return {
     subscriptionsByClusterId,
     subscriptions,
@@ -291,6 +727,21 @@ const subscriptionsFunc = grahqlUrl => {
     addSubscription,
     editSubscription,
     setSubscription,
+    advanceSubscriptionRollout,
+    abortSubscriptionRollout,
+    subscriptionHistory,
+    rollbackSubscription,
+    pauseSubscription,
+    resumeSubscription,
+    scheduleSubscriptionVersion,
+    scheduledVersionChanges,
+    cancelScheduledVersionChange,
+    excludeSubscriptionCluster,
+    includeSubscriptionCluster,
+    pinSubscriptionClusterVersion,
+    unpinSubscriptionClusterVersion,
+    addSubscriptionImpact,
+    setSubscriptionImpact,
     removeSubscriptions
   };
 };
@@ -16,7 +16,9 @@
 
 var _ = require('lodash');
 const { getGroupConditions, filterChannelsToAllowed, filterSubscriptionsToAllowed } = require('../resolvers/common');
-const { ACTIONS, TYPES, CLUSTER_REG_STATES, CLUSTER_STATUS } = require('../models/const');
+const { ACTIONS, TYPES, CLUSTER_REG_STATES, CLUSTER_STATUS, CHANNEL_VERSION_STATES } = require('../models/const');
+const { SUBSCRIPTION_ANNOTATION } = require('../../utils/subscriptions');
+const { getSubscriptionStatuses } = require('../../utils/subscriptionStatus');
 
 
 var loadResourcesWithSearchAndArgs = async({ search, args, context })=>{
@@ -248,6 +250,15 @@ const applyQueryFieldsToSubscriptions = async(subs, queryFields={}, args, contex
       sub.channel = channel;
     });
   }
+  if(queryFields.versionState || queryFields.versionStateReason){
+    var versionChannels = await models.Channel.find({ org_id: orgId, uuid: { $in: _.uniq(_.map(subs, 'channelUuid')) } }, { versions: 1 }).lean();
+    var versionsByUuid = _.keyBy(_.flatten(_.map(versionChannels, 'versions')), 'uuid');
+    _.each(subs, (sub)=>{
+      var version = versionsByUuid[sub.versionUuid] || {};
+      sub.versionState = version.state || CHANNEL_VERSION_STATES.ACTIVE;
+      sub.versionStateReason = version.stateReason;
+    });
+  }
   if(queryFields.resources){
     var resources = await loadResourcesWithSearchAndArgs({
       search: { org_id: orgId, 'searchableData.subscription_id' : { $in: subUuids } },
@@ -273,11 +284,11 @@ const applyQueryFieldsToSubscriptions = async(subs, queryFields={}, args, contex
       }));
     });
   }
-  if(queryFields.remoteResources || queryFields.rolloutStatus){
+  if(queryFields.remoteResources || queryFields.rolloutStatus || queryFields.clusterStatuses){
     var remoteResources = await loadResourcesWithSearchAndArgs({
       search: {
         org_id: orgId,
-        'searchableData.annotations["deploy_razee_io_clustersubscription"]': { $in: subUuids },
+        [`searchableData.${SUBSCRIPTION_ANNOTATION}`]: { $in: subUuids },
         deleted: false,
       },
       args,
@@ -286,7 +297,7 @@ const applyQueryFieldsToSubscriptions = async(subs, queryFields={}, args, contex
     await applyQueryFieldsToResources(remoteResources, queryFields.remoteResources, args, context);
 
     var remoteResourcesBySubUuid = _.groupBy(remoteResources, (rr)=>{
-      return _.get(rr, 'searchableData[\'annotations["deploy_razee_io_clustersubscription"]\']');
+      return _.get(rr, ['searchableData', SUBSCRIPTION_ANNOTATION]);
     });
     _.each(subs, (sub)=>{
       var rrs = remoteResourcesBySubUuid[sub.uuid] || [];
@@ -310,6 +321,19 @@ const applyQueryFieldsToSubscriptions = async(subs, queryFields={}, args, contex
         errorCount,
       };
     });
+
+    if(queryFields.clusterStatuses || queryFields.rolloutStatus){
+      // from the same RemoteResources, so limited by resourceLimit too
+      var statusesBySubUuid = await getSubscriptionStatuses(subs, remoteResources);
+      _.each(subs, (sub)=>{
+        var { clusterStatuses, summary } = statusesBySubUuid[sub.uuid];
+        sub.clusterStatuses = clusterStatuses;
+        sub.rolloutStatus = {
+          ...sub.rolloutStatus,
+          ...summary,
+        };
+      });
+    }
   }
 };
 
@@ -30,6 +30,48 @@ const conf = {
     s3ForcePathStyle: true,
     signatureVersion: 'v4',
     sslEnabled: !process.env.S3_DISABLE_SSL, //for local minio support
+  },
+  renderers: {
+    helm: process.env.HELM_PATH || 'helm',
+    kustomize: process.env.KUSTOMIZE_PATH || 'kustomize',
+    timeout: parseInt(process.env.RENDER_TIMEOUT_MS || 60000),
+    maxBuffer: 64 * 1024 * 1024,
+    // rendered versions are kept in memory up to this size, so polling clusters do not render them again
+    cacheMaxMB: parseInt(process.env.RENDER_CACHE_MAX_MB || 64),
+  },
+  retention: {
+    sweepIntervalMinutes: parseInt(process.env.RETENTION_SWEEP_INTERVAL_MINUTES || 60),
+  },
+  encryption: {
+    // envelope encryption is enabled by configuring a master key provider, keyfile is built in
+    masterKeyProvider: process.env.MASTER_KEY_PROVIDER || (process.env.MASTER_KEY_FILE ? 'keyfile' : null),
+    keyFile: process.env.MASTER_KEY_FILE,
+  },
+  reencryption: {
+    intervalMinutes: parseInt(process.env.REENCRYPTION_INTERVAL_MINUTES || 60),
+  },
+  uploads: {
+    // uploads which are not committed within this time after their last part are removed
+    expiryHours: parseInt(process.env.UPLOAD_EXPIRY_HOURS || 24),
+    sweepIntervalMinutes: parseInt(process.env.UPLOAD_SWEEP_INTERVAL_MINUTES || 60),
+  },
+  rollouts: {
+    // how often progressing rollouts are checked for errors and moved to their next batch
+    intervalMinutes: parseInt(process.env.ROLLOUT_INTERVAL_MINUTES || 1),
+  },
+  schedules: {
+    // how often scheduled subscription version changes are checked
+    intervalMinutes: parseInt(process.env.SCHEDULE_INTERVAL_MINUTES || 1),
+  },
+  validation: {
+    // the kubernetes version manifests are checked against when neither the call nor the org names one, the newest bundled version when unset
+    kubeVersion: process.env.VALIDATION_KUBE_VERSION,
+  },
+  git: {
+    path: process.env.GIT_PATH || 'git',
+    timeout: parseInt(process.env.GIT_TIMEOUT_MS || 60000),
+    // local repositories are only read below these directories, none are allowed by default
+    localRoots: (process.env.GIT_LOCAL_ROOTS || '').split(',').map((root) => root.trim()).filter((root) => root),
   }
 };
 
@@ -1,4 +1,5 @@
 const express = require('express');
+const _ = require('lodash');
 const router = express.Router();
 const asyncHandler = require('express-async-handler');
 const ebl = require('express-bunyan-logger');
@@ -10,10 +11,15 @@ const conf = require('../../conf.js').conf;
 const S3ClientClass = require('../../s3/s3Client');
 const url = require('url');
 const crypto = require('crypto');
-const tokenCrypt = require('../../utils/crypt');
 const algorithm = 'aes-256-cbc';
 
-const getOrg = require('../../utils/orgs.js').getOrg;
+const { getOrg, getDecryptionKeys } = require('../../utils/orgs.js');
+const { decryptDeployableVersion } = require('../../utils/deployableVersions.js');
+const { TemplateError, buildClusterView, renderTemplate } = require('../../utils/templates.js');
+const { RenderError, isArchiveType, getCachedRender, renderArchiveVersion } = require('../../utils/renderers.js');
+const { computeDigest, toETag, toDigestHeader, ifNoneMatch } = require('../../utils/digest.js');
+const { getSignatureStatus, isServable } = require('../../utils/signatures.js');
+const { ENCRYPTION_SCHEMES } = require('../../apollo/models/const.js');
 
 router.use(ebl(getBunyanConfig('razee-api/v1Channels')));
 
@@ -22,10 +28,92 @@ router.use(asyncHandler(async (req, res, next) => {
   next();
 }));
 
+// loads the whole decrypted content of a version, from COS or mongo, with whichever org key encrypted it
+const getDecryptedContent = async(req, deployableVersion) => {
+  return await decryptDeployableVersion(req.org, deployableVersion, req.orgKey);
+};
+
+// sets the ETag and Digest headers, returns true when the client already has this content
+const setDigestHeaders = (req, res, digest) => {
+  const etag = toETag(digest);
+  res.set('ETag', etag);
+  res.set('Digest', toDigestHeader(digest));
+  return ifNoneMatch(req.get('If-None-Match'), etag);
+};
+
+// renders a template version with the data of the cluster making the request
+const sendRenderedTemplate = async(req, res, deployableVersion) => {
+  const clusterId = req.get('cluster-id') || req.query.clusterId;
+  if(!clusterId) {
+    return res.status(400).send({status: 'error', message: 'a cluster-id header or clusterId query param is required for a template version'});
+  }
+  const cluster = await req.db.collection('clusters').findOne({ org_id: req.org._id, cluster_id: clusterId + '' });
+  if(!cluster) {
+    return res.status(404).send({status: 'error', message: `cluster "${clusterId}" not found for this org`});
+  }
+
+  let content;
+  try {
+    content = await getDecryptedContent(req, deployableVersion);
+  } catch (error) {
+    req.log.error(error);
+    return res.status(403).json({ status: 'error', message: error.message});
+  }
+
+  try {
+    const rendered = renderTemplate(content, buildClusterView(cluster));
+    if(setDigestHeaders(req, res, computeDigest(rendered))) {
+      return res.status(304).end();
+    }
+    res.set('Content-Type', deployableVersion.type);
+    return res.status(200).send(rendered);
+  } catch (error) {
+    if (error instanceof TemplateError) {
+      req.log.warn({ clusterId, versionId: deployableVersion.uuid, err: error.message }, 'failed to render template version');
+      return res.status(422).json({ status: 'error', message: error.message });
+    }
+    throw error;
+  }
+};
+
+// renders a helm or kustomize version to yaml, a version is only decrypted and rendered when it is not cached
+const sendRenderedArchive = async(req, res, deployableVersion) => {
+  let render = getCachedRender(deployableVersion);
+  if(!render) {
+    let content;
+    try {
+      content = await getDecryptedContent(req, deployableVersion);
+    } catch (error) {
+      req.log.error(error);
+      return res.status(403).json({ status: 'error', message: error.message});
+    }
+
+    try {
+      render = await renderArchiveVersion(deployableVersion, content);
+    } catch (error) {
+      if (error instanceof RenderError) {
+        req.log.warn({ versionId: deployableVersion.uuid, type: deployableVersion.type, err: error.message }, 'failed to render version');
+        return res.status(422).json({ status: 'error', message: error.message });
+      }
+      throw error;
+    }
+  }
+
+  if(setDigestHeaders(req, res, render.digest)) {
+    return res.status(304).end();
+  }
+  res.set('Content-Type', 'application/yaml');
+  return res.status(200).send(render.rendered);
+};
+
 // Get yaml for a channel. Retrieves this data either from mongo or from COS
 //   curl --request GET \
 //   --url http://localhost:3333/api/v1/channels/:channelName/:versionId \
 //   --header 'razee-org-key: orgApiKey-api-key-goes-here' \
+// Template versions are rendered for the cluster passed in the 'cluster-id' header (or ?clusterId=),
+// helm and kustomize versions are rendered to yaml
+// Orgs which require signed versions get a 403 for versions not signed by one of their trusted keys
+// Responses carry an ETag and a Digest header of the served content, a matching If-None-Match gets a 304
 router.get('/:channelName/:versionId', getOrg, asyncHandler(async(req, res, next)=>{
   var orgId = req.org._id;
   var channelName = req.params.channelName + '';
@@ -45,7 +133,24 @@ router.get('/:channelName/:versionId', getOrg, asyncHandler(async(req, res, next
     return;
   }
 
-  if(deployableVersion.location === 's3') {
+  if(!isServable(deployableVersion, req.org)) {
+    const signatureStatus = getSignatureStatus(deployableVersion, req.org);
+    req.log.warn({ versionId, signatureStatus }, 'refused to serve a version which is not signed by a trusted key');
+    return res.status(403).send({status: 'error', message: `versionId "${versionId}" is ${signatureStatus}, this org only serves versions signed by a trusted key`});
+  }
+
+  if(deployableVersion.isTemplate) {
+    return await sendRenderedTemplate(req, res, deployableVersion);
+  }
+  if(isArchiveType(deployableVersion.type)) {
+    return await sendRenderedArchive(req, res, deployableVersion);
+  }
+
+  if(deployableVersion.location === 's3' && deployableVersion.encryptionScheme !== ENCRYPTION_SCHEMES.ENVELOPE) {
+    // versions added before digests were stored are streamed without an ETag
+    if(deployableVersion.digest && setDigestHeaders(req, res, deployableVersion.digest)) {
+      return res.status(304).end();
+    }
     if (conf.s3.endpoint) {
       try {
         const s3Client = new S3ClientClass(conf);
@@ -54,7 +159,12 @@ router.get('/:channelName/:versionId', getOrg, asyncHandler(async(req, res, next
         const paths = link.path.split('/');
         const bucket = paths[1];
         const resourceName = decodeURI(paths[2]);
-        const key = Buffer.concat([Buffer.from(req.orgKey)], 32);
+        // streamed, so versions stored before their key was recorded can only be decrypted with the caller's key
+        const orgKey = _.first(getDecryptionKeys(req.org, deployableVersion.keyFingerprint, req.orgKey));
+        if (!orgKey) {
+          return res.status(403).json({ status: 'error', message: `versionId "${versionId}" is encrypted with a key which is no longer an org key`});
+        }
+        const key = Buffer.concat([Buffer.from(orgKey)], 32);
         const decipher = crypto.createDecipheriv(algorithm, key, iv);
         const s3stream = s3Client.getObject(bucket, resourceName).createReadStream();
         s3stream.on('error', function(error) {
@@ -77,9 +187,13 @@ router.get('/:channelName/:versionId', getOrg, asyncHandler(async(req, res, next
       return res.status(403).json({ status: 'error', message: 'An endpoint must be configured for the S3 client'}); 
     }
   } else {
-    // in this case the resource was stored directly in mongo rather than in COS
+    // in this case the resource was stored directly in mongo rather than in COS, or is envelope encrypted.
+    // envelopes are authenticated as a whole, so they are not streamed
     try {
-      const data = tokenCrypt.decrypt(deployableVersion.content, req.orgKey);
+      const data = await getDecryptedContent(req, deployableVersion);
+      if(setDigestHeaders(req, res, deployableVersion.digest || computeDigest(data))) {
+        return res.status(304).end();
+      }
       res.set('Content-Type', deployableVersion.type);
       res.status(200).send(data);
     } catch (error) {
@@ -161,12 +161,34 @@ module.exports = class S3Client {
     });
     await awsStream.promise();
 
-    const url = `${this._conf.endpoint.match(/^http/i) ? '' : 'https://'}${this._conf.endpoint}/${bucketName}/${path}`;
+    const url = this.getObjectUrl(bucketName, path);
     return {
       url, ivText,
     };
   }
 
+  getObjectUrl(bucketName, path) {
+    return `${this._conf.endpoint.match(/^http/i) ? '' : 'https://'}${this._conf.endpoint}/${bucketName}/${path}`;
+  }
+
+  // streams content which is already encrypted, without holding it in memory
+  async uploadStream(bucketName, path, body) {
+    await this.ensureBucketExists(bucketName);
+    await this._aws.upload({
+      Bucket: bucketName,
+      Key: path,
+      Body: body,
+    }).promise();
+    return {
+      url: this.getObjectUrl(bucketName, path),
+    };
+  }
+
+  async getFile(bucketName, path) {
+    const { Body } = await this.getObject(bucketName, path).promise();
+    return Body.toString('utf8');
+  }
+
   async getAndDecryptFile(bucketName, path, key, iv) {
     return new Promise((resolve, reject) => {
       try {
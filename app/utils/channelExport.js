@@ -0,0 +1,110 @@
+/**
+* Copyright 2021 IBM Corp. All Rights Reserved.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+const _ = require('lodash');
+const { CHANNEL_VERSION_TYPES } = require('../apollo/models/const');
+const { isArchiveType, packArchiveContent, unpackArchiveContent } = require('./renderers');
+
+// bumped whenever the archive layout changes in a way older servers can not import
+const EXPORT_FORMAT_VERSION = 1;
+
+class ChannelExportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ChannelExportError';
+  }
+}
+
+// a version as addChannelVersion takes it, helm and kustomize archives are base64 content plus their values
+const toExportVersion = (deployableVersionObj, content) => {
+  const { name, description, type, isTemplate, signature } = deployableVersionObj;
+  const version = { name, description, type, isTemplate: !!isTemplate, signature };
+  if (isArchiveType(type)) {
+    const { archive, values } = unpackArchiveContent(content);
+    version.content = archive.toString('base64');
+    version.values = values || null;
+  }
+  else {
+    version.content = content;
+  }
+  return _.omitBy(version, _.isNil);
+};
+
+// the content addChannelVersion stores for an exported version, which its digest is computed from
+const toStoredContent = (version) => {
+  if (isArchiveType(version.type)) {
+    return packArchiveContent(Buffer.from(version.content, 'base64'), version.values);
+  }
+  return version.content;
+};
+
+const isStringArray = (value) => {
+  return _.isNil(value) || (_.isArray(value) && _.every(value, _.isString));
+};
+
+const validateExportArchive = (archive) => {
+  if (!_.isPlainObject(archive)) {
+    throw new ChannelExportError('The archive must be an object');
+  }
+  if (archive.formatVersion !== EXPORT_FORMAT_VERSION) {
+    throw new ChannelExportError(`Unsupported formatVersion "${archive.formatVersion}", expected ${EXPORT_FORMAT_VERSION}`);
+  }
+  if (!_.isArray(archive.channels) || !_.isArray(archive.subscriptions || [])) {
+    throw new ChannelExportError('"channels" and "subscriptions" must be arrays');
+  }
+  _.each(archive.channels, (channel, idx) => {
+    if (!_.isPlainObject(channel) || !_.isString(channel.name) || !channel.name) {
+      throw new ChannelExportError(`Channel ${idx} has no name`);
+    }
+    if (!isStringArray(channel.tags) || !_.isArray(channel.versions || [])) {
+      throw new ChannelExportError(`Channel "${channel.name}" must have an array of tags and an array of versions`);
+    }
+    _.each(channel.versions, (version, vIdx) => {
+      if (!_.isPlainObject(version) || !_.isString(version.name) || !version.name) {
+        throw new ChannelExportError(`Version ${vIdx} of channel "${channel.name}" has no name`);
+      }
+      if (!_.includes(_.values(CHANNEL_VERSION_TYPES), version.type) || !_.isString(version.content)) {
+        throw new ChannelExportError(`Version "${version.name}" of channel "${channel.name}" must have a valid type and content`);
+      }
+    });
+    if (_.uniqBy(channel.versions, 'name').length < _.size(channel.versions)) {
+      throw new ChannelExportError(`Version names must be unique within channel "${channel.name}"`);
+    }
+  });
+  if (_.uniqBy(archive.channels, 'name').length < archive.channels.length) {
+    throw new ChannelExportError('Channel names must be unique');
+  }
+  _.each(archive.subscriptions, (subscription, idx) => {
+    const valid = _.isPlainObject(subscription) && _.every(['name', 'channelName', 'versionName'], (key) => _.isString(subscription[key]) && subscription[key]);
+    if (!valid) {
+      throw new ChannelExportError(`Subscription ${idx} must have a name, channelName and versionName`);
+    }
+    if (!isStringArray(subscription.groups) || !(_.isNil(subscription.clusterId) || _.isString(subscription.clusterId))) {
+      throw new ChannelExportError(`Subscription "${subscription.name}" must have an array of groups and a string clusterId`);
+    }
+  });
+};
+
+// the first of name-2, name-3, ... which is not taken
+const findAvailableName = (name, takenNames) => {
+  let idx = 2;
+  while (_.includes(takenNames, `${name}-${idx}`)) {
+    idx++;
+  }
+  return `${name}-${idx}`;
+};
+
+module.exports = { EXPORT_FORMAT_VERSION, ChannelExportError, toExportVersion, toStoredContent, validateExportArchive, findAvailableName };
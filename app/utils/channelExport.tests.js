@@ -0,0 +1,80 @@
+/**
+* Copyright 2021 IBM Corp. All Rights Reserved.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+const assert = require('assert');
+
+const { packArchiveContent } = require('./renderers');
+const { EXPORT_FORMAT_VERSION, ChannelExportError, toExportVersion, toStoredContent, validateExportArchive, findAvailableName } = require('./channelExport');
+
+const archive = () => {
+  return {
+    formatVersion: EXPORT_FORMAT_VERSION,
+    channels: [
+      { name: 'app', tags: ['prod'], versions: [{ name: 'v1', type: 'application/yaml', content: 'a: b' }] },
+    ],
+    subscriptions: [
+      { name: 'app-prod', channelName: 'app', versionName: 'v1', groups: ['prod'] },
+    ],
+  };
+};
+
+describe('utils', () => {
+  describe('channelExport', () => {
+    it('should export yaml versions as they are', () => {
+      const version = toExportVersion({ name: 'v1', type: 'application/yaml', isTemplate: true, signature: 'sig' }, 'a: b');
+      assert.deepEqual(version, { name: 'v1', type: 'application/yaml', isTemplate: true, signature: 'sig', content: 'a: b' });
+      assert.equal(toStoredContent(version), 'a: b');
+    });
+
+    it('should export archive versions as base64 content and values', () => {
+      const stored = packArchiveContent(Buffer.from('chart'), 'replicas: 2');
+      const version = toExportVersion({ name: 'v1', type: 'helm' }, stored);
+      assert.equal(version.content, Buffer.from('chart').toString('base64'));
+      assert.equal(version.values, 'replicas: 2');
+      assert.equal(toStoredContent(version), stored);
+    });
+
+    it('should accept a valid archive', () => {
+      validateExportArchive(archive());
+    });
+
+    it('should reject other format versions', () => {
+      assert.throws(() => validateExportArchive({ ...archive(), formatVersion: 2 }), /formatVersion/);
+    });
+
+    it('should reject versions without a valid type', () => {
+      const bad = archive();
+      bad.channels[0].versions[0].type = 'zip';
+      assert.throws(() => validateExportArchive(bad), ChannelExportError);
+    });
+
+    it('should reject duplicate channel names', () => {
+      const bad = archive();
+      bad.channels.push(bad.channels[0]);
+      assert.throws(() => validateExportArchive(bad), /unique/);
+    });
+
+    it('should reject subscriptions without a version', () => {
+      const bad = archive();
+      delete bad.subscriptions[0].versionName;
+      assert.throws(() => validateExportArchive(bad), /versionName/);
+    });
+
+    it('should find the first free name', () => {
+      assert.equal(findAvailableName('app', ['app']), 'app-2');
+      assert.equal(findAvailableName('app', ['app', 'app-2', 'app-3']), 'app-4');
+    });
+  });
+});
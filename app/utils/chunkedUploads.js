@@ -0,0 +1,263 @@
+/**
+* Copyright 2021 IBM Corp. All Rights Reserved.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+const _ = require('lodash');
+const util = require('util');
+const crypto = require('crypto');
+const stream = require('stream');
+const { StringDecoder } = require('string_decoder');
+const yaml = require('js-yaml');
+const bunyan = require('bunyan');
+const { v4: UUID } = require('uuid');
+const { getBunyanConfig } = require('./bunyan');
+const conf = require('../conf.js').conf;
+const { models } = require('../apollo/models');
+const S3ClientClass = require('../s3/s3Client');
+const { uploadToGridFS, openGridFSStream, deleteGridFSFile } = require('./gridfs');
+const { storeDeployableVersionContent, decryptDeployableVersion } = require('./deployableVersions');
+const { validateManifests } = require('./manifestValidation');
+const { scanForSecrets } = require('./secretScanning');
+const { buildInventory } = require('./inventory');
+
+const logger = bunyan.createLogger(getBunyanConfig('chunkedUploads'));
+
+const PART_ALGORITHM = 'aes-256-gcm';
+const UPLOAD_KEY_BYTES = 32;
+const MAX_PARTS = 10000;
+
+const finished = util.promisify(stream.finished);
+
+class ChunkedUploadError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ChunkedUploadError';
+  }
+}
+
+// parts are stored in the channel bucket when a COS endpoint is configured, otherwise in GridFS
+const writeObject = async(objectName, readable) => {
+  if (conf.s3.endpoint) {
+    const s3Client = new S3ClientClass(conf);
+    // the upload does not always fail when its body does
+    await Promise.all([s3Client.uploadStream(conf.s3.channelBucket, objectName, readable), finished(readable)]);
+    return;
+  }
+  await uploadToGridFS(objectName, readable);
+};
+
+const readObject = (objectName) => {
+  if (conf.s3.endpoint) {
+    const s3Client = new S3ClientClass(conf);
+    return s3Client.getObject(conf.s3.channelBucket, objectName).createReadStream();
+  }
+  return openGridFSStream(objectName);
+};
+
+const removeObject = async(objectName) => {
+  if (conf.s3.endpoint) {
+    const s3Client = new S3ClientClass(conf);
+    return await s3Client.deleteObject(conf.s3.channelBucket, objectName);
+  }
+  return await deleteGridFSFile(objectName);
+};
+
+// uploads expire some time after their last part, see conf.uploads
+const getUploadExpiry = (now = Date.now()) => {
+  return new Date(now + conf.uploads.expiryHours * 60 * 60 * 1000);
+};
+
+// a random key for the parts of an upload, and the fields storing it encrypted like version content
+const createUploadKey = async(org) => {
+  const key = crypto.randomBytes(UPLOAD_KEY_BYTES);
+  const { content, encryptionScheme, keyFingerprint } = await storeDeployableVersionContent(org, 'mongo', null, key.toString('base64'));
+  return { key, uploadKey: { content, encryptionScheme, keyFingerprint } };
+};
+
+const openUploadKey = async(org, upload) => {
+  const { content, encryptionScheme, keyFingerprint } = upload.uploadKey;
+  return Buffer.from(await decryptDeployableVersion(org, { location: 'mongo', content, encryptionScheme, keyFingerprint }), 'base64');
+};
+
+// streams a part into storage encrypted with the upload key, failing once it is larger than maxBytes.
+// returns the part to record on the upload
+const storePart = async(upload, partNumber, readable, key, maxBytes) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(PART_ALGORITHM, key, iv);
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  const meter = new stream.Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (size > maxBytes) {
+        return callback(new ChunkedUploadError(`The part is larger than the ${maxBytes} bytes left for it`));
+      }
+      hash.update(chunk);
+      callback(null, chunk);
+    },
+  });
+  // each upload of a part gets a new object, so a part uploaded again never overwrites the part being replaced
+  const objectName = `${upload.org_id.toLowerCase()}-upload-${upload._id}-${partNumber}-${UUID()}`;
+  try {
+    await writeObject(objectName, stream.pipeline(readable, meter, cipher, _.noop));
+  } catch (err) {
+    await removeObject(objectName).catch(_.noop);
+    throw err;
+  }
+  return {
+    partNumber,
+    size,
+    digest: hash.digest('hex'),
+    objectName,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    uploaded: new Date(),
+  };
+};
+
+// the part numbers missing between 1 and the last part
+const getMissingParts = (parts) => {
+  const partNumbers = _.map(parts, 'partNumber');
+  return _.difference(_.range(1, (_.max(partNumbers) || 0) + 1), partNumbers);
+};
+
+// streams the decrypted parts in order, a part which was modified fails the stream
+const openPartsStream = (upload, key) => {
+  const readParts = async function*() {
+    for (const part of _.sortBy(upload.parts, 'partNumber')) {
+      const decipher = crypto.createDecipheriv(PART_ALGORITHM, key, Buffer.from(part.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(part.tag, 'base64'));
+      for await (const chunk of stream.pipeline(readObject(part.objectName), decipher, _.noop)) {
+        yield chunk;
+      }
+    }
+  };
+  return stream.Readable.from(readParts(), { objectMode: false });
+};
+
+const removeParts = async(parts) => {
+  for (const part of parts) {
+    await removeObject(part.objectName);
+  }
+};
+
+const isBlank = (text) => _.every(text.split('\n'), (line) => /^\s*(#.*)?$/.test(line));
+
+// splits text written in pieces into yaml documents, numbered like yaml.safeLoadAll does
+const createDocumentSplitter = () => {
+  let doc = '';
+  let rest = '';
+  let first = true;
+  const takeLines = (text) => {
+    const docs = [];
+    const lines = text.split('\n');
+    rest = lines.pop();
+    for (const line of lines) {
+      if (/^---(\s|$)/.test(line)) {
+        // the content before the first separator is only a document when it has any
+        if (!first || !isBlank(doc)) {
+          docs.push(doc);
+        }
+        first = false;
+        doc = `${line.slice(3)}\n`;
+      }
+      else {
+        doc += `${line}\n`;
+      }
+    }
+    return docs;
+  };
+  return {
+    write: (text) => takeLines(rest + text),
+    end: () => {
+      const docs = takeLines(`${rest}\n`);
+      return !first || !isBlank(doc) ? [...docs, doc] : docs;
+    },
+  };
+};
+
+// yields the yaml documents of a stream of chunks one at a time
+const splitYamlDocuments = async function*(chunks) {
+  const decoder = new StringDecoder('utf8');
+  const splitter = createDocumentSplitter();
+  for await (const chunk of chunks) {
+    yield* splitter.write(decoder.write(chunk));
+  }
+  yield* splitter.write(decoder.end());
+  yield* splitter.end();
+};
+
+// validates, scans and indexes yaml content document by document, so only one document is held in memory.
+// returns what addChannelVersion finds for the whole content, and the digest and size of the content
+const validateUploadedContent = async(readable, { kubeVersion, lintRules }) => {
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  const hashChunks = async function*() {
+    for await (const chunk of readable) {
+      hash.update(chunk);
+      size += chunk.length;
+      yield chunk;
+    }
+  };
+
+  const result = { errors: [], warnings: [], secretFindings: [], inventory: [] };
+  let documentIndex = 0;
+  for await (const doc of splitYamlDocuments(hashChunks())) {
+    try {
+      yaml.safeLoadAll(doc);
+    } catch (err) {
+      throw new ChunkedUploadError(`document ${documentIndex} is not valid yaml: ${err.message}`);
+    }
+    const withIndex = (findings) => _.map(findings, (finding) => ({ ...finding, documentIndex }));
+    const validation = validateManifests(doc, { kubeVersion, lintRules });
+    result.errors.push(...withIndex(validation.errors));
+    result.warnings.push(...withIndex(validation.warnings));
+    result.secretFindings.push(...withIndex(scanForSecrets(doc)));
+    result.inventory.push(...buildInventory(doc));
+    documentIndex++;
+  }
+  return { ...result, digest: hash.digest('hex'), size };
+};
+
+// removes the uploads which were not committed in time, with their parts
+const removeExpiredUploads = async(now = new Date()) => {
+  const uploads = await models.ChannelVersionUpload.find({ expires: { $lt: now } }).lean();
+  for (const upload of uploads) {
+    await removeParts(upload.parts);
+    await models.ChannelVersionUpload.deleteOne({ _id: upload._id });
+  }
+  return uploads.length;
+};
+
+const startUploadSweeper = () => {
+  const minutes = conf.uploads.sweepIntervalMinutes;
+  if (!(minutes > 0)) {
+    logger.info('the channel version upload sweeper is disabled');
+    return null;
+  }
+  return setInterval(async() => {
+    try {
+      const removed = await removeExpiredUploads();
+      logger.info({ removed }, 'channel version upload sweep done');
+    } catch (err) {
+      logger.error(err, 'channel version upload sweep failed');
+    }
+  }, minutes * 60 * 1000);
+};
+
+module.exports = {
+  MAX_PARTS, ChunkedUploadError, getUploadExpiry, createUploadKey, openUploadKey, storePart, getMissingParts, openPartsStream, removeParts,
+  splitYamlDocuments, validateUploadedContent, removeExpiredUploads, startUploadSweeper,
+};
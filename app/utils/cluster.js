@@ -97,6 +97,7 @@ const buildSearchableDataForResource = (org, obj, { clusterId }) => {
     { name: 'razeeCommitSha', attrPath: 'metadata.annotations["razee.io/commit-sha"]', },
     { name: 'children', attrPath: 'status.children', },
     { name: 'errors', attrPath: 'status["razee-logs"].error', },
+    { name: 'requestUrl', attrPath: 'spec.requests[0].options.url', },
   ];
 
   // adds this org's custom attrs
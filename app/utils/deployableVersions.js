@@ -0,0 +1,132 @@
+/**
+* Copyright 2021 IBM Corp. All Rights Reserved.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+const _ = require('lodash');
+const stream = require('stream');
+const conf = require('../conf.js').conf;
+const S3ClientClass = require('../s3/s3Client');
+const { ENCRYPTION_SCHEMES } = require('../apollo/models/const');
+const { encryptOrgData, decryptOrgData, getOrgKeyFingerprint, getPrimaryOrgKey, getDecryptionKeys, decryptWithOrgKeys } = require('./orgs');
+const { isEnvelopeEncryptionEnabled, encryptOrgContent, createOrgEncryptStream, decryptOrgContent } = require('./orgDataKeys');
+const { uploadToGridFS, readGridFSFile, deleteGridFSFile, encryptAndUploadToGridFS, getAndDecryptGridFSFile } = require('./gridfs');
+const { computeDigest } = require('./digest');
+
+// deletes the COS object of a version stored in s3, its content is the object's url
+const deleteDeployableVersionFromS3 = async(deployableVersionObj)=>{
+  const url = deployableVersionObj.content;
+  const urlObj = new URL(url);
+  const fullPath = urlObj.pathname;
+  var parts = _.filter(_.split(fullPath, '/'));
+  var bucketName = parts.shift();
+  var path = `${parts.join('/')}`;
+
+  const s3Client = new S3ClientClass(conf);
+  return await s3Client.deleteObject(bucketName, path);
+};
+
+// the bucket and object name of a version stored in s3, from its url
+const getS3Location = (deployableVersionObj)=>{
+  const urlObj = new URL(deployableVersionObj.content);
+  const parts = _.filter(_.split(urlObj.pathname, '/'));
+  const bucketName = parts.shift();
+  return { bucketName, path: decodeURIComponent(parts.join('/')) };
+};
+
+// the content as a stream, content can be a string or a stream already
+const toStream = (content)=>{
+  return _.isString(content) ? stream.Readable.from([ content ]) : content;
+};
+
+// encrypts the content of a version, with the org data key when a master key is configured, otherwise with the
+// primary org key. COS and GridFS content is streamed to objectName, content stored in mongo must be a string.
+// returns the fields of the version describing the content
+const storeDeployableVersionContent = async(org, location, objectName, content, bucketName=conf.s3.channelBucket)=>{
+  if(isEnvelopeEncryptionEnabled()){
+    const stored = { encryptionScheme: ENCRYPTION_SCHEMES.ENVELOPE, location };
+    if(location === 'mongo'){
+      return { ...stored, content: await encryptOrgContent(org, content) };
+    }
+    const encrypted = stream.pipeline(toStream(content), await createOrgEncryptStream(org), _.noop);
+    if(location === 's3'){
+      const s3Client = new S3ClientClass(conf);
+      return { ...stored, content: (await s3Client.uploadStream(bucketName, objectName, encrypted)).url };
+    }
+    await uploadToGridFS(objectName, encrypted);
+    return { ...stored, content: objectName };
+  }
+
+  const orgKey = getPrimaryOrgKey(org);
+  const stored = { encryptionScheme: ENCRYPTION_SCHEMES.LEGACY, keyFingerprint: getOrgKeyFingerprint(orgKey), location };
+  if(location === 's3'){
+    const s3Client = new S3ClientClass(conf);
+    const { url, ivText } = await s3Client.encryptAndUploadFile(bucketName, objectName, toStream(content), orgKey);
+    return { ...stored, content: url, iv: ivText };
+  }
+  if(location === 'gridfs'){
+    const { ivText } = await encryptAndUploadToGridFS(objectName, toStream(content), orgKey);
+    return { ...stored, content: objectName, iv: ivText };
+  }
+  return { ...stored, content: encryptOrgData(orgKey, content) };
+};
+
+// loads the decrypted content of a version from mongo, COS or GridFS. v1 content is decrypted with the org key it was
+// encrypted with, versions stored before the key was recorded with preferredKey or any other org key
+const decryptDeployableVersion = async(org, deployableVersionObj, preferredKey)=>{
+  const { location, encryptionScheme, digest } = deployableVersionObj;
+  let s3Client;
+  let bucketName;
+  let path;
+  if(location === 's3'){
+    if(!conf.s3.endpoint){
+      throw new Error('An endpoint must be configured for the S3 client');
+    }
+    s3Client = new S3ClientClass(conf);
+    ({ bucketName, path } = getS3Location(deployableVersionObj));
+  }
+
+  if(encryptionScheme === ENCRYPTION_SCHEMES.ENVELOPE){
+    let envelope = deployableVersionObj.content;
+    if(location === 's3'){
+      envelope = await s3Client.getFile(bucketName, path);
+    }
+    else if(location === 'gridfs'){
+      envelope = await readGridFSFile(deployableVersionObj.content);
+    }
+    return await decryptOrgContent(org, envelope);
+  }
+
+  const orgKeys = getDecryptionKeys(org, deployableVersionObj.keyFingerprint, preferredKey);
+  const isValid = (data)=>!!data && (!digest || computeDigest(data) === digest);
+  if(location === 's3'){
+    return await decryptWithOrgKeys(orgKeys, (orgKey)=>s3Client.getAndDecryptFile(bucketName, path, orgKey, deployableVersionObj.iv), isValid);
+  }
+  if(location === 'gridfs'){
+    return await decryptWithOrgKeys(orgKeys, (orgKey)=>getAndDecryptGridFSFile(deployableVersionObj.content, orgKey, deployableVersionObj.iv), isValid);
+  }
+  return await decryptWithOrgKeys(orgKeys, (orgKey)=>decryptOrgData(orgKey, deployableVersionObj.content), isValid);
+};
+
+// deletes the COS object or GridFS file of a version, the content of versions stored in mongo goes with the version
+const deleteDeployableVersionContent = async(deployableVersionObj)=>{
+  if(deployableVersionObj.location === 's3'){
+    return await deleteDeployableVersionFromS3(deployableVersionObj);
+  }
+  if(deployableVersionObj.location === 'gridfs'){
+    return await deleteGridFSFile(deployableVersionObj.content);
+  }
+};
+
+module.exports = { deleteDeployableVersionFromS3, deleteDeployableVersionContent, getS3Location, storeDeployableVersionContent, decryptDeployableVersion };
@@ -0,0 +1,44 @@
+/**
+* Copyright 2021 IBM Corp. All Rights Reserved.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+const crypto = require('crypto');
+
+// sha-256 of a version's plaintext, stored hex encoded on the DeployableVersion
+const computeDigest = (content) => {
+  return crypto.createHash('sha256').update(content).digest('hex');
+};
+
+const toETag = (digest) => {
+  return `"${digest}"`;
+};
+
+// RFC 3230 Digest header value, e.g. SHA-256=X48E9qOokqqrvdts8nOJRJN3OWDUoyWxBf7kbu9DBPE=
+const toDigestHeader = (digest) => {
+  return `SHA-256=${Buffer.from(digest, 'hex').toString('base64')}`;
+};
+
+// true when an If-None-Match header matches the etag, weak etags compare by their value
+const ifNoneMatch = (header, etag) => {
+  if (!header) {
+    return false;
+  }
+  if (header.trim() === '*') {
+    return true;
+  }
+  return header.split(',').map((tag) => tag.trim().replace(/^W\//, '')).includes(etag);
+};
+
+module.exports = { computeDigest, toETag, toDigestHeader, ifNoneMatch };
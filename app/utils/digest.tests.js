@@ -0,0 +1,41 @@
+/**
+* Copyright 2021 IBM Corp. All Rights Reserved.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+const assert = require('assert');
+
+const { computeDigest, toETag, toDigestHeader, ifNoneMatch } = require('./digest');
+
+describe('utils', () => {
+  describe('digest', () => {
+    it('should compute the sha-256 of the content', () => {
+      assert.equal(computeDigest('hello'), '2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824');
+    });
+
+    it('should format the ETag and Digest headers', () => {
+      const digest = computeDigest('hello');
+      assert.equal(toETag(digest), `"${digest}"`);
+      assert.equal(toDigestHeader(digest), 'SHA-256=LPJNul+wow4m6DsqxbninhsWHlwfp0JecwQzYpOLmCQ=');
+    });
+
+    it('should match If-None-Match headers', () => {
+      const etag = toETag(computeDigest('hello'));
+      assert.equal(ifNoneMatch(undefined, etag), false);
+      assert.equal(ifNoneMatch(etag, etag), true);
+      assert.equal(ifNoneMatch(`"other", W/${etag}`, etag), true);
+      assert.equal(ifNoneMatch('*', etag), true);
+      assert.equal(ifNoneMatch('"other"', etag), false);
+    });
+  });
+});
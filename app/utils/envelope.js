@@ -0,0 +1,113 @@
+/**
+* Copyright 2021 IBM Corp. All Rights Reserved.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+const _ = require('lodash');
+const crypto = require('crypto');
+const stream = require('stream');
+const { ENCRYPTION_SCHEMES } = require('../apollo/models/const');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const ENVELOPE_PREFIX = `razee-${ENCRYPTION_SCHEMES.ENVELOPE}:`;
+
+class EncryptionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EncryptionError';
+  }
+}
+
+// encrypts with AES-256-GCM, returns the iv, the ciphertext and the auth tag. aad is authenticated but not encrypted
+const seal = (key, plaintext, aad) => {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  if (aad) {
+    cipher.setAAD(aad);
+  }
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, ciphertext, cipher.getAuthTag()]);
+};
+
+const open = (key, sealed, aad) => {
+  if (sealed.length < IV_BYTES + TAG_BYTES) {
+    throw new EncryptionError('The encrypted data is truncated');
+  }
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, sealed.subarray(0, IV_BYTES));
+  decipher.setAuthTag(sealed.subarray(sealed.length - TAG_BYTES));
+  if (aad) {
+    decipher.setAAD(aad);
+  }
+  try {
+    return Buffer.concat([decipher.update(sealed.subarray(IV_BYTES, sealed.length - TAG_BYTES)), decipher.final()]);
+  } catch (err) {
+    throw new EncryptionError('The encrypted data can not be decrypted with this key or was modified');
+  }
+};
+
+const isEnvelope = (data) => {
+  return _.isString(data) && data.startsWith(ENVELOPE_PREFIX);
+};
+
+// razee-v2:<data key uuid>:<base64 iv, ciphertext and auth tag>, the data key uuid is authenticated too
+const encryptEnvelope = (dataKeyUuid, key, content) => {
+  const sealed = seal(key, Buffer.from(content, 'utf8'), Buffer.from(dataKeyUuid));
+  return `${ENVELOPE_PREFIX}${dataKeyUuid}:${sealed.toString('base64')}`;
+};
+
+// streams the envelope encryptEnvelope returns, for content which should not be held in memory
+const createEnvelopeEncryptStream = (dataKeyUuid, key) => {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(dataKeyUuid));
+  // base64 encodes 3 bytes at a time, the remaining bytes wait for the next chunk
+  let pending = iv;
+  const encode = (data, final) => {
+    const buf = Buffer.concat([pending, data]);
+    const length = final ? buf.length : buf.length - (buf.length % 3);
+    pending = buf.subarray(length);
+    return length > 0 ? buf.subarray(0, length).toString('base64') : undefined;
+  };
+  const encryptStream = new stream.Transform({
+    transform(chunk, encoding, callback) {
+      callback(null, encode(cipher.update(chunk)));
+    },
+    flush(callback) {
+      callback(null, encode(Buffer.concat([cipher.final(), cipher.getAuthTag()]), true));
+    },
+  });
+  encryptStream.push(`${ENVELOPE_PREFIX}${dataKeyUuid}:`);
+  return encryptStream;
+};
+
+const parseEnvelope = (envelope) => {
+  if (!isEnvelope(envelope)) {
+    throw new EncryptionError(`The data does not start with ${ENVELOPE_PREFIX}`);
+  }
+  const rest = envelope.slice(ENVELOPE_PREFIX.length);
+  const idx = rest.indexOf(':');
+  if (idx < 1) {
+    throw new EncryptionError('The data key of the encrypted data is missing');
+  }
+  return { dataKeyUuid: rest.slice(0, idx), sealed: Buffer.from(rest.slice(idx + 1), 'base64') };
+};
+
+const decryptEnvelope = (key, envelope) => {
+  const { dataKeyUuid, sealed } = parseEnvelope(envelope);
+  return open(key, sealed, Buffer.from(dataKeyUuid)).toString('utf8');
+};
+
+module.exports = { ENVELOPE_PREFIX, EncryptionError, seal, open, isEnvelope, encryptEnvelope, createEnvelopeEncryptStream, parseEnvelope, decryptEnvelope };
@@ -0,0 +1,72 @@
+/**
+* Copyright 2021 IBM Corp. All Rights Reserved.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+const assert = require('assert');
+
+const crypto = require('crypto');
+const stream = require('stream');
+const streamToString = require('stream-to-string');
+const { ENVELOPE_PREFIX, EncryptionError, seal, open, isEnvelope, encryptEnvelope, createEnvelopeEncryptStream, parseEnvelope, decryptEnvelope } = require('./envelope');
+
+describe('utils', () => {
+  describe('envelope', () => {
+    const key = crypto.randomBytes(32);
+    const dataKeyUuid = 'a0f3e0c2-5b9e-4d1a-9a65-0d6f2b4a7c11';
+    const content = 'apiVersion: v1\nkind: ConfigMap\n';
+
+    it('should seal and open data', () => {
+      const sealed = seal(key, Buffer.from(content), Buffer.from('aad'));
+      assert.equal(open(key, sealed, Buffer.from('aad')).toString(), content);
+    });
+
+    it('should not open data with another key or aad', () => {
+      const sealed = seal(key, Buffer.from(content), Buffer.from('aad'));
+      assert.throws(() => open(crypto.randomBytes(32), sealed, Buffer.from('aad')), EncryptionError);
+      assert.throws(() => open(key, sealed, Buffer.from('other')), EncryptionError);
+      assert.throws(() => open(key, sealed.subarray(0, 10)), EncryptionError);
+    });
+
+    it('should encrypt and decrypt an envelope', () => {
+      const envelope = encryptEnvelope(dataKeyUuid, key, content);
+      assert.equal(isEnvelope(envelope), true);
+      assert.equal(envelope.startsWith(`${ENVELOPE_PREFIX}${dataKeyUuid}:`), true);
+      assert.equal(parseEnvelope(envelope).dataKeyUuid, dataKeyUuid);
+      assert.equal(decryptEnvelope(key, envelope), content);
+    });
+
+    it('should stream an envelope', async () => {
+      // chunks which are not multiples of 3 bytes, so the base64 encoding carries bytes over
+      const chunks = ['apiVersion: v1\n', 'kind: Conf', 'igMap\n', 'data:\n  a: b\n'];
+      const envelope = await streamToString(stream.Readable.from(chunks).pipe(createEnvelopeEncryptStream(dataKeyUuid, key)));
+      assert.equal(envelope.startsWith(`${ENVELOPE_PREFIX}${dataKeyUuid}:`), true);
+      assert.equal(decryptEnvelope(key, envelope), chunks.join(''));
+    });
+
+    it('should reject a modified envelope', () => {
+      const envelope = encryptEnvelope(dataKeyUuid, key, content);
+      const sealed = parseEnvelope(envelope).sealed;
+      sealed[sealed.length - 1] ^= 1;
+      assert.throws(() => decryptEnvelope(key, `${ENVELOPE_PREFIX}${dataKeyUuid}:${sealed.toString('base64')}`), EncryptionError);
+      // the data key uuid is authenticated too
+      assert.throws(() => decryptEnvelope(key, envelope.replace(dataKeyUuid, 'other-key')), EncryptionError);
+    });
+
+    it('should not parse legacy content', () => {
+      assert.equal(isEnvelope('U2FsdGVkX1+abc'), false);
+      assert.throws(() => parseEnvelope('U2FsdGVkX1+abc'), EncryptionError);
+      assert.throws(() => parseEnvelope(`${ENVELOPE_PREFIX}no-key`), EncryptionError);
+    });
+  });
+});
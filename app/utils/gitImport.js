@@ -0,0 +1,139 @@
+/**
+* Copyright 2021 IBM Corp. All Rights Reserved.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+const _ = require('lodash');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const url = require('url');
+const util = require('util');
+const execFile = util.promisify(require('child_process').execFile);
+const minimatch = require('minimatch');
+const conf = require('../conf.js').conf;
+
+const DEFAULT_PATH_GLOB = '**/*.{yaml,yml}';
+const ALLOWED_URL_PATTERN = /^(file|https?|ssh):\/\/|^git@[^:]+:|^\//;
+const LOCAL_URL_PATTERN = /^file:\/\/|^\//;
+const REF_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_./-]*$/;
+
+class GitImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GitImportError';
+  }
+}
+
+const realPath = (filePath) => {
+  try {
+    return fs.realpathSync(filePath);
+  } catch (err) {
+    return path.resolve(filePath);
+  }
+};
+
+// returns the real path of a local repository, which has to be below one of conf.git.localRoots
+const resolveLocalRepo = (repoUrl) => {
+  let repoPath = repoUrl;
+  if (repoUrl.startsWith('file://')) {
+    try {
+      repoPath = url.fileURLToPath(repoUrl);
+    } catch (err) {
+      throw new GitImportError(`"${repoUrl}" is not a local file url`);
+    }
+  }
+  repoPath = realPath(repoPath);
+  const allowed = _.some(conf.git.localRoots, (root) => {
+    const rootPath = realPath(root);
+    return repoPath === rootPath || repoPath.startsWith(`${_.trimEnd(rootPath, path.sep)}${path.sep}`);
+  });
+  if (!allowed) {
+    throw new GitImportError(`"${repoUrl}" is not in a directory local repositories may be imported from`);
+  }
+  return repoPath;
+};
+
+// only plain repository urls and refs are passed to git, so neither can be read as an option or transport helper,
+// returns the location git fetches from
+const validateGitSource = ({ repoUrl, ref }) => {
+  if (!_.isString(repoUrl) || !ALLOWED_URL_PATTERN.test(repoUrl)) {
+    throw new GitImportError(`"${repoUrl}" is not a supported repository url, use a file://, https:// or ssh:// url or a local path`);
+  }
+  if (!_.isString(ref) || !REF_PATTERN.test(ref) || ref.includes('..')) {
+    throw new GitImportError(`"${ref}" is not a valid git ref`);
+  }
+  return LOCAL_URL_PATTERN.test(repoUrl) ? resolveLocalRepo(repoUrl) : repoUrl;
+};
+
+const git = async(args, options = {}) => {
+  try {
+    const { stdout } = await execFile(conf.git.path, ['-c', 'protocol.ext.allow=never', ...args], {
+      timeout: conf.git.timeout,
+      maxBuffer: conf.renderers.maxBuffer,
+      env: { ...process.env, GIT_TERMINAL_PROMPT: '0' },
+      ...options,
+    });
+    return stdout;
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      throw new GitImportError(`"${conf.git.path}" is not installed on this server`);
+    }
+    throw new GitImportError(`git ${args[0]} failed: ${_.trim(err.stderr) || err.message}`);
+  }
+};
+
+// fetches ref (a branch, tag or commit sha) into an empty repository, nothing is checked out
+const fetchCommit = async(dir, repoUrl, ref) => {
+  await git(['init', '--quiet', '--bare', dir]);
+  try {
+    await git(['-C', dir, 'fetch', '--quiet', '--depth', '1', repoUrl, ref]);
+  } catch (err) {
+    if (!/^[0-9a-f]{7,40}$/.test(ref)) {
+      throw err;
+    }
+    // servers may refuse to fetch a commit by sha, it is then found in the full history
+    await git(['-C', dir, 'fetch', '--quiet', repoUrl, '+refs/heads/*:refs/heads/*', '+refs/tags/*:refs/tags/*']);
+    return _.trim(await git(['-C', dir, 'rev-parse', '--verify', `${ref}^{commit}`]));
+  }
+  return _.trim(await git(['-C', dir, 'rev-parse', '--verify', 'FETCH_HEAD^{commit}']));
+};
+
+// reads the files of ref matching pathGlob, returns them sorted by path with the commit sha
+const fetchGitFiles = async({ repoUrl, ref, pathGlob = DEFAULT_PATH_GLOB }) => {
+  const source = validateGitSource({ repoUrl, ref });
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'razee-git-'));
+  try {
+    const commitSha = await fetchCommit(dir, source, ref);
+    const paths = _.compact((await git(['-C', dir, 'ls-tree', '-r', '--name-only', '-z', commitSha])).split('\0'));
+    const matched = _.sortBy(_.filter(paths, (filePath) => minimatch(filePath, pathGlob, { dot: false })));
+    const files = [];
+    for (const filePath of matched) {
+      files.push({ path: filePath, content: await git(['-C', dir, 'cat-file', 'blob', `${commitSha}:${filePath}`]) });
+    }
+    return { commitSha, files };
+  } finally {
+    await fs.promises.rmdir(dir, { recursive: true });
+  }
+};
+
+// joins the files in a single multi document yaml, each document starts with the file it comes from
+const assembleYaml = (files) => {
+  return _.map(files, ({ path: filePath, content }) => {
+    const body = _.trimEnd(content.replace(/^---\s*\n/, ''));
+    return `# Source: ${filePath}\n${body}\n`;
+  }).join('---\n');
+};
+
+module.exports = { GitImportError, DEFAULT_PATH_GLOB, validateGitSource, fetchGitFiles, assembleYaml };
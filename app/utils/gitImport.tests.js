@@ -0,0 +1,111 @@
+/**
+* Copyright 2021 IBM Corp. All Rights Reserved.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const conf = require('../conf.js').conf;
+const { GitImportError, validateGitSource, fetchGitFiles, assembleYaml } = require('./gitImport');
+
+let tmpDir;
+let localRoots;
+let bareRepo;
+let firstSha;
+let secondSha;
+
+// commits the files to a work repo and pushes them to the bare repo the tests import from
+const commit = (workDir, files, message) => {
+  Object.keys(files).forEach((name) => {
+    fs.mkdirSync(path.dirname(path.join(workDir, name)), { recursive: true });
+    fs.writeFileSync(path.join(workDir, name), files[name]);
+  });
+  const gitArgs = ['-C', workDir, '-c', 'user.name=test', '-c', 'user.email=test@example.com'];
+  execFileSync('git', [...gitArgs, 'add', '-A']);
+  execFileSync('git', [...gitArgs, 'commit', '--quiet', '-m', message]);
+  execFileSync('git', ['-C', workDir, 'push', '--quiet', bareRepo, 'HEAD:refs/heads/main']);
+  return execFileSync('git', ['-C', workDir, 'rev-parse', 'HEAD']).toString().trim();
+};
+
+describe('utils', () => {
+  describe('gitImport', () => {
+    before(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'git-import-tests-'));
+      localRoots = conf.git.localRoots;
+      conf.git.localRoots = [tmpDir];
+      bareRepo = path.join(tmpDir, 'manifests.git');
+      const workDir = path.join(tmpDir, 'work');
+      execFileSync('git', ['init', '--quiet', '--bare', bareRepo]);
+      execFileSync('git', ['init', '--quiet', workDir]);
+      firstSha = commit(workDir, {
+        'app/deployment.yaml': 'kind: Deployment\n',
+        'app/service.yml': '---\nkind: Service\n',
+        'app/README.md': 'docs',
+        'other/configmap.yaml': 'kind: ConfigMap\n',
+      }, 'first');
+      secondSha = commit(workDir, { 'app/deployment.yaml': 'kind: Deployment\nmetadata: {name: web}\n' }, 'second');
+    });
+
+    after(() => {
+      conf.git.localRoots = localRoots;
+      fs.rmdirSync(tmpDir, { recursive: true });
+    });
+
+    it('should reject urls and refs which could be read as options', () => {
+      assert.throws(() => validateGitSource({ repoUrl: '--upload-pack=touch /tmp/x', ref: 'main' }), GitImportError);
+      assert.throws(() => validateGitSource({ repoUrl: 'ext::sh -c touch% /tmp/x', ref: 'main' }), GitImportError);
+      assert.throws(() => validateGitSource({ repoUrl: 'file:///repo.git', ref: '-main' }), GitImportError);
+      assert.equal(validateGitSource({ repoUrl: 'https://github.com/org/repo.git', ref: 'release/v1.2' }), 'https://github.com/org/repo.git');
+    });
+
+    it('should only accept local repositories below the configured roots', () => {
+      const repoPath = fs.realpathSync(bareRepo);
+      assert.equal(validateGitSource({ repoUrl: bareRepo, ref: 'main' }), repoPath);
+      assert.equal(validateGitSource({ repoUrl: `file://${bareRepo}`, ref: 'main' }), repoPath);
+      assert.throws(() => validateGitSource({ repoUrl: '/etc', ref: 'main' }), GitImportError);
+      assert.throws(() => validateGitSource({ repoUrl: `${tmpDir}/../other.git`, ref: 'main' }), GitImportError);
+      assert.throws(() => validateGitSource({ repoUrl: `${tmpDir}-other/repo.git`, ref: 'main' }), GitImportError);
+      assert.throws(() => validateGitSource({ repoUrl: `file://example.com${bareRepo}`, ref: 'main' }), GitImportError);
+
+      // links are followed to the directory they point to
+      fs.symlinkSync('/etc', path.join(tmpDir, 'etc'));
+      assert.throws(() => validateGitSource({ repoUrl: path.join(tmpDir, 'etc'), ref: 'main' }), GitImportError);
+    });
+
+    it('should import the files matching the glob from a bare repo', async () => {
+      const { commitSha, files } = await fetchGitFiles({ repoUrl: bareRepo, ref: 'main', pathGlob: 'app/**/*.{yaml,yml}' });
+      assert.equal(commitSha, secondSha);
+      assert.deepEqual(files.map((file) => file.path), ['app/deployment.yaml', 'app/service.yml']);
+    });
+
+    it('should import a commit from a file url', async () => {
+      const { commitSha, files } = await fetchGitFiles({ repoUrl: `file://${bareRepo}`, ref: firstSha });
+      assert.equal(commitSha, firstSha);
+      assert.deepEqual(files.map((file) => file.path), ['app/deployment.yaml', 'app/service.yml', 'other/configmap.yaml']);
+      assert.equal(files[0].content, 'kind: Deployment\n');
+    });
+
+    it('should fail for unknown refs', async () => {
+      await assert.rejects(fetchGitFiles({ repoUrl: bareRepo, ref: 'missing' }), GitImportError);
+    });
+
+    it('should assemble the files in a single yaml', () => {
+      const content = assembleYaml([{ path: 'a.yaml', content: 'kind: A\n' }, { path: 'b.yaml', content: '---\nkind: B' }]);
+      assert.equal(content, '# Source: a.yaml\nkind: A\n---\n# Source: b.yaml\nkind: B\n');
+    });
+  });
+});
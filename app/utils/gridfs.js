@@ -0,0 +1,76 @@
+/**
+* Copyright 2021 IBM Corp. All Rights Reserved.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+const _ = require('lodash');
+const util = require('util');
+const crypto = require('crypto');
+const stream = require('stream');
+const mongoose = require('mongoose');
+
+// channel version content and upload parts are stored here when no COS endpoint is configured
+const GRIDFS_BUCKET = 'channelContent';
+const encryptionAlgorithm = 'aes-256-cbc';
+
+const finished = util.promisify(stream.finished);
+
+const getBucket = () => {
+  return new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: GRIDFS_BUCKET });
+};
+
+const uploadToGridFS = async(filename, readable) => {
+  await util.promisify(stream.pipeline)(readable, getBucket().openUploadStream(filename));
+};
+
+const openGridFSStream = (filename) => {
+  return getBucket().openDownloadStreamByName(filename);
+};
+
+const readGridFSFile = async(filename) => {
+  const chunks = [];
+  const download = openGridFSStream(filename);
+  download.on('data', (chunk) => chunks.push(chunk));
+  await finished(download);
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+const deleteGridFSFile = async(filename) => {
+  const bucket = getBucket();
+  const files = await bucket.find({ filename }).toArray();
+  for (const file of files) {
+    await bucket.delete(file._id);
+  }
+};
+
+// encrypts like S3Client.encryptAndUploadFile does, so versions are encrypted the same way in both stores
+const encryptAndUploadToGridFS = async(filename, readable, encryptionKey) => {
+  const key = Buffer.concat([Buffer.from(encryptionKey)], 32);
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv(encryptionAlgorithm, key, iv);
+  await uploadToGridFS(filename, stream.pipeline(readable, cipher, _.noop));
+  return { ivText: iv.toString('base64') };
+};
+
+const getAndDecryptGridFSFile = async(filename, encryptionKey, iv) => {
+  const key = Buffer.concat([Buffer.from(encryptionKey)], 32);
+  const decipher = crypto.createDecipheriv(encryptionAlgorithm, key, Buffer.from(iv, 'base64'));
+  const chunks = [];
+  const decrypted = stream.pipeline(openGridFSStream(filename), decipher, _.noop);
+  decrypted.on('data', (chunk) => chunks.push(chunk));
+  await finished(decrypted);
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+module.exports = { GRIDFS_BUCKET, uploadToGridFS, openGridFSStream, readGridFSFile, deleteGridFSFile, encryptAndUploadToGridFS, getAndDecryptGridFSFile };
@@ -0,0 +1,73 @@
+/**
+* Copyright 2021 IBM Corp. All Rights Reserved.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+const _ = require('lodash');
+const yaml = require('js-yaml');
+const { getContainers } = require('./manifestValidation');
+
+const SEARCH_FIELDS = ['apiVersion', 'kind', 'namespace', 'name'];
+
+// the objects of a version, a List is indexed as its items
+const getObjects = (docs) => {
+  return _.flatMap(docs, (doc) => {
+    if (!_.isPlainObject(doc)) {
+      return [];
+    }
+    if (_.isString(doc.kind) && doc.kind.endsWith('List') && _.isArray(doc.items)) {
+      return getObjects(doc.items);
+    }
+    return _.isString(doc.kind) && _.isString(doc.apiVersion) ? [doc] : [];
+  });
+};
+
+// the apiVersion, kind, namespace, name and container images of every object in the yaml content
+const buildInventory = (content) => {
+  return _.map(getObjects(yaml.safeLoadAll(content || '')), (obj) => {
+    const images = _.map(getContainers(obj), ({ container }) => container.image);
+    return {
+      apiVersion: obj.apiVersion,
+      kind: obj.kind,
+      namespace: _.get(obj, 'metadata.namespace', null),
+      name: _.get(obj, 'metadata.name', null),
+      images: _.uniq(_.filter(images, _.isString)),
+    };
+  });
+};
+
+// an image matches the exact reference, or its repository, e.g. quay.io/razee/api matches quay.io/razee/api:1.2
+const matchesImage = (image, search) => {
+  return image === search || image.startsWith(`${search}:`) || image.startsWith(`${search}@`);
+};
+
+const matchesSearch = (obj, search) => {
+  const fieldsMatch = _.every(SEARCH_FIELDS, (field) => _.isNil(search[field]) || obj[field] === search[field]);
+  return fieldsMatch && (_.isNil(search.image) || _.some(obj.images, (image) => matchesImage(image, search.image)));
+};
+
+// the mongo query for the versions with an inventory object matching every field of the search
+const toInventoryQuery = (search) => {
+  const elemMatch = _.pickBy(_.pick(search, SEARCH_FIELDS), (value) => !_.isNil(value));
+  if (!_.isNil(search.image)) {
+    elemMatch.images = { $regex: `^${_.escapeRegExp(search.image)}([:@]|$)` };
+  }
+  return { inventory: { $elemMatch: elemMatch } };
+};
+
+const isEmptySearch = (search) => {
+  return _.every([...SEARCH_FIELDS, 'image'], (field) => _.isNil(search[field]));
+};
+
+module.exports = { buildInventory, matchesSearch, toInventoryQuery, isEmptySearch };
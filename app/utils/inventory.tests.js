@@ -0,0 +1,90 @@
+/**
+* Copyright 2021 IBM Corp. All Rights Reserved.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+const assert = require('assert');
+
+const { buildInventory, matchesSearch, toInventoryQuery, isEmptySearch } = require('./inventory');
+
+const content = `
+apiVersion: apps/v1
+kind: Deployment
+metadata:
+  name: api
+  namespace: payments
+spec:
+  template:
+    spec:
+      initContainers:
+      - name: migrate
+        image: quay.io/razee/api:1.2
+      containers:
+      - name: api
+        image: quay.io/razee/api:1.2
+      - name: proxy
+        image: envoyproxy/envoy@sha256:abc
+---
+apiVersion: v1
+kind: List
+items:
+- apiVersion: v1
+  kind: Service
+  metadata:
+    name: api
+    namespace: payments
+---
+apiVersion: rbac.authorization.k8s.io/v1
+kind: ClusterRole
+metadata:
+  name: reader
+---
+not: an object
+`;
+
+describe('utils', () => {
+  describe('inventory', () => {
+    it('should index the objects of yaml content', () => {
+      assert.deepEqual(buildInventory(content), [
+        { apiVersion: 'apps/v1', kind: 'Deployment', namespace: 'payments', name: 'api', images: ['quay.io/razee/api:1.2', 'envoyproxy/envoy@sha256:abc'] },
+        { apiVersion: 'v1', kind: 'Service', namespace: 'payments', name: 'api', images: [] },
+        { apiVersion: 'rbac.authorization.k8s.io/v1', kind: 'ClusterRole', namespace: null, name: 'reader', images: [] },
+      ]);
+      assert.deepEqual(buildInventory(''), []);
+    });
+
+    it('should match objects by every given field', () => {
+      const [deployment, service] = buildInventory(content);
+      assert.equal(matchesSearch(deployment, { kind: 'Deployment', name: 'api', namespace: 'payments' }), true);
+      assert.equal(matchesSearch(service, { kind: 'Deployment', name: 'api' }), false);
+      assert.equal(matchesSearch(deployment, { name: 'api', namespace: 'default' }), false);
+    });
+
+    it('should match images by reference or repository', () => {
+      const [deployment] = buildInventory(content);
+      assert.equal(matchesSearch(deployment, { image: 'quay.io/razee/api' }), true);
+      assert.equal(matchesSearch(deployment, { image: 'quay.io/razee/api:1.2' }), true);
+      assert.equal(matchesSearch(deployment, { image: 'envoyproxy/envoy' }), true);
+      assert.equal(matchesSearch(deployment, { image: 'quay.io/razee/api:1.3' }), false);
+      assert.equal(matchesSearch(deployment, { image: 'quay.io/razee/ap' }), false);
+    });
+
+    it('should build the mongo query of a search', () => {
+      assert.deepEqual(toInventoryQuery({ kind: 'Deployment', name: 'api', namespace: null, image: 'quay.io/razee/api' }), {
+        inventory: { $elemMatch: { kind: 'Deployment', name: 'api', images: { $regex: '^quay\\.io/razee/api([:@]|$)' } } },
+      });
+      assert.equal(isEmptySearch({ kind: null, image: undefined }), true);
+      assert.equal(isEmptySearch({ namespace: 'payments' }), false);
+    });
+  });
+});
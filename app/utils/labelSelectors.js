@@ -0,0 +1,144 @@
+/**
+* Copyright 2021 IBM Corp. All Rights Reserved.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+const _ = require('lodash');
+
+const OPERATORS = ['In', 'NotIn', 'Exists', 'DoesNotExist', 'Gt', 'Lt'];
+// selector keys starting with these are paths into the cluster, other keys are cluster labels
+const FIELD_PREFIXES = ['metadata.', 'registration.'];
+const MAX_LABELS = 64;
+
+const NAME_PATTERN = /^([A-Za-z0-9]([-A-Za-z0-9_.]{0,61}[A-Za-z0-9])?)$/;
+const PREFIX_PATTERN = /^[a-z0-9]([-a-z0-9.]{0,251}[a-z0-9])?$/;
+
+class LabelSelectorError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LabelSelectorError';
+  }
+}
+
+const isFieldKey = (key) => {
+  return _.some(FIELD_PREFIXES, (prefix) => key.startsWith(prefix) && key.length > prefix.length);
+};
+
+// like kubernetes label keys, an optional dns subdomain prefix and a name of at most 63 characters
+const validateLabelKey = (key) => {
+  const parts = _.split(key, '/');
+  const name = _.last(parts);
+  if (parts.length > 2 || !NAME_PATTERN.test(name) || (parts.length === 2 && !PREFIX_PATTERN.test(parts[0]))) {
+    throw new LabelSelectorError(`${key} is not a valid label key`);
+  }
+};
+
+const validateLabelValue = (key, value) => {
+  if (!_.isString(value) || (value !== '' && !NAME_PATTERN.test(value))) {
+    throw new LabelSelectorError(`${value} is not a valid value for label ${key}`);
+  }
+};
+
+// cluster labels as [{ key, value }], keys are unique
+const validateLabels = (labels) => {
+  if (_.size(labels) > MAX_LABELS) {
+    throw new LabelSelectorError(`a cluster can have at most ${MAX_LABELS} labels`);
+  }
+  _.each(labels, ({ key, value }) => {
+    validateLabelKey(key);
+    validateLabelValue(key, value);
+  });
+  const duplicates = _.keys(_.pickBy(_.countBy(labels, 'key'), (count) => count > 1));
+  if (duplicates.length > 0) {
+    throw new LabelSelectorError(`the labels ${duplicates.join(', ')} are set more than once`);
+  }
+  return _.map(labels, ({ key, value }) => ({ key, value }));
+};
+
+const validateSelectorKey = (key) => {
+  if (!_.isString(key) || !isFieldKey(key)) {
+    validateLabelKey(key);
+  }
+};
+
+// matchLabels as [{ key, value }] and matchExpressions as [{ key, operator, values }], all of which must match
+const validateLabelSelector = ({ matchLabels, matchExpressions }) => {
+  if (_.isEmpty(matchLabels) && _.isEmpty(matchExpressions)) {
+    throw new LabelSelectorError('a selector needs matchLabels or matchExpressions');
+  }
+  _.each(matchLabels, ({ key, value }) => {
+    validateSelectorKey(key);
+    validateLabelValue(key, value);
+  });
+  _.each(matchExpressions, ({ key, operator, values }) => {
+    validateSelectorKey(key);
+    if (!OPERATORS.includes(operator)) {
+      throw new LabelSelectorError(`operator ${operator} of ${key} must be one of ${OPERATORS.join(', ')}`);
+    }
+    if ((operator === 'In' || operator === 'NotIn') && _.isEmpty(values)) {
+      throw new LabelSelectorError(`operator ${operator} of ${key} needs values`);
+    }
+    if ((operator === 'Exists' || operator === 'DoesNotExist') && !_.isEmpty(values)) {
+      throw new LabelSelectorError(`operator ${operator} of ${key} takes no values`);
+    }
+    if ((operator === 'Gt' || operator === 'Lt') && (_.size(values) !== 1 || !/^-?\d+$/.test(values[0]))) {
+      throw new LabelSelectorError(`operator ${operator} of ${key} needs a single integer value`);
+    }
+  });
+  return {
+    matchLabels: _.map(matchLabels, ({ key, value }) => ({ key, value })),
+    matchExpressions: _.map(matchExpressions, ({ key, operator, values }) => ({ key, operator, values: values || [] })),
+  };
+};
+
+// the value of a label, or of a metadata or registration field, as a string. undefined when the cluster does not have it
+const getClusterValue = (cluster, key) => {
+  if (isFieldKey(key)) {
+    const value = _.get(cluster, key);
+    return _.isNil(value) || _.isObject(value) ? undefined : String(value);
+  }
+  const label = _.find(cluster.labels, { key });
+  return label ? label.value : undefined;
+};
+
+const matchesExpression = (cluster, { key, operator, values }) => {
+  const value = getClusterValue(cluster, key);
+  switch (operator) {
+    case 'In':
+      return value !== undefined && values.includes(value);
+    case 'NotIn':
+      return value === undefined || !values.includes(value);
+    case 'Exists':
+      return value !== undefined;
+    case 'DoesNotExist':
+      return value === undefined;
+    case 'Gt':
+      // kube minor versions like 20+ count as 20
+      return parseInt(value, 10) > parseInt(values[0], 10);
+    case 'Lt':
+      return parseInt(value, 10) < parseInt(values[0], 10);
+    default:
+      return false;
+  }
+};
+
+const matchesLabelSelector = (selector, cluster) => {
+  if (_.isEmpty(selector.matchLabels) && _.isEmpty(selector.matchExpressions)) {
+    return false;
+  }
+  return _.every(selector.matchLabels, ({ key, value }) => getClusterValue(cluster, key) === value) &&
+    _.every(selector.matchExpressions, (expression) => matchesExpression(cluster, expression));
+};
+
+module.exports = { OPERATORS, LabelSelectorError, validateLabels, validateLabelSelector, getClusterValue, matchesLabelSelector };
@@ -0,0 +1,74 @@
+/**
+* Copyright 2021 IBM Corp. All Rights Reserved.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+const assert = require('assert');
+
+const { LabelSelectorError, validateLabels, validateLabelSelector, getClusterValue, matchesLabelSelector } = require('./labelSelectors');
+
+const cluster = {
+  cluster_id: 'c1',
+  labels: [{ key: 'region', value: 'eu' }, { key: 'topology.kubernetes.io/zone', value: 'eu-de-1' }],
+  metadata: { kube_version: { major: '1', minor: '21+' } },
+  registration: { name: 'cluster-1', location: 'frankfurt' },
+};
+
+describe('utils', () => {
+  describe('labelSelectors', () => {
+    it('should validate cluster labels', () => {
+      assert.deepEqual(validateLabels([{ key: 'razee.io/tier', value: 'gold' }, { key: 'empty', value: '' }]),
+        [{ key: 'razee.io/tier', value: 'gold' }, { key: 'empty', value: '' }]);
+      assert.throws(() => validateLabels([{ key: '-region', value: 'eu' }]), LabelSelectorError);
+      assert.throws(() => validateLabels([{ key: 'a/b/c', value: 'eu' }]), /not a valid label key/);
+      assert.throws(() => validateLabels([{ key: 'region', value: 'e u' }]), /not a valid value/);
+      assert.throws(() => validateLabels([{ key: 'region', value: 'eu' }, { key: 'region', value: 'us' }]), /more than once/);
+    });
+
+    it('should validate selectors', () => {
+      assert.deepEqual(validateLabelSelector({ matchExpressions: [{ key: 'region', operator: 'Exists' }] }),
+        { matchLabels: [], matchExpressions: [{ key: 'region', operator: 'Exists', values: [] }] });
+      assert.throws(() => validateLabelSelector({}), /needs matchLabels or matchExpressions/);
+      assert.throws(() => validateLabelSelector({ matchExpressions: [{ key: 'region', operator: 'Equals', values: ['eu'] }] }), /must be one of/);
+      assert.throws(() => validateLabelSelector({ matchExpressions: [{ key: 'region', operator: 'In', values: [] }] }), /needs values/);
+      assert.throws(() => validateLabelSelector({ matchExpressions: [{ key: 'region', operator: 'Exists', values: ['eu'] }] }), /takes no values/);
+      assert.throws(() => validateLabelSelector({ matchExpressions: [{ key: 'metadata.kube_version.minor', operator: 'Gt', values: ['twenty'] }] }), /single integer/);
+    });
+
+    it('should read labels, metadata and registration fields', () => {
+      assert.equal(getClusterValue(cluster, 'region'), 'eu');
+      assert.equal(getClusterValue(cluster, 'topology.kubernetes.io/zone'), 'eu-de-1');
+      assert.equal(getClusterValue(cluster, 'metadata.kube_version.minor'), '21+');
+      assert.equal(getClusterValue(cluster, 'registration.location'), 'frankfurt');
+      assert.equal(getClusterValue(cluster, 'metadata.kube_version'), undefined);
+      assert.equal(getClusterValue(cluster, 'tier'), undefined);
+    });
+
+    it('should match clusters', () => {
+      const euKube20 = {
+        matchLabels: [{ key: 'region', value: 'eu' }],
+        matchExpressions: [{ key: 'metadata.kube_version.minor', operator: 'Gt', values: ['19'] }],
+      };
+      assert.equal(matchesLabelSelector(euKube20, cluster), true);
+      assert.equal(matchesLabelSelector(euKube20, { ...cluster, metadata: { kube_version: { minor: '18' } } }), false);
+      assert.equal(matchesLabelSelector({ matchExpressions: [{ key: 'region', operator: 'In', values: ['us', 'eu'] }] }, cluster), true);
+      assert.equal(matchesLabelSelector({ matchExpressions: [{ key: 'region', operator: 'NotIn', values: ['eu'] }] }, cluster), false);
+      // like kubernetes, NotIn matches clusters without the label
+      assert.equal(matchesLabelSelector({ matchExpressions: [{ key: 'tier', operator: 'NotIn', values: ['gold'] }] }, cluster), true);
+      assert.equal(matchesLabelSelector({ matchExpressions: [{ key: 'tier', operator: 'DoesNotExist' }] }, cluster), true);
+      assert.equal(matchesLabelSelector({ matchExpressions: [{ key: 'registration.location', operator: 'Exists' }] }, cluster), true);
+      // an empty selector matches no cluster
+      assert.equal(matchesLabelSelector({}, cluster), false);
+    });
+  });
+});
@@ -0,0 +1,111 @@
+/**
+* Copyright 2021 IBM Corp. All Rights Reserved.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+const _ = require('lodash');
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const MAX_DURATION_MINUTES = 7 * 24 * 60;
+
+class MaintenanceWindowError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MaintenanceWindowError';
+  }
+}
+
+const formatters = {};
+const getFormatter = (timeZone) => {
+  if (!formatters[timeZone]) {
+    formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric',
+    });
+  }
+  return formatters[timeZone];
+};
+
+// a window starts at start (HH:MM) on each of its days, in its time zone, and lasts durationMinutes
+const validateMaintenanceWindow = ({ days, start, durationMinutes, timeZone }) => {
+  if (_.isNil(timeZone)) {
+    timeZone = 'UTC';
+  }
+  days = _.uniq(_.map(days, _.toLower));
+  if (days.length < 1 || _.difference(days, DAYS).length > 0) {
+    throw new MaintenanceWindowError(`days must be one or more of ${DAYS.join(', ')}`);
+  }
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(start)) {
+    throw new MaintenanceWindowError('start must be a time of day like 22:30');
+  }
+  if (!Number.isInteger(durationMinutes) || durationMinutes < 1 || durationMinutes > MAX_DURATION_MINUTES) {
+    throw new MaintenanceWindowError(`durationMinutes must be a whole number between 1 and ${MAX_DURATION_MINUTES}`);
+  }
+  try {
+    getFormatter(timeZone);
+  } catch (err) {
+    throw new MaintenanceWindowError(`${timeZone} is not a known time zone`);
+  }
+  return { days: _.sortBy(days, (day) => DAYS.indexOf(day)), start, durationMinutes, timeZone };
+};
+
+// the wall clock time in a time zone at an instant, as if it was UTC
+const toWallClock = (time, timeZone) => {
+  const parts = _.fromPairs(_.map(getFormatter(timeZone).formatToParts(time), ({ type, value }) => [type, value]));
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+};
+
+// the instant a wall clock time in a time zone occurs, a time skipped by a daylight saving change is moved forward
+const fromWallClock = (wallClock, timeZone) => {
+  const offset = toWallClock(wallClock, timeZone) - wallClock;
+  let time = wallClock - offset;
+  const actualOffset = toWallClock(time, timeZone) - time;
+  if (actualOffset !== offset) {
+    time = wallClock - actualOffset;
+  }
+  return time;
+};
+
+// the start and end times of a window until days after from, starting early enough to include an occurrence
+// which opened on an earlier day and is still open at from
+const getWindowOccurrences = (window, from, days) => {
+  const today = Math.floor(toWallClock(from, window.timeZone) / DAY_MS) * DAY_MS;
+  const [hours, minutes] = window.start.split(':').map(Number);
+  const occurrences = [];
+  for (let day = -Math.ceil(window.durationMinutes * MINUTE_MS / DAY_MS); day <= days; day++) {
+    const date = today + day * DAY_MS;
+    if (!window.days.includes(DAYS[new Date(date).getUTCDay()])) {
+      continue;
+    }
+    const start = fromWallClock(date + (hours * 60 + minutes) * MINUTE_MS, window.timeZone);
+    occurrences.push({ start, end: start + window.durationMinutes * MINUTE_MS });
+  }
+  return occurrences;
+};
+
+const isInMaintenanceWindow = (windows, now = new Date()) => {
+  const time = new Date(now).getTime();
+  return _.some(windows, (window) => _.some(getWindowOccurrences(window, time, 0), ({ start, end }) => start <= time && time < end));
+};
+
+// the window open at now or the next one to open, null without windows
+const getNextMaintenanceWindow = (windows, now = new Date()) => {
+  const time = new Date(now).getTime();
+  const occurrences = _.flatMap(windows, (window) => getWindowOccurrences(window, time, 7));
+  const next = _.minBy(_.filter(occurrences, ({ end }) => end > time), 'start');
+  return next ? { start: new Date(next.start), end: new Date(next.end) } : null;
+};
+
+module.exports = { DAYS, MaintenanceWindowError, validateMaintenanceWindow, isInMaintenanceWindow, getNextMaintenanceWindow };
@@ -0,0 +1,74 @@
+/**
+* Copyright 2021 IBM Corp. All Rights Reserved.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+const assert = require('assert');
+
+const { MaintenanceWindowError, validateMaintenanceWindow, isInMaintenanceWindow, getNextMaintenanceWindow } = require('./maintenanceWindows');
+
+describe('utils', () => {
+  describe('maintenanceWindows', () => {
+    it('should validate a window', () => {
+      assert.deepEqual(validateMaintenanceWindow({ days: ['SAT', 'sun', 'sat'], start: '22:30', durationMinutes: 120 }),
+        { days: ['sun', 'sat'], start: '22:30', durationMinutes: 120, timeZone: 'UTC' });
+      assert.throws(() => validateMaintenanceWindow({ days: ['someday'], start: '22:30', durationMinutes: 60 }), MaintenanceWindowError);
+      assert.throws(() => validateMaintenanceWindow({ days: ['mon'], start: '24:00', durationMinutes: 60 }), MaintenanceWindowError);
+      assert.throws(() => validateMaintenanceWindow({ days: ['mon'], start: '01:00', durationMinutes: 0 }), MaintenanceWindowError);
+      assert.throws(() => validateMaintenanceWindow({ days: ['mon'], start: '01:00', durationMinutes: 60, timeZone: 'Mars/Olympus' }), MaintenanceWindowError);
+    });
+
+    it('should tell whether a time is inside a window', () => {
+      // 2021-03-06 is a saturday
+      const windows = [{ days: ['sat'], start: '22:00', durationMinutes: 240, timeZone: 'UTC' }];
+      assert.equal(isInMaintenanceWindow(windows, new Date('2021-03-06T21:59:00Z')), false);
+      assert.equal(isInMaintenanceWindow(windows, new Date('2021-03-06T22:00:00Z')), true);
+      // windows may run into the next day
+      assert.equal(isInMaintenanceWindow(windows, new Date('2021-03-07T01:59:00Z')), true);
+      assert.equal(isInMaintenanceWindow(windows, new Date('2021-03-07T02:00:00Z')), false);
+      assert.equal(isInMaintenanceWindow([], new Date('2021-03-06T22:00:00Z')), false);
+    });
+
+    it('should keep a window open over several days', () => {
+      // 2021-06-07 is a monday
+      const windows = [{ days: ['mon'], start: '22:00', durationMinutes: 3 * 24 * 60, timeZone: 'UTC' }];
+      assert.equal(isInMaintenanceWindow(windows, new Date('2021-06-08T12:00:00Z')), true);
+      assert.equal(isInMaintenanceWindow(windows, new Date('2021-06-09T12:00:00Z')), true);
+      assert.equal(isInMaintenanceWindow(windows, new Date('2021-06-10T21:59:00Z')), true);
+      assert.equal(isInMaintenanceWindow(windows, new Date('2021-06-10T22:00:00Z')), false);
+      assert.deepEqual(getNextMaintenanceWindow(windows, new Date('2021-06-09T12:00:00Z')),
+        { start: new Date('2021-06-07T22:00:00Z'), end: new Date('2021-06-10T22:00:00Z') });
+    });
+
+    it('should follow daylight saving time in the time zone of a window', () => {
+      const windows = [{ days: ['sun', 'mon'], start: '02:00', durationMinutes: 60, timeZone: 'Europe/Berlin' }];
+      // 01:00 UTC is 02:00 in winter, 03:00 in summer
+      assert.equal(isInMaintenanceWindow(windows, new Date('2021-03-22T01:30:00Z')), true);
+      assert.equal(isInMaintenanceWindow(windows, new Date('2021-03-29T00:30:00Z')), true);
+      assert.equal(isInMaintenanceWindow(windows, new Date('2021-03-29T01:30:00Z')), false);
+    });
+
+    it('should find the next window', () => {
+      const windows = [
+        { days: ['mon'], start: '09:00', durationMinutes: 60, timeZone: 'UTC' },
+        { days: ['wed'], start: '09:00', durationMinutes: 60, timeZone: 'UTC' },
+      ];
+      // 2021-03-09 is a tuesday
+      assert.deepEqual(getNextMaintenanceWindow(windows, new Date('2021-03-09T12:00:00Z')),
+        { start: new Date('2021-03-10T09:00:00Z'), end: new Date('2021-03-10T10:00:00Z') });
+      assert.deepEqual(getNextMaintenanceWindow(windows, new Date('2021-03-10T09:30:00Z')),
+        { start: new Date('2021-03-10T09:00:00Z'), end: new Date('2021-03-10T10:00:00Z') });
+      assert.equal(getNextMaintenanceWindow([], new Date()), null);
+    });
+  });
+});
@@ -0,0 +1,325 @@
+/**
+* Copyright 2021 IBM Corp. All Rights Reserved.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+const _ = require('lodash');
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const yaml = require('js-yaml');
+const { LINT_RULES, VALIDATION_SEVERITY } = require('../apollo/models/const');
+
+// generated by build/generate-k8s-schemas.js, v<minor>.json lists the kinds a minor version serves and
+// names the generated definitions in definitions/ they are validated against
+const SCHEMAS_DIR = path.join(__dirname, 'k8sSchemas');
+const DEFINITIONS_ID = 'k8s';
+
+class ManifestValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ManifestValidationError';
+  }
+}
+
+// the minor versions with bundled schemas, e.g. ['1.19', '1.20']
+const getSupportedKubeVersions = _.memoize(() => {
+  return _.sortBy(_.compact(_.map(fs.readdirSync(SCHEMAS_DIR), (file) => {
+    const match = file.match(/^v(1\.\d+)\.json$/);
+    return match ? match[1] : null;
+  })), (version) => parseInt(version.split('.')[1]));
+});
+
+// accepts 1.21, v1.21 or 1.21.3 and returns the minor version 1.21
+const toMinorVersion = (kubeVersion) => {
+  const match = _.trim(kubeVersion).match(/^v?(\d+)\.(\d+)(\.\d+)?$/);
+  return match ? `${match[1]}.${match[2]}` : null;
+};
+
+const isSupportedKubeVersion = (kubeVersion) => {
+  return _.includes(getSupportedKubeVersions(), toMinorVersion(kubeVersion));
+};
+
+const getGvkKey = (group, version, kind) => {
+  return `${group ? `${group}/` : ''}${version}/${kind}`;
+};
+
+const parseApiVersion = (apiVersion) => {
+  const parts = apiVersion.split('/');
+  return parts.length > 1 ? { group: parts[0], version: parts[1] } : { group: '', version: parts[0] };
+};
+
+// like kubeval's strict mode, objects only allow the fields their schema defines so typos are caught.
+// objects defined without properties (e.g. annotations or custom resource specs) are left open
+const strictify = (schema) => {
+  if (_.isArray(schema)) {
+    return _.map(schema, strictify);
+  }
+  if (!_.isPlainObject(schema)) {
+    return schema;
+  }
+  const strict = _.mapValues(schema, strictify);
+  if (schema.properties && _.isUndefined(schema.additionalProperties)) {
+    strict.additionalProperties = false;
+  }
+  return strict;
+};
+
+const readSchemaFile = (file) => {
+  return JSON.parse(fs.readFileSync(path.join(SCHEMAS_DIR, file), 'utf8'));
+};
+
+// the generated definitions of a kubernetes minor version, e.g. 1.22
+const loadDefinitions = _.memoize((definitionsVersion) => {
+  return readSchemaFile(path.join('definitions', `v${definitionsVersion}.json`)).definitions;
+});
+
+// the int and double formats are already enforced by the number types
+const anyValue = () => true;
+const SCHEMA_FORMATS = {
+  int32: anyValue,
+  int64: anyValue,
+  double: anyValue,
+  byte: /^[A-Za-z0-9+/]*={0,2}$/,
+  quantity: /^[+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+|Ki|Mi|Gi|Ti|Pi|Ei|n|u|m|k|M|G|T|P|E)?$/,
+};
+
+// the validators of every group/version/kind served by a kubernetes minor version, each schema is compiled on first use
+const loadKubeSchemas = _.memoize((minorVersion) => {
+  const { definitions: definitionsVersion, served } = readSchemaFile(`v${minorVersion}.json`);
+  const definitions = loadDefinitions(definitionsVersion);
+
+  const ajv = new Ajv({ allErrors: true, jsonPointers: true, formats: SCHEMA_FORMATS });
+  ajv.addKeyword('x-kubernetes-group-version-kind');
+  ajv.addSchema({ $id: DEFINITIONS_ID, definitions: strictify(definitions) });
+
+  const definitionNames = {};
+  _.each(definitions, (definition, name) => {
+    _.each(definition['x-kubernetes-group-version-kind'], ({ group, version, kind }) => {
+      definitionNames[getGvkKey(group, version, kind)] = name;
+    });
+  });
+
+  const validators = {};
+  _.each(served, (kinds, apiVersion) => {
+    const { group, version } = parseApiVersion(apiVersion);
+    _.each(kinds, (kind) => {
+      const key = getGvkKey(group, version, kind);
+      validators[key] = (obj) => {
+        const validate = ajv.getSchema(`${DEFINITIONS_ID}#/definitions/${definitionNames[key]}`);
+        validators[key].errors = validate(obj) ? null : validate.errors;
+        return !validators[key].errors;
+      };
+    });
+  });
+  return validators;
+});
+
+// group/kind to the apiVersions it is served as in any bundled version, to tell removed apis from unknown kinds.
+// alpha apis are not served by default so they are treated as unknown
+const getKnownApiVersions = _.memoize(() => {
+  const known = {};
+  _.each(getSupportedKubeVersions(), (minorVersion) => {
+    _.each(readSchemaFile(`v${minorVersion}.json`).served, (kinds, apiVersion) => {
+      const { group } = parseApiVersion(apiVersion);
+      _.each(kinds, (kind) => {
+        const key = `${group}/${kind}`;
+        known[key] = _.union(known[key], [apiVersion]);
+      });
+    });
+  });
+  return known;
+});
+
+// the api server treats null fields as unset, e.g. the creationTimestamp: null kubectl writes
+const withoutNulls = (value) => {
+  if (_.isArray(value)) {
+    return _.map(value, withoutNulls);
+  }
+  if (!_.isPlainObject(value)) {
+    return value;
+  }
+  return _.mapValues(_.omitBy(value, _.isNull), withoutNulls);
+};
+
+const toFieldPath = (dataPath) => {
+  return _.trimStart(dataPath, '/').replace(/\/(\d+)(?=\/|$)/g, '[$1]').replace(/\//g, '.');
+};
+
+const toSchemaMessage = (error) => {
+  if (error.keyword === 'additionalProperties') {
+    return `unknown field "${error.params.additionalProperty}"`;
+  }
+  if (error.keyword === 'required') {
+    return `missing required field "${error.params.missingProperty}"`;
+  }
+  return error.message;
+};
+
+// a value matching no branch of a oneOf, e.g. an IntOrString or Quantity, is reported once with the message of each branch
+const toSchemaFindings = (errors) => {
+  const oneOfErrors = _.filter(errors, { keyword: 'oneOf' });
+  const getOneOf = (error) => _.find(oneOfErrors, (oneOf) => oneOf.dataPath === error.dataPath && error.schemaPath.startsWith(`${oneOf.schemaPath}/`));
+  const [branchErrors, otherErrors] = _.partition(errors, getOneOf);
+  return _.map(otherErrors, (error) => {
+    const branches = _.filter(branchErrors, (branchError) => getOneOf(branchError) === error);
+    const message = branches.length > 0 ? _.map(branches, toSchemaMessage).join(' or ') : toSchemaMessage(error);
+    return { path: toFieldPath(error.dataPath), message };
+  });
+};
+
+// the containers of an object's pod specs with their field paths, for the lint rules checking containers
+const getContainers = (obj) => {
+  const specPaths = obj.kind === 'Pod' ? ['spec'] : ['spec.template.spec', 'spec.jobTemplate.spec.template.spec'];
+  return _.flatMap(specPaths, (specPath) => {
+    const spec = _.get(obj, specPath);
+    if (!_.isPlainObject(spec)) {
+      return [];
+    }
+    return _.flatMap(['initContainers', 'containers'], (field) => {
+      return _.compact(_.map(spec[field], (container, idx) => {
+        return _.isPlainObject(container) ? { container, path: `${specPath}.${field}[${idx}]` } : null;
+      }));
+    });
+  });
+};
+
+// an image is unpinned when it has no tag, or the latest tag, unless it is referenced by digest
+const isLatestImage = (image) => {
+  if (!_.isString(image) || image.includes('@')) {
+    return false;
+  }
+  const lastPart = _.last(image.split('/'));
+  return !lastPart.includes(':') || _.last(lastPart.split(':')) === 'latest';
+};
+
+const lintObject = (obj, rule) => {
+  const messages = [];
+  if (rule.rule === LINT_RULES.REQUIRED_LABELS) {
+    const labels = _.get(obj, 'metadata.labels') || {};
+    const missing = _.filter(rule.labels, (label) => _.isNil(labels[label]));
+    if (missing.length > 0) {
+      messages.push({ path: 'metadata.labels', message: `missing required labels ${missing.join(', ')}` });
+    }
+  }
+  else if (rule.rule === LINT_RULES.NO_LATEST_TAG) {
+    _.each(getContainers(obj), ({ container, path: containerPath }) => {
+      if (isLatestImage(container.image)) {
+        messages.push({ path: `${containerPath}.image`, message: `container "${container.name}" uses the unpinned image "${container.image}"` });
+      }
+    });
+  }
+  else if (rule.rule === LINT_RULES.RESOURCE_LIMITS) {
+    _.each(getContainers(obj), ({ container, path: containerPath }) => {
+      const missing = _.filter(['cpu', 'memory'], (resource) => _.isNil(_.get(container, ['resources', 'limits', resource])));
+      if (missing.length > 0) {
+        messages.push({ path: `${containerPath}.resources.limits`, message: `container "${container.name}" has no ${missing.join(' and ')} limit` });
+      }
+    });
+  }
+  return messages;
+};
+
+// checks org lint rules are complete before they are saved
+const validateLintRules = (lintRules) => {
+  _.each(lintRules, ({ rule, severity, labels }) => {
+    if (!_.includes(_.values(LINT_RULES), rule)) {
+      throw new ManifestValidationError(`unknown rule "${rule}", the rules are ${_.values(LINT_RULES).join(', ')}`);
+    }
+    if (!_.includes(_.values(VALIDATION_SEVERITY), severity)) {
+      throw new ManifestValidationError(`the severity of rule "${rule}" must be one of ${_.values(VALIDATION_SEVERITY).join(', ')}`);
+    }
+    if (rule === LINT_RULES.REQUIRED_LABELS && _.isEmpty(labels)) {
+      throw new ManifestValidationError(`rule "${rule}" requires labels`);
+    }
+  });
+  if (_.uniqBy(lintRules, 'rule').length !== _.size(lintRules)) {
+    throw new ManifestValidationError('each rule can only be configured once');
+  }
+};
+
+// validates every document of a yaml version against the kubernetes schemas of kubeVersion, the newest bundled
+// version by default, then runs the org lint rules. objects of kinds without a bundled schema, e.g. custom resources,
+// are only linted. returns the findings split in errors and warnings
+const validateManifests = (content, { kubeVersion, lintRules = [] }) => {
+  if (!kubeVersion) {
+    kubeVersion = _.last(getSupportedKubeVersions());
+  }
+  if (!isSupportedKubeVersion(kubeVersion)) {
+    throw new ManifestValidationError(`Kubernetes ${kubeVersion} is not supported, the supported versions are ${getSupportedKubeVersions().join(', ')}`);
+  }
+  const minorVersion = toMinorVersion(kubeVersion);
+  const validators = loadKubeSchemas(minorVersion);
+  const knownApiVersions = getKnownApiVersions();
+
+  const findings = [];
+  const docs = yaml.safeLoadAll(content || '');
+  _.each(docs, (doc, documentIndex) => {
+    if (_.isNil(doc)) {
+      return;
+    }
+    const addFinding = (severity, rule, fieldPath, message) => {
+      findings.push({
+        severity, rule, documentIndex,
+        kind: _.isString(doc.kind) ? doc.kind : null,
+        name: _.get(doc, 'metadata.name', null),
+        path: fieldPath || null,
+        message,
+      });
+    };
+
+    if (!_.isPlainObject(doc)) {
+      addFinding(VALIDATION_SEVERITY.ERROR, 'schema', null, 'the document is not a kubernetes object');
+      return;
+    }
+    const missing = _.filter(['apiVersion', 'kind'], (field) => !_.isString(doc[field]) || !doc[field]);
+    if (missing.length > 0) {
+      _.each(missing, (field) => addFinding(VALIDATION_SEVERITY.ERROR, 'schema', field, `missing required field "${field}"`));
+      return;
+    }
+
+    const { group, version } = parseApiVersion(doc.apiVersion);
+    const validate = validators[getGvkKey(group, version, doc.kind)];
+    if (validate) {
+      if (!validate(withoutNulls(doc))) {
+        _.each(toSchemaFindings(validate.errors), ({ path: fieldPath, message }) => {
+          addFinding(VALIDATION_SEVERITY.ERROR, 'schema', fieldPath, message);
+        });
+      }
+    }
+    else if (knownApiVersions[`${group}/${doc.kind}`]) {
+      // a built-in kind whose apiVersion was removed, or is not served yet, by this kubernetes version
+      const servedApiVersions = _.filter(knownApiVersions[`${group}/${doc.kind}`], (apiVersion) => {
+        const parsed = parseApiVersion(apiVersion);
+        return !!validators[getGvkKey(parsed.group, parsed.version, doc.kind)];
+      });
+      const served = servedApiVersions.length > 0 ? `, use ${servedApiVersions.join(' or ')}` : '';
+      addFinding(VALIDATION_SEVERITY.ERROR, 'schema', 'apiVersion', `${doc.apiVersion} ${doc.kind} is not served by Kubernetes ${minorVersion}${served}`);
+    }
+
+    _.each(lintRules, (rule) => {
+      _.each(lintObject(doc, rule), ({ path: fieldPath, message }) => {
+        addFinding(rule.severity, rule.rule, fieldPath, message);
+      });
+    });
+  });
+
+  const [errors, warnings] = _.partition(findings, { severity: VALIDATION_SEVERITY.ERROR });
+  return {
+    errors: _.map(errors, (finding) => _.omit(finding, 'severity')),
+    warnings: _.map(warnings, (finding) => _.omit(finding, 'severity')),
+  };
+};
+
+module.exports = { ManifestValidationError, getSupportedKubeVersions, isSupportedKubeVersion, getContainers, validateLintRules, validateManifests };
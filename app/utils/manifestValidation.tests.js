@@ -0,0 +1,133 @@
+/**
+* Copyright 2021 IBM Corp. All Rights Reserved.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+const assert = require('assert');
+
+const { ManifestValidationError, getSupportedKubeVersions, isSupportedKubeVersion, validateLintRules, validateManifests } = require('./manifestValidation');
+
+const deployment = `
+apiVersion: apps/v1
+kind: Deployment
+metadata:
+  name: web
+  labels: {team: web}
+spec:
+  replicas: 2
+  selector:
+    matchLabels: {app: web}
+  template:
+    metadata: {labels: {app: web}}
+    spec:
+      containers:
+      - name: web
+        image: nginx:1.21
+        resources:
+          limits: {cpu: 100m, memory: 128Mi}
+`;
+
+describe('utils', () => {
+  describe('manifestValidation', () => {
+    it('should bundle the schemas of several kubernetes versions', () => {
+      assert.deepEqual(getSupportedKubeVersions(), ['1.19', '1.20', '1.21', '1.22']);
+    });
+
+    it('should accept valid manifests and custom resources', () => {
+      const content = `${deployment}---\napiVersion: example.com/v1\nkind: Widget\nmetadata: {name: w}\nspec: {size: 1}\n`;
+      assert.deepEqual(validateManifests(content, { kubeVersion: 'v1.21.3' }), { errors: [], warnings: [] });
+    });
+
+    it('should reject documents without apiVersion or kind', () => {
+      const { errors } = validateManifests('a: b\n---\nkind: ConfigMap\n', { kubeVersion: '1.21' });
+      assert.deepEqual(errors.map(({ documentIndex, path }) => `${documentIndex}:${path}`), ['0:apiVersion', '0:kind', '1:apiVersion']);
+    });
+
+    it('should report unknown fields and wrong types with their path', () => {
+      const content = deployment.replace('replicas', 'replica').replace('name: web\n        image', 'name: 1\n        image');
+      const { errors } = validateManifests(content, { kubeVersion: '1.21' });
+      assert.deepEqual(errors.map(({ path, message }) => `${path} ${message}`), [
+        'spec unknown field "replica"',
+        'spec.template.spec.containers[0].name should be string',
+      ]);
+    });
+
+    it('should validate every field known to the target kubernetes version', () => {
+      const withProbe = deployment.replace('        resources:', '        livenessProbe: {grpc: {port: 8080}, periodSecond: 5}\n        resources:');
+      const { errors } = validateManifests(withProbe, { kubeVersion: '1.21' });
+      assert.deepEqual(errors.map(({ path, message }) => `${path} ${message}`), [
+        'spec.template.spec.containers[0].livenessProbe unknown field "grpc"',
+        'spec.template.spec.containers[0].livenessProbe unknown field "periodSecond"',
+      ]);
+
+      const withNulls = deployment.replace('  name: web\n', '  name: web\n  creationTimestamp: null\n').replace('memory: 128Mi', 'memory: 128MB');
+      assert.deepEqual(validateManifests(withNulls, { kubeVersion: '1.19' }).errors.map(({ path, message }) => `${path} ${message}`), [
+        'spec.template.spec.containers[0].resources.limits.memory should be number or should match format "quantity"',
+      ]);
+    });
+
+    it('should check apis against the target kubernetes version', () => {
+      const cronJob = 'apiVersion: batch/v1\nkind: CronJob\nmetadata: {name: c}\nspec:\n  schedule: "* * * * *"\n  jobTemplate: {spec: {template: {spec: {containers: []}}}}\n';
+      assert.equal(validateManifests(cronJob, { kubeVersion: '1.21' }).errors.length, 0);
+      const { errors } = validateManifests(cronJob, { kubeVersion: '1.20' });
+      assert.equal(errors[0].message, 'batch/v1 CronJob is not served by Kubernetes 1.20, use batch/v1beta1');
+    });
+
+    it('should reject unsupported kubernetes versions', () => {
+      assert.throws(() => validateManifests(deployment, { kubeVersion: '1.12' }), ManifestValidationError);
+      assert.equal(isSupportedKubeVersion('v1.21.3'), true);
+      assert.equal(isSupportedKubeVersion('1.12'), false);
+    });
+
+    it('should validate against the newest bundled version without a kubernetes version', () => {
+      const content = `settings:\n  debug: true\n---\nplain text\n---\n${deployment.replace('replicas', 'replica').replace('nginx:1.21', 'nginx')}`;
+      const { errors } = validateManifests(content, { lintRules: [{ rule: 'no-latest-tag', severity: 'error' }] });
+      assert.deepEqual(errors.map(({ documentIndex, rule, path }) => `${documentIndex}:${rule}:${path}`), [
+        '0:schema:apiVersion', '0:schema:kind', '1:schema:null', '2:schema:spec', '2:no-latest-tag:spec.template.spec.containers[0].image',
+      ]);
+      const ingress = 'apiVersion: extensions/v1beta1\nkind: Ingress\nmetadata: {name: i}\n';
+      assert.equal(validateManifests(ingress, {}).errors[0].message, 'extensions/v1beta1 Ingress is not served by Kubernetes 1.22');
+    });
+
+    it('should run the lint rules with their severity', () => {
+      const content = deployment.replace('nginx:1.21', 'nginx').replace('limits: {cpu: 100m, memory: 128Mi}', 'limits: {cpu: 100m}');
+      const lintRules = [
+        { rule: 'required-labels', severity: 'error', labels: ['team', 'owner'] },
+        { rule: 'no-latest-tag', severity: 'error' },
+        { rule: 'resource-limits', severity: 'warning' },
+      ];
+      const { errors, warnings } = validateManifests(content, { kubeVersion: '1.21', lintRules });
+      assert.deepEqual(errors.map(({ rule, message }) => `${rule}: ${message}`), [
+        'required-labels: missing required labels owner',
+        'no-latest-tag: container "web" uses the unpinned image "nginx"',
+      ]);
+      assert.deepEqual(warnings.map(({ path, message }) => `${path} ${message}`), [
+        'spec.template.spec.containers[0].resources.limits container "web" has no memory limit',
+      ]);
+    });
+
+    it('should not flag images pinned by digest', () => {
+      const content = deployment.replace('nginx:1.21', 'registry:5000/nginx@sha256:abc');
+      const { errors } = validateManifests(content, { kubeVersion: '1.21', lintRules: [{ rule: 'no-latest-tag', severity: 'error' }] });
+      assert.equal(errors.length, 0);
+    });
+
+    it('should validate lint rules', () => {
+      validateLintRules([{ rule: 'no-latest-tag', severity: 'warning' }]);
+      assert.throws(() => validateLintRules([{ rule: 'no-root', severity: 'error' }]), /unknown rule/);
+      assert.throws(() => validateLintRules([{ rule: 'no-latest-tag', severity: 'fatal' }]), /severity/);
+      assert.throws(() => validateLintRules([{ rule: 'required-labels', severity: 'error' }]), /requires labels/);
+      assert.throws(() => validateLintRules([{ rule: 'no-latest-tag', severity: 'error' }, { rule: 'no-latest-tag', severity: 'warning' }]), /only be configured once/);
+    });
+  });
+});
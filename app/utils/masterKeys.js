@@ -0,0 +1,102 @@
+/**
+* Copyright 2021 IBM Corp. All Rights Reserved.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+const fs = require('fs');
+const crypto = require('crypto');
+const conf = require('../conf.js').conf;
+const { seal, open } = require('./envelope');
+
+const KEY_BYTES = 32;
+
+class MasterKeyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MasterKeyError';
+  }
+}
+
+// a 32 byte key, raw or as hex or base64 text
+const readKeyFile = (keyFile) => {
+  let data;
+  try {
+    data = fs.readFileSync(keyFile);
+  } catch (err) {
+    throw new MasterKeyError(`Unable to read the master key file ${keyFile}: ${err.message}`);
+  }
+  if (data.length === KEY_BYTES) {
+    return data;
+  }
+  const text = data.toString('utf8').trim();
+  if (/^[0-9a-f]{64}$/i.test(text)) {
+    return Buffer.from(text, 'hex');
+  }
+  const decoded = Buffer.from(text, 'base64');
+  if (decoded.length === KEY_BYTES) {
+    return decoded;
+  }
+  throw new MasterKeyError(`The master key file ${keyFile} must contain a ${KEY_BYTES} byte key, raw or hex or base64 encoded`);
+};
+
+// wraps data keys with AES-256-GCM under a key read from a local file.
+// a provider has an id stored with the keys it wraps, and async wrapKey(Buffer) and unwrapKey(string) functions
+const createKeyFileProvider = ({ keyFile }) => {
+  if (!keyFile) {
+    throw new MasterKeyError('MASTER_KEY_FILE must be set for the keyfile master key provider');
+  }
+  const masterKey = readKeyFile(keyFile);
+  const id = `keyfile:${crypto.createHash('sha256').update(masterKey).digest('hex').slice(0, 16)}`;
+  return {
+    id,
+    wrapKey: async(dataKey) => seal(masterKey, dataKey, Buffer.from(id)).toString('base64'),
+    unwrapKey: async(wrappedKey) => open(masterKey, Buffer.from(wrappedKey, 'base64'), Buffer.from(id)),
+  };
+};
+
+const providerFactories = {
+  keyfile: createKeyFileProvider,
+};
+
+let masterKeyProvider;
+
+// providers backed by e.g. a KMS are registered with a factory called with conf.encryption
+const registerMasterKeyProvider = (name, factory) => {
+  providerFactories[name] = factory;
+  masterKeyProvider = undefined;
+};
+
+// the configured provider, null when envelope encryption is not configured
+const getMasterKeyProvider = () => {
+  if (masterKeyProvider === undefined) {
+    const name = conf.encryption.masterKeyProvider;
+    if (!name) {
+      masterKeyProvider = null;
+    }
+    else if (!providerFactories[name]) {
+      throw new MasterKeyError(`Unknown master key provider "${name}"`);
+    }
+    else {
+      masterKeyProvider = providerFactories[name](conf.encryption);
+    }
+  }
+  return masterKeyProvider;
+};
+
+// makes the next getMasterKeyProvider call read conf.encryption again
+const resetMasterKeyProvider = () => {
+  masterKeyProvider = undefined;
+};
+
+module.exports = { MasterKeyError, createKeyFileProvider, registerMasterKeyProvider, getMasterKeyProvider, resetMasterKeyProvider };
@@ -0,0 +1,96 @@
+/**
+* Copyright 2021 IBM Corp. All Rights Reserved.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+const assert = require('assert');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const conf = require('../conf.js').conf;
+const { MasterKeyError, createKeyFileProvider, registerMasterKeyProvider, getMasterKeyProvider, resetMasterKeyProvider } = require('./masterKeys');
+
+describe('utils', () => {
+  describe('masterKeys', () => {
+    const masterKey = crypto.randomBytes(32);
+    const dataKey = crypto.randomBytes(32);
+    const encryption = conf.encryption;
+    let dir;
+
+    const writeKeyFile = (name, data) => {
+      const keyFile = path.join(dir, name);
+      fs.writeFileSync(keyFile, data);
+      return keyFile;
+    };
+
+    before(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'master-keys-'));
+    });
+
+    after(() => {
+      fs.rmdirSync(dir, { recursive: true });
+    });
+
+    afterEach(() => {
+      conf.encryption = encryption;
+      resetMasterKeyProvider();
+    });
+
+    it('should read raw, hex and base64 key files', async () => {
+      const ids = [];
+      for (const [name, data] of [['raw', masterKey], ['hex', masterKey.toString('hex')], ['base64', `${masterKey.toString('base64')}\n`]]) {
+        const provider = createKeyFileProvider({ keyFile: writeKeyFile(name, data) });
+        assert.deepEqual(await provider.unwrapKey(await provider.wrapKey(dataKey)), dataKey);
+        ids.push(provider.id);
+      }
+      assert.equal(new Set(ids).size, 1);
+    });
+
+    it('should not unwrap a key wrapped with another master key', async () => {
+      const provider = createKeyFileProvider({ keyFile: writeKeyFile('key1', masterKey) });
+      const other = createKeyFileProvider({ keyFile: writeKeyFile('key2', crypto.randomBytes(32)) });
+      assert.notEqual(provider.id, other.id);
+      await assert.rejects(other.unwrapKey(await provider.wrapKey(dataKey)));
+    });
+
+    it('should reject invalid key files', () => {
+      assert.throws(() => createKeyFileProvider({}), MasterKeyError);
+      assert.throws(() => createKeyFileProvider({ keyFile: path.join(dir, 'missing') }), MasterKeyError);
+      assert.throws(() => createKeyFileProvider({ keyFile: writeKeyFile('short', 'abcd') }), MasterKeyError);
+    });
+
+    it('should return the configured provider', () => {
+      conf.encryption = { masterKeyProvider: null };
+      assert.equal(getMasterKeyProvider(), null);
+
+      resetMasterKeyProvider();
+      conf.encryption = { masterKeyProvider: 'keyfile', keyFile: writeKeyFile('configured', masterKey) };
+      const provider = getMasterKeyProvider();
+      assert.equal(provider.id.startsWith('keyfile:'), true);
+      assert.strictEqual(getMasterKeyProvider(), provider);
+    });
+
+    it('should use registered providers', () => {
+      const provider = { id: 'test:1' };
+      registerMasterKeyProvider('test', () => provider);
+      conf.encryption = { masterKeyProvider: 'test' };
+      assert.strictEqual(getMasterKeyProvider(), provider);
+
+      resetMasterKeyProvider();
+      conf.encryption = { masterKeyProvider: 'unknown' };
+      assert.throws(() => getMasterKeyProvider(), MasterKeyError);
+    });
+  });
+});
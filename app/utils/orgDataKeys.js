@@ -0,0 +1,94 @@
+/**
+* Copyright 2021 IBM Corp. All Rights Reserved.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+const _ = require('lodash');
+const crypto = require('crypto');
+const { v4: UUID } = require('uuid');
+const { models } = require('../apollo/models');
+const { MasterKeyError, getMasterKeyProvider } = require('./masterKeys');
+const { EncryptionError, encryptEnvelope, createEnvelopeEncryptStream, parseEnvelope, decryptEnvelope } = require('./envelope');
+
+// unwrapped data keys by uuid, so the master key provider is not called for every version
+const unwrappedKeys = new Map();
+
+const isEnvelopeEncryptionEnabled = () => {
+  return !!getMasterKeyProvider();
+};
+
+const unwrapDataKey = async(dataKey) => {
+  if (!unwrappedKeys.has(dataKey.uuid)) {
+    const provider = getMasterKeyProvider();
+    if (!provider) {
+      throw new MasterKeyError('A master key must be configured to decrypt envelope encrypted content');
+    }
+    if (dataKey.masterKeyId !== provider.id) {
+      throw new MasterKeyError(`Data key ${dataKey.uuid} is wrapped by master key ${dataKey.masterKeyId}, not by the configured ${provider.id}`);
+    }
+    unwrappedKeys.set(dataKey.uuid, await provider.unwrapKey(dataKey.wrappedKey));
+  }
+  return unwrappedKeys.get(dataKey.uuid);
+};
+
+// the data key new content of the org is encrypted with, the first of its data keys. created on first use
+const getOrgDataKey = async(org) => {
+  const dataKey = _.first(org.dataKeys);
+  if (dataKey) {
+    return dataKey;
+  }
+  const provider = getMasterKeyProvider();
+  const newKey = {
+    uuid: UUID(),
+    wrappedKey: await provider.wrapKey(crypto.randomBytes(32)),
+    masterKeyId: provider.id,
+    created: new Date(),
+  };
+  // when several requests create the org's first key at once, only one is added and all of them use it
+  await models.Organization.updateOne({ _id: org._id, 'dataKeys.0': { $exists: false } }, { $push: { dataKeys: newKey } });
+  const updated = await models.Organization.findOne({ _id: org._id }, { dataKeys: 1 }).lean();
+  return _.first(updated.dataKeys);
+};
+
+const findOrgDataKey = async(org, uuid) => {
+  const dataKey = _.find(org.dataKeys, { uuid });
+  if (dataKey) {
+    return dataKey;
+  }
+  // the org may have been loaded before the key was created
+  const updated = await models.Organization.findOne({ _id: org._id }, { dataKeys: 1 }).lean();
+  return _.find(updated ? updated.dataKeys : [], { uuid });
+};
+
+const encryptOrgContent = async(org, content) => {
+  const dataKey = await getOrgDataKey(org);
+  return encryptEnvelope(dataKey.uuid, await unwrapDataKey(dataKey), content);
+};
+
+// a transform stream encrypting content like encryptOrgContent
+const createOrgEncryptStream = async(org) => {
+  const dataKey = await getOrgDataKey(org);
+  return createEnvelopeEncryptStream(dataKey.uuid, await unwrapDataKey(dataKey));
+};
+
+const decryptOrgContent = async(org, envelope) => {
+  const { dataKeyUuid } = parseEnvelope(envelope);
+  const dataKey = await findOrgDataKey(org, dataKeyUuid);
+  if (!dataKey) {
+    throw new EncryptionError(`Data key ${dataKeyUuid} is not a key of org ${org._id}`);
+  }
+  return decryptEnvelope(await unwrapDataKey(dataKey), envelope);
+};
+
+module.exports = { isEnvelopeEncryptionEnabled, getOrgDataKey, encryptOrgContent, createOrgEncryptStream, decryptOrgContent };
@@ -15,6 +15,7 @@
 */
 
 const _ = require('lodash');
+const crypto = require('crypto');
 const tokenCrypt = require('./crypt.js');
 
 const getOrg = async(req, res, next) => {
@@ -68,4 +69,41 @@ const decryptOrgData = (orgKey, data) => {
   return tokenCrypt.decrypt(data, orgKey);
 };
 
-module.exports = { getOrg, verifyAdminOrgKey, encryptOrgData, decryptOrgData};
+// identifies the org key content was encrypted with, without storing the key itself
+const getOrgKeyFingerprint = (orgKey) => {
+  return crypto.createHash('sha256').update(orgKey).digest('hex').slice(0, 16);
+};
+
+// new content is encrypted with the primary key, the first key of the org
+const getPrimaryOrgKey = (org) => {
+  return _.first(org.orgKeys);
+};
+
+// the org keys which may decrypt content, only the key it was encrypted with when that is recorded.
+// older content could have been encrypted with any of the keys, preferredKey (e.g. the key of the caller) is tried first
+const getDecryptionKeys = (org, keyFingerprint, preferredKey) => {
+  const orgKeys = org.orgKeys || [];
+  if (keyFingerprint) {
+    return _.filter(orgKeys, (orgKey) => getOrgKeyFingerprint(orgKey) === keyFingerprint).slice(0, 1);
+  }
+  return _.uniq(_.filter([preferredKey, ...orgKeys], (orgKey) => !!orgKey && orgKeys.includes(orgKey)));
+};
+
+// decrypts with each key until one works. decrypting with the wrong key usually fails or gives empty content,
+// but can give garbage, so isValid should check the content e.g. against its digest where one is known
+const decryptWithOrgKeys = async(orgKeys, decryptFunc, isValid = (data) => !!data) => {
+  let lastError = new Error('None of the org keys can decrypt the content, the key it was encrypted with may have been removed');
+  for (const orgKey of orgKeys) {
+    try {
+      const data = await decryptFunc(orgKey);
+      if (isValid(data)) {
+        return data;
+      }
+    } catch (err) {
+      lastError = err;
+    }
+  }
+  throw lastError;
+};
+
+module.exports = { getOrg, verifyAdminOrgKey, encryptOrgData, decryptOrgData, getOrgKeyFingerprint, getPrimaryOrgKey, getDecryptionKeys, decryptWithOrgKeys };
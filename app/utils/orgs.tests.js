@@ -21,6 +21,7 @@ const log = require('../log').log;
 
 let getOrg = require('./orgs').getOrg;
 let verifyAdminOrgKey = require('./orgs').verifyAdminOrgKey;
+const { encryptOrgData, decryptOrgData, getOrgKeyFingerprint, getPrimaryOrgKey, getDecryptionKeys, decryptWithOrgKeys } = require('./orgs');
 
 let db = {};
 
@@ -177,5 +178,36 @@ describe('utils', () => {
       assert.equal(request.org.somedata, 'xyz');
       assert.equal(nextCalled, true);
     });
+
+    it('should fingerprint org keys', () => {
+      assert.equal(getOrgKeyFingerprint('orgApiKey-1'), getOrgKeyFingerprint('orgApiKey-1'));
+      assert.notEqual(getOrgKeyFingerprint('orgApiKey-1'), getOrgKeyFingerprint('orgApiKey-2'));
+      assert.equal(getOrgKeyFingerprint('orgApiKey-1').length, 16);
+    });
+
+    it('should use the first org key as primary', () => {
+      assert.equal(getPrimaryOrgKey({ orgKeys: ['new', 'old'] }), 'new');
+    });
+
+    it('should only decrypt with the recorded key', () => {
+      const org = { orgKeys: ['new', 'old'] };
+      assert.deepEqual(getDecryptionKeys(org, getOrgKeyFingerprint('old'), 'new'), ['old']);
+      assert.deepEqual(getDecryptionKeys(org, getOrgKeyFingerprint('removed'), 'new'), []);
+    });
+
+    it('should try every org key when the key was not recorded', () => {
+      const org = { orgKeys: ['new', 'old'] };
+      assert.deepEqual(getDecryptionKeys(org, null, 'old'), ['old', 'new']);
+      assert.deepEqual(getDecryptionKeys(org, null, 'not-an-org-key'), ['new', 'old']);
+    });
+
+    it('should decrypt with the first key giving valid content', async () => {
+      const encrypted = encryptOrgData('old', 'a: b');
+      const decrypt = (orgKey) => decryptOrgData(orgKey, encrypted);
+      const isValid = (data) => data === 'a: b';
+      assert.equal(await decryptWithOrgKeys(['new', 'old'], decrypt, isValid), 'a: b');
+      await assert.rejects(decryptWithOrgKeys(['new'], decrypt, isValid));
+      await assert.rejects(decryptWithOrgKeys([], decrypt), /None of the org keys/);
+    });
   });
 });
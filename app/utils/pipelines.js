@@ -0,0 +1,77 @@
+/**
+* Copyright 2021 IBM Corp. All Rights Reserved.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+const _ = require('lodash');
+const { DIRECTIVE_LIMITS } = require('../apollo/models/const');
+
+class PromotionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PromotionError';
+  }
+}
+
+// each stage targets either an existing subscription or cluster groups
+const validateStages = (stages) => {
+  if (_.isEmpty(stages)) {
+    throw new PromotionError('A pipeline needs at least one stage');
+  }
+  _.each(stages, (stage) => {
+    if (!stage.name || DIRECTIVE_LIMITS.INVALID_PATTERN.test(stage.name) || stage.name.length > DIRECTIVE_LIMITS.MAX_STRING_LENGTH) {
+      throw new PromotionError(`The stage name "${stage.name || ''}" is not valid`);
+    }
+    if (!!stage.subscriptionUuid === !_.isEmpty(stage.groups)) {
+      throw new PromotionError(`Stage "${stage.name}" must have either a subscriptionUuid or groups`);
+    }
+    if (stage.minSoakMinutes && (!_.isInteger(stage.minSoakMinutes) || stage.minSoakMinutes < 0)) {
+      throw new PromotionError(`The minSoakMinutes of stage "${stage.name}" must be a positive integer`);
+    }
+  });
+  const duplicate = _.find(_.countBy(stages, 'name'), (count) => count > 1);
+  if (duplicate) {
+    throw new PromotionError('Stage names must be unique within a pipeline');
+  }
+  const subscriptionUuids = _.compact(_.map(stages, 'subscriptionUuid'));
+  if (_.uniq(subscriptionUuids).length < subscriptionUuids.length) {
+    throw new PromotionError('A subscription can only be used by one stage of a pipeline');
+  }
+};
+
+// a version is promoted to the first stage not running it yet, once that stage's gates pass.
+// stages carry the version their subscription runs as runningVersionUuid
+const findPromotionTarget = (stages, versionUuid, now = Date.now()) => {
+  const idx = _.findIndex(stages, (stage) => stage.runningVersionUuid !== versionUuid);
+  if (idx < 0) {
+    throw new PromotionError('The version already runs on every stage of the pipeline');
+  }
+  const stage = stages[idx];
+  if (idx > 0 && stage.minSoakMinutes > 0) {
+    const previous = stages[idx - 1];
+    if (previous.promotedVersionUuid !== versionUuid || !previous.promoted) {
+      throw new PromotionError(`Stage "${stage.name}" requires the version to soak on stage "${previous.name}", which did not get it from this pipeline`);
+    }
+    const soakedAt = new Date(previous.promoted).getTime() + stage.minSoakMinutes * 60 * 1000;
+    if (now < soakedAt) {
+      throw new PromotionError(`Stage "${stage.name}" requires the version to soak on stage "${previous.name}" for ${stage.minSoakMinutes} minutes, it can be promoted after ${new Date(soakedAt).toISOString()}`);
+    }
+  }
+  if (stage.requireApproval && !_.some(stage.approvals, { versionUuid })) {
+    throw new PromotionError(`Stage "${stage.name}" requires an approval of the version before it is promoted`);
+  }
+  return idx;
+};
+
+module.exports = { PromotionError, validateStages, findPromotionTarget };
@@ -0,0 +1,68 @@
+/**
+* Copyright 2021 IBM Corp. All Rights Reserved.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+const assert = require('assert');
+
+const { PromotionError, validateStages, findPromotionTarget } = require('./pipelines');
+
+const now = new Date('2021-03-01T12:00:00Z').getTime();
+const hoursAgo = (hours) => new Date(now - hours * 60 * 60 * 1000);
+
+describe('utils', () => {
+  describe('pipelines', () => {
+    it('should validate stages', () => {
+      validateStages([{ name: 'dev', groups: ['dev'] }, { name: 'prod', subscriptionUuid: 'sub1', minSoakMinutes: 60 }]);
+      assert.throws(() => validateStages([]), /at least one stage/);
+      assert.throws(() => validateStages([{ name: 'dev' }]), /either a subscriptionUuid or groups/);
+      assert.throws(() => validateStages([{ name: 'dev', groups: ['dev'], subscriptionUuid: 'sub1' }]), /either a subscriptionUuid or groups/);
+      assert.throws(() => validateStages([{ name: 'dev', groups: ['dev'] }, { name: 'dev', groups: ['prod'] }]), /unique/);
+      assert.throws(() => validateStages([{ name: '<dev>', groups: ['dev'] }]), PromotionError);
+      assert.throws(() => validateStages([{ name: 'dev', groups: ['dev'], minSoakMinutes: -1 }]), /minSoakMinutes/);
+    });
+
+    it('should promote to the first stage not running the version', () => {
+      const stages = [
+        { name: 'dev', runningVersionUuid: 'v2', promotedVersionUuid: 'v2', promoted: hoursAgo(1) },
+        { name: 'stage', runningVersionUuid: 'v1' },
+        { name: 'prod', runningVersionUuid: 'v1' },
+      ];
+      assert.equal(findPromotionTarget(stages, 'v2', now), 1);
+      assert.equal(findPromotionTarget(stages, 'v3', now), 0);
+      assert.throws(() => findPromotionTarget([{ name: 'dev', runningVersionUuid: 'v2' }], 'v2', now), /already runs on every stage/);
+    });
+
+    it('should wait for the version to soak on the previous stage', () => {
+      const stages = [
+        { name: 'dev', runningVersionUuid: 'v2', promotedVersionUuid: 'v2', promoted: hoursAgo(1) },
+        { name: 'prod', runningVersionUuid: 'v1', minSoakMinutes: 120 },
+      ];
+      assert.throws(() => findPromotionTarget(stages, 'v2', now), /can be promoted after 2021-03-01T13:00:00.000Z/);
+      stages[0].promoted = hoursAgo(3);
+      assert.equal(findPromotionTarget(stages, 'v2', now), 1);
+      stages[0].promotedVersionUuid = 'v1';
+      assert.throws(() => findPromotionTarget(stages, 'v2', now), /did not get it from this pipeline/);
+    });
+
+    it('should require an approval of the version', () => {
+      const stages = [
+        { name: 'dev', runningVersionUuid: 'v2' },
+        { name: 'prod', runningVersionUuid: 'v1', requireApproval: true, approvals: [{ versionUuid: 'v1' }] },
+      ];
+      assert.throws(() => findPromotionTarget(stages, 'v2', now), /requires an approval/);
+      stages[1].approvals.push({ versionUuid: 'v2' });
+      assert.equal(findPromotionTarget(stages, 'v2', now), 1);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+/**
+* Copyright 2021 IBM Corp. All Rights Reserved.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+const bunyan = require('bunyan');
+const { getBunyanConfig } = require('./bunyan');
+const conf = require('../conf.js').conf;
+const { models } = require('../apollo/models');
+const { ENCRYPTION_SCHEMES } = require('../apollo/models/const');
+const { getOrgKeyFingerprint, getPrimaryOrgKey } = require('./orgs');
+const { isEnvelopeEncryptionEnabled } = require('./orgDataKeys');
+const { deleteDeployableVersionContent, getS3Location, storeDeployableVersionContent, decryptDeployableVersion } = require('./deployableVersions');
+
+const logger = bunyan.createLogger(getBunyanConfig('reencryption'));
+
+// re-encrypts a version with the org data key when a master key is configured, otherwise with the primary key of its org.
+// COS and GridFS versions are written to a new object, so clusters keep getting the old one until the version points to the new one
+const reencryptVersion = async(org, deployableVersionObj) => {
+  const { org_id, uuid, location } = deployableVersionObj;
+  const content = await decryptDeployableVersion(org, deployableVersionObj);
+
+  let bucketName;
+  let objectName;
+  if (location !== 'mongo') {
+    const suffix = isEnvelopeEncryptionEnabled() ? ENCRYPTION_SCHEMES.ENVELOPE : getOrgKeyFingerprint(getPrimaryOrgKey(org));
+    objectName = `${org_id.toLowerCase()}-${deployableVersionObj.channel_id}-${deployableVersionObj.name}-${suffix}`;
+  }
+  if (location === 's3') {
+    bucketName = getS3Location(deployableVersionObj).bucketName;
+  }
+  const stored = await storeDeployableVersionContent(org, location, objectName, content, bucketName);
+  const update = { $set: stored };
+  // envelopes carry their own iv and name their data key
+  if (stored.encryptionScheme === ENCRYPTION_SCHEMES.ENVELOPE) {
+    update.$unset = { iv: '', keyFingerprint: '' };
+  }
+
+  // unless the version was removed or re-encrypted by someone else meanwhile
+  const result = await models.DeployableVersion.updateOne({ org_id, uuid, content: deployableVersionObj.content }, update);
+  const updated = result.n > 0;
+  await deleteDeployableVersionContent(updated ? deployableVersionObj : stored);
+  return updated;
+};
+
+// the versions of an org which are not encrypted with its data key, or with its primary key without a master key
+const getStaleVersionsQuery = (org) => {
+  const query = { org_id: org._id, encryptionScheme: { $ne: ENCRYPTION_SCHEMES.ENVELOPE } };
+  if (!isEnvelopeEncryptionEnabled()) {
+    query.keyFingerprint = { $ne: getOrgKeyFingerprint(getPrimaryOrgKey(org)) };
+  }
+  return query;
+};
+
+// re-encrypts the stale versions of an org, a failing version does not stop the others
+const reencryptOrgVersions = async(org) => {
+  const deployableVersionObjs = await models.DeployableVersion.find(getStaleVersionsQuery(org));
+  let reencrypted = 0;
+  let failed = 0;
+  for (const deployableVersionObj of deployableVersionObjs) {
+    try {
+      if (await reencryptVersion(org, deployableVersionObj)) {
+        reencrypted++;
+      }
+    } catch (err) {
+      failed++;
+      logger.error(err, `failed to re-encrypt version ${deployableVersionObj.uuid} of org ${org._id}`);
+    }
+  }
+  if (reencrypted > 0 || failed > 0) {
+    logger.info({ org_id: org._id, reencrypted, failed }, 're-encrypted the versions of an org');
+  }
+  return { reencrypted, failed };
+};
+
+const reencryptAllOrgs = async() => {
+  const orgs = await models.Organization.find({}, { orgKeys: 1, dataKeys: 1 }).lean();
+  let reencrypted = 0;
+  let failed = 0;
+  for (const org of orgs) {
+    if (!getPrimaryOrgKey(org)) {
+      continue;
+    }
+    const counts = await reencryptOrgVersions(org);
+    reencrypted += counts.reencrypted;
+    failed += counts.failed;
+  }
+  return { reencrypted, failed };
+};
+
+const startReencryptionJob = () => {
+  const minutes = conf.reencryption.intervalMinutes;
+  if (!(minutes > 0)) {
+    logger.info('the channel version re-encryption job is disabled');
+    return null;
+  }
+  return setInterval(async() => {
+    try {
+      const counts = await reencryptAllOrgs();
+      logger.info(counts, 'channel version re-encryption done');
+    } catch (err) {
+      logger.error(err, 'channel version re-encryption failed');
+    }
+  }, minutes * 60 * 1000);
+};
+
+module.exports = { reencryptVersion, reencryptOrgVersions, reencryptAllOrgs, startReencryptionJob };
@@ -0,0 +1,126 @@
+/**
+* Copyright 2021 IBM Corp. All Rights Reserved.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+const assert = require('assert');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const conf = require('../conf.js').conf;
+const { models } = require('../apollo/models');
+const { encryptOrgData, decryptOrgData, getOrgKeyFingerprint } = require('./orgs');
+const { computeDigest } = require('./digest');
+const { getMasterKeyProvider, resetMasterKeyProvider } = require('./masterKeys');
+const { decryptOrgContent } = require('./orgDataKeys');
+const { reencryptVersion, reencryptOrgVersions } = require('./reencryption');
+
+const org = { _id: 'org1', orgKeys: ['new-key', 'old-key'] };
+const content = 'kind: ConfigMap';
+
+const deployableVersion = (uuid, orgKey, keyFingerprint) => {
+  return {
+    org_id: 'org1',
+    uuid,
+    location: 'mongo',
+    content: encryptOrgData(orgKey, content),
+    digest: computeDigest(content),
+    keyFingerprint,
+  };
+};
+
+describe('utils', () => {
+  describe('reencryption', () => {
+    const { find, updateOne } = models.DeployableVersion;
+    let updates;
+
+    beforeEach(() => {
+      updates = [];
+      models.DeployableVersion.updateOne = async(query, update) => {
+        updates.push({ query, update });
+        return { n: 1 };
+      };
+    });
+
+    afterEach(() => {
+      models.DeployableVersion.find = find;
+      models.DeployableVersion.updateOne = updateOne;
+    });
+
+    it('should re-encrypt a version with the primary key', async () => {
+      const version = deployableVersion('v1', 'old-key', getOrgKeyFingerprint('old-key'));
+      assert.equal(await reencryptVersion(org, version), true);
+
+      const { query, update } = updates[0];
+      assert.deepEqual(query, { org_id: 'org1', uuid: 'v1', content: version.content });
+      assert.equal(update.$set.keyFingerprint, getOrgKeyFingerprint('new-key'));
+      assert.equal(decryptOrgData('new-key', update.$set.content), content);
+    });
+
+    it('should re-encrypt versions stored before the key was recorded', async () => {
+      const version = deployableVersion('v1', 'old-key');
+      await reencryptVersion(org, version);
+      assert.equal(decryptOrgData('new-key', updates[0].update.$set.content), content);
+    });
+
+    it('should keep going when a version can not be decrypted', async () => {
+      models.DeployableVersion.find = async() => [
+        deployableVersion('v1', 'removed-key', getOrgKeyFingerprint('removed-key')),
+        deployableVersion('v2', 'old-key', getOrgKeyFingerprint('old-key')),
+      ];
+      const counts = await reencryptOrgVersions(org);
+      assert.deepEqual(counts, { reencrypted: 1, failed: 1 });
+      assert.deepEqual(updates.map(({ query }) => query.uuid), ['v2']);
+    });
+
+    describe('with a master key', () => {
+      const encryption = conf.encryption;
+      let dir;
+      let envelopeOrg;
+
+      before(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reencryption-'));
+        const keyFile = path.join(dir, 'master.key');
+        fs.writeFileSync(keyFile, crypto.randomBytes(32));
+        conf.encryption = { masterKeyProvider: 'keyfile', keyFile };
+        resetMasterKeyProvider();
+        const provider = getMasterKeyProvider();
+        const dataKey = { uuid: 'dk1', wrappedKey: await provider.wrapKey(crypto.randomBytes(32)), masterKeyId: provider.id };
+        envelopeOrg = { ...org, dataKeys: [dataKey] };
+      });
+
+      after(() => {
+        conf.encryption = encryption;
+        resetMasterKeyProvider();
+        fs.rmdirSync(dir, { recursive: true });
+      });
+
+      it('should migrate versions to envelope encryption', async () => {
+        let findQuery;
+        models.DeployableVersion.find = async(query) => {
+          findQuery = query;
+          return [deployableVersion('v1', 'new-key', getOrgKeyFingerprint('new-key'))];
+        };
+        assert.deepEqual(await reencryptOrgVersions(envelopeOrg), { reencrypted: 1, failed: 0 });
+        assert.deepEqual(findQuery, { org_id: 'org1', encryptionScheme: { $ne: 'v2' } });
+
+        const { update } = updates[0];
+        assert.equal(update.$set.encryptionScheme, 'v2');
+        assert.deepEqual(update.$unset, { iv: '', keyFingerprint: '' });
+        assert.equal(await decryptOrgContent(envelopeOrg, update.$set.content), content);
+      });
+    });
+  });
+});
@@ -0,0 +1,232 @@
+/**
+* Copyright 2021 IBM Corp. All Rights Reserved.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+const _ = require('lodash');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+const execFile = util.promisify(require('child_process').execFile);
+const yaml = require('js-yaml');
+const conf = require('../conf.js').conf;
+const { computeDigest } = require('./digest');
+const { CHANNEL_VERSION_TYPES } = require('../apollo/models/const');
+
+const KUSTOMIZATION_FILE_NAMES = ['kustomization.yaml', 'kustomization.yml', 'Kustomization'];
+const KUSTOMIZATION_REF_KEYS = ['resources', 'bases', 'components', 'crds', 'generators', 'transformers', 'validators'];
+
+class RenderError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RenderError';
+  }
+}
+
+// helm and kustomize versions are stored as an archive and rendered to yaml when they are served
+const isArchiveType = (type) => {
+  return type === CHANNEL_VERSION_TYPES.HELM || type === CHANNEL_VERSION_TYPES.KUSTOMIZE;
+};
+
+// archive versions are stored as a json string, so they can be encrypted like any yaml version
+const packArchiveContent = (archive, values) => {
+  return JSON.stringify({
+    archive: archive.toString('base64'),
+    values: values || '',
+  });
+};
+
+const unpackArchiveContent = (content) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch (err) {
+    throw new RenderError('The stored archive content is corrupted');
+  }
+  return {
+    archive: Buffer.from(parsed.archive || '', 'base64'),
+    values: parsed.values || '',
+  };
+};
+
+const run = async(cmd, args, options = {}) => {
+  try {
+    const { stdout } = await execFile(cmd, args, {
+      timeout: conf.renderers.timeout,
+      maxBuffer: conf.renderers.maxBuffer,
+      ...options,
+    });
+    return stdout;
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      throw new RenderError(`"${cmd}" is not installed on this server`);
+    }
+    const message = _.trim(err.stderr) || err.message;
+    throw new RenderError(`${path.basename(cmd)} failed: ${message}`);
+  }
+};
+
+const withTempDir = async(func) => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'razee-render-'));
+  try {
+    return await func(dir);
+  } finally {
+    await fs.promises.rmdir(dir, { recursive: true });
+  }
+};
+
+// everything a kustomization references must be inside the archive, so rendering never leaves the server
+const findKustomizationFiles = async(dir) => {
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  const found = await Promise.all(_.map(entries, async(entry) => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      return await findKustomizationFiles(fullPath);
+    }
+    return KUSTOMIZATION_FILE_NAMES.includes(entry.name) ? [fullPath] : [];
+  }));
+  return _.flatten(found);
+};
+
+// the real path of filePath when it exists inside dir, links are followed
+const realPathInside = async(dir, filePath) => {
+  let realPath;
+  try {
+    realPath = await fs.promises.realpath(filePath);
+  } catch (err) {
+    return null;
+  }
+  return realPath === dir || realPath.startsWith(`${dir}${path.sep}`) ? realPath : null;
+};
+
+// every ref is resolved like a path, kustomize only loads a remote url when no such file exists
+const validateKustomizationIsLocal = async(buildDir) => {
+  const dir = await fs.promises.realpath(buildDir);
+  const files = await findKustomizationFiles(dir);
+  for (const file of files) {
+    if (!await realPathInside(dir, file)) {
+      throw new RenderError(`${path.relative(dir, file)} links to a file outside the archive`);
+    }
+    let kustomization;
+    try {
+      kustomization = yaml.safeLoad(await fs.promises.readFile(file, 'utf8')) || {};
+    } catch (err) {
+      throw new RenderError(`${path.relative(dir, file)} is not valid YAML: ${err.message}`);
+    }
+    const refs = _.filter(_.flatten(_.map(KUSTOMIZATION_REF_KEYS, (key) => kustomization[key] || [])), _.isString);
+    for (const ref of refs) {
+      if (!await realPathInside(dir, path.resolve(path.dirname(file), ref))) {
+        throw new RenderError(`${path.relative(dir, file)} references "${ref}", which is a remote resource or not inside the archive, only resources inside the archive are supported`);
+      }
+    }
+  }
+  return files;
+};
+
+const renderHelm = async(archive, values) => {
+  return await withTempDir(async(dir) => {
+    const chartPath = path.join(dir, 'chart.tgz');
+    const valuesPath = path.join(dir, 'values.yaml');
+    await fs.promises.writeFile(chartPath, archive);
+    await fs.promises.writeFile(valuesPath, values);
+    return await run(conf.renderers.helm, ['template', 'razee', chartPath, '--values', valuesPath]);
+  });
+};
+
+const renderKustomize = async(archive) => {
+  return await withTempDir(async(dir) => {
+    const archivePath = path.join(dir, 'kustomization.tgz');
+    const buildDir = path.join(dir, 'build');
+    await fs.promises.writeFile(archivePath, archive);
+    await fs.promises.mkdir(buildDir);
+    await run('tar', ['-xzf', archivePath, '-C', buildDir]);
+
+    const files = await validateKustomizationIsLocal(buildDir);
+    if (files.length < 1) {
+      throw new RenderError('No kustomization.yaml was found in the archive');
+    }
+    // build the top most kustomization, overlays usually live next to their bases
+    const root = path.dirname(_.minBy(files, (file) => file.split(path.sep).length));
+    return await run(conf.renderers.kustomize, ['build', root]);
+  });
+};
+
+// renders a stored helm or kustomize version to yaml
+const renderArchiveContent = async(type, content) => {
+  const { archive, values } = unpackArchiveContent(content);
+  if (archive.length < 1) {
+    throw new RenderError('The archive is empty');
+  }
+  let rendered;
+  if (type === CHANNEL_VERSION_TYPES.HELM) {
+    rendered = await renderHelm(archive, values);
+  } else if (type === CHANNEL_VERSION_TYPES.KUSTOMIZE) {
+    rendered = await renderKustomize(archive);
+  } else {
+    throw new RenderError(`Type ${type} can not be rendered`);
+  }
+
+  try {
+    yaml.safeLoadAll(rendered);
+  } catch (err) {
+    throw new RenderError(`Rendered content is not valid YAML: ${err.message}`);
+  }
+  return rendered;
+};
+
+// rendered versions by uuid and digest of the stored content, a Map keeps the least recently used entry first
+const renderCache = new Map();
+let renderCacheBytes = 0;
+
+const getRenderCacheKey = (deployableVersion) => {
+  // versions added before digests were stored are rendered every time
+  return deployableVersion.digest ? `${deployableVersion.uuid}:${deployableVersion.digest}` : null;
+};
+
+// the cached { rendered, digest } of a version, or undefined when it has to be rendered
+const getCachedRender = (deployableVersion) => {
+  const key = getRenderCacheKey(deployableVersion);
+  const entry = key && renderCache.get(key);
+  if (entry) {
+    renderCache.delete(key);
+    renderCache.set(key, entry);
+  }
+  return entry;
+};
+
+// renders the decrypted content of a version and caches the yaml with its digest
+const renderArchiveVersion = async(deployableVersion, content) => {
+  const rendered = await renderArchiveContent(deployableVersion.type, content);
+  const entry = { rendered, digest: computeDigest(rendered) };
+  const key = getRenderCacheKey(deployableVersion);
+  const maxBytes = conf.renderers.cacheMaxMB * 1024 * 1024;
+  const size = Buffer.byteLength(rendered);
+  if (key && size <= maxBytes && !renderCache.has(key)) {
+    renderCache.set(key, entry);
+    renderCacheBytes += size;
+    for (const [oldKey, oldEntry] of renderCache) {
+      if (renderCacheBytes <= maxBytes) {
+        break;
+      }
+      renderCache.delete(oldKey);
+      renderCacheBytes -= Buffer.byteLength(oldEntry.rendered);
+    }
+  }
+  return entry;
+};
+
+module.exports = {
+  RenderError, isArchiveType, packArchiveContent, unpackArchiveContent, renderArchiveContent, getCachedRender, renderArchiveVersion,
+};
@@ -0,0 +1,168 @@
+/**
+* Copyright 2021 IBM Corp. All Rights Reserved.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const conf = require('../conf.js').conf;
+
+const {
+  RenderError, isArchiveType, packArchiveContent, unpackArchiveContent, renderArchiveContent, getCachedRender, renderArchiveVersion,
+} = require('./renderers');
+
+let tmpDir;
+const origRenderers = { ...conf.renderers };
+
+const buildArchive = (files) => {
+  const srcDir = fs.mkdtempSync(path.join(tmpDir, 'src-'));
+  Object.keys(files).forEach((name) => {
+    fs.mkdirSync(path.dirname(path.join(srcDir, name)), { recursive: true });
+    fs.writeFileSync(path.join(srcDir, name), files[name]);
+  });
+  const archivePath = path.join(tmpDir, `${path.basename(srcDir)}.tgz`);
+  execFileSync('tar', ['-czf', archivePath, '-C', srcDir, '.']);
+  return fs.readFileSync(archivePath);
+};
+
+// a stand-in for the helm/kustomize binaries, prints a fixed output
+const fakeBinary = (name, output) => {
+  const binPath = path.join(tmpDir, name);
+  fs.writeFileSync(binPath, `#!/bin/sh\necho "${output}"\n`, { mode: 0o755 });
+  return binPath;
+};
+
+describe('utils', () => {
+  describe('renderers', () => {
+    before(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'renderers-tests-'));
+    });
+
+    after(() => {
+      Object.assign(conf.renderers, origRenderers);
+      fs.rmdirSync(tmpDir, { recursive: true });
+    });
+
+    it('should know which types are archives', () => {
+      assert.equal(isArchiveType('helm'), true);
+      assert.equal(isArchiveType('kustomize'), true);
+      assert.equal(isArchiveType('application/yaml'), false);
+    });
+
+    it('should pack and unpack archive content', () => {
+      const packed = packArchiveContent(Buffer.from([1, 2, 3]), 'replicas: 2');
+      const { archive, values } = unpackArchiveContent(packed);
+      assert.deepEqual([...archive], [1, 2, 3]);
+      assert.equal(values, 'replicas: 2');
+    });
+
+    it('should render a helm chart', async () => {
+      conf.renderers.helm = fakeBinary('helm', 'kind: ConfigMap');
+      const rendered = await renderArchiveContent('helm', packArchiveContent(Buffer.from('chart'), 'a: b'));
+      assert.equal(rendered.trim(), 'kind: ConfigMap');
+    });
+
+    it('should fail when the renderer is not installed', async () => {
+      conf.renderers.helm = path.join(tmpDir, 'not-installed');
+      await assert.rejects(renderArchiveContent('helm', packArchiveContent(Buffer.from('chart'))), /not installed/);
+    });
+
+    it('should reject rendered content that is not yaml', async () => {
+      conf.renderers.helm = fakeBinary('bad-helm', 'a: b: c');
+      await assert.rejects(renderArchiveContent('helm', packArchiveContent(Buffer.from('chart'))), RenderError);
+    });
+
+    it('should render a kustomization', async () => {
+      conf.renderers.kustomize = fakeBinary('kustomize', 'kind: Deployment');
+      const archive = buildArchive({ 'base/kustomization.yaml': 'resources:\n- deployment.yaml\n', 'base/deployment.yaml': 'kind: Deployment\n' });
+      const rendered = await renderArchiveContent('kustomize', packArchiveContent(archive));
+      assert.equal(rendered.trim(), 'kind: Deployment');
+    });
+
+    it('should reject kustomizations without a kustomization.yaml', async () => {
+      const archive = buildArchive({ 'deployment.yaml': 'kind: Deployment\n' });
+      await assert.rejects(renderArchiveContent('kustomize', packArchiveContent(archive)), /No kustomization.yaml/);
+    });
+
+    it('should reject kustomizations with remote resources', async () => {
+      const archive = buildArchive({ 'kustomization.yaml': 'resources:\n- https://github.com/org/repo/base?ref=v1\n' });
+      await assert.rejects(renderArchiveContent('kustomize', packArchiveContent(archive)), /remote resource/);
+    });
+
+    it('should reject every kustomization ref which is not a file inside the archive', async () => {
+      conf.renderers.kustomize = fakeBinary('kustomize', 'kind: Deployment');
+      const refs = [
+        'git::https://github.com/org/repo//base?ref=v1',
+        'example.com/org/repo//base?ref=v1',
+        '/etc/passwd',
+        '../../secrets',
+        'missing.yaml',
+      ];
+      for (const ref of refs) {
+        const archive = buildArchive({ 'overlay/kustomization.yaml': `resources:\n- ${ref}\n` });
+        await assert.rejects(renderArchiveContent('kustomize', packArchiveContent(archive)), /not inside the archive/, ref);
+      }
+    });
+
+    it('should reject kustomizations linking outside the archive', async () => {
+      const srcDir = fs.mkdtempSync(path.join(tmpDir, 'src-'));
+      fs.writeFileSync(path.join(srcDir, 'kustomization.yaml'), 'resources:\n- etc\n');
+      fs.symlinkSync('/etc', path.join(srcDir, 'etc'));
+      const archivePath = path.join(tmpDir, 'link.tgz');
+      execFileSync('tar', ['-czf', archivePath, '-C', srcDir, '.']);
+      await assert.rejects(renderArchiveContent('kustomize', packArchiveContent(fs.readFileSync(archivePath))), /not inside the archive/);
+    });
+
+    it('should render a version once for each digest', async () => {
+      const content = packArchiveContent(Buffer.from('chart'));
+      const version = { uuid: 'cached_version', type: 'helm', digest: 'digest1' };
+      assert.equal(getCachedRender(version), undefined);
+
+      conf.renderers.helm = fakeBinary('helm', 'kind: ConfigMap');
+      const { rendered, digest } = await renderArchiveVersion(version, content);
+      assert.equal(rendered.trim(), 'kind: ConfigMap');
+      assert.equal(getCachedRender(version).digest, digest);
+
+      // new content of the version is rendered again
+      conf.renderers.helm = fakeBinary('helm', 'kind: Secret');
+      assert.equal(getCachedRender({ ...version, digest: 'digest2' }), undefined);
+      assert.equal((await renderArchiveVersion({ ...version, digest: 'digest2' }, content)).rendered.trim(), 'kind: Secret');
+      assert.equal(getCachedRender(version).rendered.trim(), 'kind: ConfigMap');
+    });
+
+    it('should not cache versions without a digest or larger than the cache', async () => {
+      conf.renderers.helm = fakeBinary('helm', 'kind: ConfigMap');
+      await renderArchiveVersion({ uuid: 'no_digest', type: 'helm' }, packArchiveContent(Buffer.from('chart')));
+      assert.equal(getCachedRender({ uuid: 'no_digest', type: 'helm' }), undefined);
+
+      conf.renderers.cacheMaxMB = 0;
+      await renderArchiveVersion({ uuid: 'too_large', type: 'helm', digest: 'digest1' }, packArchiveContent(Buffer.from('chart')));
+      assert.equal(getCachedRender({ uuid: 'too_large', type: 'helm', digest: 'digest1' }), undefined);
+      conf.renderers.cacheMaxMB = origRenderers.cacheMaxMB;
+    });
+
+    it('should accept refs to bases inside the archive', async () => {
+      conf.renderers.kustomize = fakeBinary('kustomize', 'kind: Deployment');
+      const archive = buildArchive({
+        'base/kustomization.yaml': 'resources:\n- deployment.yaml\n',
+        'base/deployment.yaml': 'kind: Deployment\n',
+        'overlays/prod/kustomization.yaml': 'resources:\n- ../../base\n',
+      });
+      const rendered = await renderArchiveContent('kustomize', packArchiveContent(archive));
+      assert.equal(rendered.trim(), 'kind: Deployment');
+    });
+  });
+});
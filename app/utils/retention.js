@@ -0,0 +1,137 @@
+/**
+* Copyright 2021 IBM Corp. All Rights Reserved.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+const _ = require('lodash');
+const { v4: UUID } = require('uuid');
+const bunyan = require('bunyan');
+const { getBunyanConfig } = require('./bunyan');
+const conf = require('../conf.js').conf;
+const { models } = require('../apollo/models');
+const { deleteDeployableVersionContent } = require('./deployableVersions');
+const { OPEN_SCHEDULED_CHANGE_STATES } = require('../apollo/models/const');
+const { getVersionInUseQuery, getVersionScheduledQuery, getUsedVersionUuids } = require('./subscriptions');
+
+const logger = bunyan.createLogger(getBunyanConfig('retention'));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hasRetention = (retention) => {
+  return !!retention && (retention.keepLast > 0 || retention.maxAgeDays > 0);
+};
+
+// a version is kept while it is one of the last keepLast versions or newer than maxAgeDays,
+// versions used by a subscription or a pending scheduled change are always kept. returns the expired versions and why
+const getExpiredVersions = (versions, retention, usedVersionUuids = [], now = Date.now()) => {
+  if (!hasRetention(retention)) {
+    return [];
+  }
+  const { keepLast, maxAgeDays } = retention;
+  const newestFirst = _.orderBy(versions, (version) => new Date(version.created).getTime(), 'desc');
+  const expired = [];
+  _.each(newestFirst, (version, idx) => {
+    const keptByCount = keepLast > 0 && idx < keepLast;
+    const keptByAge = maxAgeDays > 0 && now - new Date(version.created).getTime() < maxAgeDays * DAY_MS;
+    if (keptByCount || keptByAge || usedVersionUuids.includes(version.uuid)) {
+      return;
+    }
+    const reasons = [];
+    if (keepLast > 0) {
+      reasons.push(`not one of the last ${keepLast} versions`);
+    }
+    if (maxAgeDays > 0) {
+      reasons.push(`older than ${maxAgeDays} days`);
+    }
+    expired.push({ version, reason: reasons.join(' and ') });
+  });
+  return expired;
+};
+
+// removes the expired versions of a channel, from mongo and COS, and records each removal
+const sweepChannel = async(channel, now = Date.now()) => {
+  const { org_id } = channel;
+  const subscriptions = await models.Subscription.find({ org_id, channel_uuid: channel.uuid }, { version_uuid: 1, rollout: 1, versionPins: 1 }).lean();
+  const scheduledChanges = await models.ScheduledVersionChange.find({ org_id, channel_uuid: channel.uuid, state: { $in: OPEN_SCHEDULED_CHANGE_STATES } }, { version_uuid: 1 }).lean();
+  const usedVersionUuids = _.uniq([...getUsedVersionUuids(subscriptions), ..._.map(scheduledChanges, 'version_uuid')]);
+  const expired = getExpiredVersions(channel.versions, channel.retention, usedVersionUuids, now);
+
+  const removals = [];
+  for (const { version, reason } of expired) {
+    // a subscription may have been set to the version, or a change scheduled to it, since the sweep started
+    const subCount = await models.Subscription.count(getVersionInUseQuery(org_id, version.uuid));
+    const scheduledCount = await models.ScheduledVersionChange.count(getVersionScheduledQuery(org_id, version.uuid));
+    if (subCount > 0 || scheduledCount > 0) {
+      continue;
+    }
+    const deployableVersionObj = await models.DeployableVersion.findOne({ org_id, uuid: version.uuid });
+    if (deployableVersionObj) {
+      await deleteDeployableVersionContent(deployableVersionObj);
+    }
+    await models.DeployableVersion.deleteOne({ org_id, uuid: version.uuid });
+    await models.Channel.updateOne({ org_id, uuid: channel.uuid }, { $pull: { versions: { uuid: version.uuid } } });
+
+    const removal = await models.ChannelVersionRemoval.create({
+      _id: UUID(),
+      org_id,
+      channel_uuid: channel.uuid,
+      channelName: channel.name,
+      version_uuid: version.uuid,
+      versionName: version.name,
+      versionCreated: version.created,
+      location: version.location,
+      reason,
+    });
+    logger.info({ org_id, channel_uuid: channel.uuid, version_uuid: version.uuid, reason }, 'removed an expired channel version');
+    removals.push(removal);
+  }
+  return removals;
+};
+
+// sweeps every channel with a retention, a failing channel does not stop the others
+const sweepChannelVersions = async(now = Date.now()) => {
+  const channels = await models.Channel.find({
+    $or: [
+      { 'retention.keepLast': { $gt: 0 } },
+      { 'retention.maxAgeDays': { $gt: 0 } },
+    ],
+  });
+  let removed = 0;
+  for (const channel of channels) {
+    try {
+      removed += (await sweepChannel(channel, now)).length;
+    } catch (err) {
+      logger.error(err, `failed to sweep the versions of channel ${channel.uuid}`);
+    }
+  }
+  return removed;
+};
+
+const startRetentionSweeper = () => {
+  const minutes = conf.retention.sweepIntervalMinutes;
+  if (!(minutes > 0)) {
+    logger.info('the channel version retention sweeper is disabled');
+    return null;
+  }
+  return setInterval(async() => {
+    try {
+      const removed = await sweepChannelVersions();
+      logger.info({ removed }, 'channel version retention sweep done');
+    } catch (err) {
+      logger.error(err, 'channel version retention sweep failed');
+    }
+  }, minutes * 60 * 1000);
+};
+
+module.exports = { hasRetention, getExpiredVersions, sweepChannel, sweepChannelVersions, startRetentionSweeper };
@@ -0,0 +1,106 @@
+/**
+* Copyright 2021 IBM Corp. All Rights Reserved.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+const assert = require('assert');
+
+const { models } = require('../apollo/models');
+const { hasRetention, getExpiredVersions, sweepChannel } = require('./retention');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2021-06-30T00:00:00Z').getTime();
+const versions = [1, 2, 3, 4, 5].map((num) => {
+  return { uuid: `v${num}`, name: `${num}`, created: new Date(now - (10 - num) * DAY_MS) };
+});
+
+describe('utils', () => {
+  describe('retention', () => {
+    it('should know when a retention is set', () => {
+      assert.equal(hasRetention(undefined), false);
+      assert.equal(hasRetention({}), false);
+      assert.equal(hasRetention({ keepLast: 2 }), true);
+      assert.equal(hasRetention({ maxAgeDays: 7 }), true);
+    });
+
+    it('should expire nothing without a retention', () => {
+      assert.deepEqual(getExpiredVersions(versions, {}, [], now), []);
+    });
+
+    it('should keep the last versions', () => {
+      const expired = getExpiredVersions(versions, { keepLast: 2 }, [], now);
+      assert.deepEqual(expired.map(({ version }) => version.uuid), ['v3', 'v2', 'v1']);
+      assert.equal(expired[0].reason, 'not one of the last 2 versions');
+    });
+
+    it('should keep the versions newer than maxAgeDays', () => {
+      const expired = getExpiredVersions(versions, { maxAgeDays: 8 }, [], now);
+      assert.deepEqual(expired.map(({ version }) => version.uuid), ['v2', 'v1']);
+      assert.equal(expired[0].reason, 'older than 8 days');
+    });
+
+    it('should keep a version matching either rule', () => {
+      const expired = getExpiredVersions(versions, { keepLast: 1, maxAgeDays: 9 }, [], now);
+      assert.deepEqual(expired.map(({ version }) => version.uuid), ['v1']);
+      assert.equal(expired[0].reason, 'not one of the last 1 versions and older than 9 days');
+    });
+
+    it('should keep versions used by subscriptions', () => {
+      const expired = getExpiredVersions(versions, { keepLast: 1 }, ['v2'], now);
+      assert.deepEqual(expired.map(({ version }) => version.uuid), ['v4', 'v3', 'v1']);
+    });
+
+    describe('sweep', () => {
+      const subscriptionFind = models.Subscription.find;
+      const subscriptionCount = models.Subscription.count;
+      const changeFind = models.ScheduledVersionChange.find;
+      const changeCount = models.ScheduledVersionChange.count;
+      const { findOne, deleteOne } = models.DeployableVersion;
+      const channelUpdateOne = models.Channel.updateOne;
+      const removalCreate = models.ChannelVersionRemoval.create;
+      const lean = (docs) => ({ lean: async () => docs });
+      let removed;
+
+      beforeEach(() => {
+        removed = [];
+        models.Subscription.find = () => lean([{ version_uuid: 'v5' }]);
+        models.Subscription.count = async() => 0;
+        models.ScheduledVersionChange.find = () => lean([{ version_uuid: 'v2' }]);
+        models.ScheduledVersionChange.count = async(query) => query.version_uuid === 'v3' ? 1 : 0;
+        models.DeployableVersion.findOne = async() => null;
+        models.DeployableVersion.deleteOne = async({ uuid }) => removed.push(uuid);
+        models.Channel.updateOne = async() => ({ n: 1 });
+        models.ChannelVersionRemoval.create = async(removal) => removal;
+      });
+
+      afterEach(() => {
+        models.Subscription.find = subscriptionFind;
+        models.Subscription.count = subscriptionCount;
+        models.ScheduledVersionChange.find = changeFind;
+        models.ScheduledVersionChange.count = changeCount;
+        models.DeployableVersion.findOne = findOne;
+        models.DeployableVersion.deleteOne = deleteOne;
+        models.Channel.updateOne = channelUpdateOne;
+        models.ChannelVersionRemoval.create = removalCreate;
+      });
+
+      it('should keep the versions scheduled changes wait for', async () => {
+        const channel = { org_id: 'org1', uuid: 'ch1', name: 'app', versions, retention: { keepLast: 1 } };
+        const removals = await sweepChannel(channel, now);
+        // v2 was scheduled before the sweep, v3 while it ran
+        assert.deepEqual(removed, ['v4', 'v1']);
+        assert.deepEqual(removals.map(({ version_uuid }) => version_uuid), ['v4', 'v1']);
+      });
+    });
+  });
+});
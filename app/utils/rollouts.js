@@ -0,0 +1,219 @@
+/**
+* Copyright 2021 IBM Corp. All Rights Reserved.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+const _ = require('lodash');
+const crypto = require('crypto');
+const { v4: UUID } = require('uuid');
+const bunyan = require('bunyan');
+const { getBunyanConfig } = require('./bunyan');
+const conf = require('../conf.js').conf;
+const { models } = require('../apollo/models');
+const { ROLLOUT_STATES } = require('../apollo/models/const');
+const { SUBSCRIPTION_ANNOTATION, isSubscriptionPaused, getTargetClusters, notifyClusters } = require('./subscriptions');
+
+const logger = bunyan.createLogger(getBunyanConfig('rollouts'));
+
+class RolloutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RolloutError';
+  }
+}
+
+// either percentages, increasing up to 100, or a batchSize. the last batch is added when the percentages stop short of 100
+const validateRolloutInput = ({ percentages, batchSize, soakMinutes }) => {
+  if (_.isNil(soakMinutes)) {
+    soakMinutes = 0;
+  }
+  const hasPercentages = !_.isEmpty(percentages);
+  if (hasPercentages === !_.isNil(batchSize)) {
+    throw new RolloutError('Specify either percentages or a batchSize');
+  }
+  if (hasPercentages) {
+    _.each(percentages, (percentage, idx) => {
+      if (!Number.isInteger(percentage) || percentage < 1 || percentage > 100) {
+        throw new RolloutError('percentages must be whole numbers between 1 and 100');
+      }
+      if (idx > 0 && percentage <= percentages[idx - 1]) {
+        throw new RolloutError('percentages must increase from batch to batch');
+      }
+    });
+  }
+  else if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new RolloutError('batchSize must be a positive whole number');
+  }
+  if (!Number.isInteger(soakMinutes) || soakMinutes < 0) {
+    throw new RolloutError('soakMinutes must be a whole number of 0 or more');
+  }
+  if (hasPercentages) {
+    return { percentages: _.last(percentages) === 100 ? percentages : [...percentages, 100], soakMinutes };
+  }
+  return { batchSize, soakMinutes };
+};
+
+// the number of clusters on the new version once a batch started
+const getBatchClusterCount = (rollout, batch, total) => {
+  if (rollout.batchSize > 0) {
+    return Math.min(total, rollout.batchSize * (batch + 1));
+  }
+  const percentage = rollout.percentages[Math.min(batch, rollout.percentages.length - 1)];
+  return Math.min(total, Math.ceil(total * percentage / 100));
+};
+
+// clusters are taken in an order which is random but fixed per rollout, so a batch is not e.g. the oldest clusters
+const orderClusterIds = (rolloutUuid, clusterIds) => {
+  return _.sortBy(clusterIds, (clusterId) => crypto.createHash('sha256').update(`${rolloutUuid}:${clusterId}`).digest('hex'));
+};
+
+// the clusters on the new version in a batch, the clusters of the previous batches and the next ones in rollout order.
+// clusters targeted after the rollout started are added to later batches
+const selectBatchClusters = (rollout, batch, targetClusterIds) => {
+  const updated = rollout.clusterIds || [];
+  const count = getBatchClusterCount(rollout, batch, targetClusterIds.length);
+  const pending = _.difference(orderClusterIds(rollout.uuid, targetClusterIds), updated);
+  const toAdd = count - _.intersection(updated, targetClusterIds).length;
+  const clusterIds = [...updated, ...pending.slice(0, Math.max(0, toAdd))];
+  return { clusterIds, completed: pending.length <= toAdd };
+};
+
+const getTargetClusterIds = async(subscription) => {
+  return _.map(await getTargetClusters(subscription), 'cluster_id');
+};
+
+// a rollout of a subscription from its current version to version, with the clusters of its first batch
+const createRollout = async(subscription, version, input, ownerId, now = new Date()) => {
+  const rollout = {
+    uuid: UUID(),
+    fromVersion: subscription.version,
+    fromVersionUuid: subscription.version_uuid,
+    toVersion: version.name,
+    toVersionUuid: version.uuid,
+    ...validateRolloutInput(input),
+    batch: 0,
+    clusterIds: [],
+    startedBy: ownerId,
+    started: now,
+    batchStarted: now,
+    updated: now,
+  };
+  const { clusterIds, completed } = selectBatchClusters(rollout, 0, await getTargetClusterIds(subscription));
+  rollout.clusterIds = clusterIds;
+  rollout.state = completed ? ROLLOUT_STATES.COMPLETED : ROLLOUT_STATES.PROGRESSING;
+  if (completed) {
+    rollout.completed = now;
+  }
+  return rollout;
+};
+
+// moves a rollout to its next batch, the batch reaching all clusters completes it. a halted rollout continues.
+// returns null when the rollout was changed meanwhile
+const advanceRollout = async(subscription, now = new Date()) => {
+  const { org_id, uuid, rollout } = subscription;
+  const batch = rollout.batch + 1;
+  const { clusterIds, completed } = selectBatchClusters(rollout, batch, await getTargetClusterIds(subscription));
+  const updated = {
+    ...rollout,
+    batch,
+    clusterIds,
+    state: completed ? ROLLOUT_STATES.COMPLETED : ROLLOUT_STATES.PROGRESSING,
+    batchStarted: now,
+    updated: now,
+  };
+  delete updated.reason;
+  if (completed) {
+    updated.completed = now;
+  }
+  const result = await models.Subscription.updateOne({ org_id, uuid, 'rollout.uuid': rollout.uuid, 'rollout.batch': rollout.batch }, { $set: { rollout: updated } });
+  return result.n > 0 ? updated : null;
+};
+
+// the clusters of a rollout whose RemoteResources for the subscription reported errors since it started
+const getFailingClusterIds = async(subscription) => {
+  const { org_id, uuid, rollout } = subscription;
+  const resources = await models.Resource.find({
+    org_id,
+    cluster_id: { $in: rollout.clusterIds },
+    [`searchableData.${SUBSCRIPTION_ANNOTATION}`]: uuid,
+    deleted: false,
+    updated: { $gte: rollout.started },
+  }, { cluster_id: 1, searchableData: 1 }).lean();
+  const failing = _.filter(resources, (resource) => _.toArray(_.get(resource, 'searchableData.errors', [])).length > 0);
+  return _.uniq(_.map(failing, 'cluster_id'));
+};
+
+// halts a progressing rollout when its clusters report errors, otherwise starts the next batch once the current one soaked.
+// returns what was done, if anything
+const checkRollout = async(subscription, now = new Date()) => {
+  const { org_id, uuid, rollout } = subscription;
+  const failingClusterIds = await getFailingClusterIds(subscription);
+  if (failingClusterIds.length > 0) {
+    const reason = `${failingClusterIds.length} clusters report errors: ${_.take(failingClusterIds, 10).join(', ')}`;
+    await models.Subscription.updateOne({ org_id, uuid, 'rollout.uuid': rollout.uuid, 'rollout.state': ROLLOUT_STATES.PROGRESSING }, {
+      $set: { 'rollout.state': ROLLOUT_STATES.HALTED, 'rollout.reason': reason, 'rollout.updated': now },
+    });
+    logger.warn({ org_id, subscription_uuid: uuid, rollout_uuid: rollout.uuid, failingClusterIds }, 'halted a rollout');
+    return 'halted';
+  }
+  const soaked = rollout.soakMinutes > 0 && now.getTime() - new Date(rollout.batchStarted).getTime() >= rollout.soakMinutes * 60 * 1000;
+  if (soaked && await advanceRollout(subscription, now)) {
+    await notifyClusters(org_id);
+    return 'advanced';
+  }
+  return null;
+};
+
+const checkRollouts = async(now = new Date()) => {
+  const subscriptions = await models.Subscription.find({ 'rollout.state': ROLLOUT_STATES.PROGRESSING }).lean();
+  const counts = { halted: 0, advanced: 0 };
+  for (const subscription of subscriptions) {
+    // the clusters of a paused subscription do not get new batches, so they can not soak
+    if (isSubscriptionPaused(subscription, now)) {
+      continue;
+    }
+    try {
+      const done = await checkRollout(subscription, now);
+      if (done) {
+        counts[done]++;
+      }
+    } catch (err) {
+      logger.error(err, `failed to check the rollout of subscription ${subscription.uuid}`);
+    }
+  }
+  return counts;
+};
+
+const startRolloutJob = () => {
+  const minutes = conf.rollouts.intervalMinutes;
+  if (!(minutes > 0)) {
+    logger.info('the subscription rollout job is disabled');
+    return null;
+  }
+  return setInterval(async() => {
+    try {
+      const counts = await checkRollouts();
+      if (counts.halted > 0 || counts.advanced > 0) {
+        logger.info(counts, 'subscription rollouts checked');
+      }
+    } catch (err) {
+      logger.error(err, 'subscription rollout check failed');
+    }
+  }, minutes * 60 * 1000);
+};
+
+module.exports = {
+  RolloutError, validateRolloutInput, getBatchClusterCount, selectBatchClusters, createRollout, advanceRollout,
+  getFailingClusterIds, checkRollout, checkRollouts, startRolloutJob,
+};
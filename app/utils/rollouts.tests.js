@@ -0,0 +1,134 @@
+/**
+* Copyright 2021 IBM Corp. All Rights Reserved.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+const assert = require('assert');
+
+const { models } = require('../apollo/models');
+const { RolloutError, validateRolloutInput, getBatchClusterCount, selectBatchClusters, createRollout, advanceRollout, getFailingClusterIds, checkRollout } = require('./rollouts');
+
+const clusterIds = ['c1', 'c2', 'c3', 'c4', 'c5', 'c6', 'c7', 'c8', 'c9', 'c10'];
+const subscription = { org_id: 'org1', uuid: 'sub1', name: 'app', groups: ['prod'], version: 'v1', version_uuid: 'v1-uuid' };
+
+const lean = (docs) => ({ lean: async () => docs });
+
+describe('utils', () => {
+  describe('rollouts', () => {
+    const clusterFind = models.Cluster.find;
+    const resourceFind = models.Resource.find;
+    const { updateOne } = models.Subscription;
+    let updates;
+
+    beforeEach(() => {
+      updates = [];
+      models.Cluster.find = () => lean(clusterIds.map((cluster_id) => ({ cluster_id, groups: [{ name: 'prod' }] })));
+      models.Resource.find = () => lean([]);
+      models.Subscription.updateOne = async(query, update) => {
+        updates.push({ query, update });
+        return { n: 1 };
+      };
+    });
+
+    afterEach(() => {
+      models.Cluster.find = clusterFind;
+      models.Resource.find = resourceFind;
+      models.Subscription.updateOne = updateOne;
+    });
+
+    it('should validate the rollout input', () => {
+      assert.deepEqual(validateRolloutInput({ percentages: [10, 50] }), { percentages: [10, 50, 100], soakMinutes: 0 });
+      assert.deepEqual(validateRolloutInput({ batchSize: 2, soakMinutes: 30 }), { batchSize: 2, soakMinutes: 30 });
+      assert.throws(() => validateRolloutInput({}), RolloutError);
+      assert.throws(() => validateRolloutInput({ percentages: [10], batchSize: 2 }), RolloutError);
+      assert.throws(() => validateRolloutInput({ percentages: [50, 10] }), /must increase/);
+      assert.throws(() => validateRolloutInput({ percentages: [0, 150] }), /between 1 and 100/);
+      assert.throws(() => validateRolloutInput({ batchSize: 0 }), /batchSize/);
+      assert.throws(() => validateRolloutInput({ batchSize: 1, soakMinutes: -1 }), /soakMinutes/);
+    });
+
+    it('should count the clusters of each batch', () => {
+      const byPercentage = { percentages: [10, 25, 100] };
+      assert.deepEqual([0, 1, 2, 3].map((batch) => getBatchClusterCount(byPercentage, batch, 10)), [1, 3, 10, 10]);
+      const bySize = { batchSize: 4 };
+      assert.deepEqual([0, 1, 2].map((batch) => getBatchClusterCount(bySize, batch, 10)), [4, 8, 10]);
+    });
+
+    it('should keep the clusters of previous batches', () => {
+      const rollout = { uuid: 'r1', batchSize: 3, clusterIds: [] };
+      const first = selectBatchClusters(rollout, 0, clusterIds);
+      assert.equal(first.clusterIds.length, 3);
+      assert.equal(first.completed, false);
+      // the order is fixed per rollout
+      assert.deepEqual(selectBatchClusters(rollout, 0, clusterIds).clusterIds, first.clusterIds);
+
+      const second = selectBatchClusters({ ...rollout, clusterIds: first.clusterIds }, 1, clusterIds);
+      assert.deepEqual(second.clusterIds.slice(0, 3), first.clusterIds);
+      assert.equal(second.clusterIds.length, 6);
+
+      const last = selectBatchClusters({ ...rollout, clusterIds: second.clusterIds }, 3, clusterIds);
+      assert.deepEqual(last.clusterIds.sort(), [...clusterIds].sort());
+      assert.equal(last.completed, true);
+    });
+
+    it('should start a rollout with its first batch', async () => {
+      const rollout = await createRollout(subscription, { name: 'v2', uuid: 'v2-uuid' }, { percentages: [20] }, 'user1');
+      assert.equal(rollout.state, 'progressing');
+      assert.equal(rollout.fromVersionUuid, 'v1-uuid');
+      assert.equal(rollout.toVersionUuid, 'v2-uuid');
+      assert.equal(rollout.clusterIds.length, 2);
+      assert.equal(rollout.startedBy, 'user1');
+
+      // a single batch reaching all clusters completes right away
+      const all = await createRollout(subscription, { name: 'v2', uuid: 'v2-uuid' }, { percentages: [100] }, 'user1');
+      assert.equal(all.state, 'completed');
+    });
+
+    it('should advance and complete a rollout', async () => {
+      const rollout = await createRollout(subscription, { name: 'v2', uuid: 'v2-uuid' }, { batchSize: 5 }, 'user1');
+      const halted = { ...rollout, state: 'halted', reason: 'errors' };
+      const advanced = await advanceRollout({ ...subscription, rollout: halted });
+      assert.equal(advanced.state, 'completed');
+      assert.equal(advanced.batch, 1);
+      assert.equal(advanced.reason, undefined);
+      assert.deepEqual(updates[0].query, { org_id: 'org1', uuid: 'sub1', 'rollout.uuid': rollout.uuid, 'rollout.batch': 0 });
+
+      models.Subscription.updateOne = async() => ({ n: 0 });
+      assert.equal(await advanceRollout({ ...subscription, rollout }), null);
+    });
+
+    it('should halt a rollout when its clusters report errors', async () => {
+      const rollout = await createRollout(subscription, { name: 'v2', uuid: 'v2-uuid' }, { batchSize: 2, soakMinutes: 10 }, 'user1');
+      let resourceQuery;
+      models.Resource.find = (query) => {
+        resourceQuery = query;
+        return lean([
+          { cluster_id: rollout.clusterIds[0], searchableData: { errors: ['failed to apply'] } },
+          { cluster_id: rollout.clusterIds[1], searchableData: { errors: [] } },
+        ]);
+      };
+      assert.deepEqual(await getFailingClusterIds({ ...subscription, rollout }), [rollout.clusterIds[0]]);
+      assert.deepEqual(resourceQuery.cluster_id, { $in: rollout.clusterIds });
+
+      assert.equal(await checkRollout({ ...subscription, rollout }), 'halted');
+      assert.equal(updates[0].update.$set['rollout.state'], 'halted');
+      assert.equal(updates[0].update.$set['rollout.reason'], `1 clusters report errors: ${rollout.clusterIds[0]}`);
+    });
+
+    it('should wait for the soak time', async () => {
+      const rollout = await createRollout(subscription, { name: 'v2', uuid: 'v2-uuid' }, { batchSize: 2, soakMinutes: 10 }, 'user1');
+      assert.equal(await checkRollout({ ...subscription, rollout }, new Date(rollout.batchStarted.getTime() + 5 * 60 * 1000)), null);
+      assert.equal(updates.length, 0);
+    });
+  });
+});
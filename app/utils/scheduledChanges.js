@@ -0,0 +1,197 @@
+/**
+* Copyright 2021 IBM Corp. All Rights Reserved.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+const _ = require('lodash');
+const bunyan = require('bunyan');
+const { getBunyanConfig } = require('./bunyan');
+const conf = require('../conf.js').conf;
+const { models } = require('../apollo/models');
+const { SCHEDULED_CHANGE_STATES, CHANNEL_VERSION_STATES, VERSION_CHANGE_ACTIONS } = require('../apollo/models/const');
+const { isInMaintenanceWindow } = require('./maintenanceWindows');
+const { getTargetClusters, addVersionChange, addPauseChange, notifyClusters } = require('./subscriptions');
+
+const logger = bunyan.createLogger(getBunyanConfig('scheduledChanges'));
+
+// a change still applying after this long was abandoned, e.g. by an instance which stopped, and is applied again
+const CLAIM_TIMEOUT_MS = 10 * 60 * 1000;
+
+// the groups whose maintenance windows a subscription waits for: its own, and for a cluster id or a selector
+// the groups of the clusters it is delivered to
+const getMaintenanceGroupNames = async(subscription) => {
+  if (!subscription.clusterId && !subscription.clusterSelector) {
+    return subscription.groups || [];
+  }
+  const clusters = await getTargetClusters(subscription);
+  return _.uniq([...(subscription.groups || []), ..._.flatMap(clusters, (cluster) => _.map(cluster.groups, 'name'))]);
+};
+
+// the maintenance windows of each of the groups, groups without windows are left out
+const getGroupMaintenanceWindows = async(org_id, groupNames) => {
+  const groups = await models.Group.find({ org_id, name: { $in: groupNames || [] } }, { name: 1, maintenanceWindows: 1 }).lean();
+  return _.filter(groups, (group) => !_.isEmpty(group.maintenanceWindows));
+};
+
+// a pending change, or one abandoned while applying
+const getClaimQuery = (change, now) => {
+  if (change.state === SCHEDULED_CHANGE_STATES.APPLYING) {
+    return { _id: change._id, state: SCHEDULED_CHANGE_STATES.APPLYING, updated: { $lte: new Date(now.getTime() - CLAIM_TIMEOUT_MS) } };
+  }
+  return { _id: change._id, state: SCHEDULED_CHANGE_STATES.PENDING };
+};
+
+const failChange = async(change, reason, now) => {
+  await models.ScheduledVersionChange.updateOne(getClaimQuery(change, now), {
+    $set: { state: SCHEDULED_CHANGE_STATES.FAILED, reason, updated: now },
+  });
+  logger.warn({ org_id: change.org_id, uuid: change._id, reason }, 'a scheduled version change failed');
+  return SCHEDULED_CHANGE_STATES.FAILED;
+};
+
+// applies a due change, unless it has to wait for every group of its subscription which has windows to be inside one.
+// returns the new state of the change, null while it waits
+const applyScheduledChange = async(change, now = new Date()) => {
+  const { org_id, subscription_uuid, version_uuid } = change;
+  const subscription = await models.Subscription.findOne({ org_id, uuid: subscription_uuid }).lean();
+  if (!subscription) {
+    return await failChange(change, 'the subscription was removed', now);
+  }
+  if (change.inMaintenanceWindow) {
+    const groups = await getGroupMaintenanceWindows(org_id, await getMaintenanceGroupNames(subscription));
+    if (groups.length < 1) {
+      return await failChange(change, 'none of the groups of the subscription have maintenance windows', now);
+    }
+    if (!_.every(groups, (group) => isInMaintenanceWindow(group.maintenanceWindows, now))) {
+      return null;
+    }
+  }
+  if (subscription.channel_uuid !== change.channel_uuid) {
+    return await failChange(change, 'the subscription was moved to another channel', now);
+  }
+  const channel = await models.Channel.findOne({ org_id, uuid: change.channel_uuid }).lean();
+  const version = _.find(channel ? channel.versions : [], { uuid: version_uuid });
+  if (!version || version.state === CHANNEL_VERSION_STATES.ARCHIVED) {
+    return await failChange(change, `version ${change.version} was removed or archived`, now);
+  }
+
+  // claims the change, it may have been cancelled or claimed by another instance meanwhile
+  const claimed = await models.ScheduledVersionChange.updateOne(getClaimQuery(change, now), {
+    $set: { state: SCHEDULED_CHANGE_STATES.APPLYING, updated: now },
+  });
+  if (claimed.n < 1) {
+    return null;
+  }
+  // the version replaces one being rolled out, every cluster gets it
+  const update = { $set: { version: version.name, version_uuid }, $unset: { rollout: '' } };
+  addVersionChange(update, subscription, { version: version.name, version_uuid }, change.ownerId, VERSION_CHANGE_ACTIONS.SCHEDULE, now);
+  try {
+    await models.Subscription.updateOne({ org_id, uuid: subscription_uuid }, update);
+  } catch (err) {
+    // the next run tries again
+    await models.ScheduledVersionChange.updateOne({ _id: change._id, state: SCHEDULED_CHANGE_STATES.APPLYING }, {
+      $set: { state: SCHEDULED_CHANGE_STATES.PENDING, updated: now },
+    });
+    throw err;
+  }
+  await models.ScheduledVersionChange.updateOne({ _id: change._id, state: SCHEDULED_CHANGE_STATES.APPLYING }, {
+    $set: { state: SCHEDULED_CHANGE_STATES.APPLIED, updated: now },
+  });
+  await notifyClusters(org_id);
+  logger.info({ org_id, uuid: change._id, subscription_uuid, version_uuid }, 'applied a scheduled version change');
+  return SCHEDULED_CHANGE_STATES.APPLIED;
+};
+
+const applyScheduledChanges = async(now = new Date()) => {
+  const changes = await models.ScheduledVersionChange.find({
+    $or: [
+      { state: SCHEDULED_CHANGE_STATES.PENDING, notBefore: { $lte: now } },
+      { state: SCHEDULED_CHANGE_STATES.PENDING, notBefore: null },
+      { state: SCHEDULED_CHANGE_STATES.APPLYING, updated: { $lte: new Date(now.getTime() - CLAIM_TIMEOUT_MS) } },
+    ],
+  }).lean();
+  const counts = { applied: 0, failed: 0 };
+  for (const change of changes) {
+    try {
+      const state = await applyScheduledChange(change, now);
+      if (state) {
+        counts[state]++;
+      }
+    } catch (err) {
+      logger.error(err, `failed to apply scheduled version change ${change._id}`);
+    }
+  }
+  return counts;
+};
+
+// resumes the subscriptions whose pause expired
+const resumeExpiredPauses = async(now = new Date()) => {
+  const subscriptions = await models.Subscription.find({ 'pause.expires': { $lte: now } }).lean();
+  const orgIds = new Set();
+  let resumed = 0;
+  for (const subscription of subscriptions) {
+    const { org_id, uuid, pause } = subscription;
+    const update = addPauseChange({ $unset: { pause: '' } }, subscription, undefined, VERSION_CHANGE_ACTIONS.RESUME, 'the pause expired', now);
+    // unless it was paused again meanwhile
+    const result = await models.Subscription.updateOne({ org_id, uuid, 'pause.expires': pause.expires }, update);
+    if (result.n > 0) {
+      resumed++;
+      orgIds.add(org_id);
+    }
+  }
+  for (const org_id of orgIds) {
+    await notifyClusters(org_id);
+  }
+  return resumed;
+};
+
+// removes the version pins which expired
+const removeExpiredPins = async(now = new Date()) => {
+  const subscriptions = await models.Subscription.find({ 'versionPins.expires': { $lte: now } }, { org_id: 1, uuid: 1 }).lean();
+  const orgIds = new Set();
+  let unpinned = 0;
+  for (const { org_id, uuid } of subscriptions) {
+    const result = await models.Subscription.updateOne({ org_id, uuid }, { $pull: { versionPins: { expires: { $lte: now } } } });
+    if (result.nModified > 0) {
+      unpinned++;
+      orgIds.add(org_id);
+    }
+  }
+  for (const org_id of orgIds) {
+    await notifyClusters(org_id);
+  }
+  return unpinned;
+};
+
+const startSchedulerJob = () => {
+  const minutes = conf.schedules.intervalMinutes;
+  if (!(minutes > 0)) {
+    logger.info('the scheduled version change job is disabled');
+    return null;
+  }
+  return setInterval(async() => {
+    try {
+      const counts = await applyScheduledChanges();
+      counts.resumed = await resumeExpiredPauses();
+      counts.unpinned = await removeExpiredPins();
+      if (counts.applied > 0 || counts.failed > 0 || counts.resumed > 0 || counts.unpinned > 0) {
+        logger.info(counts, 'scheduled version changes done');
+      }
+    } catch (err) {
+      logger.error(err, 'scheduled version changes failed');
+    }
+  }, minutes * 60 * 1000);
+};
+
+module.exports = { getMaintenanceGroupNames, getGroupMaintenanceWindows, applyScheduledChange, applyScheduledChanges, resumeExpiredPauses, removeExpiredPins, startSchedulerJob };
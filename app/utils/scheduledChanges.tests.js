@@ -0,0 +1,175 @@
+/**
+* Copyright 2021 IBM Corp. All Rights Reserved.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+const assert = require('assert');
+
+const { models } = require('../apollo/models');
+const { GraphqlPubSub } = require('../apollo/subscription');
+const { getMaintenanceGroupNames, applyScheduledChange, resumeExpiredPauses, removeExpiredPins } = require('./scheduledChanges');
+
+const subscription = { org_id: 'org1', uuid: 'sub1', name: 'app', groups: ['prod', 'dev'], channel_uuid: 'ch1', version: 'v1', version_uuid: 'v1-uuid' };
+const channel = { uuid: 'ch1', versions: [{ name: 'v1', uuid: 'v1-uuid' }, { name: 'v2', uuid: 'v2-uuid' }, { name: 'v3', uuid: 'v3-uuid', state: 'archived' }] };
+const change = { _id: 'change1', org_id: 'org1', subscription_uuid: 'sub1', channel_uuid: 'ch1', version: 'v2', version_uuid: 'v2-uuid', state: 'pending', ownerId: 'user1' };
+// saturdays 22:00 to 02:00 UTC, 2021-03-06 is a saturday
+const maintenanceWindows = [{ days: ['sat'], start: '22:00', durationMinutes: 240, timeZone: 'UTC' }];
+
+const lean = (docs) => ({ lean: async () => docs });
+
+describe('utils', () => {
+  describe('scheduledChanges', () => {
+    const pubSub = GraphqlPubSub.getInstance();
+    const { channelSubChangedFunc } = pubSub;
+    const { find, findOne } = models.Subscription;
+    const subscriptionUpdateOne = models.Subscription.updateOne;
+    const channelFindOne = models.Channel.findOne;
+    const groupFind = models.Group.find;
+    const clusterFind = models.Cluster.find;
+    const changeUpdateOne = models.ScheduledVersionChange.updateOne;
+    let groups;
+    let changeUpdates;
+    let subscriptionUpdates;
+    let notified;
+
+    beforeEach(() => {
+      groups = [];
+      changeUpdates = [];
+      subscriptionUpdates = [];
+      notified = [];
+      pubSub.channelSubChangedFunc = async(data) => notified.push(data);
+      models.Subscription.findOne = () => lean(subscription);
+      models.Channel.findOne = () => lean(channel);
+      models.Group.find = () => lean(groups);
+      models.Subscription.updateOne = async(query, update) => {
+        subscriptionUpdates.push({ query, update });
+        return { n: 1 };
+      };
+      models.ScheduledVersionChange.updateOne = async(query, update) => {
+        changeUpdates.push({ query, update });
+        return { n: 1 };
+      };
+    });
+
+    afterEach(() => {
+      pubSub.channelSubChangedFunc = channelSubChangedFunc;
+      models.Subscription.find = find;
+      models.Subscription.findOne = findOne;
+      models.Subscription.updateOne = subscriptionUpdateOne;
+      models.Channel.findOne = channelFindOne;
+      models.Group.find = groupFind;
+      models.Cluster.find = clusterFind;
+      models.ScheduledVersionChange.updateOne = changeUpdateOne;
+    });
+
+    it('should apply a due change', async () => {
+      const now = new Date('2021-03-06T12:00:00Z');
+      assert.equal(await applyScheduledChange(change, now), 'applied');
+      assert.deepEqual(changeUpdates.map(({ query, update }) => [query, update.$set.state]), [
+        [{ _id: 'change1', state: 'pending' }, 'applying'],
+        [{ _id: 'change1', state: 'applying' }, 'applied'],
+      ]);
+      const { update } = subscriptionUpdates[0];
+      assert.deepEqual(update.$set, { version: 'v2', version_uuid: 'v2-uuid' });
+      assert.deepEqual(update.$unset, { rollout: '' });
+      assert.equal(update.$push.versionHistory.$each[0].action, 'schedule');
+      assert.equal(update.$push.versionHistory.$each[0].changedBy, 'user1');
+      assert.deepEqual(notified, [{ org_id: 'org1' }]);
+    });
+
+    it('should wait for a maintenance window of every group with windows', async () => {
+      const windowChange = { ...change, inMaintenanceWindow: true };
+      groups = [
+        { name: 'prod', maintenanceWindows },
+        { name: 'dev', maintenanceWindows: [{ days: ['sun'], start: '00:00', durationMinutes: 60, timeZone: 'UTC' }] },
+      ];
+      assert.equal(await applyScheduledChange(windowChange, new Date('2021-03-06T12:00:00Z')), null);
+      assert.equal(await applyScheduledChange(windowChange, new Date('2021-03-06T23:00:00Z')), null);
+      assert.equal(subscriptionUpdates.length, 0);
+
+      assert.equal(await applyScheduledChange(windowChange, new Date('2021-03-07T00:30:00Z')), 'applied');
+      assert.equal(subscriptionUpdates.length, 1);
+    });
+
+    it('should wait for the windows of the groups of the clusters of a selector', async () => {
+      models.Cluster.find = () => lean([
+        { cluster_id: 'c1', groups: [{ name: 'eu' }], labels: [{ key: 'region', value: 'eu' }] },
+        { cluster_id: 'c2', groups: [{ name: 'us' }], labels: [{ key: 'region', value: 'us' }] },
+      ]);
+      const selected = { ...subscription, groups: [], clusterSelector: { matchLabels: [{ key: 'region', value: 'eu' }] } };
+      assert.deepEqual(await getMaintenanceGroupNames(selected), ['eu']);
+      assert.deepEqual(await getMaintenanceGroupNames({ ...subscription, groups: [], clusterId: 'c2' }), ['us']);
+      // group subscriptions wait for their own groups only
+      assert.deepEqual(await getMaintenanceGroupNames(subscription), ['prod', 'dev']);
+
+      models.Subscription.findOne = () => lean(selected);
+      groups = [{ name: 'eu', maintenanceWindows }];
+      assert.equal(await applyScheduledChange({ ...change, inMaintenanceWindow: true }, new Date('2021-03-06T23:00:00Z')), 'applied');
+    });
+
+    it('should fail changes which can not be applied', async () => {
+      assert.equal(await applyScheduledChange({ ...change, version: 'v3', version_uuid: 'v3-uuid' }), 'failed');
+      assert.equal(changeUpdates[0].update.$set.reason, 'version v3 was removed or archived');
+
+      assert.equal(await applyScheduledChange({ ...change, inMaintenanceWindow: true }), 'failed');
+      assert.equal(changeUpdates[1].update.$set.reason, 'none of the groups of the subscription have maintenance windows');
+      assert.equal(subscriptionUpdates.length, 0);
+      assert.equal(notified.length, 0);
+    });
+
+    it('should resume subscriptions whose pause expired', async () => {
+      const expires = new Date('2021-03-06T12:00:00Z');
+      models.Subscription.find = () => lean([{ ...subscription, pause: { reason: 'incident', paused: new Date('2021-03-06T10:00:00Z'), expires } }]);
+      assert.equal(await resumeExpiredPauses(new Date('2021-03-06T12:01:00Z')), 1);
+      const { query, update } = subscriptionUpdates[0];
+      assert.deepEqual(query, { org_id: 'org1', uuid: 'sub1', 'pause.expires': expires });
+      assert.deepEqual(update.$unset, { pause: '' });
+      assert.equal(update.$push.versionHistory.$each[0].action, 'resume');
+      assert.deepEqual(notified, [{ org_id: 'org1' }]);
+    });
+
+    it('should remove expired version pins', async () => {
+      const now = new Date('2021-03-06T12:01:00Z');
+      models.Subscription.find = () => lean([subscription]);
+      models.Subscription.updateOne = async(query, update) => {
+        subscriptionUpdates.push({ query, update });
+        return { n: 1, nModified: 1 };
+      };
+      assert.equal(await removeExpiredPins(now), 1);
+      assert.deepEqual(subscriptionUpdates[0], { query: { org_id: 'org1', uuid: 'sub1' }, update: { $pull: { versionPins: { expires: { $lte: now } } } } });
+      assert.deepEqual(notified, [{ org_id: 'org1' }]);
+    });
+
+    it('should put a change back when the subscription update fails', async () => {
+      models.Subscription.updateOne = async() => {
+        throw new Error('connection lost');
+      };
+      await assert.rejects(applyScheduledChange(change), /connection lost/);
+      assert.deepEqual(changeUpdates.map(({ update }) => update.$set.state), ['applying', 'pending']);
+      assert.equal(notified.length, 0);
+    });
+
+    it('should apply a change abandoned while applying again', async () => {
+      const now = new Date('2021-03-06T12:00:00Z');
+      const abandoned = { ...change, state: 'applying', updated: new Date('2021-03-06T11:00:00Z') };
+      assert.equal(await applyScheduledChange(abandoned, now), 'applied');
+      assert.deepEqual(changeUpdates[0].query, { _id: 'change1', state: 'applying', updated: { $lte: new Date('2021-03-06T11:50:00Z') } });
+    });
+
+    it('should not apply a change cancelled meanwhile', async () => {
+      models.ScheduledVersionChange.updateOne = async() => ({ n: 0 });
+      assert.equal(await applyScheduledChange(change), null);
+      assert.equal(subscriptionUpdates.length, 0);
+    });
+  });
+});
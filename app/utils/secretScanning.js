@@ -0,0 +1,146 @@
+/**
+* Copyright 2021 IBM Corp. All Rights Reserved.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+const _ = require('lodash');
+const yaml = require('js-yaml');
+const { SECRET_SCAN_RULES } = require('../apollo/models/const');
+const { getContainers } = require('./manifestValidation');
+
+// the values are never part of the findings, they would leak the credentials they report
+const PATTERNS = [
+  { rule: SECRET_SCAN_RULES.PRIVATE_KEY, regex: /-----BEGIN ((RSA|EC|DSA|OPENSSH|ENCRYPTED) )?PRIVATE KEY-----/, description: 'a private key' },
+  { rule: SECRET_SCAN_RULES.CLOUD_ACCESS_KEY, regex: /\b(AKIA|ASIA)[0-9A-Z]{16}\b/, description: 'an AWS access key id' },
+  { rule: SECRET_SCAN_RULES.CLOUD_ACCESS_KEY, regex: /\bAIza[0-9A-Za-z_-]{35}\b/, description: 'a Google API key' },
+  { rule: SECRET_SCAN_RULES.TOKEN, regex: /\bBearer\s+[A-Za-z0-9._~+/-]{20,}=*/i, description: 'a bearer token' },
+  { rule: SECRET_SCAN_RULES.TOKEN, regex: /\bgh[pousr]_[A-Za-z0-9]{36}\b/, description: 'a GitHub token' },
+  { rule: SECRET_SCAN_RULES.TOKEN, regex: /\bxox[baprs]-[A-Za-z0-9-]{10,}/, description: 'a Slack token' },
+];
+
+const MIN_ENTROPY_LENGTH = 20;
+const HEX_ENTROPY_THRESHOLD = 3.0;
+const BASE64_ENTROPY_THRESHOLD = 4.2;
+
+// shannon entropy in bits per character
+const getEntropy = (value) => {
+  const counts = _.countBy(value);
+  return -_.sum(_.map(counts, (count) => {
+    const p = count / value.length;
+    return p * Math.log2(p);
+  }));
+};
+
+// single tokens of hex or base64 characters only, so urls, paths and sentences are not reported
+const isHighEntropy = (value) => {
+  if (!_.isString(value) || value.length < MIN_ENTROPY_LENGTH) {
+    return false;
+  }
+  if (/^[0-9a-f]+$/i.test(value)) {
+    return getEntropy(value) >= HEX_ENTROPY_THRESHOLD;
+  }
+  if (/^[A-Za-z0-9+/_=.-]+$/.test(value)) {
+    return getEntropy(value) >= BASE64_ENTROPY_THRESHOLD;
+  }
+  return false;
+};
+
+const matchPattern = (value) => {
+  return _.find(PATTERNS, ({ regex }) => regex.test(value));
+};
+
+// the string values of an object with their field paths, e.g. spec.template.spec.containers[0].args[1]
+const getStringValues = (value, valuePath = '') => {
+  if (_.isString(value)) {
+    return [{ value, path: valuePath }];
+  }
+  if (_.isArray(value)) {
+    return _.flatMap(value, (item, idx) => getStringValues(item, `${valuePath}[${idx}]`));
+  }
+  if (_.isPlainObject(value)) {
+    return _.flatMap(value, (item, key) => getStringValues(item, valuePath ? `${valuePath}.${key}` : key));
+  }
+  return [];
+};
+
+const scanObject = (obj) => {
+  const findings = [];
+  let skipped = [];
+  if (obj.kind === 'Secret') {
+    _.each(['data', 'stringData'], (field) => {
+      if (!_.isEmpty(obj[field])) {
+        findings.push({ rule: SECRET_SCAN_RULES.SECRET_DATA, path: field, message: `Secret has literal ${field}, create it outside of the channel or reference it from a secret store` });
+      }
+    });
+    // reported as a whole already
+    skipped = ['data', 'stringData'];
+  }
+
+  const reported = new Set();
+  _.each(getStringValues(_.omit(obj, skipped)), ({ value, path: valuePath }) => {
+    const pattern = matchPattern(value);
+    if (pattern) {
+      reported.add(valuePath);
+      findings.push({ rule: pattern.rule, path: valuePath, message: `the value looks like ${pattern.description}` });
+    }
+  });
+  _.each(getContainers(obj), ({ container, path: containerPath }) => {
+    _.each(container.env, (env, idx) => {
+      const envPath = `${containerPath}.env[${idx}].value`;
+      if (_.isPlainObject(env) && !reported.has(envPath) && isHighEntropy(env.value)) {
+        findings.push({ rule: SECRET_SCAN_RULES.HIGH_ENTROPY, path: envPath, message: `the value of env "${env.name}" of container "${container.name}" looks like a credential, use a secretKeyRef` });
+      }
+    });
+  });
+  return findings;
+};
+
+// content which is not yaml, e.g. a template, is scanned for the patterns document by document
+const scanText = (content) => {
+  return _.flatMap(content.split(/^---\s*$/m), (doc, documentIndex) => {
+    const pattern = matchPattern(doc);
+    return pattern ? [{ rule: pattern.rule, documentIndex, kind: null, name: null, path: null, message: `the document contains what looks like ${pattern.description}` }] : [];
+  });
+};
+
+// scans every document of yaml content for Secrets with literal data, credential patterns and random looking env values.
+// returns findings like validateManifests does
+const scanForSecrets = (content) => {
+  let docs;
+  try {
+    docs = yaml.safeLoadAll(content || '');
+  } catch (err) {
+    return scanText(content || '');
+  }
+  return _.flatMap(docs, (doc, documentIndex) => {
+    if (_.isString(doc)) {
+      return _.map(scanText(doc), (finding) => ({ ...finding, documentIndex }));
+    }
+    if (!_.isPlainObject(doc)) {
+      return [];
+    }
+    return _.map(scanObject(doc), (finding) => {
+      return {
+        rule: finding.rule,
+        documentIndex,
+        kind: _.isString(doc.kind) ? doc.kind : null,
+        name: _.get(doc, 'metadata.name', null),
+        path: finding.path,
+        message: finding.message,
+      };
+    });
+  });
+};
+
+module.exports = { getEntropy, isHighEntropy, scanForSecrets };
@@ -0,0 +1,85 @@
+/**
+* Copyright 2021 IBM Corp. All Rights Reserved.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+const _ = require('lodash');
+const crypto = require('crypto');
+const { SIGNATURE_STATUS } = require('../apollo/models/const');
+
+class SignatureError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SignatureError';
+  }
+}
+
+// parses a PEM public key, only the public part is ever returned so private keys are never stored
+const parsePublicKey = (pem) => {
+  if (_.includes(pem, 'PRIVATE KEY')) {
+    throw new SignatureError('A private key was provided, only public keys can be trusted');
+  }
+  let key;
+  try {
+    key = crypto.createPublicKey(pem);
+  } catch (err) {
+    throw new SignatureError(`The public key could not be parsed: ${err.message}`);
+  }
+  const der = key.export({ type: 'spki', format: 'der' });
+  return {
+    publicKey: key.export({ type: 'spki', format: 'pem' }),
+    fingerprint: crypto.createHash('sha256').update(der).digest('hex'),
+  };
+};
+
+const verifyWithKey = (data, signature, publicKey) => {
+  try {
+    const key = crypto.createPublicKey(publicKey);
+    // ed25519 and ed448 keys sign the data directly, rsa and ec keys sign its sha-256
+    const algorithm = ['ed25519', 'ed448'].includes(key.asymmetricKeyType) ? null : 'sha256';
+    return crypto.verify(algorithm, data, key, signature);
+  } catch (err) {
+    return false;
+  }
+};
+
+// verifies a base64 detached signature against the org's trusted keys, returns the key which signed the data or null
+const findSigningKey = (data, signature, trustedKeys) => {
+  const signatureBuffer = Buffer.from(signature || '', 'base64');
+  if (signatureBuffer.length < 1) {
+    return null;
+  }
+  const dataBuffer = Buffer.isBuffer(data) ? data : Buffer.from(data || '');
+  return _.find(trustedKeys, (trustedKey) => verifyWithKey(dataBuffer, signatureBuffer, trustedKey.publicKey)) || null;
+};
+
+// the status of a version right now, a version signed by a key the org no longer trusts is untrusted
+const getSignatureStatus = (deployableVersion, org) => {
+  const status = deployableVersion.signatureStatus || SIGNATURE_STATUS.UNSIGNED;
+  if (status !== SIGNATURE_STATUS.VERIFIED) {
+    return status;
+  }
+  const trusted = _.some(_.get(org, 'trustedKeys', []), { uuid: deployableVersion.signingKeyUuid });
+  return trusted ? SIGNATURE_STATUS.VERIFIED : SIGNATURE_STATUS.UNTRUSTED;
+};
+
+// orgs with settings.requireSignedVersions only serve versions verified by one of their trusted keys
+const isServable = (deployableVersion, org) => {
+  if (!_.get(org, 'settings.requireSignedVersions', false)) {
+    return true;
+  }
+  return getSignatureStatus(deployableVersion, org) === SIGNATURE_STATUS.VERIFIED;
+};
+
+module.exports = { SignatureError, parsePublicKey, findSigningKey, getSignatureStatus, isServable };
@@ -0,0 +1,71 @@
+/**
+* Copyright 2021 IBM Corp. All Rights Reserved.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+const assert = require('assert');
+
+const crypto = require('crypto');
+const { SIGNATURE_STATUS } = require('../apollo/models/const');
+const { SignatureError, parsePublicKey, findSigningKey, getSignatureStatus, isServable } = require('./signatures');
+
+const pemKeys = { publicKeyEncoding: { type: 'spki', format: 'pem' }, privateKeyEncoding: { type: 'pkcs8', format: 'pem' } };
+const rsaKeys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048, ...pemKeys });
+const edKeys = crypto.generateKeyPairSync('ed25519', pemKeys);
+
+const trustedKeys = [
+  { uuid: 'rsa-key', publicKey: rsaKeys.publicKey },
+  { uuid: 'ed-key', publicKey: edKeys.publicKey },
+];
+const content = 'kind: ConfigMap\n';
+
+describe('utils', () => {
+  describe('signatures', () => {
+    it('should parse public keys and fingerprint them', () => {
+      const { publicKey, fingerprint } = parsePublicKey(rsaKeys.publicKey);
+      assert.equal(publicKey, rsaKeys.publicKey);
+      assert.equal(fingerprint.length, 64);
+    });
+
+    it('should reject private keys and garbage', () => {
+      assert.throws(() => parsePublicKey(rsaKeys.privateKey), /private key/);
+      assert.throws(() => parsePublicKey('not a key'), SignatureError);
+    });
+
+    it('should find the rsa and ed25519 keys which signed the data', () => {
+      const rsaSignature = crypto.sign('sha256', Buffer.from(content), rsaKeys.privateKey).toString('base64');
+      assert.equal(findSigningKey(content, rsaSignature, trustedKeys).uuid, 'rsa-key');
+      const edSignature = crypto.sign(null, Buffer.from(content), edKeys.privateKey).toString('base64');
+      assert.equal(findSigningKey(content, edSignature, trustedKeys).uuid, 'ed-key');
+    });
+
+    it('should not verify tampered data or bad signatures', () => {
+      const signature = crypto.sign('sha256', Buffer.from(content), rsaKeys.privateKey).toString('base64');
+      assert.equal(findSigningKey('kind: Secret\n', signature, trustedKeys), null);
+      assert.equal(findSigningKey(content, 'bm90IGEgc2lnbmF0dXJl', trustedKeys), null);
+      assert.equal(findSigningKey(content, '', trustedKeys), null);
+    });
+
+    it('should only serve verified versions signed by a trusted key when required', () => {
+      const org = { trustedKeys, settings: { requireSignedVersions: true } };
+      const verified = { signatureStatus: SIGNATURE_STATUS.VERIFIED, signingKeyUuid: 'rsa-key' };
+      const removedKey = { signatureStatus: SIGNATURE_STATUS.VERIFIED, signingKeyUuid: 'removed-key' };
+      assert.equal(getSignatureStatus({}, org), SIGNATURE_STATUS.UNSIGNED);
+      assert.equal(getSignatureStatus(removedKey, org), SIGNATURE_STATUS.UNTRUSTED);
+      assert.equal(isServable(verified, org), true);
+      assert.equal(isServable(removedKey, org), false);
+      assert.equal(isServable({}, org), false);
+      assert.equal(isServable({}, { trustedKeys }), true);
+    });
+  });
+});
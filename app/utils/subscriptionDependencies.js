@@ -0,0 +1,89 @@
+/**
+* Copyright 2021 IBM Corp. All Rights Reserved.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+const _ = require('lodash');
+
+class DependencyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DependencyError';
+  }
+}
+
+// the uuids from a dependency of a subscription back to the subscription, null when the subscription can not be reached
+const findDependencyPath = (fromUuid, toUuid, subscriptionsByUuid, visited = new Set()) => {
+  if (fromUuid === toUuid) {
+    return [toUuid];
+  }
+  if (visited.has(fromUuid) || !subscriptionsByUuid[fromUuid]) {
+    return null;
+  }
+  visited.add(fromUuid);
+  for (const dependency of subscriptionsByUuid[fromUuid].dependsOn || []) {
+    const path = findDependencyPath(dependency, toUuid, subscriptionsByUuid, visited);
+    if (path) {
+      return [fromUuid, ...path];
+    }
+  }
+  return null;
+};
+
+// the dependencies of subscription once it depends on dependsOn, subscriptions are those of its org with uuid, name and dependsOn.
+// throws when a dependency does not exist, is the subscription itself or depends on the subscription
+const validateDependencies = (subscription, dependsOn, subscriptions) => {
+  const dependencies = _.uniq(dependsOn || []);
+  const subscriptionsByUuid = _.keyBy(_.reject(subscriptions, { uuid: subscription.uuid }), 'uuid');
+  for (const dependency of dependencies) {
+    if (dependency === subscription.uuid) {
+      throw new DependencyError('a subscription can not depend on itself');
+    }
+    if (!subscriptionsByUuid[dependency]) {
+      throw new DependencyError(`subscription ${dependency} does not exist`);
+    }
+  }
+  for (const dependency of dependencies) {
+    const path = findDependencyPath(dependency, subscription.uuid, subscriptionsByUuid);
+    if (path) {
+      const names = [subscription.name, ..._.initial(path).map((uuid) => subscriptionsByUuid[uuid].name), subscription.name];
+      throw new DependencyError(`the dependencies would form a cycle: ${names.join(' -> ')}`);
+    }
+  }
+  return dependencies;
+};
+
+// the subscriptions with their dependencies before them, otherwise in the given order.
+// dependencies which are not in subscriptions are ignored, like cycles
+const orderByDependencies = (subscriptions) => {
+  const subscriptionsByUuid = _.keyBy(subscriptions, 'uuid');
+  const ordered = [];
+  const visited = new Set();
+  const visit = (subscription) => {
+    if (visited.has(subscription.uuid)) {
+      return;
+    }
+    visited.add(subscription.uuid);
+    for (const dependency of subscription.dependsOn || []) {
+      if (subscriptionsByUuid[dependency]) {
+        visit(subscriptionsByUuid[dependency]);
+      }
+    }
+    ordered.push(subscription);
+  };
+  _.each(subscriptions, visit);
+  return ordered;
+};
+
+module.exports = { DependencyError, validateDependencies, orderByDependencies };
@@ -0,0 +1,57 @@
+/**
+* Copyright 2021 IBM Corp. All Rights Reserved.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+const assert = require('assert');
+
+const { DependencyError, validateDependencies, orderByDependencies } = require('./subscriptionDependencies');
+
+// workload depends on rbac and crds, rbac on namespaces
+const subscriptions = [
+  { uuid: 'workload', name: 'workload', dependsOn: ['rbac', 'crds'] },
+  { uuid: 'crds', name: 'crds' },
+  { uuid: 'rbac', name: 'rbac', dependsOn: ['namespaces'] },
+  { uuid: 'namespaces', name: 'namespaces', dependsOn: [] },
+];
+
+describe('utils', () => {
+  describe('subscriptionDependencies', () => {
+    it('should accept existing dependencies', () => {
+      assert.deepEqual(validateDependencies({ uuid: 'new', name: 'new' }, ['workload', 'crds', 'crds'], subscriptions), ['workload', 'crds']);
+      assert.deepEqual(validateDependencies({ uuid: 'crds', name: 'crds' }, ['namespaces'], subscriptions), ['namespaces']);
+      assert.deepEqual(validateDependencies({ uuid: 'new', name: 'new' }, undefined, subscriptions), []);
+    });
+
+    it('should reject missing dependencies and the subscription itself', () => {
+      assert.throws(() => validateDependencies({ uuid: 'new', name: 'new' }, ['missing'], subscriptions), DependencyError);
+      assert.throws(() => validateDependencies({ uuid: 'crds', name: 'crds' }, ['crds'], subscriptions), /can not depend on itself/);
+    });
+
+    it('should reject cycles', () => {
+      assert.throws(() => validateDependencies({ uuid: 'namespaces', name: 'namespaces' }, ['workload'], subscriptions),
+        /cycle: namespaces -> workload -> rbac -> namespaces/);
+      // the dependencies the subscription has now are replaced
+      assert.deepEqual(validateDependencies({ uuid: 'rbac', name: 'rbac' }, ['crds'], subscriptions), ['crds']);
+    });
+
+    it('should order subscriptions with their dependencies first', () => {
+      assert.deepEqual(orderByDependencies(subscriptions).map(({ uuid }) => uuid), ['namespaces', 'rbac', 'crds', 'workload']);
+      // dependencies a cluster does not get are ignored
+      assert.deepEqual(orderByDependencies([subscriptions[0], subscriptions[1]]).map(({ uuid }) => uuid), ['crds', 'workload']);
+      // like stored cycles
+      const cycle = [{ uuid: 'a', dependsOn: ['b'] }, { uuid: 'b', dependsOn: ['a'] }];
+      assert.deepEqual(orderByDependencies(cycle).map(({ uuid }) => uuid), ['b', 'a']);
+    });
+  });
+});
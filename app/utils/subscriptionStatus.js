@@ -0,0 +1,92 @@
+/**
+* Copyright 2021 IBM Corp. All Rights Reserved.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+const _ = require('lodash');
+const { models } = require('../apollo/models');
+const { SUBSCRIPTION_ANNOTATION, getClusterVersion, getTargetClustersBySubscription } = require('./subscriptions');
+
+// the version uuid in the channel version url a RemoteResource requests, see getSubscriptionUrls
+const getRequestedVersionUuid = (url) => {
+  const match = /channels\/[^/]+\/([^/?]+)/.exec(url || '');
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
+// razee-logs errors are messages or objects with a message
+const getErrorMessages = (resources) => {
+  return _.uniq(_.flatMap(resources, (resource) => {
+    return _.toArray(_.get(resource, 'searchableData.errors', [])).map((error) => {
+      if (_.isString(error)) {
+        return error;
+      }
+      return _.get(error, 'message') || JSON.stringify(error);
+    });
+  }));
+};
+
+// the status of a subscription on each cluster it is delivered to, from the RemoteResources the clusters report for it.
+// versionNames are the names of the versions of its channel by uuid
+const getClusterStatuses = (subscription, clusters, resources, versionNames, now = new Date()) => {
+  const resourcesByClusterId = _.groupBy(resources, 'cluster_id');
+  return _.sortBy(clusters, 'cluster_id').map((cluster) => {
+    const clusterId = cluster.cluster_id;
+    const clusterResources = resourcesByClusterId[clusterId] || [];
+    const latest = _.maxBy(clusterResources, (resource) => new Date(resource.updated).getTime());
+    const expected = getClusterVersion(subscription, clusterId, now);
+    const appliedVersionUuid = latest ? getRequestedVersionUuid(_.get(latest, 'searchableData.requestUrl')) : null;
+    return {
+      clusterId,
+      clusterName: _.get(cluster, 'registration.name'),
+      expectedVersion: expected.version,
+      expectedVersionUuid: expected.versionUuid,
+      appliedVersion: appliedVersionUuid ? versionNames[appliedVersionUuid] : null,
+      appliedVersionUuid,
+      // the RemoteResource changes when the cluster is given another version
+      lastApplied: latest ? latest.lastModified || latest.created : null,
+      lastReported: latest ? latest.updated : null,
+      errors: getErrorMessages(clusterResources),
+      reporting: !!latest,
+    };
+  });
+};
+
+// clusters on the version of the subscription, clusters reporting errors and clusters not reporting the subscription
+const summarizeClusterStatuses = (subscription, clusterStatuses) => {
+  return {
+    clusterCount: clusterStatuses.length,
+    targetVersionCount: _.filter(clusterStatuses, { appliedVersionUuid: subscription.version_uuid }).length,
+    errorClusterCount: _.filter(clusterStatuses, (status) => status.errors.length > 0).length,
+    notReportingCount: _.filter(clusterStatuses, { reporting: false }).length,
+  };
+};
+
+// the cluster statuses and their summary of each subscription of an org by subscription uuid, from the RemoteResources loaded for them
+const getSubscriptionStatuses = async(subscriptions, resources, now = new Date()) => {
+  if (_.isEmpty(subscriptions)) {
+    return {};
+  }
+  const org_id = subscriptions[0].org_id;
+  const channels = await models.Channel.find({ org_id, uuid: { $in: _.uniq(_.map(subscriptions, 'channel_uuid')) } }, { versions: 1 }).lean();
+  const versionNames = _.mapValues(_.keyBy(_.flatMap(channels, 'versions'), 'uuid'), 'name');
+  const clustersBySubscriptionUuid = await getTargetClustersBySubscription(subscriptions);
+  const resourcesBySubscriptionUuid = _.groupBy(resources, (resource) => _.get(resource, ['searchableData', SUBSCRIPTION_ANNOTATION]));
+
+  return _.fromPairs(_.map(subscriptions, (subscription) => {
+    const clusterStatuses = getClusterStatuses(subscription, clustersBySubscriptionUuid[subscription.uuid], resourcesBySubscriptionUuid[subscription.uuid] || [], versionNames, now);
+    return [subscription.uuid, { clusterStatuses, summary: summarizeClusterStatuses(subscription, clusterStatuses) }];
+  }));
+};
+
+module.exports = { getRequestedVersionUuid, getClusterStatuses, summarizeClusterStatuses, getSubscriptionStatuses };
@@ -0,0 +1,130 @@
+/**
+* Copyright 2021 IBM Corp. All Rights Reserved.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+const assert = require('assert');
+
+const { models } = require('../apollo/models');
+const { getRequestedVersionUuid, getClusterStatuses, summarizeClusterStatuses, getSubscriptionStatuses } = require('./subscriptionStatus');
+
+const subscription = { org_id: 'org1', uuid: 'sub1', groups: ['prod'], channel_uuid: 'ch1', version: 'v2', version_uuid: 'v2-uuid' };
+const annotation = 'annotations["deploy_razee_io_clustersubscription"]';
+const remoteResource = (clusterId, versionUuid, updated, errors) => {
+  return {
+    cluster_id: clusterId,
+    searchableData: { [annotation]: 'sub1', requestUrl: `https://razee.example.com/api/v1/channels/ch1/${versionUuid}`, errors },
+    created: new Date('2021-03-01T10:00:00Z'),
+    lastModified: new Date('2021-03-02T10:00:00Z'),
+    updated,
+  };
+};
+
+describe('utils', () => {
+  describe('subscriptionStatus', () => {
+    const now = new Date('2021-03-05T10:00:00Z');
+    const versionNames = { 'v1-uuid': 'v1', 'v2-uuid': 'v2' };
+
+    it('should find the version a RemoteResource requests', () => {
+      assert.equal(getRequestedVersionUuid('https://razee.example.com/api/v1/channels/ch1/v2-uuid'), 'v2-uuid');
+      assert.equal(getRequestedVersionUuid('https://razee.example.com/api/v1/channels/ch1/v2-uuid?format=yaml'), 'v2-uuid');
+      assert.equal(getRequestedVersionUuid('https://example.com/config.yaml'), null);
+      assert.equal(getRequestedVersionUuid(undefined), null);
+    });
+
+    it('should tell the status of each cluster', () => {
+      const clusters = [
+        { cluster_id: 'c2', registration: { name: 'prod-2' } },
+        { cluster_id: 'c1', registration: { name: 'prod-1' } },
+        { cluster_id: 'c3' },
+      ];
+      const resources = [
+        remoteResource('c1', 'v1-uuid', new Date('2021-03-03T10:00:00Z')),
+        remoteResource('c1', 'v2-uuid', new Date('2021-03-04T10:00:00Z')),
+        remoteResource('c2', 'v1-uuid', new Date('2021-03-04T10:00:00Z'), [{ message: 'forbidden' }, 'timeout']),
+      ];
+      const statuses = getClusterStatuses(subscription, clusters, resources, versionNames, now);
+      assert.deepEqual(statuses, [
+        {
+          clusterId: 'c1', clusterName: 'prod-1', expectedVersion: 'v2', expectedVersionUuid: 'v2-uuid', appliedVersion: 'v2', appliedVersionUuid: 'v2-uuid',
+          lastApplied: new Date('2021-03-02T10:00:00Z'), lastReported: new Date('2021-03-04T10:00:00Z'), errors: [], reporting: true,
+        },
+        {
+          clusterId: 'c2', clusterName: 'prod-2', expectedVersion: 'v2', expectedVersionUuid: 'v2-uuid', appliedVersion: 'v1', appliedVersionUuid: 'v1-uuid',
+          lastApplied: new Date('2021-03-02T10:00:00Z'), lastReported: new Date('2021-03-04T10:00:00Z'), errors: ['forbidden', 'timeout'], reporting: true,
+        },
+        {
+          clusterId: 'c3', clusterName: undefined, expectedVersion: 'v2', expectedVersionUuid: 'v2-uuid', appliedVersion: null, appliedVersionUuid: null,
+          lastApplied: null, lastReported: null, errors: [], reporting: false,
+        },
+      ]);
+      assert.deepEqual(summarizeClusterStatuses(subscription, statuses), { clusterCount: 3, targetVersionCount: 1, errorClusterCount: 1, notReportingCount: 1 });
+    });
+
+    it('should expect the version clusters are pinned to', () => {
+      const pinned = { ...subscription, versionPins: [{ clusterId: 'c1', version: 'v1', versionUuid: 'v1-uuid' }] };
+      const [status] = getClusterStatuses(pinned, [{ cluster_id: 'c1' }], [remoteResource('c1', 'v1-uuid', now)], versionNames, now);
+      assert.equal(status.expectedVersionUuid, 'v1-uuid');
+      assert.equal(status.appliedVersionUuid, 'v1-uuid');
+      // the summary counts clusters on the version of the subscription
+      assert.equal(summarizeClusterStatuses(pinned, [status]).targetVersionCount, 0);
+    });
+
+    describe('with models', () => {
+      const { find: clusterFind } = models.Cluster;
+      const { find: channelFind } = models.Channel;
+      const lean = (docs) => ({ lean: async () => docs });
+      let clusterQueries;
+
+      beforeEach(() => {
+        clusterQueries = [];
+        models.Cluster.find = (query) => {
+          clusterQueries.push(query);
+          return lean([
+            { cluster_id: 'c1', groups: [{ name: 'prod' }] },
+            { cluster_id: 'c2', groups: [{ name: 'prod' }], labels: [{ key: 'region', value: 'eu' }] },
+          ]);
+        };
+        models.Channel.find = () => lean([{ uuid: 'ch1', versions: [{ uuid: 'v1-uuid', name: 'v1' }, { uuid: 'v2-uuid', name: 'v2' }] }]);
+      });
+
+      afterEach(() => {
+        models.Cluster.find = clusterFind;
+        models.Channel.find = channelFind;
+      });
+
+      it('should roll up the statuses of subscriptions', async () => {
+        const selected = { ...subscription, uuid: 'sub2', groups: [], clusterSelector: { matchLabels: [{ key: 'region', value: 'eu' }] } };
+        const statuses = await getSubscriptionStatuses([subscription, selected], [remoteResource('c1', 'v2-uuid', now)], now);
+        // the clusters of all subscriptions are loaded at once, all clusters of the org for a selector
+        assert.deepEqual(clusterQueries, [{ org_id: 'org1' }]);
+        assert.deepEqual(statuses.sub1.clusterStatuses.map(({ clusterId, appliedVersion }) => ({ clusterId, appliedVersion })), [
+          { clusterId: 'c1', appliedVersion: 'v2' },
+          { clusterId: 'c2', appliedVersion: null },
+        ]);
+        assert.deepEqual(statuses.sub1.summary, { clusterCount: 2, targetVersionCount: 1, errorClusterCount: 0, notReportingCount: 1 });
+        assert.deepEqual(statuses.sub2.summary, { clusterCount: 1, targetVersionCount: 0, errorClusterCount: 0, notReportingCount: 1 });
+      });
+
+      it('should load only the targeted clusters without selectors', async () => {
+        await getSubscriptionStatuses([subscription, { ...subscription, uuid: 'sub2', groups: ['dev'], clusterId: 'c3' }], []);
+        assert.deepEqual(clusterQueries, [{ org_id: 'org1', $or: [{ 'groups.name': { $in: ['prod', 'dev'] } }, { cluster_id: { $in: ['c3'] } }] }]);
+      });
+
+      it('should not load anything without subscriptions', async () => {
+        assert.deepEqual(await getSubscriptionStatuses([], []), {});
+        assert.deepEqual(clusterQueries, []);
+      });
+    });
+  });
+});
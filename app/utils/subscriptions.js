@@ -2,25 +2,317 @@
 const { models } = require('../apollo/models');
 
 const _ = require('lodash');
+const i18next = require('i18next');
+const { isServable } = require('./signatures');
+const { matchesLabelSelector } = require('./labelSelectors');
+const { GraphqlPubSub } = require('../apollo/subscription');
+const { getAllowedGroups } = require('../apollo/resolvers/common');
+const { ACTIONS, ACTIVE_ROLLOUT_STATES, SUBSCRIPTION_LIMITS, VERSION_CHANGE_ACTIONS, PAUSED_SUBSCRIPTION_POLICIES, SUBSCRIPTION_IMPACT_CHANGES, OPEN_SCHEDULED_CHANGE_STATES } = require('../apollo/models/const');
 
-const getSubscriptionUrls = async(orgId, matchingSubscriptions, cluster) => {
+// the searchable data key of the annotation clusters put on the RemoteResource of each subscription they apply
+const SUBSCRIPTION_ANNOTATION = 'annotations["deploy_razee_io_clustersubscription"]';
+
+const isRolloutActive = (rollout)=>{
+  return !!rollout && ACTIVE_ROLLOUT_STATES.includes(rollout.state);
+};
+
+// a pause past its expiry no longer counts, even before the scheduler removed it
+const isSubscriptionPaused = (subscription, now = new Date())=>{
+  const { pause } = subscription;
+  if(!pause || !pause.paused){
+    return false;
+  }
+  return !pause.expires || new Date(pause.expires).getTime() > new Date(now).getTime();
+};
+
+// the pin of a cluster to another version, a pin past its expiry no longer counts even before the scheduler removed it
+const getClusterVersionPin = (subscription, clusterId, now = new Date())=>{
+  return _.find(subscription.versionPins, (pin)=>{
+    return pin.clusterId === clusterId && (!pin.expires || new Date(pin.expires).getTime() > new Date(now).getTime());
+  }) || null;
+};
+
+const isClusterExcluded = (subscription, clusterId)=>{
+  return _.some(subscription.excludedClusters, { clusterId });
+};
+
+// the version a cluster gets: the version it is pinned to, or the previous one while a rollout has not reached the cluster yet
+const getClusterVersion = (subscription, clusterId, now = new Date())=>{
+  const pin = getClusterVersionPin(subscription, clusterId, now);
+  if(pin){
+    return { version: pin.version, versionUuid: pin.versionUuid };
+  }
+  const { rollout } = subscription;
+  if(isRolloutActive(rollout) && !_.includes(rollout.clusterIds, clusterId)){
+    return { version: rollout.fromVersion, versionUuid: rollout.fromVersionUuid };
+  }
+  return { version: subscription.version, versionUuid: subscription.version_uuid };
+};
+
+// whether a subscription targets a cluster, by group, cluster id or cluster selector
+const subscriptionTargetsCluster = (subscription, cluster)=>{
+  if(_.intersection(subscription.groups, _.map(cluster.groups, 'name')).length > 0){
+    return true;
+  }
+  if(subscription.clusterId && subscription.clusterId === cluster.cluster_id){
+    return true;
+  }
+  return !!subscription.clusterSelector && matchesLabelSelector(subscription.clusterSelector, cluster);
+};
+
+// whether a subscription is delivered to a cluster, one it targets and does not exclude
+const subscriptionDeliversToCluster = (subscription, cluster)=>{
+  return subscriptionTargetsCluster(subscription, cluster) && !isClusterExcluded(subscription, cluster.cluster_id);
+};
+
+// the subscriptions which may target a cluster, subscriptionTargetsCluster tells which do
+const getClusterSubscriptionsQuery = (org_id, cluster)=>{
+  return {
+    org_id,
+    $or: [
+      { groups: { $in: _.map(cluster.groups, 'name') } },
+      { clusterId: cluster.cluster_id },
+      { clusterSelector: { $exists: true } },
+    ],
+  };
+};
+
+// the clusters a subscription targets by group or cluster id. with a cluster selector all clusters of the org,
+// subscriptionTargetsCluster tells which the selector matches
+const getSubscriptionClustersQuery = (subscription)=>{
+  if(subscription.clusterSelector){
+    return { org_id: subscription.org_id };
+  }
+  const conditions = [];
+  if(!_.isEmpty(subscription.groups)){
+    conditions.push({ 'groups.name': { $in: subscription.groups } });
+  }
+  if(subscription.clusterId){
+    conditions.push({ cluster_id: subscription.clusterId });
+  }
+  if(conditions.length < 1){
+    return { org_id: subscription.org_id, cluster_id: { $in: [] } };
+  }
+  return { org_id: subscription.org_id, $or: conditions };
+};
+
+// the fields of clusters subscriptionTargetsCluster and matchesLabelSelector need
+const TARGET_CLUSTER_FIELDS = { cluster_id: 1, groups: 1, labels: 1, metadata: 1, registration: 1 };
+
+// the clusters a subscription is delivered to
+const getTargetClusters = async(subscription)=>{
+  const clusters = await models.Cluster.find(getSubscriptionClustersQuery(subscription), TARGET_CLUSTER_FIELDS).lean();
+  return _.filter(clusters, (cluster)=>subscriptionDeliversToCluster(subscription, cluster));
+};
+
+// the groups of the clusters a subscription targets, of those it excludes too, and whether it targets clusters without a group
+const getTargetClusterGroups = async(subscription)=>{
+  const clusters = await models.Cluster.find(getSubscriptionClustersQuery(subscription), TARGET_CLUSTER_FIELDS).lean();
+  const targeted = _.filter(clusters, (cluster)=>subscriptionTargetsCluster(subscription, cluster));
+  return {
+    groups: _.uniq(_.flatMap(targeted, (cluster)=>_.map(cluster.groups, 'name'))),
+    ungrouped: _.some(targeted, (cluster)=>_.isEmpty(cluster.groups)),
+  };
+};
+
+// the groups of a subscription the user is not allowed to set the version for. a selector can match clusters of any group,
+// so these are the groups of the clusters it matches too, and every group of the org once it matches a cluster without one
+const getForbiddenSubscriptionGroups = async(org_id, subscription, queryName, context)=>{
+  // TODO: we should use specific groups action below instead of manage, e.g. setSubscription action
+  const allowedGroups = await getAllowedGroups(context.me, org_id, ACTIONS.SETVERSION, 'name', queryName, context);
+  let groups = subscription.groups;
+  if (subscription.clusterSelector) {
+    const targeted = await getTargetClusterGroups(subscription);
+    const orgGroups = targeted.ungrouped ? await context.models.Group.find({ org_id }, { name: 1 }).lean() : [];
+    groups = _.uniq([...groups, ...targeted.groups, ..._.map(orgGroups, 'name')]);
+  }
+  return groups.filter(t => allowedGroups.indexOf(t) === -1);
+};
+
+// the clusters each subscription of an org is delivered to by subscription uuid, loaded with one query and matched in memory
+const getTargetClustersBySubscription = async(subscriptions)=>{
+  if(_.isEmpty(subscriptions)){
+    return {};
+  }
+  const query = { org_id: subscriptions[0].org_id };
+  // selectors are matched against all clusters of the org
+  if(!_.some(subscriptions, 'clusterSelector')){
+    query.$or = [
+      { 'groups.name': { $in: _.uniq(_.flatMap(subscriptions, 'groups')) } },
+      { cluster_id: { $in: _.uniq(_.compact(_.map(subscriptions, 'clusterId'))) } },
+    ];
+  }
+  const clusters = await models.Cluster.find(query, TARGET_CLUSTER_FIELDS).lean();
+  return _.fromPairs(_.map(subscriptions, (subscription)=>{
+    return [subscription.uuid, _.filter(clusters, (cluster)=>subscriptionDeliversToCluster(subscription, cluster))];
+  }));
+};
+
+// what a subscription changes for clusters when current becomes next, current is null for a new subscription.
+// the clusters targeted before or after, what each gets from the channel of next now and the version it would get
+const getSubscriptionImpact = async(current, next)=>{
+  const clusters = _.uniqBy([...(current ? await getTargetClusters(current) : []), ...await getTargetClusters(next)], 'cluster_id');
+  const channelSubscriptions = await models.Subscription.find({ org_id: next.org_id, channel_uuid: next.channel_uuid }).lean();
+  return _.sortBy(clusters, 'cluster_id').map((cluster)=>{
+    const clusterId = cluster.cluster_id;
+    const from = current && subscriptionDeliversToCluster(current, cluster) ? getClusterVersion(current, clusterId) : {};
+    const to = subscriptionDeliversToCluster(next, cluster) ? getClusterVersion(next, clusterId) : {};
+    let change = SUBSCRIPTION_IMPACT_CHANGES.NONE;
+    if(!from.versionUuid){
+      change = SUBSCRIPTION_IMPACT_CHANGES.ADD;
+    }
+    else if(!to.versionUuid){
+      change = SUBSCRIPTION_IMPACT_CHANGES.REMOVE;
+    }
+    else if(from.versionUuid !== to.versionUuid){
+      change = SUBSCRIPTION_IMPACT_CHANGES.UPDATE;
+    }
+    const received = _.filter(channelSubscriptions, (sub)=>subscriptionDeliversToCluster(sub, cluster)).map((sub)=>{
+      return { subscriptionUuid: sub.uuid, subscriptionName: sub.name, ...getClusterVersion(sub, clusterId), paused: isSubscriptionPaused(sub) };
+    });
+    return {
+      clusterId,
+      name: _.get(cluster, 'registration.name'),
+      received,
+      fromVersion: from.version,
+      fromVersionUuid: from.versionUuid,
+      toVersion: to.version,
+      toVersionUuid: to.versionUuid,
+      change,
+    };
+  });
+};
+
+// the subscriptions using a version, including those still rolling out from it or pinning clusters to it
+const getVersionInUseQuery = (org_id, versionUuid)=>{
+  return {
+    org_id,
+    $or: [
+      { version_uuid: versionUuid },
+      { 'rollout.fromVersionUuid': versionUuid, 'rollout.state': { $in: ACTIVE_ROLLOUT_STATES } },
+      { 'versionPins.versionUuid': versionUuid },
+    ],
+  };
+};
+
+// the scheduled changes waiting to apply a version, they keep it in use like the subscriptions of getVersionInUseQuery
+const getVersionScheduledQuery = (org_id, versionUuid)=>{
+  return { org_id, version_uuid: versionUuid, state: { $in: OPEN_SCHEDULED_CHANGE_STATES } };
+};
+
+// the uuids of the versions used by subscriptions, see getVersionInUseQuery
+const getUsedVersionUuids = (subscriptions)=>{
+  return _.uniq(_.flatMap(subscriptions, (subscription)=>{
+    const pinned = _.map(subscription.versionPins, 'versionUuid');
+    return isRolloutActive(subscription.rollout) ? [subscription.version_uuid, subscription.rollout.fromVersionUuid, ...pinned] : [subscription.version_uuid, ...pinned];
+  }));
+};
+
+// records a version change in the history of a subscription by adding it to an update of the subscription.
+// to is the new { channel_uuid, version, version_uuid }, the channel defaults to the subscription's
+const addVersionChange = (update, subscription, to, changedBy, action, now = new Date())=>{
+  const channelUuid = to.channel_uuid || subscription.channel_uuid;
+  if(to.version_uuid === subscription.version_uuid && channelUuid === subscription.channel_uuid){
+    return update;
+  }
+  const change = {
+    fromChannelUuid: subscription.channel_uuid,
+    fromVersion: subscription.version,
+    fromVersionUuid: subscription.version_uuid,
+    channelUuid,
+    version: to.version,
+    versionUuid: to.version_uuid,
+    action,
+    changedBy,
+    changed: now,
+  };
+  update.$push = { versionHistory: { $each: [change], $slice: -SUBSCRIPTION_LIMITS.MAX_VERSION_HISTORY } };
+  return update;
+};
+
+// records a pause or resume of a subscription like addVersionChange, the version stays the same
+const addPauseChange = (update, subscription, changedBy, action, reason, now = new Date())=>{
+  const change = {
+    fromChannelUuid: subscription.channel_uuid,
+    fromVersion: subscription.version,
+    fromVersionUuid: subscription.version_uuid,
+    channelUuid: subscription.channel_uuid,
+    version: subscription.version,
+    versionUuid: subscription.version_uuid,
+    action,
+    reason,
+    changedBy,
+    changed: now,
+  };
+  update.$push = { versionHistory: { $each: [change], $slice: -SUBSCRIPTION_LIMITS.MAX_VERSION_HISTORY } };
+  return update;
+};
+
+// the version history without pauses and resumes, which do not change the version
+const getVersionChanges = (subscription)=>{
+  return _.filter(subscription.versionHistory, (change)=>{
+    return change.action !== VERSION_CHANGE_ACTIONS.PAUSE && change.action !== VERSION_CHANGE_ACTIONS.RESUME;
+  });
+};
+
+// the change a rollback of steps version changes undoes, the subscription goes back to its from version. null without as many changes
+const getRollbackChange = (subscription, steps = 1)=>{
+  const history = getVersionChanges(subscription);
+  if(!Number.isInteger(steps) || steps < 1 || steps > history.length){
+    return null;
+  }
+  return history[history.length - steps];
+};
+
+// tells the clusters of an org to fetch their subscriptions again, for changes made outside of a request
+const notifyClusters = async(org_id)=>{
+  // there is no request to translate errors for
+  await GraphqlPubSub.getInstance().channelSubChangedFunc({ org_id }, { req: { t: i18next.t.bind(i18next) } });
+};
+
+// versions an org refuses to serve, because they are not signed by one of its trusted keys
+const getUnservableVersionUuids = async(org, matchingChannels) => {
+  if(!_.get(org, 'settings.requireSignedVersions', false)) {
+    return [];
+  }
+  const versionUuids = _.flatMap(matchingChannels, (channel)=>_.map(channel.versions, 'uuid'));
+  const deployableVersions = await models.DeployableVersion.find({
+    org_id: org._id,
+    uuid: { $in: versionUuids },
+  }, { uuid: 1, signatureStatus: 1, signingKeyUuid: 1 }).lean();
+  return _.map(_.reject(deployableVersions, (version)=>isServable(version, org)), 'uuid');
+};
+
+const getSubscriptionUrls = async(org, matchingSubscriptions, cluster) => {
 
   const matchingChannels = await models.Channel.find({
-    org_id: orgId,
+    org_id: org._id,
     name: { $in: _.map(matchingSubscriptions, 'channelName') },
   });
 
   const matchingChannelsByName = _.keyBy(matchingChannels, 'name');
+  const unservableVersionUuids = await getUnservableVersionUuids(org, matchingChannels);
+
+  // paused subscriptions are left out, or delivered on hold
+  const hold = _.get(org, 'settings.pausedSubscriptionPolicy') === PAUSED_SUBSCRIPTION_POLICIES.HOLD;
+  const now = new Date();
+  const deliveredSubscriptions = hold ? matchingSubscriptions : _.reject(matchingSubscriptions, (subscription)=>isSubscriptionPaused(subscription, now));
 
-  let urls = _.map(matchingSubscriptions, (subscription)=>{
+  let urls = _.map(deliveredSubscriptions, (subscription)=>{
     const deployable = matchingChannelsByName[subscription.channelName];
+    const { version } = getClusterVersion(subscription, cluster.cluster_id);
     const foundVersion = deployable.versions.filter( (ver) => {
-      return (ver.name === subscription.version);
+      return (ver.name === version);
     });
 
     let url;
-    if(foundVersion.length > 0) {
+    // like a missing version, a version the org refuses to serve is returned without a url
+    if(foundVersion.length > 0 && !unservableVersionUuids.includes(foundVersion[0].uuid)) {
       url = `api/v1/channels/${subscription.channelName}/${foundVersion[0].uuid}`;
+      if(foundVersion[0].isTemplate) {
+        // template versions are rendered per cluster, so the cluster has to identify itself when downloading
+        url = `${url}?clusterId=${encodeURIComponent(cluster.cluster_id)}`;
+      }
     }
     let kubeOwnerName = null;
     if(cluster.registration.location){
@@ -29,10 +321,12 @@ const getSubscriptionUrls = async(orgId, matchingSubscriptions, cluster) => {
     return {
       subscriptionName: subscription.name,
       subscriptionChannel: subscription.channelName,
-      subscriptionVersion: subscription.version,
+      subscriptionVersion: version,
       subscriptionUuid: subscription.uuid,
       url: url,
       kubeOwnerName,
+      hold: isSubscriptionPaused(subscription, now),
+      dependsOn: subscription.dependsOn || [],
     };
   });
   urls = urls.filter(Boolean);
@@ -40,5 +334,28 @@ const getSubscriptionUrls = async(orgId, matchingSubscriptions, cluster) => {
 };
 
 module.exports = {
+  SUBSCRIPTION_ANNOTATION,
+  isRolloutActive,
+  isSubscriptionPaused,
+  getClusterVersionPin,
+  isClusterExcluded,
+  getClusterVersion,
+  subscriptionTargetsCluster,
+  subscriptionDeliversToCluster,
+  getClusterSubscriptionsQuery,
+  getSubscriptionClustersQuery,
+  getTargetClusters,
+  getTargetClusterGroups,
+  getForbiddenSubscriptionGroups,
+  getTargetClustersBySubscription,
+  getSubscriptionImpact,
+  getVersionInUseQuery,
+  getVersionScheduledQuery,
+  getUsedVersionUuids,
+  addVersionChange,
+  addPauseChange,
+  getVersionChanges,
+  getRollbackChange,
+  notifyClusters,
   getSubscriptionUrls,
 };
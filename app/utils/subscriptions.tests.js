@@ -0,0 +1,178 @@
+/**
+* Copyright 2021 IBM Corp. All Rights Reserved.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+const assert = require('assert');
+
+const { models } = require('../apollo/models');
+const { getClusterVersion, getSubscriptionImpact, getTargetClusterGroups, getSubscriptionClustersQuery, getVersionInUseQuery, getVersionScheduledQuery, getUsedVersionUuids, addVersionChange, getVersionChanges, getRollbackChange, isSubscriptionPaused, subscriptionTargetsCluster, subscriptionDeliversToCluster, getClusterVersionPin } = require('./subscriptions');
+
+const subscription = { org_id: 'org1', uuid: 'sub1', groups: ['prod'], channel_uuid: 'ch1', version: 'v2', version_uuid: 'v2-uuid' };
+const rollout = { state: 'progressing', fromVersion: 'v1', fromVersionUuid: 'v1-uuid', clusterIds: ['c1'] };
+
+describe('utils', () => {
+  describe('subscriptions', () => {
+    it('should give clusters outside of a rollout the previous version', () => {
+      assert.deepEqual(getClusterVersion(subscription, 'c2'), { version: 'v2', versionUuid: 'v2-uuid' });
+      const rollingOut = { ...subscription, rollout };
+      assert.deepEqual(getClusterVersion(rollingOut, 'c1'), { version: 'v2', versionUuid: 'v2-uuid' });
+      assert.deepEqual(getClusterVersion(rollingOut, 'c2'), { version: 'v1', versionUuid: 'v1-uuid' });
+      // once the rollout is done every cluster gets the version of the subscription
+      assert.deepEqual(getClusterVersion({ ...subscription, rollout: { ...rollout, state: 'completed' } }, 'c2'), { version: 'v2', versionUuid: 'v2-uuid' });
+    });
+
+    it('should find the clusters of a subscription', () => {
+      assert.deepEqual(getSubscriptionClustersQuery(subscription), { org_id: 'org1', $or: [{ 'groups.name': { $in: ['prod'] } }] });
+      assert.deepEqual(getSubscriptionClustersQuery({ org_id: 'org1', groups: [], clusterId: 'c1' }), { org_id: 'org1', $or: [{ cluster_id: 'c1' }] });
+      assert.deepEqual(getSubscriptionClustersQuery({ org_id: 'org1', groups: [] }), { org_id: 'org1', cluster_id: { $in: [] } });
+      // selectors are matched against all clusters of the org
+      assert.deepEqual(getSubscriptionClustersQuery({ ...subscription, clusterSelector: { matchLabels: [{ key: 'region', value: 'eu' }] } }), { org_id: 'org1' });
+    });
+
+    it('should tell whether a subscription targets a cluster', () => {
+      const cluster = { cluster_id: 'c1', groups: [{ name: 'dev' }], labels: [{ key: 'region', value: 'eu' }] };
+      assert.equal(subscriptionTargetsCluster(subscription, cluster), false);
+      assert.equal(subscriptionTargetsCluster({ ...subscription, groups: ['dev'] }, cluster), true);
+      assert.equal(subscriptionTargetsCluster({ ...subscription, clusterId: 'c1' }, cluster), true);
+      assert.equal(subscriptionTargetsCluster({ ...subscription, clusterSelector: { matchLabels: [{ key: 'region', value: 'eu' }] } }, cluster), true);
+      assert.equal(subscriptionTargetsCluster({ ...subscription, clusterSelector: { matchLabels: [{ key: 'region', value: 'us' }] } }, cluster), false);
+    });
+
+    it('should give pinned clusters the version they are pinned to', () => {
+      const now = new Date('2021-03-06T12:00:00Z');
+      const pin = { clusterId: 'c2', version: 'v0', versionUuid: 'v0-uuid', expires: new Date('2021-03-06T13:00:00Z') };
+      const pinned = { ...subscription, rollout, versionPins: [pin] };
+      assert.deepEqual(getClusterVersion(pinned, 'c2', now), { version: 'v0', versionUuid: 'v0-uuid' });
+      assert.deepEqual(getClusterVersion(pinned, 'c1', now), { version: 'v2', versionUuid: 'v2-uuid' });
+      // an expired pin no longer counts
+      assert.equal(getClusterVersionPin(pinned, 'c2', new Date('2021-03-06T13:00:00Z')), null);
+      assert.deepEqual(getClusterVersion(pinned, 'c2', new Date('2021-03-06T13:00:00Z')), { version: 'v1', versionUuid: 'v1-uuid' });
+      assert.deepEqual(getUsedVersionUuids([pinned]), ['v2-uuid', 'v1-uuid', 'v0-uuid']);
+    });
+
+    it('should not deliver to excluded clusters', () => {
+      const cluster = { cluster_id: 'c1', groups: [{ name: 'prod' }] };
+      assert.equal(subscriptionDeliversToCluster(subscription, cluster), true);
+      const excluding = { ...subscription, excludedClusters: [{ clusterId: 'c1', reason: 'stays on the old app' }] };
+      assert.equal(subscriptionTargetsCluster(excluding, cluster), true);
+      assert.equal(subscriptionDeliversToCluster(excluding, cluster), false);
+      assert.equal(subscriptionDeliversToCluster(excluding, { ...cluster, cluster_id: 'c2' }), true);
+    });
+
+    it('should count the versions rolled out from as used', () => {
+      assert.deepEqual(getUsedVersionUuids([subscription, { ...subscription, rollout }]), ['v2-uuid', 'v1-uuid']);
+      assert.deepEqual(getUsedVersionUuids([{ ...subscription, rollout: { ...rollout, state: 'aborted' } }]), ['v2-uuid']);
+      assert.deepEqual(getVersionInUseQuery('org1', 'v1-uuid').$or[1], { 'rollout.fromVersionUuid': 'v1-uuid', 'rollout.state': { $in: ['progressing', 'halted'] } });
+    });
+
+    it('should count the versions scheduled changes wait for as used', () => {
+      assert.deepEqual(getVersionScheduledQuery('org1', 'v3-uuid'), { org_id: 'org1', version_uuid: 'v3-uuid', state: { $in: ['pending', 'applying'] } });
+    });
+
+    it('should record version changes', () => {
+      const now = new Date();
+      const update = addVersionChange({ $set: {} }, subscription, { version: 'v3', version_uuid: 'v3-uuid' }, 'user1', 'set', now);
+      assert.deepEqual(update.$push.versionHistory.$each, [{
+        fromChannelUuid: 'ch1', fromVersion: 'v2', fromVersionUuid: 'v2-uuid',
+        channelUuid: 'ch1', version: 'v3', versionUuid: 'v3-uuid',
+        action: 'set', changedBy: 'user1', changed: now,
+      }]);
+      assert.equal(update.$push.versionHistory.$slice, -100);
+      // setting the same version is not a change
+      assert.deepEqual(addVersionChange({ $set: {} }, subscription, { version: 'v2', version_uuid: 'v2-uuid' }, 'user1', 'set'), { $set: {} });
+      assert.equal(addVersionChange({}, subscription, { channel_uuid: 'ch2', version: 'v2', version_uuid: 'v2-uuid' }, 'user1', 'edit').$push.versionHistory.$each[0].channelUuid, 'ch2');
+    });
+
+    it('should find the change a rollback undoes', () => {
+      const versionHistory = [{ fromVersionUuid: 'v1-uuid', versionUuid: 'v2-uuid' }, { fromVersionUuid: 'v2-uuid', versionUuid: 'v3-uuid' }];
+      assert.equal(getRollbackChange({ versionHistory }).fromVersionUuid, 'v2-uuid');
+      assert.equal(getRollbackChange({ versionHistory }, 2).fromVersionUuid, 'v1-uuid');
+      assert.equal(getRollbackChange({ versionHistory }, 3), null);
+      assert.equal(getRollbackChange({ versionHistory }, 0), null);
+      assert.equal(getRollbackChange({}), null);
+      // pauses and resumes are not rolled back
+      const paused = [...versionHistory, { action: 'pause', fromVersionUuid: 'v3-uuid', versionUuid: 'v3-uuid' }, { action: 'resume', fromVersionUuid: 'v3-uuid', versionUuid: 'v3-uuid' }];
+      assert.equal(getRollbackChange({ versionHistory: paused }).fromVersionUuid, 'v2-uuid');
+      assert.equal(getRollbackChange({ versionHistory: paused }, 3), null);
+      assert.equal(getVersionChanges({ versionHistory: paused }).length, 2);
+    });
+
+    it('should tell whether a subscription is paused', () => {
+      const now = new Date('2021-03-06T12:00:00Z');
+      assert.equal(isSubscriptionPaused(subscription, now), false);
+      assert.equal(isSubscriptionPaused({ ...subscription, pause: { paused: now } }, now), true);
+      assert.equal(isSubscriptionPaused({ ...subscription, pause: { paused: now, expires: new Date('2021-03-06T13:00:00Z') } }, now), true);
+      assert.equal(isSubscriptionPaused({ ...subscription, pause: { paused: now, expires: new Date('2021-03-06T11:00:00Z') } }, now), false);
+    });
+
+    describe('impact', () => {
+      const clusterFind = models.Cluster.find;
+      const subscriptionFind = models.Subscription.find;
+      const lean = (docs) => ({ lean: async () => docs });
+      const other = { org_id: 'org1', uuid: 'sub2', name: 'dev-only', groups: ['dev'], channel_uuid: 'ch1', version: 'v1', version_uuid: 'v1-uuid' };
+
+      beforeEach(() => {
+        models.Cluster.find = () => lean([
+          { cluster_id: 'c2', groups: [{ name: 'dev' }], registration: { name: 'dev-cluster' } },
+          { cluster_id: 'c1', groups: [{ name: 'prod' }] },
+          { cluster_id: 'c3', groups: [{ name: 'stage' }] },
+        ]);
+        models.Subscription.find = () => lean([{ ...subscription, name: 'prod' }, other]);
+      });
+
+      afterEach(() => {
+        models.Cluster.find = clusterFind;
+        models.Subscription.find = subscriptionFind;
+      });
+
+      it('should find the groups of the clusters a selector matches', async () => {
+        models.Cluster.find = () => lean([
+          { cluster_id: 'c1', groups: [{ name: 'prod' }], labels: [{ key: 'tier', value: 'prod' }] },
+          { cluster_id: 'c2', groups: [{ name: 'dev' }], labels: [{ key: 'tier', value: 'dev' }] },
+          { cluster_id: 'c3', labels: [{ key: 'tier', value: 'prod' }] },
+        ]);
+        const selected = { ...subscription, groups: [], clusterSelector: { matchLabels: [{ key: 'tier', value: 'prod' }] } };
+        assert.deepEqual(await getTargetClusterGroups(selected), { groups: ['prod'], ungrouped: true });
+        // excluded clusters count, they can be included again
+        const excluding = { ...selected, excludedClusters: [{ clusterId: 'c3' }] };
+        assert.deepEqual(await getTargetClusterGroups(excluding), { groups: ['prod'], ungrouped: true });
+      });
+
+      it('should tell what a change does to each cluster', async () => {
+        const next = { ...subscription, groups: ['prod', 'dev'], version: 'v3', version_uuid: 'v3-uuid' };
+        const clusters = await getSubscriptionImpact(subscription, next);
+        assert.deepEqual(clusters.map(({ clusterId, name, fromVersion, toVersion, change }) => ({ clusterId, name, fromVersion, toVersion, change })), [
+          { clusterId: 'c1', name: undefined, fromVersion: 'v2', toVersion: 'v3', change: 'update' },
+          { clusterId: 'c2', name: 'dev-cluster', fromVersion: undefined, toVersion: 'v3', change: 'add' },
+        ]);
+        assert.deepEqual(clusters[1].received, [{ subscriptionUuid: 'sub2', subscriptionName: 'dev-only', version: 'v1', versionUuid: 'v1-uuid', paused: false }]);
+      });
+
+      it('should tell which clusters a change removes the subscription from', async () => {
+        const clusters = await getSubscriptionImpact({ ...subscription, rollout }, { ...subscription, rollout, groups: ['dev'] });
+        assert.deepEqual(clusters.map(({ clusterId, fromVersion, toVersion, change }) => ({ clusterId, fromVersion, toVersion, change })), [
+          // c1 is in the rollout, c2 is not and gets the version rolled out from
+          { clusterId: 'c1', fromVersion: 'v2', toVersion: undefined, change: 'remove' },
+          { clusterId: 'c2', fromVersion: undefined, toVersion: 'v1', change: 'add' },
+        ]);
+      });
+
+      it('should treat every cluster of a new subscription as added', async () => {
+        const clusters = await getSubscriptionImpact(null, { ...subscription, groups: ['stage'] });
+        assert.deepEqual(clusters.map(({ clusterId, change }) => ({ clusterId, change })), [{ clusterId: 'c3', change: 'add' }]);
+        assert.deepEqual(clusters[0].received, []);
+      });
+    });
+  });
+});
@@ -0,0 +1,100 @@
+/**
+* Copyright 2021 IBM Corp. All Rights Reserved.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+const _ = require('lodash');
+const Mustache = require('mustache');
+const yaml = require('js-yaml');
+
+class TemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TemplateError';
+  }
+}
+
+// builds the mustache view a channel version template is rendered with
+//   {{cluster.id}}, {{cluster.name}}, {{cluster.metadata.kube_version.minor}},
+//   {{cluster.registration.xyz}} and {{#cluster.groups}}{{.}}{{/cluster.groups}}
+const buildClusterView = (cluster) => {
+  const metadata = _.get(cluster, 'metadata') || {};
+  let registration = _.get(cluster, 'registration') || {};
+  if (registration instanceof Map) {
+    registration = Object.fromEntries(registration);
+  }
+  return {
+    cluster: {
+      id: cluster.cluster_id,
+      name: cluster.name || metadata.name || registration.name || cluster.cluster_id,
+      metadata,
+      registration,
+      groups: _.map(cluster.groups || [], 'name'),
+    },
+  };
+};
+
+const parseTemplate = (content) => {
+  try {
+    return Mustache.parse(content);
+  } catch (err) {
+    throw new TemplateError(`Template syntax error: ${err.message}`);
+  }
+};
+
+// variables used outside of sections must resolve against the view, otherwise mustache silently renders ''
+const findUndefinedVariables = (tokens, view) => {
+  return _.uniq(_.filter(_.map(tokens, (token) => {
+    const [type, name] = token;
+    if (type !== 'name' && type !== '&') {
+      return null;
+    }
+    if (name === '.' || !_.isUndefined(_.get(view, name))) {
+      return null;
+    }
+    return name;
+  })));
+};
+
+// checks the template is well formed, so bad templates are rejected at upload time
+const validateTemplate = (content) => {
+  parseTemplate(content);
+};
+
+const renderTemplate = (content, view) => {
+  const tokens = parseTemplate(content);
+  const undefinedVars = findUndefinedVariables(tokens, view);
+  if (undefinedVars.length > 0) {
+    throw new TemplateError(`Template variable(s) ${undefinedVars.join(', ')} are not defined for cluster ${_.get(view, 'cluster.id')}`);
+  }
+
+  // yaml is not html, so dont escape the rendered values
+  const m_esc = Mustache.escape;
+  Mustache.escape = (text) => { return text; };
+  let rendered;
+  try {
+    rendered = Mustache.render(content, view);
+  } finally {
+    Mustache.escape = m_esc;
+  }
+
+  try {
+    yaml.safeLoadAll(rendered);
+  } catch (err) {
+    throw new TemplateError(`Rendered template is not valid YAML: ${err.message}`);
+  }
+  return rendered;
+};
+
+module.exports = { TemplateError, buildClusterView, validateTemplate, renderTemplate };
@@ -0,0 +1,60 @@
+/**
+* Copyright 2021 IBM Corp. All Rights Reserved.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+const assert = require('assert');
+
+const { TemplateError, buildClusterView, validateTemplate, renderTemplate } = require('./templates');
+
+const cluster = {
+  cluster_id: 'cluster1',
+  metadata: { kube_version: { major: '1', minor: '20' } },
+  registration: new Map([['name', 'my-cluster'], ['region', 'eu-de']]),
+  groups: [{ uuid: 'g1', name: 'dev' }, { uuid: 'g2', name: 'eu' }],
+};
+
+describe('utils', () => {
+  describe('templates', () => {
+    it('should build the view from the cluster', () => {
+      const view = buildClusterView(cluster);
+      assert.equal(view.cluster.id, 'cluster1');
+      assert.equal(view.cluster.name, 'my-cluster');
+      assert.equal(view.cluster.registration.region, 'eu-de');
+      assert.deepEqual(view.cluster.groups, ['dev', 'eu']);
+    });
+
+    it('should render a template for the cluster', () => {
+      const template = 'host: app.{{cluster.registration.region}}.example.com\nminor: "{{cluster.metadata.kube_version.minor}}"\ngroups:\n{{#cluster.groups}}\n  - {{.}}\n{{/cluster.groups}}\n';
+      const rendered = renderTemplate(template, buildClusterView(cluster));
+      assert.equal(rendered, 'host: app.eu-de.example.com\nminor: "20"\ngroups:\n  - dev\n  - eu\n');
+    });
+
+    it('should not html escape rendered values', () => {
+      const view = buildClusterView({ cluster_id: 'c1', registration: { url: 'https://a.com/?x=1&y=2' } });
+      assert.equal(renderTemplate('url: "{{cluster.registration.url}}"', view), 'url: "https://a.com/?x=1&y=2"');
+    });
+
+    it('should reject templates with syntax errors', () => {
+      assert.throws(() => validateTemplate('a: {{#cluster.groups}}'), TemplateError);
+    });
+
+    it('should reject undefined variables', () => {
+      assert.throws(() => renderTemplate('a: {{cluster.registration.zone}}', buildClusterView(cluster)), /cluster.registration.zone/);
+    });
+
+    it('should reject templates which do not render to valid yaml', () => {
+      assert.throws(() => renderTemplate('a: {{cluster.id}}\n  b: c: d', buildClusterView(cluster)), /not valid YAML/);
+    });
+  });
+});
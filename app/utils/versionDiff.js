@@ -0,0 +1,91 @@
+/**
+* Copyright 2021 IBM Corp. All Rights Reserved.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+const _ = require('lodash');
+const yaml = require('js-yaml');
+const { createTwoFilesPatch } = require('diff');
+
+// identifies a kubernetes object across versions, e.g. apps/v1/Deployment/payments/api
+const getObjectKey = (obj) => {
+  const namespace = _.get(obj, 'metadata.namespace', '');
+  const name = _.get(obj, 'metadata.name', '');
+  return `${obj.apiVersion || ''}/${obj.kind || ''}/${namespace}/${name}`;
+};
+
+// loads all documents of a yaml string keyed by object identity.
+// content which is not yaml (e.g. an unrendered template) is treated as a single document
+const loadObjects = (content) => {
+  let docs;
+  try {
+    docs = _.filter(yaml.safeLoadAll(content || ''), (doc) => !_.isNil(doc));
+  } catch (err) {
+    return { content: { key: 'content', obj: null, text: content || '' } };
+  }
+  const objects = {};
+  _.each(docs, (doc, idx) => {
+    let key = _.isPlainObject(doc) && (doc.kind || _.get(doc, 'metadata.name')) ? getObjectKey(doc) : `document-${idx}`;
+    if (objects[key]) {
+      key = `${key}#${idx}`;
+    }
+    objects[key] = {
+      key,
+      obj: _.isPlainObject(doc) ? doc : null,
+      text: yaml.safeDump(doc, { sortKeys: true }),
+    };
+  });
+  return objects;
+};
+
+const toObjectDiff = ({ key, obj }, diff = null) => {
+  return {
+    key,
+    apiVersion: _.get(obj, 'apiVersion', null),
+    kind: _.get(obj, 'kind', null),
+    namespace: _.get(obj, 'metadata.namespace', null),
+    name: _.get(obj, 'metadata.name', null),
+    diff,
+  };
+};
+
+// compares two yaml contents object by object, modified objects get a unified diff of their normalized yaml
+const diffYamlContent = (fromContent, toContent, { fromName = 'from', toName = 'to' } = {}) => {
+  const fromObjects = loadObjects(fromContent);
+  const toObjects = loadObjects(toContent);
+
+  const added = [];
+  const removed = [];
+  const modified = [];
+  _.each(_.keys(fromObjects), (key) => {
+    if (!toObjects[key]) {
+      removed.push(toObjectDiff(fromObjects[key]));
+    }
+  });
+  _.each(_.keys(toObjects), (key) => {
+    const fromObj = fromObjects[key];
+    const toObj = toObjects[key];
+    if (!fromObj) {
+      added.push(toObjectDiff(toObj));
+      return;
+    }
+    if (fromObj.text !== toObj.text) {
+      const diff = createTwoFilesPatch(`${fromName}/${key}`, `${toName}/${key}`, fromObj.text, toObj.text);
+      modified.push(toObjectDiff(toObj, diff));
+    }
+  });
+  return { added, removed, modified };
+};
+
+module.exports = { diffYamlContent, getObjectKey };
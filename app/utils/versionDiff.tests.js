@@ -0,0 +1,55 @@
+/**
+* Copyright 2021 IBM Corp. All Rights Reserved.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+const assert = require('assert');
+
+const { diffYamlContent, getObjectKey } = require('./versionDiff');
+
+const configMap = (name, data) => `apiVersion: v1\nkind: ConfigMap\nmetadata:\n  name: ${name}\n  namespace: default\ndata:\n  key: ${data}\n`;
+
+describe('utils', () => {
+  describe('versionDiff', () => {
+    it('should key objects by apiVersion, kind, namespace and name', () => {
+      assert.equal(getObjectKey({ apiVersion: 'apps/v1', kind: 'Deployment', metadata: { name: 'api', namespace: 'payments' } }), 'apps/v1/Deployment/payments/api');
+    });
+
+    it('should find added, removed and modified objects', () => {
+      const from = [configMap('a', 'one'), configMap('b', 'two')].join('---\n');
+      const to = [configMap('b', 'three'), configMap('c', 'four')].join('---\n');
+      const { added, removed, modified } = diffYamlContent(from, to, { fromName: 'v1', toName: 'v2' });
+      assert.deepEqual(added.map(o => o.name), ['c']);
+      assert.deepEqual(removed.map(o => o.name), ['a']);
+      assert.equal(modified.length, 1);
+      assert.equal(modified[0].key, 'v1/ConfigMap/default/b');
+      assert.equal(modified[0].kind, 'ConfigMap');
+      assert.ok(modified[0].diff.includes('--- v1/v1/ConfigMap/default/b'));
+      assert.ok(modified[0].diff.includes('-  key: two'));
+      assert.ok(modified[0].diff.includes('+  key: three'));
+      assert.equal(added[0].diff, null);
+    });
+
+    it('should ignore key order and formatting', () => {
+      const from = 'kind: ConfigMap\napiVersion: v1\nmetadata: {name: a}\n';
+      const to = 'apiVersion: v1\nkind: ConfigMap\nmetadata:\n  name: a\n';
+      assert.deepEqual(diffYamlContent(from, to), { added: [], removed: [], modified: [] });
+    });
+
+    it('should diff content which is not yaml as a whole', () => {
+      const { modified } = diffYamlContent('a: {{x}}\n  b: c: d', 'a: {{y}}\n  b: c: d');
+      assert.equal(modified.length, 1);
+      assert.equal(modified[0].key, 'content');
+    });
+  });
+});
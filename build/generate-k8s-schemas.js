@@ -0,0 +1,182 @@
+/**
+ * Copyright 2021 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Generates app/utils/k8sSchemas from the schemas the kubernetes-models package generates from the
+// upstream Kubernetes OpenAPI spec, kubernetes-models@1.7.1 is built from 1.19 and kubernetes-models@2.0.2 from 1.22:
+//
+//   npm pack kubernetes-models@1.7.1 kubernetes-models@2.0.2
+//   mkdir -p /tmp/km-1.19 /tmp/km-1.22
+//   tar -xzf kubernetes-models-1.7.1.tgz -C /tmp/km-1.19 && tar -xzf kubernetes-models-2.0.2.tgz -C /tmp/km-1.22
+//   node build/generate-k8s-schemas.js /tmp/km-1.19/package /tmp/km-1.22/package
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMAS_DIR = path.join(__dirname, '..', 'app', 'utils', 'k8sSchemas');
+
+// the apiVersions and kinds each minor version serves by default, alpha apis are left out as they have to be enabled.
+// 1.19 serves every beta and GA api of its spec, later versions are described by what they add and remove
+const MINOR_VERSIONS = {
+  '1.19': { definitions: '1.19' },
+  '1.20': {
+    definitions: '1.22',
+    add: {
+      'flowcontrol.apiserver.k8s.io/v1beta1': ['FlowSchema', 'PriorityLevelConfiguration'],
+      'node.k8s.io/v1': ['RuntimeClass'],
+    },
+  },
+  '1.21': {
+    definitions: '1.22',
+    add: {
+      'batch/v1': ['CronJob'],
+      'discovery.k8s.io/v1': ['EndpointSlice'],
+      'policy/v1': ['PodDisruptionBudget'],
+      'storage.k8s.io/v1beta1': ['CSIStorageCapacity'],
+    },
+  },
+  '1.22': {
+    definitions: '1.22',
+    add: {
+      'policy/v1': ['Eviction'],
+    },
+    remove: {
+      'admissionregistration.k8s.io/v1beta1': '*',
+      'apiextensions.k8s.io/v1beta1': '*',
+      'apiregistration.k8s.io/v1beta1': '*',
+      'authentication.k8s.io/v1beta1': '*',
+      'authorization.k8s.io/v1beta1': '*',
+      'certificates.k8s.io/v1beta1': '*',
+      'coordination.k8s.io/v1beta1': '*',
+      'extensions/v1beta1': '*',
+      'networking.k8s.io/v1beta1': '*',
+      'rbac.authorization.k8s.io/v1beta1': '*',
+      'scheduling.k8s.io/v1beta1': '*',
+      'storage.k8s.io/v1beta1': ['CSIDriver', 'CSINode', 'StorageClass', 'VolumeAttachment'],
+    },
+  },
+};
+
+// kubernetes-models marks optional fields nullable and references other schemas by id, this restores the openapi form
+const toOpenApi = (schema) => {
+  if (Array.isArray(schema)) {
+    return schema.map(toOpenApi);
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+  const { oneOf } = schema;
+  if (oneOf && oneOf.length === 2 && oneOf[0].$ref && oneOf[1].type === 'null') {
+    return toOpenApi(oneOf[0]);
+  }
+  const converted = {};
+  Object.keys(schema).forEach((key) => {
+    if (key === 'nullable') {
+      return;
+    }
+    if (key === '$ref') {
+      converted.$ref = `#/definitions/${schema.$ref.replace(/#$/, '')}`;
+    } else if (key === 'properties') {
+      converted.properties = {};
+      Object.keys(schema.properties).forEach((name) => {
+        converted.properties[name] = toOpenApi(schema.properties[name]);
+      });
+    } else {
+      converted[key] = toOpenApi(schema[key]);
+    }
+  });
+  return converted;
+};
+
+// the group/version/kinds of a definition come from the values its apiVersion and kind are limited to
+const setGroupVersionKinds = (definition) => {
+  const { apiVersion, kind } = definition.properties || {};
+  if (!apiVersion || !apiVersion.enum || !kind || !kind.enum) {
+    return definition;
+  }
+  definition['x-kubernetes-group-version-kind'] = [];
+  apiVersion.enum.forEach((value) => {
+    const [group, version] = value.includes('/') ? value.split('/') : ['', value];
+    kind.enum.forEach((name) => definition['x-kubernetes-group-version-kind'].push({ group, version, kind: name }));
+  });
+  definition.properties.apiVersion = { type: 'string' };
+  definition.properties.kind = { type: 'string' };
+  return definition;
+};
+
+const readDefinitions = (packageDir) => {
+  const dir = path.join(packageDir, '_schemas');
+  const definitions = {};
+  fs.readdirSync(dir).filter((file) => file.endsWith('.js')).sort().forEach((file) => {
+    const source = fs.readFileSync(path.join(dir, file), 'utf8');
+    const schema = source.match(/const schema = ([\s\S]*?);\nfunction addSchema/);
+    const name = source.match(/register\("([^"]+)", schema\)/);
+    if (!schema || !name) {
+      throw new Error(`${file} has no schema`);
+    }
+    definitions[name[1]] = setGroupVersionKinds(toOpenApi(JSON.parse(schema[1])));
+  });
+  return definitions;
+};
+
+const getServed = (definitions) => {
+  const served = {};
+  Object.keys(definitions).forEach((name) => {
+    (definitions[name]['x-kubernetes-group-version-kind'] || []).forEach(({ group, version, kind }) => {
+      const apiVersion = group ? `${group}/${version}` : version;
+      if (!version.includes('alpha') && definitions[name]['x-kubernetes-group-version-kind'].length === 1) {
+        served[apiVersion] = (served[apiVersion] || []).concat(kind);
+      }
+    });
+  });
+  return served;
+};
+
+const writeJson = (file, content) => {
+  fs.writeFileSync(path.join(SCHEMAS_DIR, file), `${JSON.stringify(content, null, 2)}\n`);
+};
+
+const main = (dir119, dir122) => {
+  const definitions = { '1.19': readDefinitions(dir119), '1.22': readDefinitions(dir122) };
+  Object.keys(definitions).forEach((minorVersion) => {
+    writeJson(path.join('definitions', `v${minorVersion}.json`), { kubernetes: minorVersion, definitions: definitions[minorVersion] });
+  });
+
+  let served = getServed(definitions['1.19']);
+  Object.keys(MINOR_VERSIONS).forEach((minorVersion) => {
+    const { definitions: definitionsVersion, add = {}, remove = {} } = MINOR_VERSIONS[minorVersion];
+    const withLists = (kinds) => kinds.concat(kinds.map((kind) => `${kind}List`));
+    served = JSON.parse(JSON.stringify(served));
+    Object.keys(add).forEach((apiVersion) => {
+      served[apiVersion] = (served[apiVersion] || []).concat(withLists(add[apiVersion]));
+    });
+    Object.keys(remove).forEach((apiVersion) => {
+      served[apiVersion] = remove[apiVersion] === '*' ? [] : served[apiVersion].filter((kind) => !withLists(remove[apiVersion]).includes(kind));
+    });
+
+    // only kinds with a definition are kept, e.g. Eviction has no EvictionList
+    const known = getServed(definitions[definitionsVersion]);
+    const minorServed = {};
+    Object.keys(served).sort().forEach((apiVersion) => {
+      const kinds = served[apiVersion].filter((kind) => (known[apiVersion] || []).includes(kind));
+      if (kinds.length > 0) {
+        minorServed[apiVersion] = Array.from(new Set(kinds)).sort();
+      }
+    });
+    writeJson(`v${minorVersion}.json`, { kubernetes: minorVersion, definitions: definitionsVersion, served: minorServed });
+  });
+};
+
+main(process.argv[2], process.argv[3]);